@@ -18,10 +18,18 @@ const survivorRoutes = require('./routes/survivors');
 const authRoutes = require('./routes/auth');
 const missionRoutes = require('./routes/missions');
 const isacRoutes = require('./routes/isac');
+const federatedRoutes = require('./routes/federated');
+const modelRoutes = require('./routes/models');
+const feedbackRoutes = require('./routes/feedback');
+const fleetRoutes = require('./routes/fleet');
+const auditRoutes = require('./routes/audit');
+const hazardRoutes = require('./routes/hazards');
+const teamRoutes = require('./routes/teams');
+const exportRoutes = require('./routes/export');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
-const { authenticateToken } = require('./middleware/auth');
+const { requirePermission } = require('./middleware/permissions');
 
 // Import WebSocket handler
 const socketHandler = require('./websocket/socketHandler');
@@ -63,11 +71,17 @@ class Application {
         this.app.use(morgan('combined'));
         
         // Body parsing - Increased limits for simulation data
-        this.app.use(express.json({ limit: '10mb' }));
+        // Raw body is kept for verifying aircraft request signatures
+        this.app.use(express.json({
+            limit: '10mb',
+            verify: (req, res, buf) => {
+                req.rawBody = buf;
+            }
+        }));
 
         // Serve uploaded files (including UAV images)
         const uploadsDir = path.join(__dirname, '..', 'uploads');
-        this.app.use('/uploads', express.static(uploadsDir));
+        this.app.use('/uploads', requirePermission('imagery:view'), express.static(uploadsDir));
 
         this.app.use(express.urlencoded({ extended: true, limit: '50mb' }));
         
@@ -89,7 +103,7 @@ class Application {
         });
 
         // Admin: list UAV images saved on backend
-        this.app.get('/api/admin/images', (req, res) => {
+        this.app.get('/api/admin/images', requirePermission('imagery:view'), (req, res) => {
             try {
                 const imagesDir = path.join(__dirname, '..', 'uploads', 'uav-images');
                 if (!fs.existsSync(imagesDir)) {
@@ -118,6 +132,14 @@ class Application {
         this.app.use('/api/auth', authRoutes);
         this.app.use('/api/missions', missionRoutes);
         this.app.use('/api/isac', isacRoutes);
+        this.app.use('/api/federated', federatedRoutes);
+        this.app.use('/api/models', modelRoutes);
+        this.app.use('/api/feedback', feedbackRoutes);
+        this.app.use('/api/fleet', fleetRoutes);
+        this.app.use('/api/audit', auditRoutes);
+        this.app.use('/api/hazards', hazardRoutes);
+        this.app.use('/api/teams', teamRoutes);
+        this.app.use('/api/export', exportRoutes);
         
         // Root endpoint
         this.app.get('/', (req, res) => {
@@ -130,7 +152,15 @@ class Application {
                     survivors: '/api/survivors',
                     auth: '/api/auth',
                     missions: '/api/missions',
-                    isac: '/api/isac'
+                    isac: '/api/isac',
+                    federated: '/api/federated',
+                    models: '/api/models',
+                    feedback: '/api/feedback',
+                    fleet: '/api/fleet',
+                    audit: '/api/audit',
+                    hazards: '/api/hazards',
+                    teams: '/api/teams',
+                    export: '/api/export'
                 }
             });
         });
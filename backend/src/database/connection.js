@@ -5,26 +5,45 @@
 
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const fs = require('fs');
 
 const DB_PATH = path.join(__dirname, '../../data/disaster_response.db');
 
 class Database {
     constructor() {
         this.db = null;
+        this.connecting = null;
+        // Settles when the last transaction started has finished; queries wait for it
+        this.transactionLock = Promise.resolve();
+        // Queries sent but not yet answered, which a new transaction lets finish first
+        this.inFlight = new Set();
     }
 
+    /**
+     * Open the database on first use, creating its directory on a fresh checkout
+     * Every query waits for the same connection; a failed attempt is retried by the next one
+     * @returns {Promise} Resolves once the database is open
+     */
     connect() {
-        return new Promise((resolve, reject) => {
-            this.db = new sqlite3.Database(DB_PATH, (err) => {
-                if (err) {
-                    console.error('Error connecting to database:', err);
-                    reject(err);
-                } else {
-                    console.log('Connected to SQLite database');
-                    resolve();
-                }
+        if (!this.connecting) {
+            this.connecting = new Promise((resolve, reject) => {
+                fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+
+                const db = new sqlite3.Database(DB_PATH, (err) => {
+                    if (err) {
+                        console.error('Error connecting to database:', err);
+                        this.connecting = null;
+                        reject(err);
+                    } else {
+                        console.log('Connected to SQLite database');
+                        this.db = db;
+                        resolve();
+                    }
+                });
             });
-        });
+        }
+
+        return this.connecting;
     }
 
     close() {
@@ -36,6 +55,8 @@ class Database {
                         reject(err);
                     } else {
                         console.log('Database connection closed');
+                        this.db = null;
+                        this.connecting = null;
                         resolve();
                     }
                 });
@@ -45,16 +66,59 @@ class Database {
         });
     }
 
-    run(sql, params = []) {
-        return new Promise((resolve, reject) => {
-            if (!this.db) {
-                this.connect().then(() => {
-                    this._run(sql, params, resolve, reject);
-                }).catch(reject);
-            } else {
-                this._run(sql, params, resolve, reject);
+    /**
+     * Run statements as one transaction on the shared connection
+     * Other queries are held back until it commits or rolls back, so they neither join it nor
+     * see its partial writes. The work must use the handle it is given, not this wrapper
+     * @param {Function} work - Async function receiving { run, get, all }
+     * @returns {Promise} Whatever work returns; if it throws, the transaction is rolled back
+     */
+    async transaction(work) {
+        const previous = this.transactionLock;
+        const draining = Array.from(this.inFlight);
+        let release;
+        this.transactionLock = new Promise(resolve => { release = resolve; });
+
+        try {
+            await previous;
+            await Promise.allSettled(draining);
+            await this.connect();
+
+            const tx = {
+                run: (sql, params = []) => new Promise((resolve, reject) => this._run(sql, params, resolve, reject)),
+                get: (sql, params = []) => new Promise((resolve, reject) => this._get(sql, params, resolve, reject)),
+                all: (sql, params = []) => new Promise((resolve, reject) => this._all(sql, params, resolve, reject))
+            };
+
+            await tx.run('BEGIN IMMEDIATE');
+            try {
+                const result = await work(tx);
+                await tx.run('COMMIT');
+                return result;
+            } catch (error) {
+                await tx.run('ROLLBACK');
+                throw error;
             }
-        });
+        } finally {
+            release();
+        }
+    }
+
+    // Wait for any open transaction, then send a query on the shared connection
+    _query(method, sql, params) {
+        const query = this.transactionLock
+            .then(() => this.connect())
+            .then(() => new Promise((resolve, reject) => this[method](sql, params, resolve, reject)));
+
+        this.inFlight.add(query);
+        const settle = () => this.inFlight.delete(query);
+        query.then(settle, settle);
+
+        return query;
+    }
+
+    run(sql, params = []) {
+        return this._query('_run', sql, params);
     }
 
     _run(sql, params, resolve, reject) {
@@ -72,15 +136,7 @@ class Database {
     }
 
     get(sql, params = []) {
-        return new Promise((resolve, reject) => {
-            if (!this.db) {
-                this.connect().then(() => {
-                    this._get(sql, params, resolve, reject);
-                }).catch(reject);
-            } else {
-                this._get(sql, params, resolve, reject);
-            }
-        });
+        return this._query('_get', sql, params);
     }
 
     _get(sql, params, resolve, reject) {
@@ -95,15 +151,7 @@ class Database {
     }
 
     all(sql, params = []) {
-        return new Promise((resolve, reject) => {
-            if (!this.db) {
-                this.connect().then(() => {
-                    this._all(sql, params, resolve, reject);
-                }).catch(reject);
-            } else {
-                this._all(sql, params, resolve, reject);
-            }
-        });
+        return this._query('_all', sql, params);
     }
 
     _all(sql, params, resolve, reject) {
@@ -118,10 +166,7 @@ class Database {
     }
 }
 
-// Create singleton instance
+// Create singleton instance; it connects on the first query
 const database = new Database();
 
-// Initialize connection
-database.connect().catch(console.error);
-
 module.exports = database;
\ No newline at end of file
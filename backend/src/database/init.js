@@ -1,15 +1,19 @@
 /**
  * Database Initialization
- * Sets up SQLite database and creates tables
+ * Opens the SQLite database and brings its schema up to date through migrations
  */
 
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { migrate, checkSchema } = require('./migrate');
 
 // Database file path
 const DB_PATH = path.join(__dirname, '../../data/disaster_response.db');
 
+// Apply pending migrations at startup; when false, startup stops until `npm run migrate` is run
+const AUTO_MIGRATE = process.env.DB_AUTO_MIGRATE !== 'false';
+
 // Ensure data directory exists
 const dataDir = path.dirname(DB_PATH);
 if (!fs.existsSync(dataDir)) {
@@ -17,7 +21,8 @@ if (!fs.existsSync(dataDir)) {
 }
 
 /**
- * Initialize database and create tables
+ * Initialize database and migrate its schema
+ * Refuses a database migrated by a newer build rather than running against an unknown schema
  */
 async function initializeDatabase() {
     return new Promise((resolve, reject) => {
@@ -30,8 +35,7 @@ async function initializeDatabase() {
             
             console.log('Connected to SQLite database');
             
-            // Create tables
-            createTables(db)
+            prepareSchema(db)
                 .then(() => {
                     db.close((err) => {
                         if (err) {
@@ -43,136 +47,32 @@ async function initializeDatabase() {
                         }
                     });
                 })
-                .catch(reject);
+                .catch((error) => {
+                    db.close();
+                    reject(error);
+                });
         });
     });
 }
 
 /**
- * Create all required tables
+ * Check the schema version and apply pending migrations
+ * @param {Object} db - Open sqlite3 database
  */
-async function createTables(db) {
-    const tables = [
-        // Survivors table
-        `CREATE TABLE IF NOT EXISTS survivors (
-            id TEXT PRIMARY KEY,
-            lat REAL NOT NULL,
-            lng REAL NOT NULL,
-            confidence REAL NOT NULL CHECK(confidence >= 0 AND confidence <= 1),
-            detection_type TEXT NOT NULL DEFAULT 'human',
-            uav_id TEXT NOT NULL,
-            timestamp TEXT NOT NULL,
-            status TEXT NOT NULL DEFAULT 'detected' CHECK(status IN ('detected', 'rescued', 'false_positive')),
-            additional_info TEXT,
-            created_at TEXT NOT NULL,
-            updated_at TEXT
-        )`,
-        
-        // ISAC status table
-        `CREATE TABLE IF NOT EXISTS isac_status (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            uav_id TEXT NOT NULL,
-            mode TEXT NOT NULL CHECK(mode IN ('good', 'medium', 'weak')),
-            signal_strength REAL NOT NULL CHECK(signal_strength >= 0 AND signal_strength <= 100),
-            data_rate REAL,
-            timestamp TEXT NOT NULL,
-            created_at TEXT NOT NULL
-        )`,
-        
-        // Missions table
-        `CREATE TABLE IF NOT EXISTS missions (
-            id TEXT PRIMARY KEY,
-            uav_id TEXT NOT NULL,
-            start_time TEXT NOT NULL,
-            end_time TEXT,
-            status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'completed', 'aborted')),
-            survivors_detected INTEGER DEFAULT 0,
-            survivors_rescued INTEGER DEFAULT 0,
-            area_covered REAL DEFAULT 0,
-            created_at TEXT NOT NULL,
-            updated_at TEXT
-        )`,
-        
-        // Mission telemetry table
-        `CREATE TABLE IF NOT EXISTS mission_telemetry (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            mission_id TEXT NOT NULL,
-            uav_id TEXT NOT NULL,
-            lat REAL NOT NULL,
-            lng REAL NOT NULL,
-            altitude REAL NOT NULL,
-            battery_level REAL,
-            isac_mode TEXT,
-            signal_strength REAL,
-            timestamp TEXT NOT NULL,
-            FOREIGN KEY (mission_id) REFERENCES missions (id)
-        )`,
-        
-        // Users table (for authentication)
-        `CREATE TABLE IF NOT EXISTS users (
-            id TEXT PRIMARY KEY,
-            username TEXT UNIQUE NOT NULL,
-            email TEXT UNIQUE NOT NULL,
-            password_hash TEXT NOT NULL,
-            role TEXT NOT NULL DEFAULT 'operator' CHECK(role IN ('admin', 'operator', 'viewer')),
-            created_at TEXT NOT NULL,
-            updated_at TEXT,
-            last_login TEXT
-        )`
-    ];
-    
-    // Create indexes
-    const indexes = [
-        'CREATE INDEX IF NOT EXISTS idx_survivors_timestamp ON survivors(timestamp)',
-        'CREATE INDEX IF NOT EXISTS idx_survivors_status ON survivors(status)',
-        'CREATE INDEX IF NOT EXISTS idx_survivors_uav_id ON survivors(uav_id)',
-        'CREATE INDEX IF NOT EXISTS idx_isac_status_uav_id ON isac_status(uav_id)',
-        'CREATE INDEX IF NOT EXISTS idx_isac_status_timestamp ON isac_status(timestamp)',
-        'CREATE INDEX IF NOT EXISTS idx_missions_uav_id ON missions(uav_id)',
-        'CREATE INDEX IF NOT EXISTS idx_missions_status ON missions(status)',
-        'CREATE INDEX IF NOT EXISTS idx_telemetry_mission_id ON mission_telemetry(mission_id)',
-        'CREATE INDEX IF NOT EXISTS idx_telemetry_timestamp ON mission_telemetry(timestamp)'
-    ];
-    
-    return new Promise((resolve, reject) => {
-        // Execute table creation queries
-        const createTablePromises = tables.map(sql => {
-            return new Promise((resolve, reject) => {
-                db.run(sql, (err) => {
-                    if (err) {
-                        console.error('Error creating table:', err);
-                        reject(err);
-                    } else {
-                        resolve();
-                    }
-                });
-            });
-        });
-        
-        Promise.all(createTablePromises)
-            .then(() => {
-                // Create indexes
-                const createIndexPromises = indexes.map(sql => {
-                    return new Promise((resolve, reject) => {
-                        db.run(sql, (err) => {
-                            if (err) {
-                                console.error('Error creating index:', err);
-                                reject(err);
-                            } else {
-                                resolve();
-                            }
-                        });
-                    });
-                });
-                
-                return Promise.all(createIndexPromises);
-            })
-            .then(() => {
-                console.log('All database tables and indexes created successfully');
-                resolve();
-            })
-            .catch(reject);
-    });
+async function prepareSchema(db) {
+    const { current, latest, pending } = await checkSchema(db);
+
+    if (pending === 0) {
+        console.log(`Database schema is up to date (version ${current})`);
+        return;
+    }
+
+    if (!AUTO_MIGRATE) {
+        throw new Error(`Database schema is at version ${current} of ${latest}; run \`npm run migrate\` first`);
+    }
+
+    await migrate(db);
+    console.log(`Database schema migrated from version ${current} to ${latest}`);
 }
 
 /**
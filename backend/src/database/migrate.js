@@ -0,0 +1,276 @@
+/**
+ * Database Migrations
+ * Applies and rolls back the numbered migrations in ./migrations and records them in schema_migrations
+ *
+ * Usage: npm run migrate -- [migrate [version] | rollback [steps] | status]
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migration files are named like 002_add_survivor_triage.js
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+/**
+ * Load the migrations shipped with this build, ordered by version
+ * @returns {Array} { version, name, up, down, description }
+ */
+function loadMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up(db) and down(db)`);
+            }
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                description: migration.description || match[2],
+                up: migration.up,
+                down: migration.down
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    // Versions must run 1, 2, 3... so two branches cannot both add the same number
+    migrations.forEach((migration, index) => {
+        if (migration.version !== index + 1) {
+            throw new Error(`Migration versions must be consecutive from 1; found ${migration.version} at position ${index + 1}`);
+        }
+    });
+
+    return migrations;
+}
+
+/**
+ * Wrap a sqlite3 database with the promise helpers migrations use
+ * @param {Object} database - Open sqlite3 database
+ * @returns {Object} { run, get, all }
+ */
+function wrap(database) {
+    return {
+        run: (sql, params = []) => new Promise((resolve, reject) => {
+            database.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ id: this.lastID, changes: this.changes });
+            });
+        }),
+        get: (sql, params = []) => new Promise((resolve, reject) => {
+            database.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+        }),
+        all: (sql, params = []) => new Promise((resolve, reject) => {
+            database.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+        })
+    };
+}
+
+/**
+ * Create the schema_migrations table if needed and list applied versions
+ * @param {Object} db - Wrapped database
+ * @returns {Array} Applied migrations ordered by version
+ */
+async function getAppliedMigrations(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+    )`);
+
+    return db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+}
+
+/**
+ * Refuse a database migrated by a newer build (or one whose history does not match ours)
+ * @param {Array} applied - Applied migrations
+ * @param {Array} migrations - Known migrations
+ */
+function assertKnownSchema(applied, migrations) {
+    for (const row of applied) {
+        const known = migrations[row.version - 1];
+        if (!known) {
+            throw new Error(
+                `Database schema is at version ${applied[applied.length - 1].version}, newer than this build ` +
+                `supports (${migrations.length}). Upgrade the backend or roll back with the newer build.`
+            );
+        }
+        if (known.name !== row.name) {
+            throw new Error(`Database migration ${row.version} is "${row.name}" but this build has "${known.name}"`);
+        }
+    }
+}
+
+/**
+ * Run one migration step and its bookkeeping in a single transaction
+ * @param {Object} db - Wrapped database
+ * @param {Function} step - Async function performing the change
+ */
+async function inTransaction(db, step) {
+    await db.run('BEGIN');
+    try {
+        await step();
+        await db.run('COMMIT');
+    } catch (error) {
+        await db.run('ROLLBACK');
+        throw error;
+    }
+}
+
+/**
+ * Apply pending migrations
+ * @param {Object} database - Open sqlite3 database
+ * @param {number} target - Version to migrate to (defaults to the latest)
+ * @returns {Array} Versions applied
+ */
+async function migrate(database, target) {
+    const db = wrap(database);
+    const migrations = loadMigrations();
+    const applied = await getAppliedMigrations(db);
+    assertKnownSchema(applied, migrations);
+
+    const current = applied.length > 0 ? applied[applied.length - 1].version : 0;
+    const goal = target === undefined ? migrations.length : target;
+    if (!Number.isInteger(goal) || goal < 0 || goal > migrations.length) {
+        throw new Error(`Cannot migrate to version ${target}; versions run from 0 to ${migrations.length}`);
+    }
+    if (goal < current) {
+        throw new Error(`Schema is already at version ${current}; use rollback to go back to ${goal}`);
+    }
+
+    const done = [];
+    for (const migration of migrations.filter(m => m.version > current && m.version <= goal)) {
+        await inTransaction(db, async () => {
+            await migration.up(db);
+            await db.run(
+                'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+                [migration.version, migration.name, new Date().toISOString()]
+            );
+        });
+        console.log(`⬆️ Applied migration ${migration.version}: ${migration.description}`);
+        done.push(migration.version);
+    }
+
+    return done;
+}
+
+/**
+ * Roll back the most recent migrations
+ * @param {Object} database - Open sqlite3 database
+ * @param {number} steps - Number of migrations to undo
+ * @returns {Array} Versions rolled back
+ */
+async function rollback(database, steps = 1) {
+    if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Rollback steps must be a positive integer, got ${steps}`);
+    }
+
+    const db = wrap(database);
+    const migrations = loadMigrations();
+    const applied = await getAppliedMigrations(db);
+    assertKnownSchema(applied, migrations);
+
+    const done = [];
+    for (const row of applied.slice(-steps).reverse()) {
+        const migration = migrations[row.version - 1];
+        await inTransaction(db, async () => {
+            await migration.down(db);
+            await db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        });
+        console.log(`⬇️ Rolled back migration ${migration.version}: ${migration.description}`);
+        done.push(migration.version);
+    }
+
+    return done;
+}
+
+/**
+ * Describe the schema version and every known migration
+ * @param {Object} database - Open sqlite3 database
+ * @returns {Object} { current, latest, unknown, migrations } where unknown lists versions applied by a newer build
+ */
+async function status(database) {
+    const db = wrap(database);
+    const migrations = loadMigrations();
+    const applied = await getAppliedMigrations(db);
+    const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+
+    return {
+        current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+        latest: migrations.length,
+        unknown: applied.filter(row => !migrations[row.version - 1]).map(row => row.version),
+        migrations: migrations.map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            description: migration.description,
+            appliedAt: appliedAt.get(migration.version) || null
+        }))
+    };
+}
+
+/**
+ * Check the schema can be used by this build without changing it
+ * @param {Object} database - Open sqlite3 database
+ * @returns {Object} { current, latest, pending }
+ */
+async function checkSchema(database) {
+    const db = wrap(database);
+    const migrations = loadMigrations();
+    const applied = await getAppliedMigrations(db);
+    assertKnownSchema(applied, migrations);
+
+    const current = applied.length > 0 ? applied[applied.length - 1].version : 0;
+    return { current, latest: migrations.length, pending: migrations.length - current };
+}
+
+// Command line interface
+
+async function main(argv) {
+    const { DB_PATH } = require('./init');
+    const [command = 'migrate', arg] = argv;
+
+    const database = await new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(DB_PATH, (err) => (err ? reject(err) : resolve(db)));
+    });
+
+    try {
+        if (command === 'migrate') {
+            const done = await migrate(database, arg === undefined ? undefined : Number(arg));
+            console.log(done.length > 0 ? `✅ Migrated to version ${done[done.length - 1]}` : '✅ Schema is up to date');
+        } else if (command === 'rollback') {
+            const done = await rollback(database, arg === undefined ? 1 : Number(arg));
+            console.log(done.length > 0 ? `✅ Rolled back ${done.length} migration(s)` : 'Nothing to roll back');
+        } else if (command === 'status') {
+            const result = await status(database);
+            console.log(`Schema version ${result.current} of ${result.latest}`);
+            result.migrations.forEach(m => {
+                console.log(`  ${m.appliedAt ? '✅' : '⏳'} ${String(m.version).padStart(3, '0')} ${m.description}${m.appliedAt ? ` (applied ${m.appliedAt})` : ''}`);
+            });
+            if (result.unknown.length > 0) {
+                console.log(`  ⚠️ Applied by a newer build: ${result.unknown.join(', ')}`);
+            }
+        } else {
+            throw new Error(`Unknown command "${command}"; use migrate [version], rollback [steps] or status`);
+        }
+    } finally {
+        database.close();
+    }
+}
+
+module.exports = {
+    loadMigrations,
+    migrate,
+    rollback,
+    status,
+    checkSchema
+};
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,302 @@
+/**
+ * Migration 001: Initial Schema
+ * Every table as it stood before migrations were introduced. Statements use IF NOT EXISTS
+ * so databases created by the old init.js are adopted as version 1 without changes
+ */
+
+const tables = [
+    // Survivors table
+    `CREATE TABLE IF NOT EXISTS survivors (
+        id TEXT PRIMARY KEY,
+        lat REAL NOT NULL,
+        lng REAL NOT NULL,
+        confidence REAL NOT NULL CHECK(confidence >= 0 AND confidence <= 1),
+        detection_type TEXT NOT NULL DEFAULT 'human',
+        uav_id TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'detected' CHECK(status IN ('detected', 'rescued', 'false_positive')),
+        additional_info TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT
+    )`,
+    
+    // ISAC status table
+    `CREATE TABLE IF NOT EXISTS isac_status (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        uav_id TEXT NOT NULL,
+        mode TEXT NOT NULL CHECK(mode IN ('good', 'medium', 'weak')),
+        signal_strength REAL NOT NULL CHECK(signal_strength >= 0 AND signal_strength <= 100),
+        data_rate REAL,
+        timestamp TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    )`,
+    
+    // Missions table
+    `CREATE TABLE IF NOT EXISTS missions (
+        id TEXT PRIMARY KEY,
+        uav_id TEXT NOT NULL,
+        start_time TEXT NOT NULL,
+        end_time TEXT,
+        status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'completed', 'aborted')),
+        survivors_detected INTEGER DEFAULT 0,
+        survivors_rescued INTEGER DEFAULT 0,
+        area_covered REAL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT
+    )`,
+    
+    // Mission telemetry table
+    `CREATE TABLE IF NOT EXISTS mission_telemetry (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        mission_id TEXT NOT NULL,
+        uav_id TEXT NOT NULL,
+        lat REAL NOT NULL,
+        lng REAL NOT NULL,
+        altitude REAL NOT NULL,
+        battery_level REAL,
+        isac_mode TEXT,
+        signal_strength REAL,
+        timestamp TEXT NOT NULL,
+        FOREIGN KEY (mission_id) REFERENCES missions (id)
+    )`,
+    
+    // Users table (for authentication)
+    `CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        username TEXT UNIQUE NOT NULL,
+        email TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'operator' CHECK(role IN ('admin', 'operator', 'viewer')),
+        created_at TEXT NOT NULL,
+        updated_at TEXT,
+        last_login TEXT
+    )`,
+    
+    // Refresh tokens issued at login (only a hash of the token is stored)
+    `CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        expires_at TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        revoked_at TEXT,
+        replaced_by TEXT,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+    )`,
+    
+    // Access tokens revoked by logout before they expire
+    `CREATE TABLE IF NOT EXISTS revoked_tokens (
+        jti TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        revoked_at TEXT NOT NULL
+    )`,
+    
+    // Federated learning rounds table
+    `CREATE TABLE IF NOT EXISTS federated_rounds (
+        id TEXT PRIMARY KEY,
+        round_number INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'aggregated', 'failed')),
+        base_version TEXT,
+        result_version TEXT,
+        participant_count INTEGER DEFAULT 0,
+        total_samples INTEGER DEFAULT 0,
+        aggregation_rule TEXT,
+        flagged_count INTEGER DEFAULT 0,
+        started_at TEXT NOT NULL,
+        deadline_at TEXT,
+        completed_at TEXT
+    )`,
+    
+    // Per-round UAV participation decided by the ISAC-aware scheduler
+    `CREATE TABLE IF NOT EXISTS federated_participation (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        round_id TEXT NOT NULL,
+        uav_id TEXT NOT NULL,
+        status TEXT NOT NULL CHECK(status IN ('selected', 'excluded', 'submitted', 'rejected', 'deferred')),
+        isac_mode TEXT,
+        signal_strength REAL,
+        data_rate REAL,
+        estimated_upload_seconds REAL,
+        reason TEXT,
+        deferred_from TEXT,
+        updated_at TEXT NOT NULL,
+        UNIQUE (round_id, uav_id),
+        FOREIGN KEY (round_id) REFERENCES federated_rounds (id)
+    )`,
+    
+    // Federated learning weight updates submitted by UAVs
+    `CREATE TABLE IF NOT EXISTS federated_updates (
+        id TEXT PRIMARY KEY,
+        round_id TEXT NOT NULL,
+        uav_id TEXT NOT NULL,
+        base_version TEXT,
+        training_samples INTEGER NOT NULL CHECK(training_samples > 0),
+        accuracy_improvement REAL,
+        convergence_score REAL,
+        weights TEXT NOT NULL,
+        encoding TEXT NOT NULL DEFAULT 'dense',
+        upload_bytes INTEGER,
+        dp_clip_norm REAL,
+        dp_noise_multiplier REAL,
+        privacy_rho REAL,
+        labelled_samples INTEGER DEFAULT 0,
+        base_accuracy REAL,
+        isac_mode TEXT,
+        admission_reason TEXT,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'aggregated', 'rejected', 'flagged', 'superseded')),
+        anomaly_score REAL,
+        flag_reason TEXT,
+        received_at TEXT NOT NULL,
+        FOREIGN KEY (round_id) REFERENCES federated_rounds (id)
+    )`,
+    
+    // Operator verdicts on survivor detections, fed back to UAVs as training signals
+    `CREATE TABLE IF NOT EXISTS detection_labels (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        survivor_id TEXT NOT NULL UNIQUE,
+        uav_id TEXT NOT NULL,
+        label TEXT NOT NULL CHECK(label IN ('true_positive', 'false_positive')),
+        confidence REAL NOT NULL,
+        detection_type TEXT,
+        lat REAL NOT NULL,
+        lng REAL NOT NULL,
+        detected_at TEXT NOT NULL,
+        labelled_by TEXT,
+        labelled_at TEXT NOT NULL,
+        delivered_round_id TEXT,
+        delivered_at TEXT,
+        FOREIGN KEY (survivor_id) REFERENCES survivors (id)
+    )`,
+    
+    // Global model versions produced by aggregation
+    `CREATE TABLE IF NOT EXISTS model_versions (
+        version TEXT PRIMARY KEY,
+        parent_version TEXT,
+        round_id TEXT,
+        layout TEXT NOT NULL,
+        weights TEXT NOT NULL,
+        participant_count INTEGER DEFAULT 0,
+        total_samples INTEGER DEFAULT 0,
+        accuracy_improvement REAL,
+        convergence_score REAL,
+        created_at TEXT NOT NULL
+    )`,
+    
+    // UAV contributions to each model version
+    `CREATE TABLE IF NOT EXISTS model_version_contributors (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        version TEXT NOT NULL,
+        round_id TEXT NOT NULL,
+        uav_id TEXT NOT NULL,
+        training_samples INTEGER NOT NULL,
+        accuracy_improvement REAL,
+        convergence_score REAL,
+        FOREIGN KEY (version) REFERENCES model_versions (version)
+    )`,
+    
+    // Fleet-wide and per-UAV model pins (released pins are kept as history)
+    `CREATE TABLE IF NOT EXISTS model_pins (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scope TEXT NOT NULL CHECK(scope IN ('fleet', 'uav')),
+        uav_id TEXT,
+        version TEXT NOT NULL,
+        reason TEXT,
+        pinned_by TEXT,
+        created_at TEXT NOT NULL,
+        released_at TEXT,
+        FOREIGN KEY (version) REFERENCES model_versions (version)
+    )`,
+    
+    // Aircraft allowed to connect, with the shared secret each one signs its handshake with
+    `CREATE TABLE IF NOT EXISTS fleet_uavs (
+        uav_id TEXT PRIMARY KEY,
+        secret TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'revoked')),
+        description TEXT,
+        registered_by TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT,
+        last_connected_at TEXT,
+        last_sequence INTEGER,
+        last_request_at TEXT
+    )`,
+    
+    // Append-only audit trail; each entry hashes the previous one so edits break the chain
+    `CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        actor_type TEXT NOT NULL CHECK(actor_type IN ('user', 'aircraft', 'system')),
+        action TEXT NOT NULL,
+        entity_type TEXT NOT NULL,
+        entity_id TEXT,
+        before_value TEXT,
+        after_value TEXT,
+        source TEXT,
+        prev_hash TEXT NOT NULL,
+        hash TEXT NOT NULL UNIQUE
+    )`,
+    
+    // Model version each UAV last reported flying with
+    `CREATE TABLE IF NOT EXISTS uav_model_reports (
+        uav_id TEXT PRIMARY KEY,
+        reported_version TEXT NOT NULL,
+        reported_at TEXT NOT NULL
+    )`
+];
+
+// Indexes on commonly filtered columns
+const indexes = [
+    'CREATE INDEX IF NOT EXISTS idx_survivors_timestamp ON survivors(timestamp)',
+    'CREATE INDEX IF NOT EXISTS idx_survivors_status ON survivors(status)',
+    'CREATE INDEX IF NOT EXISTS idx_survivors_uav_id ON survivors(uav_id)',
+    'CREATE INDEX IF NOT EXISTS idx_isac_status_uav_id ON isac_status(uav_id)',
+    'CREATE INDEX IF NOT EXISTS idx_isac_status_timestamp ON isac_status(timestamp)',
+    'CREATE INDEX IF NOT EXISTS idx_missions_uav_id ON missions(uav_id)',
+    'CREATE INDEX IF NOT EXISTS idx_missions_status ON missions(status)',
+    'CREATE INDEX IF NOT EXISTS idx_telemetry_mission_id ON mission_telemetry(mission_id)',
+    'CREATE INDEX IF NOT EXISTS idx_telemetry_timestamp ON mission_telemetry(timestamp)',
+    'CREATE INDEX IF NOT EXISTS idx_federated_rounds_status ON federated_rounds(status)',
+    'CREATE INDEX IF NOT EXISTS idx_federated_updates_round_id ON federated_updates(round_id)',
+    'CREATE INDEX IF NOT EXISTS idx_federated_updates_uav_id ON federated_updates(uav_id)',
+    'CREATE INDEX IF NOT EXISTS idx_federated_updates_status ON federated_updates(status)',
+    'CREATE INDEX IF NOT EXISTS idx_federated_participation_uav_id ON federated_participation(uav_id)',
+    'CREATE INDEX IF NOT EXISTS idx_model_versions_created_at ON model_versions(created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_model_contributors_version ON model_version_contributors(version)',
+    'CREATE INDEX IF NOT EXISTS idx_model_contributors_uav_id ON model_version_contributors(uav_id)',
+    'CREATE INDEX IF NOT EXISTS idx_model_pins_active ON model_pins(scope, uav_id, released_at)',
+    'CREATE INDEX IF NOT EXISTS idx_detection_labels_uav_id ON detection_labels(uav_id, delivered_at)',
+    'CREATE INDEX IF NOT EXISTS idx_telemetry_uav_position ON mission_telemetry(uav_id, lat, lng)',
+    'CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expires_at ON revoked_tokens(expires_at)',
+    'CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log(timestamp)',
+    'CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id)',
+    'CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor)'
+];
+
+// Refuse changes to audit entries at the database level
+const triggers = [
+    `CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+     BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`,
+    `CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+     BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`
+];
+
+module.exports = {
+    description: 'Initial schema',
+
+    async up(db) {
+        for (const sql of [...tables, ...indexes, ...triggers]) {
+            await db.run(sql);
+        }
+    },
+
+    async down(db) {
+        // Dropped in reverse creation order; indexes and triggers go with their tables
+        const names = tables.map(sql => sql.match(/CREATE TABLE IF NOT EXISTS (\w+)/)[1]);
+        for (const name of names.reverse()) {
+            await db.run(`DROP TABLE IF EXISTS ${name}`);
+        }
+    }
+};
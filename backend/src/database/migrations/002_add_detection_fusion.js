@@ -0,0 +1,47 @@
+/**
+ * Migration 002: Detection Fusion
+ * Keeps every raw UAV detection and links it to the survivor it was fused into
+ */
+
+module.exports = {
+    description: 'Survivor detection fusion',
+
+    async up(db) {
+        await db.run(`CREATE TABLE survivor_detections (
+            id TEXT PRIMARY KEY,
+            survivor_id TEXT NOT NULL,
+            uav_id TEXT NOT NULL,
+            lat REAL NOT NULL,
+            lng REAL NOT NULL,
+            confidence REAL NOT NULL CHECK(confidence >= 0 AND confidence <= 1),
+            detection_type TEXT NOT NULL DEFAULT 'human',
+            detected_at TEXT NOT NULL,
+            received_at TEXT NOT NULL,
+            FOREIGN KEY (survivor_id) REFERENCES survivors (id)
+        )`);
+        await db.run('CREATE INDEX idx_survivor_detections_survivor_id ON survivor_detections(survivor_id)');
+        await db.run('CREATE INDEX idx_survivor_detections_uav_id ON survivor_detections(uav_id)');
+
+        // Fused survivors keep the count, contributing UAVs (JSON array) and latest sighting
+        await db.run('ALTER TABLE survivors ADD COLUMN detection_count INTEGER NOT NULL DEFAULT 1');
+        await db.run('ALTER TABLE survivors ADD COLUMN contributing_uavs TEXT');
+        await db.run('ALTER TABLE survivors ADD COLUMN last_detected_at TEXT');
+        await db.run('CREATE INDEX idx_survivors_position ON survivors(status, lat, lng)');
+
+        // Existing survivors become their own single detection
+        await db.run(`INSERT INTO survivor_detections (
+            id, survivor_id, uav_id, lat, lng, confidence, detection_type, detected_at, received_at
+        ) SELECT id, id, uav_id, lat, lng, confidence, detection_type, timestamp, created_at FROM survivors`);
+        await db.run(`UPDATE survivors SET
+            contributing_uavs = json_array(uav_id),
+            last_detected_at = timestamp`);
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_survivors_position');
+        await db.run('ALTER TABLE survivors DROP COLUMN last_detected_at');
+        await db.run('ALTER TABLE survivors DROP COLUMN contributing_uavs');
+        await db.run('ALTER TABLE survivors DROP COLUMN detection_count');
+        await db.run('DROP TABLE IF EXISTS survivor_detections');
+    }
+};
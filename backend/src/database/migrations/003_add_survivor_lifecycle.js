@@ -0,0 +1,106 @@
+/**
+ * Migration 003: Survivor Lifecycle
+ * Extends survivor statuses into a rescue lifecycle with a timestamp per state,
+ * adds reported injuries and a registry of hazards used for triage
+ */
+
+// Columns carried over unchanged when the survivors table is rebuilt
+const SURVIVOR_COLUMNS = [
+    'id', 'lat', 'lng', 'confidence', 'detection_type', 'uav_id', 'timestamp', 'status',
+    'additional_info', 'created_at', 'updated_at', 'detection_count', 'contributing_uavs', 'last_detected_at'
+].join(', ');
+
+const SURVIVOR_INDEXES = [
+    'CREATE INDEX idx_survivors_timestamp ON survivors(timestamp)',
+    'CREATE INDEX idx_survivors_status ON survivors(status)',
+    'CREATE INDEX idx_survivors_uav_id ON survivors(uav_id)',
+    'CREATE INDEX idx_survivors_position ON survivors(status, lat, lng)'
+];
+
+// SQLite cannot change a CHECK constraint in place, so the table is copied into a new one
+async function rebuildSurvivors(db, statusCheck, extraColumns, copyColumns, copySelect) {
+    await db.run(`CREATE TABLE survivors_rebuilt (
+        id TEXT PRIMARY KEY,
+        lat REAL NOT NULL,
+        lng REAL NOT NULL,
+        confidence REAL NOT NULL CHECK(confidence >= 0 AND confidence <= 1),
+        detection_type TEXT NOT NULL DEFAULT 'human',
+        uav_id TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'detected' CHECK(status IN (${statusCheck})),
+        additional_info TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT,
+        detection_count INTEGER NOT NULL DEFAULT 1,
+        contributing_uavs TEXT,
+        last_detected_at TEXT${extraColumns}
+    )`);
+    await db.run(`INSERT INTO survivors_rebuilt (${copyColumns}) SELECT ${copySelect} FROM survivors`);
+    await db.run('DROP TABLE survivors');
+    await db.run('ALTER TABLE survivors_rebuilt RENAME TO survivors');
+    for (const statement of SURVIVOR_INDEXES) {
+        await db.run(statement);
+    }
+}
+
+module.exports = {
+    description: 'Survivor rescue lifecycle, injuries and hazards',
+
+    async up(db) {
+        await rebuildSurvivors(
+            db,
+            `'detected', 'confirmed', 'assigned', 'en_route', 'rescued', 'deceased', 'false_positive'`,
+            `,
+        injury_severity TEXT CHECK(injury_severity IN ('none', 'minor', 'serious', 'critical')),
+        status_changed_at TEXT,
+        confirmed_at TEXT,
+        assigned_at TEXT,
+        en_route_at TEXT,
+        rescued_at TEXT,
+        deceased_at TEXT,
+        false_positive_at TEXT`,
+            SURVIVOR_COLUMNS,
+            SURVIVOR_COLUMNS
+        );
+
+        // Best guess for survivors resolved before transitions were timestamped
+        await db.run(`UPDATE survivors SET
+            status_changed_at = COALESCE(updated_at, created_at),
+            rescued_at = CASE WHEN status = 'rescued' THEN COALESCE(updated_at, created_at) END,
+            false_positive_at = CASE WHEN status = 'false_positive' THEN COALESCE(updated_at, created_at) END
+            WHERE status != 'detected'`);
+
+        await db.run(`CREATE TABLE hazards (
+            id TEXT PRIMARY KEY,
+            hazard_type TEXT NOT NULL,
+            lat REAL NOT NULL,
+            lng REAL NOT NULL,
+            radius_meters REAL NOT NULL DEFAULT 0 CHECK(radius_meters >= 0),
+            description TEXT,
+            reported_by TEXT,
+            created_at TEXT NOT NULL,
+            cleared_at TEXT
+        )`);
+        await db.run('CREATE INDEX idx_hazards_cleared_at ON hazards(cleared_at)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS hazards');
+
+        // Lossy: in-progress rescues go back to detected and deaths count as resolved (rescued)
+        await rebuildSurvivors(
+            db,
+            `'detected', 'rescued', 'false_positive'`,
+            '',
+            SURVIVOR_COLUMNS,
+            SURVIVOR_COLUMNS.replace(
+                'status,',
+                `CASE
+                    WHEN status IN ('confirmed', 'assigned', 'en_route') THEN 'detected'
+                    WHEN status = 'deceased' THEN 'rescued'
+                    ELSE status
+                END,`
+            )
+        );
+    }
+};
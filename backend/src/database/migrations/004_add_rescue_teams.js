@@ -0,0 +1,51 @@
+/**
+ * Migration 004: Rescue Teams
+ * Registry of ground rescue teams and their assignments to survivors
+ */
+
+module.exports = {
+    description: 'Rescue teams and survivor assignments',
+
+    async up(db) {
+        await db.run(`CREATE TABLE rescue_teams (
+            id TEXT PRIMARY KEY,
+            name TEXT UNIQUE NOT NULL,
+            capabilities TEXT NOT NULL DEFAULT '[]',
+            status TEXT NOT NULL DEFAULT 'available' CHECK(status IN ('available', 'dispatched', 'off_duty')),
+            lat REAL,
+            lng REAL,
+            position_updated_at TEXT,
+            speed_kmh REAL CHECK(speed_kmh > 0),
+            contact TEXT,
+            created_at TEXT NOT NULL,
+            updated_at TEXT
+        )`);
+
+        await db.run(`CREATE TABLE team_assignments (
+            id TEXT PRIMARY KEY,
+            team_id TEXT NOT NULL,
+            survivor_id TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'acknowledged', 'en_route', 'on_scene', 'completed', 'declined', 'cancelled')),
+            outcome TEXT CHECK(outcome IN ('rescued', 'deceased', 'false_positive')),
+            distance_meters REAL,
+            eta_at TEXT,
+            assigned_by TEXT,
+            notes TEXT,
+            assigned_at TEXT NOT NULL,
+            acknowledged_at TEXT,
+            en_route_at TEXT,
+            on_scene_at TEXT,
+            closed_at TEXT,
+            updated_at TEXT,
+            FOREIGN KEY (team_id) REFERENCES rescue_teams (id),
+            FOREIGN KEY (survivor_id) REFERENCES survivors (id)
+        )`);
+        await db.run('CREATE INDEX idx_team_assignments_team ON team_assignments(team_id, status)');
+        await db.run('CREATE INDEX idx_team_assignments_survivor ON team_assignments(survivor_id, status)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS team_assignments');
+        await db.run('DROP TABLE IF EXISTS rescue_teams');
+    }
+};
@@ -0,0 +1,64 @@
+/**
+ * Migration 005: Spatial Indexes
+ * R-tree indexes over survivor and telemetry positions, kept current by triggers
+ */
+
+// Survivor IDs are text, so each survivor gets a stable integer key for its R-tree entry
+// (rowids of tables without an INTEGER PRIMARY KEY may change on VACUUM)
+const SURVIVOR_KEY = '(SELECT key FROM survivor_spatial_keys WHERE survivor_id = new.id)';
+
+module.exports = {
+    description: 'R-tree spatial indexes for survivors and telemetry',
+
+    async up(db) {
+        await db.run(`CREATE TABLE survivor_spatial_keys (
+            key INTEGER PRIMARY KEY AUTOINCREMENT,
+            survivor_id TEXT UNIQUE NOT NULL
+        )`);
+        await db.run('CREATE VIRTUAL TABLE survivors_rtree USING rtree(id, min_lat, max_lat, min_lng, max_lng)');
+        await db.run('CREATE VIRTUAL TABLE mission_telemetry_rtree USING rtree(id, min_lat, max_lat, min_lng, max_lng)');
+
+        await db.run(`CREATE TRIGGER survivors_rtree_insert AFTER INSERT ON survivors
+            BEGIN
+                INSERT INTO survivor_spatial_keys (survivor_id) VALUES (new.id);
+                INSERT INTO survivors_rtree VALUES (${SURVIVOR_KEY}, new.lat, new.lat, new.lng, new.lng);
+            END`);
+        await db.run(`CREATE TRIGGER survivors_rtree_update AFTER UPDATE OF lat, lng ON survivors
+            BEGIN
+                UPDATE survivors_rtree SET min_lat = new.lat, max_lat = new.lat, min_lng = new.lng, max_lng = new.lng
+                WHERE id = ${SURVIVOR_KEY};
+            END`);
+        await db.run(`CREATE TRIGGER survivors_rtree_delete AFTER DELETE ON survivors
+            BEGIN
+                DELETE FROM survivors_rtree WHERE id = (SELECT key FROM survivor_spatial_keys WHERE survivor_id = old.id);
+                DELETE FROM survivor_spatial_keys WHERE survivor_id = old.id;
+            END`);
+
+        await db.run(`CREATE TRIGGER mission_telemetry_rtree_insert AFTER INSERT ON mission_telemetry
+            BEGIN
+                INSERT INTO mission_telemetry_rtree VALUES (new.id, new.lat, new.lat, new.lng, new.lng);
+            END`);
+        await db.run(`CREATE TRIGGER mission_telemetry_rtree_delete AFTER DELETE ON mission_telemetry
+            BEGIN
+                DELETE FROM mission_telemetry_rtree WHERE id = old.id;
+            END`);
+
+        // Index what is already stored
+        await db.run('INSERT INTO survivor_spatial_keys (survivor_id) SELECT id FROM survivors ORDER BY created_at');
+        await db.run(`INSERT INTO survivors_rtree
+            SELECT k.key, s.lat, s.lat, s.lng, s.lng
+            FROM survivors s JOIN survivor_spatial_keys k ON k.survivor_id = s.id`);
+        await db.run('INSERT INTO mission_telemetry_rtree SELECT id, lat, lat, lng, lng FROM mission_telemetry');
+    },
+
+    async down(db) {
+        await db.run('DROP TRIGGER IF EXISTS mission_telemetry_rtree_delete');
+        await db.run('DROP TRIGGER IF EXISTS mission_telemetry_rtree_insert');
+        await db.run('DROP TRIGGER IF EXISTS survivors_rtree_delete');
+        await db.run('DROP TRIGGER IF EXISTS survivors_rtree_update');
+        await db.run('DROP TRIGGER IF EXISTS survivors_rtree_insert');
+        await db.run('DROP TABLE IF EXISTS mission_telemetry_rtree');
+        await db.run('DROP TABLE IF EXISTS survivors_rtree');
+        await db.run('DROP TABLE IF EXISTS survivor_spatial_keys');
+    }
+};
@@ -0,0 +1,97 @@
+/**
+ * Migration 006: Mission Plans
+ * Missions planned by operators with a search area, pattern, altitude band and start and
+ * success criteria, flown by one or more UAVs that each receive a waypoint plan
+ */
+
+const MISSION_COLUMNS = [
+    'id', 'uav_id', 'start_time', 'end_time', 'status', 'survivors_detected',
+    'survivors_rescued', 'area_covered', 'created_at', 'updated_at'
+].join(', ');
+
+const MISSION_INDEXES = [
+    'CREATE INDEX idx_missions_uav_id ON missions(uav_id)',
+    'CREATE INDEX idx_missions_status ON missions(status)'
+];
+
+// SQLite cannot change a CHECK or NOT NULL constraint in place, so the table is copied into a new one
+async function rebuildMissions(db, definition, copyColumns, copySelect) {
+    await db.run(`CREATE TABLE missions_rebuilt (${definition})`);
+    await db.run(`INSERT INTO missions_rebuilt (${copyColumns}) SELECT ${copySelect} FROM missions`);
+    await db.run('DROP TABLE missions');
+    await db.run('ALTER TABLE missions_rebuilt RENAME TO missions');
+    for (const statement of MISSION_INDEXES) {
+        await db.run(statement);
+    }
+}
+
+module.exports = {
+    description: 'Planned missions with search areas and per-UAV waypoint plans',
+
+    async up(db) {
+        // Planned missions have no single UAV and no start time until they start
+        await rebuildMissions(db, `
+            id TEXT PRIMARY KEY,
+            uav_id TEXT,
+            start_time TEXT,
+            end_time TEXT,
+            status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('planned', 'active', 'completed', 'aborted')),
+            survivors_detected INTEGER DEFAULT 0,
+            survivors_rescued INTEGER DEFAULT 0,
+            area_covered REAL DEFAULT 0,
+            created_at TEXT NOT NULL,
+            updated_at TEXT,
+            origin TEXT NOT NULL DEFAULT 'automatic' CHECK(origin IN ('automatic', 'planned')),
+            name TEXT,
+            search_area TEXT,
+            search_pattern TEXT,
+            min_altitude REAL,
+            max_altitude REAL,
+            start_criteria TEXT,
+            success_criteria TEXT,
+            planned_by TEXT`,
+            MISSION_COLUMNS,
+            MISSION_COLUMNS
+        );
+
+        // UAVs flying each mission; automatic missions get their single UAV
+        await db.run(`CREATE TABLE mission_uavs (
+            mission_id TEXT NOT NULL,
+            uav_id TEXT NOT NULL,
+            altitude REAL,
+            waypoints TEXT,
+            distance_meters REAL,
+            dispatched_at TEXT,
+            acknowledged_at TEXT,
+            PRIMARY KEY (mission_id, uav_id),
+            FOREIGN KEY (mission_id) REFERENCES missions (id)
+        )`);
+        await db.run('CREATE INDEX idx_mission_uavs_uav_id ON mission_uavs(uav_id)');
+        await db.run('INSERT INTO mission_uavs (mission_id, uav_id) SELECT id, uav_id FROM missions');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS mission_uavs');
+
+        // Lossy: planned missions have no single UAV to fall back to, so they are dropped with their telemetry
+        await db.run(`DELETE FROM mission_telemetry WHERE mission_id IN (
+            SELECT id FROM missions WHERE origin = 'planned'
+        )`);
+        await db.run(`DELETE FROM missions WHERE origin = 'planned'`);
+
+        await rebuildMissions(db, `
+            id TEXT PRIMARY KEY,
+            uav_id TEXT NOT NULL,
+            start_time TEXT NOT NULL,
+            end_time TEXT,
+            status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'completed', 'aborted')),
+            survivors_detected INTEGER DEFAULT 0,
+            survivors_rescued INTEGER DEFAULT 0,
+            area_covered REAL DEFAULT 0,
+            created_at TEXT NOT NULL,
+            updated_at TEXT`,
+            MISSION_COLUMNS,
+            MISSION_COLUMNS
+        );
+    }
+};
@@ -0,0 +1,73 @@
+/**
+ * Migration 007: Mission Pause
+ * Lets missions be paused and resumed, and records why a mission last changed status
+ */
+
+const MISSION_COLUMNS = [
+    'id', 'uav_id', 'start_time', 'end_time', 'status', 'survivors_detected', 'survivors_rescued',
+    'area_covered', 'created_at', 'updated_at', 'origin', 'name', 'search_area', 'search_pattern',
+    'min_altitude', 'max_altitude', 'start_criteria', 'success_criteria', 'planned_by'
+].join(', ');
+
+const MISSION_INDEXES = [
+    'CREATE INDEX idx_missions_uav_id ON missions(uav_id)',
+    'CREATE INDEX idx_missions_status ON missions(status)'
+];
+
+// SQLite cannot change a CHECK constraint in place, so the table is copied into a new one
+async function rebuildMissions(db, statusCheck, extraColumns, copyColumns, copySelect) {
+    await db.run(`CREATE TABLE missions_rebuilt (
+        id TEXT PRIMARY KEY,
+        uav_id TEXT,
+        start_time TEXT,
+        end_time TEXT,
+        status TEXT NOT NULL DEFAULT 'active' CHECK(status IN (${statusCheck})),
+        survivors_detected INTEGER DEFAULT 0,
+        survivors_rescued INTEGER DEFAULT 0,
+        area_covered REAL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT,
+        origin TEXT NOT NULL DEFAULT 'automatic' CHECK(origin IN ('automatic', 'planned')),
+        name TEXT,
+        search_area TEXT,
+        search_pattern TEXT,
+        min_altitude REAL,
+        max_altitude REAL,
+        start_criteria TEXT,
+        success_criteria TEXT,
+        planned_by TEXT${extraColumns}
+    )`);
+    await db.run(`INSERT INTO missions_rebuilt (${copyColumns}) SELECT ${copySelect} FROM missions`);
+    await db.run('DROP TABLE missions');
+    await db.run('ALTER TABLE missions_rebuilt RENAME TO missions');
+    for (const statement of MISSION_INDEXES) {
+        await db.run(statement);
+    }
+}
+
+module.exports = {
+    description: 'Mission pause and resume with status change reasons',
+
+    async up(db) {
+        await rebuildMissions(
+            db,
+            `'planned', 'active', 'paused', 'completed', 'aborted'`,
+            `,
+        status_reason TEXT,
+        status_changed_at TEXT`,
+            MISSION_COLUMNS,
+            MISSION_COLUMNS
+        );
+    },
+
+    async down(db) {
+        // Lossy: paused missions go back to active and status reasons are dropped
+        await rebuildMissions(
+            db,
+            `'planned', 'active', 'completed', 'aborted'`,
+            '',
+            MISSION_COLUMNS,
+            MISSION_COLUMNS.replace('status,', `CASE WHEN status = 'paused' THEN 'active' ELSE status END,`)
+        );
+    }
+};
@@ -0,0 +1,44 @@
+/**
+ * Migration 008: Mission Coverage
+ * Coverage grid per mission: the cells UAV cameras have seen, and how much of a planned
+ * search area they make up
+ */
+
+const COVERAGE_COLUMNS = [
+    ['coverage_origin_lat', 'REAL'],
+    ['coverage_origin_lng', 'REAL'],
+    ['coverage_cell_meters', 'REAL'],
+    ['search_area_cells', 'INTEGER'],
+    ['covered_area_cells', 'INTEGER NOT NULL DEFAULT 0']
+];
+
+module.exports = {
+    description: 'Per-mission coverage grid built from telemetry footprints',
+
+    async up(db) {
+        for (const [column, type] of COVERAGE_COLUMNS) {
+            await db.run(`ALTER TABLE missions ADD COLUMN ${column} ${type}`);
+        }
+
+        // Grids of existing missions are laid out, and their telemetry replayed onto them,
+        // the next time they are used
+        await db.run(`CREATE TABLE mission_coverage_cells (
+            mission_id TEXT NOT NULL,
+            cell_row INTEGER NOT NULL,
+            cell_col INTEGER NOT NULL,
+            in_area INTEGER NOT NULL DEFAULT 0,
+            uav_id TEXT,
+            covered_at TEXT NOT NULL,
+            PRIMARY KEY (mission_id, cell_row, cell_col),
+            FOREIGN KEY (mission_id) REFERENCES missions (id)
+        ) WITHOUT ROWID`);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS mission_coverage_cells');
+
+        for (const [column] of [...COVERAGE_COLUMNS].reverse()) {
+            await db.run(`ALTER TABLE missions DROP COLUMN ${column}`);
+        }
+    }
+};
@@ -0,0 +1,37 @@
+/**
+ * Migration 009: Search Maps
+ * Weather per mission and a probability-of-containment grid over each planned search area
+ */
+
+module.exports = {
+    description: 'Mission weather and probability-of-containment search maps',
+
+    async up(db) {
+        await db.run(`ALTER TABLE missions ADD COLUMN weather_condition TEXT NOT NULL DEFAULT 'clear'`);
+        await db.run('ALTER TABLE missions ADD COLUMN weather_changed_at TEXT');
+        await db.run('ALTER TABLE missions ADD COLUMN search_cell_meters REAL');
+
+        // probability is kept unnormalised and divided by the mission's total when read, so a
+        // search only rewrites the cells it touched
+        await db.run(`CREATE TABLE mission_search_cells (
+            mission_id TEXT NOT NULL,
+            cell_row INTEGER NOT NULL,
+            cell_col INTEGER NOT NULL,
+            prior REAL NOT NULL,
+            probability REAL NOT NULL,
+            cumulative_pod REAL NOT NULL DEFAULT 0,
+            searches INTEGER NOT NULL DEFAULT 0,
+            detections INTEGER NOT NULL DEFAULT 0,
+            last_searched_at TEXT,
+            PRIMARY KEY (mission_id, cell_row, cell_col),
+            FOREIGN KEY (mission_id) REFERENCES missions (id)
+        ) WITHOUT ROWID`);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS mission_search_cells');
+        await db.run('ALTER TABLE missions DROP COLUMN search_cell_meters');
+        await db.run('ALTER TABLE missions DROP COLUMN weather_changed_at');
+        await db.run('ALTER TABLE missions DROP COLUMN weather_condition');
+    }
+};
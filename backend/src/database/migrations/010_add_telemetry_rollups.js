@@ -0,0 +1,60 @@
+/**
+ * Migration 010: Telemetry Rollups
+ * Per-minute rollups of mission telemetry and ISAC status that outlive the raw rows
+ */
+
+module.exports = {
+    description: 'Per-minute telemetry and ISAC status rollups for retention',
+
+    async up(db) {
+        // Rollups keep sums rather than averages so late rows merge into a minute already rolled up
+        await db.run(`CREATE TABLE mission_telemetry_rollups (
+            uav_id TEXT NOT NULL,
+            bucket_start TEXT NOT NULL,
+            mission_id TEXT NOT NULL,
+            samples INTEGER NOT NULL,
+            lat_sum REAL NOT NULL,
+            lng_sum REAL NOT NULL,
+            altitude_sum REAL NOT NULL,
+            battery_sum REAL NOT NULL DEFAULT 0,
+            battery_samples INTEGER NOT NULL DEFAULT 0,
+            battery_min REAL,
+            signal_sum REAL NOT NULL DEFAULT 0,
+            signal_samples INTEGER NOT NULL DEFAULT 0,
+            signal_min REAL,
+            PRIMARY KEY (uav_id, bucket_start, mission_id)
+        ) WITHOUT ROWID`);
+        await db.run('CREATE INDEX idx_telemetry_rollups_bucket ON mission_telemetry_rollups(bucket_start)');
+        await db.run('CREATE INDEX idx_telemetry_rollups_mission ON mission_telemetry_rollups(mission_id, bucket_start)');
+
+        await db.run(`CREATE TABLE isac_status_rollups (
+            uav_id TEXT NOT NULL,
+            bucket_start TEXT NOT NULL,
+            samples INTEGER NOT NULL,
+            signal_sum REAL NOT NULL,
+            signal_min REAL NOT NULL,
+            signal_max REAL NOT NULL,
+            data_rate_sum REAL NOT NULL DEFAULT 0,
+            data_rate_samples INTEGER NOT NULL DEFAULT 0,
+            good_samples INTEGER NOT NULL DEFAULT 0,
+            medium_samples INTEGER NOT NULL DEFAULT 0,
+            weak_samples INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (uav_id, bucket_start)
+        ) WITHOUT ROWID`);
+        await db.run('CREATE INDEX idx_isac_rollups_bucket ON isac_status_rollups(bucket_start)');
+
+        // Highest raw row id of each source table already added to its rollups
+        await db.run(`CREATE TABLE telemetry_rollup_progress (
+            source TEXT PRIMARY KEY,
+            last_id INTEGER NOT NULL DEFAULT 0
+        )`);
+        await db.run(`INSERT INTO telemetry_rollup_progress (source, last_id)
+            VALUES ('mission_telemetry', 0), ('isac_status', 0)`);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS telemetry_rollup_progress');
+        await db.run('DROP TABLE IF EXISTS isac_status_rollups');
+        await db.run('DROP TABLE IF EXISTS mission_telemetry_rollups');
+    }
+};
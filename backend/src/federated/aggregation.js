@@ -0,0 +1,335 @@
+/**
+ * Federated Aggregation
+ * Weight flattening helpers, FedAvg and robust aggregation rules for UAV model updates
+ */
+
+// Aggregation rules that can be selected per deployment or per round
+const AGGREGATION_RULES = ['fedavg', 'median', 'trimmed_mean', 'krum'];
+
+// Scale factor turning a median absolute deviation into a standard deviation estimate
+const MAD_SCALE = 1.4826;
+
+// Floor on the deviation as a fraction of the median distance, so a tight cohort
+// does not flag an honest UAV for being marginally further out than its peers
+const MIN_DEVIATION_RATIO = 0.25;
+
+/**
+ * Flatten named layers of nested weight arrays into a single vector
+ * Every layer must be a regular array whose siblings all have the same length, so its values
+ * line up with the same coordinates in every other update
+ * @param {Object} weights - Layer name -> nested numeric array
+ * @returns {Object} { layout, vector } where layout records each layer's shape
+ */
+function flattenWeights(weights) {
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+        throw new Error('Weights must be an object of named layers');
+    }
+
+    const layout = [];
+    const vector = [];
+
+    for (const name of Object.keys(weights).sort()) {
+        const shape = getShape(weights[name]);
+        const start = vector.length;
+        collectValues(weights[name], shape, vector);
+        layout.push({ name, shape, offset: start, size: vector.length - start });
+    }
+
+    return { layout, vector };
+}
+
+/**
+ * Rebuild named nested layers from a flat vector
+ * @param {Array} layout - Layout produced by flattenWeights
+ * @param {Array} vector - Flat weight vector
+ * @returns {Object} Layer name -> nested numeric array
+ */
+function unflattenWeights(layout, vector) {
+    const weights = {};
+
+    layout.forEach(layer => {
+        const values = vector.slice(layer.offset, layer.offset + layer.size);
+        weights[layer.name] = reshape(values, layer.shape);
+    });
+
+    return weights;
+}
+
+/**
+ * Check that two layouts describe the same layers and shapes
+ * @param {Array} a - First layout
+ * @param {Array} b - Second layout
+ * @returns {boolean} True if layouts are compatible
+ */
+function layoutsMatch(a, b) {
+    if (!a || !b || a.length !== b.length) return false;
+
+    return a.every((layer, i) =>
+        layer.name === b[i].name &&
+        layer.size === b[i].size &&
+        layer.shape.join('x') === b[i].shape.join('x')
+    );
+}
+
+/**
+ * Federated averaging of weight deltas, weighted by training samples
+ * @param {Array} updates - Array of { vector, trainingSamples }
+ * @returns {Array} Weighted average delta vector
+ */
+function federatedAverage(updates) {
+    if (!updates || updates.length === 0) {
+        throw new Error('No updates to aggregate');
+    }
+
+    const size = updates[0].vector.length;
+    const totalSamples = updates.reduce((sum, u) => sum + u.trainingSamples, 0);
+
+    if (totalSamples <= 0) {
+        throw new Error('Updates carry no training samples');
+    }
+
+    const average = new Array(size).fill(0);
+
+    updates.forEach(update => {
+        const weight = update.trainingSamples / totalSamples;
+        for (let i = 0; i < size; i++) {
+            average[i] += weight * update.vector[i];
+        }
+    });
+
+    return average;
+}
+
+/**
+ * Coordinate-wise median of weight deltas
+ * @param {Array} updates - Array of { vector }
+ * @returns {Array} Median delta vector
+ */
+function coordinateMedian(updates) {
+    assertUpdates(updates);
+
+    const size = updates[0].vector.length;
+    const result = new Array(size);
+
+    for (let i = 0; i < size; i++) {
+        result[i] = median(updates.map(update => update.vector[i]));
+    }
+
+    return result;
+}
+
+/**
+ * Coordinate-wise trimmed mean of weight deltas
+ * @param {Array} updates - Array of { vector }
+ * @param {number} trimRatio - Fraction of values dropped from each end (0 - 0.5)
+ * @returns {Array} Trimmed mean delta vector
+ */
+function trimmedMean(updates, trimRatio = 0.1) {
+    assertUpdates(updates);
+
+    if (trimRatio < 0 || trimRatio >= 0.5) {
+        throw new Error('Trim ratio must be between 0 and 0.5');
+    }
+
+    const size = updates[0].vector.length;
+    const trim = Math.floor(updates.length * trimRatio);
+    const result = new Array(size);
+
+    for (let i = 0; i < size; i++) {
+        const kept = updates
+            .map(update => update.vector[i])
+            .sort((a, b) => a - b)
+            .slice(trim, updates.length - trim);
+
+        result[i] = kept.reduce((sum, value) => sum + value, 0) / kept.length;
+    }
+
+    return result;
+}
+
+/**
+ * Krum: pick the update closest to its nearest neighbours
+ * The number of tolerated byzantine UAVs is reduced to what the cohort size supports (n > 2f + 2)
+ * @param {Array} updates - Array of { vector }
+ * @param {number} byzantine - Number of byzantine UAVs to tolerate
+ * @returns {Object} { vector, index } of the selected update
+ */
+function krum(updates, byzantine = 1) {
+    assertUpdates(updates);
+
+    const n = updates.length;
+
+    if (n < 3) {
+        return { vector: federatedAverage(updates), index: null };
+    }
+
+    const f = Math.min(byzantine, Math.floor((n - 3) / 2));
+    const neighbours = n - f - 2;
+    let best = null;
+
+    updates.forEach((update, i) => {
+        const distances = updates
+            .filter((other, j) => j !== i)
+            .map(other => squaredDistance(update.vector, other.vector))
+            .sort((a, b) => a - b);
+
+        const score = distances.slice(0, neighbours).reduce((sum, d) => sum + d, 0);
+
+        if (!best || score < best.score) {
+            best = { index: i, score };
+        }
+    });
+
+    return { vector: updates[best.index].vector.slice(), index: best.index };
+}
+
+/**
+ * Aggregate weight deltas with the given rule
+ * @param {Array} updates - Array of { vector, trainingSamples }
+ * @param {string} rule - One of AGGREGATION_RULES
+ * @param {Object} options - { trimRatio, byzantine }
+ * @returns {Array} Aggregated delta vector
+ */
+function aggregate(updates, rule = 'fedavg', options = {}) {
+    switch (rule) {
+        case 'fedavg':
+            return federatedAverage(updates);
+        case 'median':
+            return coordinateMedian(updates);
+        case 'trimmed_mean':
+            return trimmedMean(updates, options.trimRatio);
+        case 'krum':
+            return krum(updates, options.byzantine).vector;
+        default:
+            throw new Error(`Unknown aggregation rule: ${rule}`);
+    }
+}
+
+/**
+ * Score how far each delta sits from the cohort
+ * Distance to the coordinate-wise median is turned into a robust z-score using the
+ * median absolute deviation of all distances. Cohorts below 3 updates cannot be scored.
+ * @param {Array} updates - Array of { vector }
+ * @returns {Array} Array of { distance, score } in input order (score null if unscored)
+ */
+function scoreAnomalies(updates) {
+    assertUpdates(updates);
+
+    const center = coordinateMedian(updates);
+    const distances = updates.map(update => Math.sqrt(squaredDistance(update.vector, center)));
+
+    if (updates.length < 3) {
+        return distances.map(distance => ({ distance, score: null }));
+    }
+
+    const medianDistance = median(distances);
+    const mad = median(distances.map(d => Math.abs(d - medianDistance)));
+    const deviation = Math.max(MAD_SCALE * mad, MIN_DEVIATION_RATIO * medianDistance, 1e-12);
+
+    return distances.map(distance => ({
+        distance,
+        score: (distance - medianDistance) / deviation
+    }));
+}
+
+/**
+ * Apply an aggregated delta to the global weight vector
+ * @param {Array} globalVector - Current global weights
+ * @param {Array} delta - Aggregated delta
+ * @param {number} learningRate - Server learning rate
+ * @returns {Array} Updated global weights
+ */
+function applyDelta(globalVector, delta, learningRate = 1.0) {
+    return globalVector.map((value, i) => value + learningRate * delta[i]);
+}
+
+// Helper functions
+
+function assertUpdates(updates) {
+    if (!updates || updates.length === 0) {
+        throw new Error('No updates to aggregate');
+    }
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+
+    return sorted.length % 2 === 0
+        ? (sorted[mid - 1] + sorted[mid]) / 2
+        : sorted[mid];
+}
+
+function squaredDistance(a, b) {
+    let sum = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        const diff = a[i] - b[i];
+        sum += diff * diff;
+    }
+
+    return sum;
+}
+
+function getShape(value) {
+    const shape = [];
+    let current = value;
+
+    while (Array.isArray(current)) {
+        shape.push(current.length);
+        current = current[0];
+    }
+
+    return shape;
+}
+
+// Collect a layer's values, checking it matches the shape read from its first elements
+function collectValues(value, shape, out, depth = 0) {
+    if (depth < shape.length || Array.isArray(value)) {
+        if (!Array.isArray(value) || depth >= shape.length || value.length !== shape[depth]) {
+            throw new Error(`Weight layers must be regular arrays of shape ${shape.join('x')}`);
+        }
+        value.forEach(item => collectValues(item, shape, out, depth + 1));
+        return;
+    }
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error('Weights must contain only finite numbers');
+    }
+
+    out.push(value);
+}
+
+function reshape(values, shape) {
+    if (shape.length === 0) {
+        return values[0];
+    }
+
+    if (shape.length === 1) {
+        return values.slice(0, shape[0]);
+    }
+
+    const [rows, ...rest] = shape;
+    const stride = rest.reduce((product, dim) => product * dim, 1);
+    const result = [];
+
+    for (let r = 0; r < rows; r++) {
+        result.push(reshape(values.slice(r * stride, (r + 1) * stride), rest));
+    }
+
+    return result;
+}
+
+module.exports = {
+    AGGREGATION_RULES,
+    flattenWeights,
+    unflattenWeights,
+    layoutsMatch,
+    federatedAverage,
+    coordinateMedian,
+    trimmedMean,
+    krum,
+    aggregate,
+    scoreAnomalies,
+    applyDelta
+};
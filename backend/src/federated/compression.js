@@ -0,0 +1,182 @@
+/**
+ * Federated Update Compression
+ * Per-ISAC-mode upload profiles and decoding of compressed UAV model updates
+ */
+
+// Fraction of delta coordinates kept by top-k sparsification on medium links
+const MEDIUM_TOP_K = parseFloat(process.env.FL_MEDIUM_TOP_K) || 0.1;
+
+// Bit width used when quantizing update values
+const QUANTIZATION_BITS = 8;
+
+// Upload profiles negotiated with UAVs per ISAC mode (null = no model uploads)
+const COMPRESSION_PROFILES = {
+    good: { delta: true, topK: null, quantizeBits: null },
+    medium: { delta: true, topK: MEDIUM_TOP_K, quantizeBits: QUANTIZATION_BITS },
+    weak: null
+};
+
+// Approximate JSON size of one dense float, one quantized value and one sparse index
+const BYTES_PER_FLOAT = 19;
+const BYTES_PER_QUANTIZED = 4;
+const BYTES_PER_INDEX = 6;
+
+/**
+ * Get the upload profile for an ISAC mode
+ * @param {string} isacMode - ISAC mode ('good', 'medium', 'weak')
+ * @returns {Object|null} Compression profile or null if the mode carries no model uploads
+ */
+function getCompressionProfile(isacMode) {
+    const profile = COMPRESSION_PROFILES[isacMode];
+    return profile ? { ...profile } : null;
+}
+
+/**
+ * Estimate the upload size of an update encoded with a profile
+ * @param {number} parameterCount - Number of weights
+ * @param {Object|null} profile - Compression profile (null = dense floats)
+ * @returns {number} Estimated bytes
+ */
+function estimateEncodedBytes(parameterCount, profile = null) {
+    if (!profile) {
+        return parameterCount * BYTES_PER_FLOAT;
+    }
+
+    const kept = profile.topK ? Math.ceil(parameterCount * profile.topK) : parameterCount;
+    const valueBytes = profile.quantizeBits ? BYTES_PER_QUANTIZED : BYTES_PER_FLOAT;
+    const indexBytes = profile.topK ? BYTES_PER_INDEX : 0;
+
+    return kept * (valueBytes + indexBytes);
+}
+
+/**
+ * Decode a compressed update into a dense flat vector
+ * @param {Object} encoded - Encoded update from the UAV
+ * @returns {Object} { layout, vector, deltaBase, encoding }
+ */
+function decodeModelUpdate(encoded) {
+    if (!encoded || typeof encoded !== 'object') {
+        throw new Error('Encoded update must be an object');
+    }
+
+    const layout = buildLayout(encoded.layout);
+    const size = layout.reduce((sum, layer) => sum + layer.size, 0);
+
+    if (encoded.size !== size) {
+        throw new Error('Encoded update size does not match its layout');
+    }
+
+    if (!Array.isArray(encoded.values)) {
+        throw new Error('Encoded update values must be an array');
+    }
+
+    const deltaBase = encoded.deltaBase || null;
+    const values = dequantize(encoded.values, encoded.quantization);
+    let vector;
+
+    if (encoded.sparse) {
+        // Missing coordinates of a sparse delta mean "unchanged", which only holds for deltas
+        if (!deltaBase) {
+            throw new Error('Sparse updates must be delta encoded');
+        }
+
+        if (!Array.isArray(encoded.indices) || encoded.indices.length !== values.length) {
+            throw new Error('Sparse update indices must match its values');
+        }
+
+        vector = new Array(size).fill(0);
+        encoded.indices.forEach((index, i) => {
+            if (!Number.isInteger(index) || index < 0 || index >= size) {
+                throw new Error('Sparse update index out of range');
+            }
+            vector[index] = values[i];
+        });
+    } else {
+        if (values.length !== size) {
+            throw new Error('Dense update length does not match its layout');
+        }
+        vector = values;
+    }
+
+    return {
+        layout,
+        vector,
+        deltaBase,
+        encoding: describeEncoding(encoded)
+    };
+}
+
+/**
+ * Short label for how an update was encoded, e.g. "delta+topk+q8"
+ * @param {Object|null} encoded - Encoded update (null = legacy dense delta)
+ * @returns {string} Encoding label
+ */
+function describeEncoding(encoded) {
+    if (!encoded) {
+        return 'dense';
+    }
+
+    const parts = [encoded.deltaBase ? 'delta' : 'weights'];
+    if (encoded.sparse) parts.push('topk');
+    if (encoded.quantization) parts.push(`q${encoded.quantization.bits}`);
+
+    return parts.join('+');
+}
+
+// Helper functions
+
+function buildLayout(layers) {
+    if (!Array.isArray(layers) || layers.length === 0) {
+        throw new Error('Encoded update must describe its layer layout');
+    }
+
+    let offset = 0;
+
+    return layers
+        .slice()
+        .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+        .map(layer => {
+            if (!layer.name || !Array.isArray(layer.shape) ||
+                !layer.shape.every(dim => Number.isInteger(dim) && dim >= 0)) {
+                throw new Error('Encoded layer needs a name and shape');
+            }
+
+            const size = layer.shape.reduce((product, dim) => product * dim, 1);
+            const entry = { name: layer.name, shape: layer.shape, offset, size };
+            offset += size;
+            return entry;
+        });
+}
+
+function dequantize(values, quantization) {
+    if (!quantization) {
+        values.forEach(value => {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error('Weights must contain only finite numbers');
+            }
+        });
+        return values.slice();
+    }
+
+    const { bits, min, scale } = quantization;
+    const maxLevel = Math.pow(2, bits) - 1;
+
+    if (!Number.isInteger(bits) || bits < 1 || bits > 16 || !Number.isFinite(min) || !Number.isFinite(scale)) {
+        throw new Error('Invalid quantization parameters');
+    }
+
+    return values.map(level => {
+        if (!Number.isInteger(level) || level < 0 || level > maxLevel) {
+            throw new Error('Quantized value out of range');
+        }
+        return min + level * scale;
+    });
+}
+
+module.exports = {
+    COMPRESSION_PROFILES,
+    getCompressionProfile,
+    estimateEncodedBytes,
+    decodeModelUpdate,
+    describeEncoding
+};
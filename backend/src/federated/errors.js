@@ -0,0 +1,30 @@
+/**
+ * Federated Learning Errors
+ * Errors the model registry and training code raise for requests they refuse, so routes can
+ * tell them apart from failures of the server itself
+ */
+
+/**
+ * A rollback with no version to go back to
+ */
+class ModelRollbackError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ModelRollbackError';
+    }
+}
+
+/**
+ * A UAV model update that cannot be decoded or does not fit the global model
+ */
+class ModelUpdateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ModelUpdateError';
+    }
+}
+
+module.exports = {
+    ModelRollbackError,
+    ModelUpdateError
+};
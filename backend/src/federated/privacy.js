@@ -0,0 +1,54 @@
+/**
+ * Federated Privacy Accounting
+ * Privacy cost of Gaussian-noised UAV updates, tracked as zero-concentrated DP (zCDP)
+ */
+
+/**
+ * Validate the DP parameters a UAV reports with its update
+ * @param {Object} privacy - { mechanism, clipNorm, noiseMultiplier }
+ * @returns {Object} Normalised parameters
+ */
+function validatePrivacyParams(privacy) {
+    const { mechanism = 'gaussian', clipNorm, noiseMultiplier } = privacy;
+
+    if (mechanism !== 'gaussian') {
+        throw new Error(`Unsupported privacy mechanism: ${mechanism}`);
+    }
+
+    if (typeof clipNorm !== 'number' || !Number.isFinite(clipNorm) || clipNorm <= 0) {
+        throw new Error('Privacy clip norm must be a positive number');
+    }
+
+    if (typeof noiseMultiplier !== 'number' || !Number.isFinite(noiseMultiplier) || noiseMultiplier <= 0) {
+        throw new Error('Privacy noise multiplier must be a positive number');
+    }
+
+    return { mechanism, clipNorm, noiseMultiplier };
+}
+
+/**
+ * zCDP cost of one Gaussian release with noise stddev = noiseMultiplier * clipNorm
+ * @param {number} noiseMultiplier - Noise stddev relative to the clip norm
+ * @returns {number} rho
+ */
+function gaussianRho(noiseMultiplier) {
+    return 1 / (2 * noiseMultiplier * noiseMultiplier);
+}
+
+/**
+ * Convert composed zCDP cost into an (epsilon, delta) guarantee
+ * rho composes additively across releases, so cumulative budgets are tracked as summed rho
+ * @param {number} rho - Cumulative zCDP cost
+ * @param {number} delta - Target delta
+ * @returns {number} epsilon
+ */
+function rhoToEpsilon(rho, delta) {
+    if (rho <= 0) return 0;
+    return rho + 2 * Math.sqrt(rho * Math.log(1 / delta));
+}
+
+module.exports = {
+    validatePrivacyParams,
+    gaussianRho,
+    rhoToEpsilon
+};
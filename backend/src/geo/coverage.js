@@ -0,0 +1,227 @@
+/**
+ * Coverage Grid
+ * Square cells laid over a mission area; a cell is covered once its center has been inside
+ * a UAV camera footprint
+ */
+
+// Edge length of a coverage cell in meters
+const CELL_METERS = parseFloat(process.env.COVERAGE_CELL_METERS) || 10;
+
+// Largest number of cells a search area is split into; bigger areas get bigger cells
+const MAX_AREA_CELLS = parseInt(process.env.COVERAGE_MAX_AREA_CELLS) || 250000;
+
+// Positions further apart than this are not joined; each only contributes its own footprint
+const MAX_GAP_SECONDS = parseInt(process.env.COVERAGE_MAX_GAP_SECONDS) || 120;
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+/**
+ * Lay a grid over a mission
+ * Planned missions anchor the grid at the south-west corner of their search area; automatic
+ * missions anchor it at the first position flown
+ * @param {Array|null} ring - Search area as a GeoJSON [lng, lat] ring, if planned
+ * @param {Object} anchor - { lat, lng } used when there is no search area
+ * @returns {Object} { originLat, originLng, cellMeters }
+ */
+function createGrid(ring, anchor) {
+    if (!ring) {
+        return { originLat: anchor.lat, originLng: anchor.lng, cellMeters: CELL_METERS };
+    }
+
+    const grid = {
+        originLat: Math.min(...ring.map(position => position[1])),
+        originLng: Math.min(...ring.map(position => position[0])),
+        cellMeters: CELL_METERS
+    };
+    grid.cellMeters = Math.max(CELL_METERS, Math.sqrt(ringArea(toGrid(grid, ring)) / MAX_AREA_CELLS));
+    return grid;
+}
+
+/**
+ * Cells whose centers lie inside a ring
+ * @param {Object} grid - { originLat, originLng, cellMeters }
+ * @param {Array} ring - GeoJSON [lng, lat] ring
+ * @returns {Array} [row, col] pairs
+ */
+function cellsInRing(grid, ring) {
+    const cells = [];
+    scanRing(grid, toGrid(grid, ring), (row, fromCol, toCol) => {
+        for (let col = fromCol; col <= toCol; col++) {
+            cells.push([row, col]);
+        }
+    });
+    return cells;
+}
+
+/**
+ * Number of cells whose centers lie inside a ring
+ * @param {Object} grid - { originLat, originLng, cellMeters }
+ * @param {Array} ring - GeoJSON [lng, lat] ring
+ * @returns {number} Cell count
+ */
+function countCellsInRing(grid, ring) {
+    let count = 0;
+    scanRing(grid, toGrid(grid, ring), (row, fromCol, toCol) => {
+        count += toCol - fromCol + 1;
+    });
+    return count;
+}
+
+/**
+ * Build a test for whether a cell's center lies inside a ring
+ * @param {Object} grid - { originLat, originLng, cellMeters }
+ * @param {Array} ring - GeoJSON [lng, lat] ring
+ * @returns {Function} (row, col) => boolean
+ */
+function cellInRingTest(grid, ring) {
+    const points = toGrid(grid, ring);
+    return (row, col) => pointInPolygon(points, (col + 0.5) * grid.cellMeters, (row + 0.5) * grid.cellMeters);
+}
+
+/**
+ * Covered cells as a GeoJSON overlay
+ * Neighbouring cells of a row are merged into one rectangle to keep the overlay small
+ * @param {Object} grid - { originLat, originLng, cellMeters }
+ * @param {Array} cells - { row, col, inArea } sorted by row then col
+ * @param {Object} metadata - Details kept on the collection
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function overlayCollection(grid, cells, metadata = {}) {
+    const features = [];
+    let run = null;
+
+    const close = () => {
+        if (!run) return;
+        const south = run.row * grid.cellMeters;
+        const west = run.fromCol * grid.cellMeters;
+        const north = south + grid.cellMeters;
+        const east = (run.toCol + 1) * grid.cellMeters;
+        features.push({
+            type: 'Feature',
+            geometry: {
+                type: 'Polygon',
+                coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]
+                    .map(([x, y]) => toLngLat(grid, x, y))]
+            },
+            properties: {
+                row: run.row,
+                fromCol: run.fromCol,
+                toCol: run.toCol,
+                cells: run.toCol - run.fromCol + 1,
+                inArea: run.inArea
+            }
+        });
+        run = null;
+    };
+
+    for (const cell of cells) {
+        if (run && run.row === cell.row && run.toCol === cell.col - 1 && run.inArea === cell.inArea) {
+            run.toCol = cell.col;
+        } else {
+            close();
+            run = { row: cell.row, fromCol: cell.col, toCol: cell.col, inArea: cell.inArea };
+        }
+    }
+    close();
+
+    return { type: 'FeatureCollection', metadata, features };
+}
+
+/**
+ * Check whether the camera swept the ground between two positions or only saw each one
+ * @param {Object|null} previous - { timestamp } of the UAV's previous position, if any
+ * @param {Object} position - { timestamp }
+ * @returns {boolean} True if the two positions belong to one continuous track
+ */
+function joinsTrack(previous, position) {
+    if (!previous) return false;
+    const seconds = Math.abs(new Date(position.timestamp).getTime() - new Date(previous.timestamp).getTime()) / 1000;
+    return seconds <= MAX_GAP_SECONDS;
+}
+
+/**
+ * Ground area of one cell
+ * @param {Object} grid - { cellMeters }
+ * @returns {number} Square meters
+ */
+function cellArea(grid) {
+    return grid.cellMeters * grid.cellMeters;
+}
+
+// Helper functions
+
+// Flat projection in meters from the grid origin; fine at mission scale
+function toGrid(grid, ring) {
+    const metersPerDegreeLng = METERS_PER_DEGREE_LAT * Math.cos(grid.originLat * Math.PI / 180);
+    return ring.map(([lng, lat]) => ({
+        x: (lng - grid.originLng) * metersPerDegreeLng,
+        y: (lat - grid.originLat) * METERS_PER_DEGREE_LAT
+    }));
+}
+
+function toLngLat(grid, x, y) {
+    const metersPerDegreeLng = METERS_PER_DEGREE_LAT * Math.cos(grid.originLat * Math.PI / 180);
+    return [
+        Math.round((grid.originLng + x / metersPerDegreeLng) * 1e7) / 1e7,
+        Math.round((grid.originLat + y / METERS_PER_DEGREE_LAT) * 1e7) / 1e7
+    ];
+}
+
+function ringArea(points) {
+    let twice = 0;
+    points.forEach((point, i) => {
+        const next = points[(i + 1) % points.length];
+        twice += point.x * next.y - next.x * point.y;
+    });
+    return Math.abs(twice) / 2;
+}
+
+// Visit each row's stretches of cells whose centers fall inside the polygon
+function scanRing(grid, points, visit) {
+    const size = grid.cellMeters;
+    const ys = points.map(point => point.y);
+    const firstRow = Math.floor(Math.min(...ys) / size);
+    const lastRow = Math.floor(Math.max(...ys) / size);
+
+    for (let row = firstRow; row <= lastRow; row++) {
+        const y = (row + 0.5) * size;
+        const xs = [];
+        points.forEach((a, i) => {
+            const b = points[(i + 1) % points.length];
+            if ((a.y <= y && y < b.y) || (b.y <= y && y < a.y)) {
+                xs.push(a.x + (y - a.y) / (b.y - a.y) * (b.x - a.x));
+            }
+        });
+        xs.sort((a, b) => a - b);
+
+        for (let i = 0; i + 1 < xs.length; i += 2) {
+            const fromCol = Math.ceil(xs[i] / size - 0.5);
+            const toCol = Math.floor(xs[i + 1] / size - 0.5);
+            if (fromCol <= toCol) visit(row, fromCol, toCol);
+        }
+    }
+}
+
+function pointInPolygon(points, x, y) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        if ((points[i].y > y) !== (points[j].y > y) &&
+            x < (points[j].x - points[i].x) * (y - points[i].y) / (points[j].y - points[i].y) + points[i].x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+module.exports = {
+    CELL_METERS,
+    MAX_AREA_CELLS,
+    MAX_GAP_SECONDS,
+    createGrid,
+    cellsInRing,
+    countCellsInRing,
+    cellInRingTest,
+    overlayCollection,
+    joinsTrack,
+    cellArea
+};
@@ -0,0 +1,268 @@
+/**
+ * Map Export
+ * GeoJSON FeatureCollections of survivors, UAV tracks and covered areas, and their KML rendering.
+ * Styling uses the simplestyle properties (marker-color, stroke, fill...) which the KML writer
+ * turns into shared styles
+ */
+
+// Survivor marker colors by lifecycle state (same palette as the dashboard map)
+const STATUS_COLORS = {
+    detected: '#ef4444',
+    confirmed: '#f97316',
+    assigned: '#f59e0b',
+    en_route: '#3b82f6',
+    rescued: '#10b981',
+    deceased: '#4b5563',
+    false_positive: '#9ca3af'
+};
+
+// Track and coverage colors, picked per UAV so each aircraft keeps its color across layers
+const UAV_COLORS = ['#3b82f6', '#8b5cf6', '#10b981', '#f59e0b', '#ec4899', '#06b6d4', '#84cc16', '#f97316'];
+
+const STYLE_PROPERTIES = ['marker-color', 'marker-size', 'stroke', 'stroke-width', 'stroke-opacity', 'fill', 'fill-opacity'];
+
+const FORMATS = ['geojson', 'kml'];
+
+/**
+ * Survivors as point features styled by status
+ * @param {Array} survivors - Formatted survivors
+ * @param {Object} metadata - Export details kept on the collection
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function survivorCollection(survivors, metadata = {}) {
+    return featureCollection(survivors.map(survivor => ({
+        type: 'Feature',
+        id: survivor.id,
+        geometry: {
+            type: 'Point',
+            coordinates: [survivor.coordinates.lng, survivor.coordinates.lat]
+        },
+        properties: {
+            name: survivor.id,
+            status: survivor.status,
+            confidence: survivor.confidence,
+            detectionType: survivor.detectionType,
+            uavId: survivor.uavId,
+            contributingUAVs: survivor.contributingUAVs.join(','),
+            detectionCount: survivor.detectionCount,
+            detectedAt: survivor.timestamp,
+            lastDetectedAt: survivor.lastDetectedAt,
+            statusChangedAt: survivor.statusChangedAt,
+            injurySeverity: survivor.injurySeverity,
+            priority: survivor.triage ? survivor.triage.priority : null,
+            triageLevel: survivor.triage ? survivor.triage.level : null,
+            additionalInfo: survivor.additionalInfo,
+            'marker-color': STATUS_COLORS[survivor.status] || STATUS_COLORS.detected,
+            'marker-size': survivor.triage && survivor.triage.level === 'critical' ? 'large' : 'medium'
+        }
+    })), metadata);
+}
+
+/**
+ * UAV flight tracks as line features, one per mission and UAV
+ * @param {Array} tracks - { missionId, uavId, startTime, endTime, points, distanceMeters, segments }
+ * @param {Object} metadata - Export details kept on the collection
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function trackCollection(tracks, metadata = {}) {
+    return featureCollection(tracks.map(track => ({
+        type: 'Feature',
+        id: `${track.missionId}:${track.uavId}`,
+        geometry: {
+            type: 'MultiLineString',
+            coordinates: track.segments.map(segment =>
+                segment.map(point => [point.lng, point.lat, point.altitude])
+            )
+        },
+        properties: {
+            name: `${track.uavId} track`,
+            missionId: track.missionId,
+            uavId: track.uavId,
+            startTime: track.startTime,
+            endTime: track.endTime,
+            points: track.points,
+            distanceMeters: Math.round(track.distanceMeters),
+            stroke: colorOfUAV(track.uavId),
+            'stroke-width': 3,
+            'stroke-opacity': 0.9
+        }
+    })), metadata);
+}
+
+/**
+ * Ground areas swept by each UAV's camera, one multipolygon per mission and UAV
+ * @param {Array} areas - { missionId, uavId, startTime, endTime, rings }
+ * @param {Object} metadata - Export details kept on the collection
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function coverageCollection(areas, metadata = {}) {
+    return featureCollection(areas.map(area => ({
+        type: 'Feature',
+        id: `${area.missionId}:${area.uavId}`,
+        geometry: {
+            type: 'MultiPolygon',
+            coordinates: area.rings.map(ring => [ring])
+        },
+        properties: {
+            name: `${area.uavId} coverage`,
+            missionId: area.missionId,
+            uavId: area.uavId,
+            startTime: area.startTime,
+            endTime: area.endTime,
+            stroke: colorOfUAV(area.uavId),
+            'stroke-width': 1,
+            'stroke-opacity': 0.6,
+            fill: colorOfUAV(area.uavId),
+            'fill-opacity': 0.25
+        }
+    })), metadata);
+}
+
+/**
+ * Render a FeatureCollection as a KML document
+ * Features become placemarks named after their name property, with the other properties
+ * as extended data and their simplestyle properties as shared styles
+ * @param {Object} collection - GeoJSON FeatureCollection
+ * @param {string} name - Document name
+ * @returns {string} KML document
+ */
+function toKML(collection, name) {
+    const styles = new Map();
+    const placemarks = collection.features.map(feature => {
+        const properties = feature.properties || {};
+        const styleId = styleIdOf(properties, styles);
+        const data = Object.entries(properties)
+            .filter(([key, value]) => key !== 'name' && !STYLE_PROPERTIES.includes(key) && value !== null && value !== undefined)
+            .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+            .join('');
+
+        return '<Placemark>' +
+            `<name>${escapeXml(properties.name || feature.id || '')}</name>` +
+            (styleId ? `<styleUrl>#${styleId}</styleUrl>` : '') +
+            (data ? `<ExtendedData>${data}</ExtendedData>` : '') +
+            geometryToKML(feature.geometry) +
+            '</Placemark>';
+    });
+
+    const description = collection.metadata ? `<description>${escapeXml(JSON.stringify(collection.metadata))}</description>` : '';
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+        `<name>${escapeXml(name)}</name>` +
+        description +
+        [...styles.values()].map(style => style.xml).join('') +
+        placemarks.join('') +
+        '</Document></kml>\n';
+}
+
+/**
+ * Check an export format name
+ * @param {string} format - Requested format
+ * @returns {boolean} True if supported
+ */
+function isValidFormat(format) {
+    return FORMATS.includes(format);
+}
+
+// Helper functions
+
+function featureCollection(features, metadata) {
+    return { type: 'FeatureCollection', metadata, features };
+}
+
+function colorOfUAV(uavId) {
+    let hash = 0;
+    for (const char of String(uavId)) {
+        hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return UAV_COLORS[hash % UAV_COLORS.length];
+}
+
+// Register the shared style of a feature's simplestyle properties; returns its ID or null
+function styleIdOf(properties, styles) {
+    const key = STYLE_PROPERTIES.map(name => properties[name] ?? '').join('|');
+    if (key.replace(/\|/g, '') === '') {
+        return null;
+    }
+
+    if (!styles.has(key)) {
+        const id = `style-${styles.size + 1}`;
+        let style = `<Style id="${id}">`;
+        if (properties['marker-color']) {
+            const scale = { small: 0.8, medium: 1, large: 1.3 }[properties['marker-size']] || 1;
+            style += `<IconStyle><color>${kmlColor(properties['marker-color'], 1)}</color><scale>${scale}</scale>` +
+                '<Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon></IconStyle>';
+        }
+        if (properties.stroke) {
+            style += `<LineStyle><color>${kmlColor(properties.stroke, properties['stroke-opacity'] ?? 1)}</color>` +
+                `<width>${properties['stroke-width'] ?? 1}</width></LineStyle>`;
+        }
+        if (properties.fill) {
+            style += `<PolyStyle><color>${kmlColor(properties.fill, properties['fill-opacity'] ?? 0.6)}</color></PolyStyle>`;
+        }
+        styles.set(key, { id, xml: style + '</Style>' });
+    }
+
+    return styles.get(key).id;
+}
+
+// KML colors are aabbggrr
+function kmlColor(hex, opacity) {
+    const rgb = hex.replace('#', '');
+    const alpha = Math.round(Math.min(Math.max(opacity, 0), 1) * 255).toString(16).padStart(2, '0');
+    return `${alpha}${rgb.slice(4, 6)}${rgb.slice(2, 4)}${rgb.slice(0, 2)}`;
+}
+
+function geometryToKML(geometry) {
+    switch (geometry.type) {
+        case 'Point':
+            return `<Point><coordinates>${kmlCoordinates([geometry.coordinates])}</coordinates></Point>`;
+        case 'LineString':
+            return lineToKML(geometry.coordinates);
+        case 'MultiLineString':
+            return `<MultiGeometry>${geometry.coordinates.map(lineToKML).join('')}</MultiGeometry>`;
+        case 'Polygon':
+            return polygonToKML(geometry.coordinates);
+        case 'MultiPolygon':
+            return `<MultiGeometry>${geometry.coordinates.map(polygonToKML).join('')}</MultiGeometry>`;
+        default:
+            throw new Error(`Cannot write ${geometry.type} geometry as KML`);
+    }
+}
+
+// Lines with altitudes are drawn at their height above ground
+function lineToKML(positions) {
+    const altitudeMode = positions.some(position => position.length > 2) ? '<altitudeMode>relativeToGround</altitudeMode>' : '';
+    return `<LineString>${altitudeMode}<coordinates>${kmlCoordinates(positions)}</coordinates></LineString>`;
+}
+
+function polygonToKML(rings) {
+    const [outer, ...holes] = rings;
+    return '<Polygon>' +
+        `<outerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(outer)}</coordinates></LinearRing></outerBoundaryIs>` +
+        holes.map(hole => `<innerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(hole)}</coordinates></LinearRing></innerBoundaryIs>`).join('') +
+        '</Polygon>';
+}
+
+function kmlCoordinates(positions) {
+    return positions.map(position => position.join(',')).join(' ');
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+    STATUS_COLORS,
+    FORMATS,
+    survivorCollection,
+    trackCollection,
+    coverageCollection,
+    toKML,
+    isValidFormat
+};
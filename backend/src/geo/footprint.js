@@ -0,0 +1,85 @@
+/**
+ * Camera Footprint
+ * Ground area seen by a UAV camera pointing straight down, matching calculateCoverageArea
+ * in js-simulation/uav/simulateSensorData.js
+ */
+
+// Camera field of view in degrees
+const FOV_HORIZONTAL_DEG = parseFloat(process.env.CAMERA_FOV_HORIZONTAL_DEG) || 60;
+const FOV_VERTICAL_DEG = parseFloat(process.env.CAMERA_FOV_VERTICAL_DEG) || 45;
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+/**
+ * Size of the ground footprint at an altitude
+ * @param {number} altitude - Height above ground in meters
+ * @returns {Object} { widthMeters, heightMeters } across and along the flight direction
+ */
+function footprintSize(altitude) {
+    const height = Math.max(altitude || 0, 0);
+    return {
+        widthMeters: 2 * height * Math.tan((FOV_HORIZONTAL_DEG / 2) * Math.PI / 180),
+        heightMeters: 2 * height * Math.tan((FOV_VERTICAL_DEG / 2) * Math.PI / 180)
+    };
+}
+
+/**
+ * Ground polygon swept by the camera flying from one position to the next
+ * The footprint is kept across the track, so a single position gives the footprint rectangle
+ * @param {Object} from - { lat, lng, altitude }
+ * @param {Object} to - { lat, lng, altitude }
+ * @param {boolean} includeEnds - Include the half footprints ahead of and behind the two positions;
+ *                                without them consecutive segments of a track do not overlap
+ * @returns {Array} Closed GeoJSON ring of [lng, lat] positions
+ */
+function sweptRing(from, to, includeEnds = true) {
+    const origin = { lat: (from.lat + to.lat) / 2, lng: (from.lng + to.lng) / 2 };
+    const a = toLocal(origin, from);
+    const b = toLocal(origin, to);
+
+    // Unit vector along the track (north when hovering)
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    const along = length > 0 ? { x: (b.x - a.x) / length, y: (b.y - a.y) / length } : { x: 0, y: 1 };
+    const across = { x: along.y, y: -along.x };
+
+    const start = footprintSize(from.altitude);
+    const end = footprintSize(to.altitude);
+    const ends = includeEnds ? 1 : 0;
+    const corner = (point, size, sideSign, endSign) => toLngLat(origin, {
+        x: point.x + across.x * sideSign * size.widthMeters / 2 + along.x * endSign * ends * size.heightMeters / 2,
+        y: point.y + across.y * sideSign * size.widthMeters / 2 + along.y * endSign * ends * size.heightMeters / 2
+    });
+
+    const ring = [
+        corner(a, start, -1, -1),
+        corner(b, end, -1, 1),
+        corner(b, end, 1, 1),
+        corner(a, start, 1, -1)
+    ];
+    ring.push(ring[0]);
+    return ring;
+}
+
+// Helper functions
+
+// Local flat projection in meters around an origin; fine over a single track segment
+function toLocal(origin, point) {
+    return {
+        x: (point.lng - origin.lng) * METERS_PER_DEGREE_LAT * Math.cos(origin.lat * Math.PI / 180),
+        y: (point.lat - origin.lat) * METERS_PER_DEGREE_LAT
+    };
+}
+
+function toLngLat(origin, point) {
+    return [
+        origin.lng + point.x / (METERS_PER_DEGREE_LAT * Math.cos(origin.lat * Math.PI / 180)),
+        origin.lat + point.y / METERS_PER_DEGREE_LAT
+    ];
+}
+
+module.exports = {
+    FOV_HORIZONTAL_DEG,
+    FOV_VERTICAL_DEG,
+    footprintSize,
+    sweptRing
+};
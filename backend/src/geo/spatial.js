@@ -0,0 +1,188 @@
+/**
+ * Spatial Filters
+ * Parsing of bounding box, radius and polygon filters, and the exact tests applied
+ * to candidates returned by the R-tree indexes
+ */
+
+// Largest search radius accepted, so one request cannot scan the whole index
+const MAX_RADIUS_METERS = parseFloat(process.env.SPATIAL_MAX_RADIUS_METERS) || 50000;
+
+// Polygons with more vertices than this are refused
+const MAX_POLYGON_VERTICES = 1000;
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+/**
+ * Parse the spatial filter of a GET request
+ * bbox=minLng,minLat,maxLng,maxLat (GeoJSON order) or lat, lng and radius (meters)
+ * @param {Object} query - Express query
+ * @returns {Object|null} Spatial filter or null if the request has none
+ */
+function parseSpatialQuery(query) {
+    if (query.bbox !== undefined) {
+        return parseSpatialFilter({ bbox: String(query.bbox).split(',').map(Number) });
+    }
+
+    if (query.lat !== undefined || query.lng !== undefined || query.radius !== undefined) {
+        return parseSpatialFilter({
+            near: { lat: Number(query.lat), lng: Number(query.lng) },
+            radius: Number(query.radius)
+        });
+    }
+
+    return null;
+}
+
+/**
+ * Parse a spatial filter given as JSON
+ * Exactly one of:
+ * - bbox: [minLng, minLat, maxLng, maxLat]
+ * - near: { lat, lng } with radius in meters
+ * - polygon: GeoJSON Polygon geometry (the outer ring is used; holes are ignored)
+ * @param {Object} input - { bbox } | { near, radius } | { polygon }
+ * @returns {Object} { type, bounds, center, radiusMeters, ring }
+ */
+function parseSpatialFilter(input = {}) {
+    const given = ['bbox', 'near', 'polygon'].filter(key => input[key] !== undefined);
+    if (given.length !== 1) {
+        throw new Error('Give exactly one of bbox, near (with radius) or polygon');
+    }
+
+    if (input.bbox !== undefined) {
+        const bbox = input.bbox;
+        if (!Array.isArray(bbox) || bbox.length !== 4 || !bbox.every(Number.isFinite)) {
+            throw new Error('bbox must be [minLng, minLat, maxLng, maxLat]');
+        }
+        const [minLng, minLat, maxLng, maxLat] = bbox;
+        assertLatLng(minLat, minLng);
+        assertLatLng(maxLat, maxLng);
+        if (minLat > maxLat || minLng > maxLng) {
+            throw new Error('bbox minimums must not exceed its maximums');
+        }
+        return { type: 'bbox', bounds: { minLat, minLng, maxLat, maxLng } };
+    }
+
+    if (input.near !== undefined) {
+        const { lat, lng } = input.near || {};
+        assertLatLng(lat, lng);
+        const radiusMeters = input.radius;
+        if (!Number.isFinite(radiusMeters) || radiusMeters <= 0 || radiusMeters > MAX_RADIUS_METERS) {
+            throw new Error(`radius must be between 0 and ${MAX_RADIUS_METERS} meters`);
+        }
+        return { type: 'radius', center: { lat, lng }, radiusMeters, bounds: boundsOfCircle(lat, lng, radiusMeters) };
+    }
+
+    const polygon = input.polygon;
+    if (!polygon || polygon.type !== 'Polygon' || !Array.isArray(polygon.coordinates) || !Array.isArray(polygon.coordinates[0])) {
+        throw new Error('polygon must be a GeoJSON Polygon geometry');
+    }
+    const ring = polygon.coordinates[0];
+    if (ring.length < 4 || ring.length > MAX_POLYGON_VERTICES) {
+        throw new Error(`polygon ring must have between 4 and ${MAX_POLYGON_VERTICES} positions`);
+    }
+    for (const position of ring) {
+        if (!Array.isArray(position) || position.length < 2) {
+            throw new Error('polygon positions must be [lng, lat]');
+        }
+        assertLatLng(position[1], position[0]);
+    }
+    return { type: 'polygon', ring, bounds: boundsOfRing(ring) };
+}
+
+/**
+ * Exact test of a point against a filter (the index only narrows candidates to its bounds)
+ * @param {Object} filter - Parsed spatial filter
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {boolean} True if the point lies inside
+ */
+function matchesFilter(filter, lat, lng) {
+    if (filter.type === 'radius') {
+        return distanceMeters(filter.center.lat, filter.center.lng, lat, lng) <= filter.radiusMeters;
+    }
+    if (filter.type === 'polygon') {
+        return pointInRing(filter.ring, lat, lng);
+    }
+    const { bounds } = filter;
+    return lat >= bounds.minLat && lat <= bounds.maxLat && lng >= bounds.minLng && lng <= bounds.maxLng;
+}
+
+/**
+ * SQL condition selecting R-tree entries that overlap a filter's bounds
+ * @param {string} alias - Alias of the R-tree table in the query
+ * @param {Object} filter - Parsed spatial filter
+ * @returns {Object} { sql, params }
+ */
+function boundsCondition(alias, filter) {
+    const { bounds } = filter;
+    return {
+        sql: `${alias}.max_lat >= ? AND ${alias}.min_lat <= ? AND ${alias}.max_lng >= ? AND ${alias}.min_lng <= ?`,
+        params: [bounds.minLat, bounds.maxLat, bounds.minLng, bounds.maxLng]
+    };
+}
+
+/**
+ * Great-circle distance between two points
+ * @returns {number} Meters
+ */
+function distanceMeters(lat1, lng1, lat2, lng2) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Helper functions
+
+function assertLatLng(lat, lng) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        throw new Error('Coordinates must be finite with |lat| <= 90 and |lng| <= 180');
+    }
+}
+
+function boundsOfCircle(lat, lng, radiusMeters) {
+    const dLat = radiusMeters / METERS_PER_DEGREE_LAT;
+    const dLng = radiusMeters / (METERS_PER_DEGREE_LAT * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+    return {
+        minLat: Math.max(lat - dLat, -90),
+        maxLat: Math.min(lat + dLat, 90),
+        minLng: Math.max(lng - dLng, -180),
+        maxLng: Math.min(lng + dLng, 180)
+    };
+}
+
+function boundsOfRing(ring) {
+    const lats = ring.map(position => position[1]);
+    const lngs = ring.map(position => position[0]);
+    return {
+        minLat: Math.min(...lats),
+        maxLat: Math.max(...lats),
+        minLng: Math.min(...lngs),
+        maxLng: Math.max(...lngs)
+    };
+}
+
+// Ray casting in lng/lat; accurate for the small areas searched here
+function pointInRing(ring, lat, lng) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [lngI, latI] = ring[i];
+        const [lngJ, latJ] = ring[j];
+        if ((latI > lat) !== (latJ > lat) &&
+            lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+module.exports = {
+    parseSpatialQuery,
+    parseSpatialFilter,
+    matchesFilter,
+    boundsCondition,
+    distanceMeters
+};
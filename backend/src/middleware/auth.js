@@ -1,28 +1,81 @@
 /**
- * Authentication Middleware (placeholder)
+ * Authentication Middleware
+ * Verifies JWT access tokens issued by the auth service and signed aircraft requests
  */
 
-const authenticateToken = (req, res, next) => {
-    // Placeholder authentication middleware
-    // In production, implement proper JWT verification
-    
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+const authService = require('../services/authService');
+const fleetService = require('../services/fleetService');
+
+const authenticateToken = async (req, res, next) => {
+    const token = getBearerToken(req);
 
     if (!token) {
         return res.status(401).json({ error: 'Access token required' });
     }
 
-    // For demo purposes, accept any token that starts with 'demo_token_'
-    if (token.startsWith('demo_token_')) {
-        req.user = {
-            id: '1',
-            username: 'rescue_operator',
-            role: 'operator'
-        };
+    try {
+        const user = await authService.verifyAccessToken(token);
+
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+
+        req.user = user;
         next();
-    } else {
-        res.status(403).json({ error: 'Invalid token' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Attaches req.user when a valid token is present but lets anonymous requests through
+const optionalAuthentication = async (req, res, next) => {
+    const token = getBearerToken(req);
+
+    if (!token) {
+        return next();
+    }
+
+    try {
+        req.user = await authService.verifyAccessToken(token) || undefined;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Aircraft sign requests with X-UAV-Id, X-UAV-Timestamp, X-UAV-Sequence and X-UAV-Signature
+const authenticateAircraft = async (req, res, next) => {
+    const uavId = req.headers['x-uav-id'];
+
+    if (!uavId) {
+        return res.status(401).json({ error: 'Aircraft signature required' });
+    }
+
+    try {
+        const { valid, uav, reason } = await fleetService.verifyRequest({
+            uavId,
+            timestamp: req.headers['x-uav-timestamp'],
+            sequence: req.headers['x-uav-sequence'],
+            signature: req.headers['x-uav-signature'],
+            method: req.method,
+            url: req.originalUrl,
+            body: req.rawBody
+        });
+
+        if (!valid) {
+            console.warn(`🚫 Rejected signed request from ${uavId}: ${reason}`);
+            return res.status(401).json({ error: 'Invalid aircraft signature', message: reason });
+        }
+
+        // A UAV may only report as itself
+        if (req.body && req.body.uavId && req.body.uavId !== uav.uavId) {
+            return res.status(403).json({ error: `Signed as ${uav.uavId} but reporting as ${req.body.uavId}` });
+        }
+
+        req.aircraft = uav;
+        next();
+    } catch (error) {
+        next(error);
     }
 };
 
@@ -40,7 +93,16 @@ const requireRole = (role) => {
     };
 };
 
+// Helper functions
+
+function getBearerToken(req) {
+    const authHeader = req.headers['authorization'];
+    return authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+}
+
 module.exports = {
     authenticateToken,
+    optionalAuthentication,
+    authenticateAircraft,
     requireRole
-};
\ No newline at end of file
+};
@@ -0,0 +1,148 @@
+/**
+ * Permission Policy
+ * Single table of what each user role may do over REST and socket.io
+ */
+
+const { authenticateToken, authenticateAircraft } = require('./auth');
+
+// Marks permissions held by aircraft rather than user roles (ingest, model downloads)
+const AIRCRAFT = 'aircraft';
+
+// Who may do what. Roles match the users.role CHECK constraint in init.js
+const PERMISSIONS = {
+    // Live UAV positions, ISAC links, missions and telemetry history
+    'telemetry:view': ['viewer', 'operator', 'admin'],
+    'survivors:view': ['viewer', 'operator', 'admin'],
+    // Mark rescued, record verdicts, edit detections
+    'survivors:rescue': ['operator', 'admin'],
+    'survivors:update': ['operator', 'admin'],
+    'survivors:delete': ['admin'],
+    'missions:manage': ['operator', 'admin'],
+    // Report and clear hazards that raise survivor triage priority
+    'hazards:manage': ['operator', 'admin'],
+    // Rescue teams, their positions and assignments
+    'teams:view': ['viewer', 'operator', 'admin'],
+    // Register teams, dispatch them and record their status reports
+    'teams:dispatch': ['operator', 'admin'],
+    // Camera frames relayed from the master UAV and images stored on the backend
+    'imagery:view': ['operator', 'admin'],
+    // send_command to an aircraft
+    'uav:command': ['operator', 'admin'],
+    // Federated rounds, model registry, detection feedback statistics
+    'learning:view': ['viewer', 'operator', 'admin'],
+    // Force aggregation, pin or roll back model versions
+    'learning:manage': ['admin'],
+    'users:manage': ['admin'],
+    // Register aircraft, rotate or revoke their credentials
+    'fleet:manage': ['admin'],
+    // Review the audit trail and verify its hash chain
+    'audit:view': ['admin'],
+    // Sent by UAVs, authenticated by their fleet secret rather than a user session
+    'uav:report': AIRCRAFT,
+    'models:download': AIRCRAFT
+};
+
+// Permission required for each event a socket may emit; unlisted events are dropped
+const SOCKET_EVENT_PERMISSIONS = {
+    send_command: 'uav:command',
+    register_uav: 'uav:report',
+    uav_status: 'uav:report',
+    master_image: 'uav:report',
+    uav_image: 'uav:report',
+    command_response: 'uav:report'
+};
+
+/**
+ * Check whether a role holds a permission (aircraft permissions belong to no role)
+ * @param {string} role - User role
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if allowed
+ */
+const hasPermission = (role, permission) => {
+    const allowed = PERMISSIONS[permission];
+    if (!allowed) {
+        throw new Error(`Unknown permission: ${permission}`);
+    }
+    return allowed !== AIRCRAFT && allowed.includes(role);
+};
+
+/**
+ * List the permissions a role holds (aircraft-only permissions are left out)
+ * @param {string} role - User role
+ * @returns {Array} Permission names
+ */
+const getPermissions = (role) => {
+    return Object.keys(PERMISSIONS).filter(permission =>
+        PERMISSIONS[permission] !== AIRCRAFT && PERMISSIONS[permission].includes(role)
+    );
+};
+
+/**
+ * Express middleware requiring a permission
+ * User permissions need a valid access token; aircraft permissions a signed request
+ * @param {string} permission - Permission name
+ * @returns {Function} Middleware
+ */
+const requirePermission = (permission) => {
+    if (!PERMISSIONS[permission]) {
+        throw new Error(`Unknown permission: ${permission}`);
+    }
+
+    if (PERMISSIONS[permission] === AIRCRAFT) {
+        return authenticateAircraft;
+    }
+
+    return (req, res, next) => {
+        authenticateToken(req, res, (error) => {
+            if (error) {
+                return next(error);
+            }
+            if (!hasPermission(req.user.role, permission)) {
+                return res.status(403).json({
+                    error: 'Insufficient permissions',
+                    required: permission
+                });
+            }
+            next();
+        });
+    };
+};
+
+/**
+ * Permission required to emit a socket event, or null if the event is not allowed at all
+ * @param {string} event - Event name
+ * @returns {string|null} Permission name
+ */
+const getEventPermission = (event) => {
+    return SOCKET_EVENT_PERMISSIONS[event] || null;
+};
+
+/**
+ * Check whether a socket connection may emit an event
+ * Aircraft events are only accepted from aircraft, user events only from user sessions
+ * @param {Object} connection - { type: 'aircraft' | 'user', role }
+ * @param {string} event - Event name
+ * @returns {boolean} True if allowed
+ */
+const canEmit = (connection, event) => {
+    const permission = getEventPermission(event);
+    if (!permission) {
+        return false;
+    }
+
+    if (PERMISSIONS[permission] === AIRCRAFT) {
+        return connection.type === 'aircraft';
+    }
+
+    return connection.type === 'user' && hasPermission(connection.role, permission);
+};
+
+module.exports = {
+    PERMISSIONS,
+    SOCKET_EVENT_PERMISSIONS,
+    hasPermission,
+    getPermissions,
+    requirePermission,
+    getEventPermission,
+    canEmit
+};
@@ -0,0 +1,145 @@
+/**
+ * Mission Criteria
+ * When a planned mission may start, and when it has achieved what it set out to do
+ */
+
+const { PlanValidationError } = require('./errors');
+
+// manual missions wait for an operator; automatic ones start as soon as their criteria hold
+const START_MODES = ['manual', 'automatic'];
+
+/**
+ * Validate start criteria
+ * @param {Object} input - { mode, startAt, minBatteryLevel, requireAllUAVs }
+ * @returns {Object} Normalized criteria
+ */
+function normalizeStartCriteria(input = {}) {
+    if (!isPlainObject(input)) {
+        throw new PlanValidationError('startCriteria must be an object');
+    }
+
+    const mode = input.mode || 'manual';
+    if (!START_MODES.includes(mode)) {
+        throw new PlanValidationError(`startCriteria.mode must be ${START_MODES.join(' or ')}`);
+    }
+
+    const criteria = { mode, requireAllUAVs: input.requireAllUAVs !== false };
+
+    if (input.startAt != null) {
+        if (isNaN(new Date(input.startAt).getTime())) {
+            throw new PlanValidationError('startCriteria.startAt must be an ISO 8601 timestamp');
+        }
+        criteria.startAt = new Date(input.startAt).toISOString();
+    }
+
+    if (input.minBatteryLevel != null) {
+        if (!Number.isFinite(input.minBatteryLevel) || input.minBatteryLevel < 0 || input.minBatteryLevel > 100) {
+            throw new PlanValidationError('startCriteria.minBatteryLevel must be between 0 and 100');
+        }
+        criteria.minBatteryLevel = input.minBatteryLevel;
+    }
+
+    return criteria;
+}
+
+/**
+ * Validate success criteria; a mission without any is only completed by an operator
+ * @param {Object} input - { minSurvivors, coveragePercent }
+ * @returns {Object} Normalized criteria
+ */
+function normalizeSuccessCriteria(input = {}) {
+    if (!isPlainObject(input)) {
+        throw new PlanValidationError('successCriteria must be an object');
+    }
+
+    const criteria = {};
+
+    if (input.minSurvivors != null) {
+        if (!Number.isInteger(input.minSurvivors) || input.minSurvivors < 1) {
+            throw new PlanValidationError('successCriteria.minSurvivors must be a positive integer');
+        }
+        criteria.minSurvivors = input.minSurvivors;
+    }
+
+    if (input.coveragePercent != null) {
+        if (!Number.isFinite(input.coveragePercent) || input.coveragePercent <= 0 || input.coveragePercent > 100) {
+            throw new PlanValidationError('successCriteria.coveragePercent must be above 0 and at most 100');
+        }
+        criteria.coveragePercent = input.coveragePercent;
+    }
+
+    return criteria;
+}
+
+/**
+ * Check whether a planned mission may start
+ * @param {Object} criteria - Normalized start criteria
+ * @param {Array} uavIds - UAVs assigned to the mission
+ * @param {Array} connectedUAVs - { id, battery } of aircraft connected over socket.io
+ * @param {Date} now - Current time
+ * @returns {Object} { ready, waitingFor } where waitingFor explains what is missing
+ */
+function checkStartCriteria(criteria, uavIds, connectedUAVs, now = new Date()) {
+    const waitingFor = [];
+
+    if (criteria.startAt && new Date(criteria.startAt) > now) {
+        waitingFor.push(`Scheduled for ${criteria.startAt}`);
+    }
+
+    const connected = new Map(connectedUAVs.map(uav => [uav.id, uav]));
+    const unready = [];
+    for (const uavId of uavIds) {
+        const uav = connected.get(uavId);
+        if (!uav) {
+            unready.push(`${uavId} is not connected`);
+        } else if (criteria.minBatteryLevel != null && (uav.battery ?? 0) < criteria.minBatteryLevel) {
+            unready.push(`${uavId} battery ${uav.battery}% is below ${criteria.minBatteryLevel}%`);
+        }
+    }
+
+    // Without requireAllUAVs one ready aircraft is enough to begin
+    if (criteria.requireAllUAVs || unready.length === uavIds.length) {
+        waitingFor.push(...unready);
+    }
+
+    return { ready: waitingFor.length === 0, waitingFor };
+}
+
+/**
+ * Evaluate success criteria against a mission's progress
+ * @param {Object} criteria - Normalized success criteria
+ * @param {Object} progress - { survivorsDetected, coveragePercent } (null when not measured)
+ * @returns {Object} { met, results } with met true once every criterion holds
+ */
+function evaluateSuccess(criteria, progress) {
+    const results = [];
+
+    if (criteria.minSurvivors != null) {
+        const value = progress.survivorsDetected || 0;
+        results.push({ criterion: 'minSurvivors', target: criteria.minSurvivors, value, met: value >= criteria.minSurvivors });
+    }
+
+    if (criteria.coveragePercent != null) {
+        const value = progress.coveragePercent ?? null;
+        results.push({ criterion: 'coveragePercent', target: criteria.coveragePercent, value, met: value !== null && value >= criteria.coveragePercent });
+    }
+
+    return {
+        met: results.length > 0 && results.every(result => result.met),
+        results
+    };
+}
+
+// Helper functions
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+    START_MODES,
+    normalizeStartCriteria,
+    normalizeSuccessCriteria,
+    checkStartCriteria,
+    evaluateSuccess
+};
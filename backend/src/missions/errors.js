@@ -0,0 +1,44 @@
+/**
+ * Mission Errors
+ * Errors the planning and lifecycle code raises for requests it refuses, so routes can
+ * tell them apart from failures of the server itself
+ */
+
+/**
+ * A mission plan that cannot be flown as requested
+ */
+class PlanValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PlanValidationError';
+    }
+}
+
+/**
+ * A status change the mission is not, or is no longer, in a state to make
+ * Carries the mission as it stands, so callers can report its current status
+ */
+class MissionConflictError extends Error {
+    constructor(message, mission) {
+        super(message);
+        this.name = 'MissionConflictError';
+        this.mission = mission;
+    }
+}
+
+/**
+ * A plan naming UAVs that another mission booked first
+ */
+class UAVsBusyError extends Error {
+    constructor(uavIds) {
+        super(`UAVs already assigned to a mission: ${uavIds.join(', ')}`);
+        this.name = 'UAVsBusyError';
+        this.uavIds = uavIds;
+    }
+}
+
+module.exports = {
+    PlanValidationError,
+    MissionConflictError,
+    UAVsBusyError
+};
@@ -0,0 +1,68 @@
+/**
+ * Mission Lifecycle
+ * States a mission moves through, the transitions operators may make between them
+ * and what the aircraft flying it are told to do on each
+ */
+
+// Every state, in the order a mission normally progresses
+const STATES = ['planned', 'active', 'paused', 'completed', 'aborted'];
+
+// States in which UAVs are flying the mission and their telemetry counts towards it
+const FLYING_STATES = ['active', 'paused'];
+
+// Allowed moves out of each state. A planned mission starts through its start criteria;
+// completed and aborted are final
+const TRANSITIONS = {
+    planned: ['active', 'aborted'],
+    active: ['paused', 'completed', 'aborted'],
+    paused: ['active', 'completed', 'aborted'],
+    completed: [],
+    aborted: []
+};
+
+// Command sent to every UAV on a mission when it is paused, resumed or aborted
+const UAV_COMMANDS = {
+    paused: 'hover',
+    active: 'resume_mission',
+    aborted: 'return_home'
+};
+
+/**
+ * Check whether a mission may move between two states
+ * @param {string} from - Current state
+ * @param {string} to - Requested state
+ * @returns {boolean} True if allowed
+ */
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Check whether a mission's UAVs are out flying it
+ * @param {string} state - State name
+ * @returns {boolean} True while active or paused
+ */
+function isFlying(state) {
+    return FLYING_STATES.includes(state);
+}
+
+/**
+ * Command the UAVs of a mission receive when it moves between two states
+ * Missions that never started have no aircraft in the air to command
+ * @param {string} from - Previous state
+ * @param {string} to - New state
+ * @returns {string|null} Command name or null
+ */
+function commandFor(from, to) {
+    return isFlying(from) ? UAV_COMMANDS[to] || null : null;
+}
+
+module.exports = {
+    STATES,
+    FLYING_STATES,
+    TRANSITIONS,
+    UAV_COMMANDS,
+    canTransition,
+    isFlying,
+    commandFor
+};
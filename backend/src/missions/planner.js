@@ -0,0 +1,262 @@
+/**
+ * Search Planning
+ * Splits a search polygon between UAVs and lays out the waypoints each one flies
+ * for the chosen search pattern
+ */
+
+const { footprintSize } = require('../geo/footprint');
+const { PlanValidationError } = require('./errors');
+
+// parallel_track sweeps the area in back-and-forth lines; expanding_square spirals out from its center
+const SEARCH_PATTERNS = ['parallel_track', 'expanding_square'];
+
+// Share of the camera footprint width that neighbouring tracks overlap by
+const TRACK_OVERLAP = Math.min(Math.max(parseFloat(process.env.MISSION_TRACK_OVERLAP) || 0.2, 0), 0.9);
+
+// Plans longer than this are refused; raise the altitude or split the area instead
+const MAX_WAYPOINTS = parseInt(process.env.MISSION_MAX_WAYPOINTS) || 500;
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+/**
+ * Plan a search of a polygon by several UAVs
+ * The polygon is cut into side-by-side sectors of equal area, one per UAV. UAV altitudes are
+ * spread evenly across the altitude band so aircraft on neighbouring sectors stay separated
+ * @param {Object} plan - { ring (GeoJSON [lng, lat] ring), pattern, uavIds, minAltitude, maxAltitude }
+ * @returns {Array} { uavId, altitude, trackSpacingMeters, waypoints: [{ lat, lng, altitude }], distanceMeters }
+ */
+function planSearch({ ring, pattern, uavIds, minAltitude, maxAltitude }) {
+    if (!SEARCH_PATTERNS.includes(pattern)) {
+        throw new PlanValidationError(`Unknown search pattern "${pattern}"; use ${SEARCH_PATTERNS.join(' or ')}`);
+    }
+    if (!Array.isArray(uavIds) || uavIds.length === 0 || new Set(uavIds).size !== uavIds.length) {
+        throw new PlanValidationError('uavIds must list at least one UAV, each once');
+    }
+    if (!Number.isFinite(minAltitude) || !Number.isFinite(maxAltitude) || minAltitude <= 0 || minAltitude > maxAltitude) {
+        throw new PlanValidationError('Altitude band must satisfy 0 < minAltitude <= maxAltitude');
+    }
+
+    const origin = centerOf(ring);
+    const polygon = openRing(ring).map(position => toLocal(origin, position));
+    if (polygonArea(polygon) <= 0) {
+        throw new PlanValidationError('Search area has no area');
+    }
+
+    const sectors = splitByArea(polygon, uavIds.length);
+
+    return uavIds.map((uavId, index) => {
+        const altitude = uavIds.length === 1
+            ? minAltitude
+            : minAltitude + (maxAltitude - minAltitude) * index / (uavIds.length - 1);
+        const spacing = footprintSize(altitude).widthMeters * (1 - TRACK_OVERLAP);
+
+        const path = pattern === 'parallel_track'
+            ? parallelTrack(sectors[index], spacing)
+            : expandingSquare(sectors[index], spacing);
+
+        if (path.length > MAX_WAYPOINTS) {
+            throw new PlanValidationError(
+                `${uavId} would need ${path.length} waypoints (at most ${MAX_WAYPOINTS}); ` +
+                'raise the altitude band or split the search area'
+            );
+        }
+
+        return {
+            uavId,
+            altitude: round(altitude, 1),
+            trackSpacingMeters: round(spacing, 1),
+            waypoints: path.map(point => ({ ...toLatLng(origin, point), altitude: round(altitude, 1) })),
+            distanceMeters: Math.round(pathLength(path))
+        };
+    });
+}
+
+/**
+ * Area of a GeoJSON ring
+ * @param {Array} ring - [lng, lat] positions
+ * @returns {number} Square meters
+ */
+function areaOfRing(ring) {
+    const origin = centerOf(ring);
+    return polygonArea(openRing(ring).map(position => toLocal(origin, position)));
+}
+
+// Helper functions
+
+// Positions without the closing repeat of the first one
+function openRing(ring) {
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    return first[0] === last[0] && first[1] === last[1] ? ring.slice(0, -1) : ring.slice();
+}
+
+function centerOf(ring) {
+    const lats = ring.map(position => position[1]);
+    const lngs = ring.map(position => position[0]);
+    return {
+        lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+        lng: (Math.min(...lngs) + Math.max(...lngs)) / 2
+    };
+}
+
+// Flat projection in meters around the area's center; fine at search area scale
+function toLocal(origin, [lng, lat]) {
+    return {
+        x: (lng - origin.lng) * METERS_PER_DEGREE_LAT * Math.cos(origin.lat * Math.PI / 180),
+        y: (lat - origin.lat) * METERS_PER_DEGREE_LAT
+    };
+}
+
+function toLatLng(origin, point) {
+    return {
+        lat: round(origin.lat + point.y / METERS_PER_DEGREE_LAT, 7),
+        lng: round(origin.lng + point.x / (METERS_PER_DEGREE_LAT * Math.cos(origin.lat * Math.PI / 180)), 7)
+    };
+}
+
+function polygonArea(points) {
+    let twice = 0;
+    points.forEach((point, i) => {
+        const next = points[(i + 1) % points.length];
+        twice += point.x * next.y - next.x * point.y;
+    });
+    return Math.abs(twice) / 2;
+}
+
+// Sutherland-Hodgman clip of a polygon to the half-plane x >= value (keepAbove) or x <= value
+function clipX(points, value, keepAbove) {
+    const inside = point => (keepAbove ? point.x >= value : point.x <= value);
+    const result = [];
+
+    points.forEach((current, i) => {
+        const previous = points[(i + points.length - 1) % points.length];
+        if (inside(current)) {
+            if (!inside(previous)) result.push(crossingX(previous, current, value));
+            result.push(current);
+        } else if (inside(previous)) {
+            result.push(crossingX(previous, current, value));
+        }
+    });
+
+    return result;
+}
+
+function crossingX(a, b, value) {
+    const t = (value - a.x) / (b.x - a.x);
+    return { x: value, y: a.y + t * (b.y - a.y) };
+}
+
+// Cut a polygon into n west-to-east sectors of equal area
+function splitByArea(polygon, n) {
+    const xs = polygon.map(point => point.x);
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    const total = polygonArea(polygon);
+
+    const cuts = [minX];
+    for (let k = 1; k < n; k++) {
+        let low = cuts[k - 1];
+        let high = maxX;
+        for (let step = 0; step < 50; step++) {
+            const middle = (low + high) / 2;
+            if (polygonArea(clipX(polygon, middle, false)) < total * k / n) low = middle;
+            else high = middle;
+        }
+        cuts.push((low + high) / 2);
+    }
+    cuts.push(maxX);
+
+    return cuts.slice(0, -1).map((cut, k) => clipX(clipX(polygon, cut, true), cuts[k + 1], false));
+}
+
+// Stretches of the vertical line at x that lie inside the polygon, as [fromY, toY] pairs
+function chordsAt(polygon, x) {
+    const ys = [];
+    polygon.forEach((a, i) => {
+        const b = polygon[(i + 1) % polygon.length];
+        if ((a.x <= x && x < b.x) || (b.x <= x && x < a.x)) {
+            ys.push(a.y + (x - a.x) / (b.x - a.x) * (b.y - a.y));
+        }
+    });
+    ys.sort((a, b) => a - b);
+
+    const chords = [];
+    for (let i = 0; i + 1 < ys.length; i += 2) {
+        chords.push([ys[i], ys[i + 1]]);
+    }
+    return chords;
+}
+
+// North-south tracks one spacing apart, flown alternately up and down
+function parallelTrack(polygon, spacing) {
+    const xs = polygon.map(point => point.x);
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    const lines = Math.max(Math.ceil((maxX - minX) / spacing), 1);
+    const offset = ((maxX - minX) - (lines - 1) * spacing) / 2;
+
+    const path = [];
+    for (let line = 0; line < lines; line++) {
+        const x = minX + offset + line * spacing;
+        const northbound = line % 2 === 0;
+        const chords = chordsAt(polygon, x);
+        if (!northbound) chords.reverse();
+
+        for (const [fromY, toY] of chords) {
+            path.push(northbound ? { x, y: fromY } : { x, y: toY });
+            path.push(northbound ? { x, y: toY } : { x, y: fromY });
+        }
+    }
+    return path;
+}
+
+// Legs of 1, 1, 2, 2, 3, 3... spacings turning clockwise from the sector's center
+// until the square covers the sector
+function expandingSquare(polygon, spacing) {
+    const start = sectorCenter(polygon);
+    const reach = Math.max(...polygon.map(point => Math.max(Math.abs(point.x - start.x), Math.abs(point.y - start.y))));
+    const directions = [{ x: 0, y: 1 }, { x: 1, y: 0 }, { x: 0, y: -1 }, { x: -1, y: 0 }];
+
+    const path = [start];
+    let position = start;
+    for (let leg = 0; spacing * Math.ceil((leg + 1) / 2) <= 2 * reach + spacing; leg++) {
+        const length = spacing * Math.ceil((leg + 1) / 2);
+        const direction = directions[leg % 4];
+        position = { x: position.x + direction.x * length, y: position.y + direction.y * length };
+        path.push(position);
+    }
+    return path;
+}
+
+// Middle of the sector's longest north-south chord through its horizontal middle
+function sectorCenter(polygon) {
+    const xs = polygon.map(point => point.x);
+    const x = (Math.min(...xs) + Math.max(...xs)) / 2;
+    const chords = chordsAt(polygon, x);
+    if (chords.length === 0) {
+        return { x, y: polygon.reduce((sum, point) => sum + point.y, 0) / polygon.length };
+    }
+    const [fromY, toY] = chords.reduce((longest, chord) =>
+        (chord[1] - chord[0] > longest[1] - longest[0] ? chord : longest));
+    return { x, y: (fromY + toY) / 2 };
+}
+
+function pathLength(path) {
+    let length = 0;
+    for (let i = 1; i < path.length; i++) {
+        length += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+    }
+    return length;
+}
+
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    SEARCH_PATTERNS,
+    TRACK_OVERLAP,
+    MAX_WAYPOINTS,
+    planSearch,
+    areaOfRing
+};
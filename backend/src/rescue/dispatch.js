@@ -0,0 +1,94 @@
+/**
+ * Rescue Dispatch
+ * Assignment states a rescue team reports as it works a survivor, and travel time estimates
+ */
+
+// Assignment states, in the order a team normally reports them
+const ASSIGNMENT_STATES = ['pending', 'acknowledged', 'en_route', 'on_scene', 'completed', 'declined', 'cancelled'];
+
+// States in which the team is still committed to the survivor
+const OPEN_ASSIGNMENT_STATES = ['pending', 'acknowledged', 'en_route', 'on_scene'];
+
+// Allowed moves out of each state. Only a pending assignment can be declined by the team;
+// dispatch can cancel any open one
+const ASSIGNMENT_TRANSITIONS = {
+    pending: ['acknowledged', 'declined', 'cancelled'],
+    acknowledged: ['en_route', 'cancelled'],
+    en_route: ['on_scene', 'cancelled'],
+    on_scene: ['completed', 'cancelled'],
+    completed: [],
+    declined: [],
+    cancelled: []
+};
+
+// Survivor states a completed assignment can end in
+const OUTCOMES = ['rescued', 'deceased', 'false_positive'];
+
+// Ground speed of teams that have not set their own
+const DEFAULT_SPEED_KMH = parseFloat(process.env.TEAM_DEFAULT_SPEED_KMH) || 15;
+
+// Road distance over straight-line distance, for debris, detours and blocked streets
+const ROUTE_FACTOR = parseFloat(process.env.TEAM_ROUTE_FACTOR) || 1.4;
+
+/**
+ * Check whether an assignment may move between two states
+ * @param {string} from - Current state
+ * @param {string} to - Requested state
+ * @returns {boolean} True if allowed
+ */
+function canTransitionAssignment(from, to) {
+    return (ASSIGNMENT_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Check whether an assignment still commits its team
+ * @param {string} state - Assignment state
+ * @returns {boolean} True if open
+ */
+function isOpenAssignment(state) {
+    return OPEN_ASSIGNMENT_STATES.includes(state);
+}
+
+/**
+ * Estimate how long a team needs to reach a survivor
+ * @param {Object} team - Formatted team with coordinates (or null) and speedKmh
+ * @param {Object} coordinates - Survivor { lat, lng }
+ * @param {number} now - Time the team sets off (ms since epoch)
+ * @returns {Object|null} { distanceMeters, etaSeconds, etaAt } or null if the team's position is unknown
+ */
+function estimateArrival(team, coordinates, now = Date.now()) {
+    if (!team.coordinates) {
+        return null;
+    }
+
+    const distance = distanceMeters(team.coordinates.lat, team.coordinates.lng, coordinates.lat, coordinates.lng);
+    const metersPerSecond = (team.speedKmh || DEFAULT_SPEED_KMH) / 3.6;
+    const etaSeconds = Math.round(distance * ROUTE_FACTOR / metersPerSecond);
+
+    return {
+        distanceMeters: Math.round(distance),
+        etaSeconds,
+        etaAt: new Date(now + etaSeconds * 1000).toISOString()
+    };
+}
+
+// Helper functions
+
+function distanceMeters(lat1, lng1, lat2, lng2) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+module.exports = {
+    ASSIGNMENT_STATES,
+    OPEN_ASSIGNMENT_STATES,
+    OUTCOMES,
+    canTransitionAssignment,
+    isOpenAssignment,
+    estimateArrival
+};
@@ -0,0 +1,18 @@
+/**
+ * Rescue Errors
+ * Errors dispatch raises when a team or survivor is no longer in the state a request expects
+ */
+
+/**
+ * A dispatch that lost to a concurrent one, or whose team or survivor moved on meanwhile
+ */
+class AssignmentConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AssignmentConflictError';
+    }
+}
+
+module.exports = {
+    AssignmentConflictError
+};
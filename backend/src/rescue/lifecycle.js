@@ -0,0 +1,73 @@
+/**
+ * Survivor Lifecycle
+ * Rescue states a survivor moves through and the transitions operators may make between them
+ */
+
+// Every state, in the order a rescue normally progresses
+const STATES = ['detected', 'confirmed', 'assigned', 'en_route', 'rescued', 'deceased', 'false_positive'];
+
+// States a rescue is still working on; new detections may fuse into these
+const ACTIVE_STATES = ['detected', 'confirmed', 'assigned', 'en_route'];
+
+// States in which an operator has verified a real person was found
+const CONFIRMED_STATES = ['confirmed', 'assigned', 'en_route', 'rescued', 'deceased'];
+
+// Allowed moves out of each state. A team can be stood down (back to confirmed)
+// and a false positive reopened, but rescued and deceased are final
+const TRANSITIONS = {
+    detected: ['confirmed', 'rescued', 'deceased', 'false_positive'],
+    confirmed: ['assigned', 'rescued', 'deceased', 'false_positive'],
+    assigned: ['en_route', 'confirmed', 'rescued', 'deceased'],
+    en_route: ['assigned', 'confirmed', 'rescued', 'deceased'],
+    rescued: [],
+    deceased: [],
+    false_positive: ['detected']
+};
+
+/**
+ * Check whether a string is a lifecycle state
+ * @param {string} state - State name
+ * @returns {boolean} True if known
+ */
+function isValidState(state) {
+    return STATES.includes(state);
+}
+
+/**
+ * States a survivor may move to from its current state
+ * @param {string} from - Current state
+ * @returns {Array} Allowed next states
+ */
+function getAllowedTransitions(from) {
+    return TRANSITIONS[from] || [];
+}
+
+/**
+ * Check whether a survivor may move between two states
+ * @param {string} from - Current state
+ * @param {string} to - Requested state
+ * @returns {boolean} True if allowed
+ */
+function canTransition(from, to) {
+    return getAllowedTransitions(from).includes(to);
+}
+
+/**
+ * Check whether a state is still being worked on
+ * @param {string} state - State name
+ * @returns {boolean} True unless the survivor is resolved
+ */
+function isActive(state) {
+    return ACTIVE_STATES.includes(state);
+}
+
+module.exports = {
+    STATES,
+    ACTIVE_STATES,
+    CONFIRMED_STATES,
+    TRANSITIONS,
+    isValidState,
+    getAllowedTransitions,
+    canTransition,
+    isActive
+};
@@ -0,0 +1,129 @@
+/**
+ * Survivor Triage
+ * Scores how urgently an unresolved survivor needs a rescue team
+ */
+
+const { isActive } = require('./lifecycle');
+
+// Injury severities an operator can report, in increasing urgency
+const INJURY_SEVERITIES = ['none', 'minor', 'serious', 'critical'];
+
+// Urgency of each severity; survivors nobody has assessed yet sit in the middle
+const INJURY_SCORES = {
+    none: 0,
+    minor: 0.3,
+    serious: 0.7,
+    critical: 1
+};
+const UNASSESSED_INJURY_SCORE = 0.5;
+
+// Share of the priority each factor contributes (sums to 1)
+const WEIGHTS = {
+    injuries: 0.35,
+    confidence: 0.25,
+    elapsed: 0.2,
+    hazard: 0.2
+};
+
+// Hours after detection at which waiting has added about two thirds of its urgency
+const URGENCY_HOURS = parseFloat(process.env.TRIAGE_URGENCY_HOURS) || 6;
+
+// Distance outside a hazard's radius over which its urgency falls to about a third
+const HAZARD_RANGE_METERS = parseFloat(process.env.TRIAGE_HAZARD_RANGE_METERS) || 200;
+
+// Minimum priority for each level, highest first
+const LEVELS = [
+    { level: 'critical', min: 70 },
+    { level: 'high', min: 50 },
+    { level: 'medium', min: 30 },
+    { level: 'low', min: 0 }
+];
+
+/**
+ * Compute the triage priority of a survivor
+ * @param {Object} survivor - Formatted survivor record
+ * @param {Array} hazards - Active hazards { coordinates, radiusMeters }
+ * @param {number} now - Time to measure waiting from (ms since epoch)
+ * @returns {Object|null} { priority, level, factors, nearestHazard } or null once the survivor is resolved
+ */
+function computeTriage(survivor, hazards = [], now = Date.now()) {
+    if (!isActive(survivor.status)) {
+        return null;
+    }
+
+    const injuries = survivor.injurySeverity in INJURY_SCORES
+        ? INJURY_SCORES[survivor.injurySeverity]
+        : UNASSESSED_INJURY_SCORE;
+
+    const detectedAt = Date.parse(survivor.timestamp);
+    const hours = Number.isNaN(detectedAt) ? 0 : Math.max(now - detectedAt, 0) / 3600000;
+    const elapsed = 1 - Math.exp(-hours / URGENCY_HOURS);
+
+    const nearestHazard = findNearestHazard(survivor.coordinates, hazards);
+    const hazard = nearestHazard
+        ? Math.exp(-Math.max(nearestHazard.distance - nearestHazard.radiusMeters, 0) / HAZARD_RANGE_METERS)
+        : 0;
+
+    const factors = {
+        injuries,
+        confidence: Math.min(Math.max(survivor.confidence, 0), 1),
+        elapsed: round(elapsed),
+        hazard: round(hazard)
+    };
+
+    const score = Object.keys(WEIGHTS).reduce((sum, factor) => sum + WEIGHTS[factor] * factors[factor], 0);
+    const priority = Math.round(score * 100);
+
+    return {
+        priority,
+        level: LEVELS.find(entry => priority >= entry.min).level,
+        factors,
+        nearestHazard: nearestHazard
+            ? { id: nearestHazard.id, hazardType: nearestHazard.hazardType, distanceMeters: Math.round(nearestHazard.distance) }
+            : null
+    };
+}
+
+/**
+ * Check whether a string is a reportable injury severity
+ * @param {string} severity - Severity name
+ * @returns {boolean} True if known
+ */
+function isValidInjurySeverity(severity) {
+    return INJURY_SEVERITIES.includes(severity);
+}
+
+// Helper functions
+
+// The hazard whose edge is closest, so a large fire 300 m away outranks a small one at 250 m
+function findNearestHazard(coordinates, hazards) {
+    let nearest = null;
+    for (const hazard of hazards) {
+        const distance = distanceMeters(coordinates.lat, coordinates.lng, hazard.coordinates.lat, hazard.coordinates.lng);
+        const edge = distance - hazard.radiusMeters;
+        if (!nearest || edge < nearest.distance - nearest.radiusMeters) {
+            nearest = { ...hazard, distance };
+        }
+    }
+    return nearest;
+}
+
+function distanceMeters(lat1, lng1, lat2, lng2) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    INJURY_SEVERITIES,
+    computeTriage,
+    isValidInjurySeverity
+};
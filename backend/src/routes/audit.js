@@ -0,0 +1,68 @@
+/**
+ * Audit Routes
+ * Handles review of the audit trail and verification of its hash chain
+ */
+
+const express = require('express');
+const router = express.Router();
+const auditService = require('../services/auditService');
+const { requirePermission } = require('../middleware/permissions');
+
+/**
+ * GET /api/audit
+ * Get audit entries (newest first) with optional filtering
+ */
+router.get('/', requirePermission('audit:view'), async (req, res) => {
+    try {
+        const filters = {
+            actor: req.query.actor,
+            actorType: req.query.actorType,
+            action: req.query.action,
+            entityType: req.query.entityType,
+            entityId: req.query.entityId,
+            since: req.query.since,
+            until: req.query.until,
+            limit: req.query.limit ? parseInt(req.query.limit) : undefined
+        };
+
+        const entries = await auditService.getEntries(filters);
+
+        res.json({
+            entries,
+            count: entries.length
+        });
+    } catch (error) {
+        console.error('Error getting audit entries:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/audit/verify
+ * Recompute the hash chain and report the first broken entry, if any
+ */
+router.get('/verify', requirePermission('audit:view'), async (req, res) => {
+    try {
+        const result = await auditService.verifyChain();
+
+        if (!result.valid) {
+            console.warn(`⚠️ Audit chain broken at entry ${result.brokenAt.id}: ${result.brokenAt.reason}`);
+        }
+
+        res.json({
+            ...result,
+            verifiedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error verifying audit chain:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -1,35 +1,105 @@
 /**
  * Authentication Routes
- * Handles user authentication (placeholder for future implementation)
+ * Handles user registration, login and JWT sessions
  */
 
 const express = require('express');
 const router = express.Router();
+const authService = require('../services/authService');
+const { authenticateToken, optionalAuthentication } = require('../middleware/auth');
+const { hasPermission, getPermissions } = require('../middleware/permissions');
+
+/**
+ * POST /api/auth/register
+ * Create a user account
+ * The first account becomes an admin; other self-registered accounts are viewers
+ * unless an admin creates them with a role
+ */
+router.post('/register', optionalAuthentication, async (req, res) => {
+    try {
+        const { username, email, password, role } = req.body;
+
+        if (!username || !email || !password) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['username', 'email', 'password']
+            });
+        }
+
+        const errors = authService.validateRegistration(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid registration',
+                details: errors
+            });
+        }
+
+        const isAdmin = !!req.user && hasPermission(req.user.role, 'users:manage');
+        if (role && !isAdmin) {
+            return res.status(403).json({
+                error: 'Only admins can assign roles'
+            });
+        }
+
+        const user = await authService.createUser({ username, email, password, role });
+
+        if (!user) {
+            return res.status(409).json({
+                error: 'Username or email already registered'
+            });
+        }
+
+        // Admins creating accounts for others stay logged in as themselves
+        if (isAdmin) {
+            return res.status(201).json({ success: true, user });
+        }
+
+        const session = await authService.createSession(user);
+
+        res.status(201).json({
+            success: true,
+            ...formatSession(session),
+            user: { ...user, permissions: getPermissions(user.role) }
+        });
+    } catch (error) {
+        console.error('Error during registration:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
 
 /**
  * POST /api/auth/login
- * User login (placeholder)
+ * User login with username (or email) and password
  */
 router.post('/login', async (req, res) => {
     try {
         const { username, password } = req.body;
-        
-        // Placeholder authentication - in production, implement proper auth
-        if (username === 'rescue_operator' && password === 'demo123') {
-            res.json({
-                success: true,
-                token: 'demo_token_' + Date.now(),
-                user: {
-                    id: '1',
-                    username: 'rescue_operator',
-                    role: 'operator'
-                }
-            });
-        } else {
-            res.status(401).json({
+
+        if (!username || !password) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['username', 'password']
+            });
+        }
+
+        const user = await authService.verifyCredentials(username, password);
+
+        if (!user) {
+            return res.status(401).json({
                 error: 'Invalid credentials'
             });
         }
+
+        const session = await authService.createSession(user);
+
+        res.json({
+            success: true,
+            ...formatSession(session),
+            user: { ...user, permissions: getPermissions(user.role) }
+        });
     } catch (error) {
         console.error('Error during login:', error);
         res.status(500).json({
@@ -39,25 +109,101 @@ router.post('/login', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['refreshToken']
+            });
+        }
+
+        const result = await authService.refreshSession(refreshToken);
+
+        if (result && result.revokedUserId) {
+            req.io.disconnectUserSessions({ userId: result.revokedUserId }, 'session_revoked');
+        }
+
+        if (!result || !result.session) {
+            return res.status(401).json({
+                error: 'Invalid or expired refresh token'
+            });
+        }
+
+        res.json({
+            success: true,
+            ...formatSession(result.session),
+            user: { ...result.user, permissions: getPermissions(result.user.role) }
+        });
+    } catch (error) {
+        console.error('Error refreshing session:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
 /**
  * POST /api/auth/logout
- * User logout (placeholder)
+ * Revoke the bearer access token and the refresh token given in the body
+ * Works with an expired access token as long as the refresh token is sent
  */
-router.post('/logout', (req, res) => {
-    res.json({ success: true });
+router.post('/logout', optionalAuthentication, async (req, res) => {
+    try {
+        const { refreshToken } = req.body || {};
+
+        if (!req.user && !refreshToken) {
+            return res.status(401).json({
+                error: 'Access token or refresh token required'
+            });
+        }
+
+        const revoked = await authService.revokeSession({ user: req.user, refreshToken });
+
+        if (req.user) {
+            req.io.disconnectUserSessions({ tokenId: req.user.tokenId }, 'logout');
+        }
+
+        res.json({ success: true, revoked });
+    } catch (error) {
+        console.error('Error during logout:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
 });
 
 /**
  * GET /api/auth/me
- * Get current user (placeholder)
+ * Get the user the access token belongs to, with the permissions of their role
  */
-router.get('/me', (req, res) => {
-    // In production, verify JWT token and return user info
+router.get('/me', authenticateToken, (req, res) => {
+    const { tokenId, tokenExpiresAt, ...user } = req.user;
+
     res.json({
-        id: '1',
-        username: 'rescue_operator',
-        role: 'operator'
+        ...user,
+        permissions: getPermissions(user.role),
+        sessionExpiresAt: tokenExpiresAt
     });
 });
 
-module.exports = router;
\ No newline at end of file
+// Helper functions
+
+function formatSession(session) {
+    return {
+        token: session.token,
+        expiresAt: session.expiresAt,
+        refreshToken: session.refreshToken,
+        refreshExpiresAt: session.refreshExpiresAt
+    };
+}
+
+module.exports = router;
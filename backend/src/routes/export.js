@@ -0,0 +1,163 @@
+/**
+ * Export Routes
+ * GeoJSON and KML downloads of survivors, UAV tracks and covered areas for GIS tools
+ */
+
+const express = require('express');
+const router = express.Router();
+const exportService = require('../services/exportService');
+const missionService = require('../services/missionService');
+const { requirePermission } = require('../middleware/permissions');
+const { isValidState } = require('../rescue/lifecycle');
+const {
+    FORMATS,
+    survivorCollection,
+    trackCollection,
+    coverageCollection,
+    toKML,
+    isValidFormat
+} = require('../geo/export');
+
+const CONTENT_TYPES = {
+    geojson: 'application/geo+json',
+    kml: 'application/vnd.google-earth.kml+xml'
+};
+
+/**
+ * GET /api/export/survivors
+ * Survivors as points styled by status (filters: missionId, since, until, status; format=geojson|kml)
+ */
+router.get('/survivors', requirePermission('survivors:view'), async (req, res) => {
+    try {
+        const filters = await readFilters(req, res);
+        if (!filters) {
+            return;
+        }
+
+        if (req.query.status && !isValidState(req.query.status)) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                message: `Unknown survivor status "${req.query.status}"`
+            });
+        }
+
+        const survivors = await exportService.getSurvivors({ ...filters, status: req.query.status });
+        const collection = survivorCollection(survivors, metadataOf('survivors', filters, false));
+
+        sendExport(res, 'survivors', collection, filters);
+    } catch (error) {
+        console.error('Error exporting survivors:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/export/tracks
+ * UAV flight tracks from mission telemetry (filters: missionId, uavId, since, until; format=geojson|kml)
+ */
+router.get('/tracks', requirePermission('telemetry:view'), async (req, res) => {
+    try {
+        const filters = await readFilters(req, res);
+        if (!filters) {
+            return;
+        }
+
+        const { tracks, truncated } = await exportService.getTracks({ ...filters, uavId: req.query.uavId });
+        const collection = trackCollection(tracks, metadataOf('tracks', filters, truncated));
+
+        sendExport(res, 'tracks', collection, filters);
+    } catch (error) {
+        console.error('Error exporting UAV tracks:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/export/coverage
+ * Ground area swept by the UAV cameras (filters: missionId, uavId, since, until; format=geojson|kml)
+ */
+router.get('/coverage', requirePermission('telemetry:view'), async (req, res) => {
+    try {
+        const filters = await readFilters(req, res);
+        if (!filters) {
+            return;
+        }
+
+        const { areas, truncated } = await exportService.getCoverage({ ...filters, uavId: req.query.uavId });
+        const collection = coverageCollection(areas, metadataOf('coverage', filters, truncated));
+
+        sendExport(res, 'coverage', collection, filters);
+    } catch (error) {
+        console.error('Error exporting coverage:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// Parse the filters shared by every export; responds 400/404 and returns null if they are invalid
+async function readFilters(req, res) {
+    const format = (req.query.format || 'geojson').toLowerCase();
+    if (!isValidFormat(format)) {
+        res.status(400).json({
+            error: 'Invalid format',
+            allowed: FORMATS
+        });
+        return null;
+    }
+
+    for (const key of ['since', 'until']) {
+        if (req.query[key] && isNaN(new Date(req.query[key]).getTime())) {
+            res.status(400).json({
+                error: 'Invalid time range',
+                message: `${key} must be an ISO 8601 timestamp`
+            });
+            return null;
+        }
+    }
+
+    if (req.query.missionId && !(await missionService.getMissionById(req.query.missionId))) {
+        res.status(404).json({
+            error: 'Mission not found'
+        });
+        return null;
+    }
+
+    return {
+        format,
+        missionId: req.query.missionId,
+        since: req.query.since,
+        until: req.query.until
+    };
+}
+
+function metadataOf(layer, filters, truncated) {
+    return {
+        layer,
+        generatedAt: new Date().toISOString(),
+        missionId: filters.missionId || null,
+        since: filters.since || null,
+        until: filters.until || null,
+        truncated
+    };
+}
+
+// Send a collection as a download named after the layer and mission
+function sendExport(res, layer, collection, filters) {
+    const filename = `${layer}${filters.missionId ? `-${filters.missionId}` : ''}.${filters.format}`;
+    const body = filters.format === 'kml'
+        ? toKML(collection, `UAV Disaster Response ${layer}`)
+        : JSON.stringify(collection);
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type(CONTENT_TYPES[filters.format]).send(body);
+}
+
+module.exports = router;
@@ -0,0 +1,326 @@
+/**
+ * Federated Learning Routes
+ * Handles model update submission, round status and global model download
+ */
+
+const express = require('express');
+const router = express.Router();
+const federatedService = require('../services/federatedService');
+const roundSchedulerService = require('../services/roundSchedulerService');
+const federatedMetricsService = require('../services/federatedMetricsService');
+const { COMPRESSION_PROFILES } = require('../federated/compression');
+const { requirePermission } = require('../middleware/permissions');
+const { ModelUpdateError } = require('../federated/errors');
+
+/**
+ * GET /api/federated/status
+ * Get current global model version and open round
+ */
+router.get('/status', requirePermission('learning:view'), async (req, res) => {
+    try {
+        const globalModel = await federatedService.getGlobalModel(false);
+        const openRound = await federatedService.getOpenRound();
+
+        res.json({
+            globalModel: globalModel,
+            openRound: openRound,
+            aggregation: federatedService.getAggregationConfig(),
+            compressionProfiles: COMPRESSION_PROFILES,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error getting federated status:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/federated/model
+ * Get the current global model including weights
+ */
+router.get('/model', requirePermission('models:download'), async (req, res) => {
+    try {
+        const globalModel = await federatedService.getGlobalModel(true);
+
+        if (!globalModel) {
+            return res.status(404).json({
+                error: 'No global model available yet'
+            });
+        }
+
+        res.json(globalModel);
+    } catch (error) {
+        console.error('Error getting global model:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/federated/updates
+ * Submit a model update outside of the regular UAV data feed
+ */
+router.post('/updates', requirePermission('uav:report'), async (req, res) => {
+    try {
+        const { uavId, weightUpdates, encodedUpdate, trainingSamples } = req.body;
+
+        if (!uavId || !(weightUpdates || encodedUpdate) || trainingSamples === undefined) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['uavId', 'weightUpdates or encodedUpdate', 'trainingSamples']
+            });
+        }
+
+        const result = await federatedService.submitUpdate(req.body);
+
+        if (result.aggregation) {
+            req.io.broadcastGlobalModel(result.aggregation);
+        }
+
+        res.status(result.update.accepted ? 201 : 200).json(result);
+    } catch (error) {
+        if (error instanceof ModelUpdateError) {
+            return res.status(400).json({
+                error: 'Invalid model update',
+                message: error.message
+            });
+        }
+
+        console.error('Error submitting model update:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/federated/rounds
+ * Get federated rounds
+ */
+router.get('/rounds', requirePermission('learning:view'), async (req, res) => {
+    try {
+        const filters = {
+            status: req.query.status,
+            limit: req.query.limit ? parseInt(req.query.limit) : undefined
+        };
+
+        const rounds = await federatedService.getRounds(filters);
+
+        res.json(rounds);
+    } catch (error) {
+        console.error('Error getting federated rounds:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/federated/rounds/aggregate
+ * Force aggregation of the open round with whatever updates it holds
+ * Optional body: { rule } to override the configured aggregation rule
+ */
+router.post('/rounds/aggregate', requirePermission('learning:manage'), async (req, res) => {
+    try {
+        const { rule } = req.body || {};
+        const { availableRules } = federatedService.getAggregationConfig();
+
+        if (rule && !availableRules.includes(rule)) {
+            return res.status(400).json({
+                error: 'Invalid aggregation rule',
+                validRules: availableRules
+            });
+        }
+
+        const openRound = await federatedService.getOpenRound();
+
+        if (!openRound || openRound.participantCount === 0) {
+            return res.status(409).json({
+                error: 'No pending updates to aggregate'
+            });
+        }
+
+        const aggregation = await federatedService.enqueue(() => federatedService.aggregateRound(openRound.id, rule || undefined));
+
+        if (!aggregation) {
+            return res.status(409).json({
+                error: 'Aggregation already in progress'
+            });
+        }
+
+        req.io.broadcastGlobalModel(aggregation);
+
+        res.json({
+            round: aggregation.round,
+            version: aggregation.model.version,
+            participants: aggregation.participants,
+            deferred: aggregation.deferred,
+            flagged: aggregation.flagged
+        });
+    } catch (error) {
+        console.error('Error aggregating round:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/federated/flagged
+ * Get updates excluded from their round for diverging from the cohort
+ */
+router.get('/flagged', requirePermission('learning:view'), async (req, res) => {
+    try {
+        const filters = {
+            uavId: req.query.uavId,
+            limit: req.query.limit ? parseInt(req.query.limit) : undefined
+        };
+
+        const flagged = await federatedService.getFlaggedUpdates(filters);
+
+        res.json({
+            flagged: flagged,
+            count: flagged.length
+        });
+    } catch (error) {
+        console.error('Error getting flagged updates:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/federated/participation
+ * Get round participation history for a UAV
+ */
+router.get('/participation', requirePermission('learning:view'), async (req, res) => {
+    try {
+        const { uavId } = req.query;
+
+        if (!uavId) {
+            return res.status(400).json({
+                error: 'Missing required query parameter',
+                required: ['uavId']
+            });
+        }
+
+        const limit = parseInt(req.query.limit) || 50;
+        const participation = await roundSchedulerService.getUAVParticipation(uavId, limit);
+
+        res.json({
+            uavId: uavId,
+            participation: participation,
+            count: participation.length
+        });
+    } catch (error) {
+        console.error('Error getting federated participation:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/federated/metrics/rounds
+ * Get per-round accuracy, participation, rejections and upload volume
+ */
+router.get('/metrics/rounds', requirePermission('learning:view'), async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const rounds = await federatedMetricsService.getRoundMetrics(limit);
+
+        res.json({
+            rounds: rounds,
+            count: rounds.length
+        });
+    } catch (error) {
+        console.error('Error getting federated round metrics:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/federated/metrics/uavs
+ * Get per-UAV contribution counts and model versions
+ */
+router.get('/metrics/uavs', requirePermission('learning:view'), async (req, res) => {
+    try {
+        const uavs = await federatedMetricsService.getUAVMetrics();
+
+        res.json({
+            uavs: uavs,
+            count: uavs.length
+        });
+    } catch (error) {
+        console.error('Error getting federated UAV metrics:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/federated/metrics/uploads
+ * Get bytes uploaded per ISAC mode and rejection reasons
+ */
+router.get('/metrics/uploads', requirePermission('learning:view'), async (req, res) => {
+    try {
+        const uploads = await federatedMetricsService.getUploadMetrics();
+
+        res.json(uploads);
+    } catch (error) {
+        console.error('Error getting federated upload metrics:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/federated/rounds/:id
+ * Get round details with submitted updates and scheduler participation
+ */
+router.get('/rounds/:id', requirePermission('learning:view'), async (req, res) => {
+    try {
+        const round = await federatedService.getRoundById(req.params.id);
+
+        if (!round) {
+            return res.status(404).json({
+                error: 'Round not found'
+            });
+        }
+
+        const updates = await federatedService.getRoundUpdates(req.params.id);
+        const participation = await roundSchedulerService.getParticipation(req.params.id);
+
+        res.json({
+            ...round,
+            updates: updates,
+            participation: participation
+        });
+    } catch (error) {
+        console.error('Error getting federated round:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
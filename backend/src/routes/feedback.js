@@ -0,0 +1,79 @@
+/**
+ * Detection Feedback Routes
+ * Exposes operator-labelled samples and per-UAV detection quality
+ */
+
+const express = require('express');
+const router = express.Router();
+const detectionFeedbackService = require('../services/detectionFeedbackService');
+const { requirePermission } = require('../middleware/permissions');
+
+/**
+ * GET /api/feedback/samples
+ * Get labelled samples built from operator verdicts
+ */
+router.get('/samples', requirePermission('learning:view'), async (req, res) => {
+    try {
+        const filters = {
+            uavId: req.query.uavId,
+            label: req.query.label,
+            undelivered: req.query.undelivered === 'true',
+            since: req.query.since,
+            limit: req.query.limit ? parseInt(req.query.limit) : undefined
+        };
+
+        const samples = await detectionFeedbackService.getSamples(filters);
+
+        res.json({
+            samples: samples,
+            count: samples.length
+        });
+    } catch (error) {
+        console.error('Error getting labelled samples:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/feedback/stats
+ * Get precision/recall statistics for every UAV
+ */
+router.get('/stats', requirePermission('learning:view'), async (req, res) => {
+    try {
+        const stats = await detectionFeedbackService.getStatistics();
+
+        res.json({
+            uavs: stats,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error getting detection statistics:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/feedback/stats/:uavId
+ * Get precision/recall statistics for one UAV
+ */
+router.get('/stats/:uavId', requirePermission('learning:view'), async (req, res) => {
+    try {
+        const [stats] = await detectionFeedbackService.getStatistics(req.params.uavId);
+
+        res.json(stats);
+    } catch (error) {
+        console.error('Error getting UAV detection statistics:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
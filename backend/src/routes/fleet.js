@@ -0,0 +1,135 @@
+/**
+ * Fleet Routes
+ * Handles the registry of aircraft allowed to connect and their credentials
+ */
+
+const express = require('express');
+const router = express.Router();
+const fleetService = require('../services/fleetService');
+const { requirePermission } = require('../middleware/permissions');
+
+/**
+ * GET /api/fleet
+ * Get registered aircraft and whether each is connected
+ */
+router.get('/', requirePermission('telemetry:view'), async (req, res) => {
+    try {
+        const fleet = await fleetService.getFleet();
+        const connectedIds = new Set(req.io.getConnectedUAVs().map(uav => uav.id));
+
+        res.json({
+            uavs: fleet.map(uav => ({ ...uav, connected: connectedIds.has(uav.uavId) })),
+            count: fleet.length
+        });
+    } catch (error) {
+        console.error('Error getting fleet:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/fleet
+ * Register an aircraft; the generated secret is only returned in this response
+ */
+router.post('/', requirePermission('fleet:manage'), async (req, res) => {
+    try {
+        const { uavId, description } = req.body;
+
+        if (!uavId) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['uavId']
+            });
+        }
+
+        if (!fleetService.isValidUAVId(uavId)) {
+            return res.status(400).json({
+                error: 'Invalid UAV ID',
+                message: 'UAV IDs are 1-32 letters, digits, dashes or underscores'
+            });
+        }
+
+        const result = await fleetService.registerUAV({
+            uavId,
+            description,
+            registeredBy: req.user.username
+        });
+
+        if (!result) {
+            return res.status(409).json({
+                error: 'UAV already registered'
+            });
+        }
+
+        console.log(`🛩️ UAV ${uavId} registered to the fleet by ${req.user.username}`);
+
+        res.status(201).json(result);
+    } catch (error) {
+        console.error('Error registering UAV:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/fleet/:uavId/rotate
+ * Issue a new secret; the aircraft is disconnected until it reconnects with it
+ */
+router.post('/:uavId/rotate', requirePermission('fleet:manage'), async (req, res) => {
+    try {
+        const result = await fleetService.rotateSecret(req.params.uavId);
+
+        if (!result) {
+            return res.status(404).json({
+                error: 'UAV not found'
+            });
+        }
+
+        req.io.disconnectUAV(req.params.uavId);
+
+        console.log(`🔑 Secret of UAV ${req.params.uavId} rotated by ${req.user.username}`);
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error rotating UAV secret:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/fleet/:uavId
+ * Revoke an aircraft and drop its live connection
+ */
+router.delete('/:uavId', requirePermission('fleet:manage'), async (req, res) => {
+    try {
+        const uav = await fleetService.revokeUAV(req.params.uavId);
+
+        if (!uav) {
+            return res.status(404).json({
+                error: 'UAV not found'
+            });
+        }
+
+        req.io.disconnectUAV(req.params.uavId);
+
+        console.log(`🚫 UAV ${req.params.uavId} revoked by ${req.user.username}`);
+
+        res.json(uav);
+    } catch (error) {
+        console.error('Error revoking UAV:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+/**
+ * Hazard Routes
+ * Handles reporting and clearing hazards that feed survivor triage
+ */
+
+const express = require('express');
+const router = express.Router();
+const hazardService = require('../services/hazardService');
+const auditService = require('../services/auditService');
+const { requirePermission } = require('../middleware/permissions');
+
+/**
+ * GET /api/hazards
+ * Get active hazards (?includeCleared=true for all)
+ */
+router.get('/', requirePermission('survivors:view'), async (req, res) => {
+    try {
+        const hazards = await hazardService.getHazards(req.query.includeCleared === 'true');
+
+        res.json({
+            hazards,
+            count: hazards.length
+        });
+    } catch (error) {
+        console.error('Error getting hazards:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/hazards
+ * Report a hazard
+ */
+router.post('/', requirePermission('hazards:manage'), async (req, res) => {
+    try {
+        const { hazardType, coordinates, radiusMeters, description } = req.body;
+
+        if (!hazardType || !coordinates) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['hazardType', 'coordinates']
+            });
+        }
+
+        let hazard;
+        try {
+            hazard = await hazardService.createHazard({
+                hazardType,
+                coordinates,
+                radiusMeters,
+                description,
+                reportedBy: req.user.username
+            }, auditService.fromRequest(req));
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid hazard',
+                message: error.message
+            });
+        }
+
+        console.log(`⚠️ Hazard ${hazard.id} (${hazard.hazardType}) reported by ${req.user.username}`);
+
+        req.io.emitTo('survivors:view', 'hazard_reported', {
+            hazard: hazard,
+            timestamp: new Date().toISOString()
+        });
+
+        res.status(201).json(hazard);
+    } catch (error) {
+        console.error('Error reporting hazard:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/hazards/:id
+ * Clear a hazard; it is kept on record but no longer raises triage priority
+ */
+router.delete('/:id', requirePermission('hazards:manage'), async (req, res) => {
+    try {
+        const hazard = await hazardService.clearHazard(req.params.id, auditService.fromRequest(req));
+
+        if (!hazard) {
+            return res.status(404).json({
+                error: 'Hazard not found'
+            });
+        }
+
+        req.io.emitTo('survivors:view', 'hazard_cleared', {
+            hazard: hazard,
+            timestamp: new Date().toISOString()
+        });
+
+        res.json(hazard);
+    } catch (error) {
+        console.error('Error clearing hazard:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -6,12 +6,15 @@
 const express = require('express');
 const router = express.Router();
 const isacService = require('../services/isacService');
+const telemetryRetentionService = require('../services/telemetryRetentionService');
+const { requirePermission } = require('../middleware/permissions');
+const { RESOLUTIONS, isValidResolution, resolveSpan } = require('../telemetry/resolution');
 
 /**
  * GET /api/isac/status
  * Get current ISAC status
  */
-router.get('/status', async (req, res) => {
+router.get('/status', requirePermission('telemetry:view'), async (req, res) => {
     try {
         const uavId = req.query.uavId || 'UAV-001';
         
@@ -46,7 +49,7 @@ router.get('/status', async (req, res) => {
  * GET /api/isac/history
  * Get ISAC status history
  */
-router.get('/history', async (req, res) => {
+router.get('/history', requirePermission('telemetry:view'), async (req, res) => {
     try {
         const uavId = req.query.uavId || 'UAV-001';
         const limit = parseInt(req.query.limit) || 50;
@@ -67,11 +70,58 @@ router.get('/history', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/isac/series
+ * Get ISAC status between since and until (default the last hour) at raw, per-minute or hourly
+ * resolution; auto picks raw rows for short recent spans and rollups for longer ones
+ */
+router.get('/series', requirePermission('telemetry:view'), async (req, res) => {
+    try {
+        const resolution = req.query.resolution || 'auto';
+
+        if (!isValidResolution(resolution)) {
+            return res.status(400).json({
+                error: 'Invalid resolution',
+                allowed: ['auto', ...RESOLUTIONS]
+            });
+        }
+
+        let span;
+        try {
+            span = resolveSpan(req.query.since, req.query.until);
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid time span',
+                message: error.message
+            });
+        }
+
+        const series = await telemetryRetentionService.getISACSeries({
+            uavId: req.query.uavId,
+            since: span.since,
+            until: span.until,
+            resolution
+        });
+
+        res.json({
+            uavId: req.query.uavId || null,
+            ...series,
+            count: series.points.length
+        });
+    } catch (error) {
+        console.error('Error getting ISAC series:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
 /**
  * GET /api/isac/stats
  * Get ISAC statistics
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('telemetry:view'), async (req, res) => {
     try {
         const uavId = req.query.uavId;
         
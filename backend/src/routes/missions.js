@@ -6,12 +6,99 @@
 const express = require('express');
 const router = express.Router();
 const missionService = require('../services/missionService');
+const auditService = require('../services/auditService');
+const fleetService = require('../services/fleetService');
+const coverageService = require('../services/coverageService');
+const searchMapService = require('../services/searchMapService');
+const { requirePermission } = require('../middleware/permissions');
+const { TRANSITIONS, canTransition, commandFor } = require('../missions/lifecycle');
+const { PlanValidationError, MissionConflictError, UAVsBusyError } = require('../missions/errors');
+const { WEATHER_CONDITIONS, isValidWeather } = require('../search/detection');
+
+/**
+ * Answer a status change another request got to first, reporting where the mission stands now
+ * @param {Object} res - Express response
+ * @param {Object|null} mission - Mission as it stands, or null if it was deleted meanwhile
+ */
+function sendStatusConflict(res, mission) {
+    if (!mission) {
+        return res.status(404).json({
+            error: 'Mission not found'
+        });
+    }
+
+    return res.status(409).json({
+        error: 'Cannot change mission status',
+        status: mission.status,
+        allowed: TRANSITIONS[mission.status]
+    });
+}
+
+/**
+ * Build the handler that pauses, resumes or aborts a mission and commands its aircraft
+ * @param {string} status - Status the mission moves to
+ * @param {boolean} reasonRequired - Whether the operator must say why
+ * @returns {Function} Express handler
+ */
+function missionTransition(status, reasonRequired) {
+    return async (req, res) => {
+        try {
+            const { reason } = req.body;
+
+            if (reasonRequired && !reason) {
+                return res.status(400).json({
+                    error: 'Missing required fields',
+                    required: ['reason']
+                });
+            }
+
+            const before = await missionService.getMissionById(req.params.id);
+
+            if (!before) {
+                return res.status(404).json({
+                    error: 'Mission not found'
+                });
+            }
+
+            // Only a paused mission resumes; planned missions go through /start
+            if (!canTransition(before.status, status) || (status === 'active' && before.status !== 'paused')) {
+                return res.status(409).json({
+                    error: 'Cannot change mission status',
+                    status: before.status,
+                    allowed: TRANSITIONS[before.status]
+                });
+            }
+
+            const context = auditService.fromRequest(req);
+            const mission = await missionService.transitionMission(req.params.id, status, reason, context);
+
+            const delivery = req.io.broadcastMissionStatus({
+                mission,
+                previousStatus: before.status,
+                command: commandFor(before.status, status),
+                context
+            });
+
+            res.json({ ...mission, delivery });
+        } catch (error) {
+            if (error instanceof MissionConflictError) {
+                return sendStatusConflict(res, error.mission);
+            }
+
+            console.error(`Error moving mission to ${status}:`, error);
+            res.status(500).json({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    };
+}
 
 /**
  * GET /api/missions
  * Get all missions
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('telemetry:view'), async (req, res) => {
     try {
         const filters = {
             status: req.query.status,
@@ -31,11 +118,105 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/missions
+ * Plan a mission over a search area and send each assigned UAV its waypoints
+ */
+router.post('/', requirePermission('missions:manage'), async (req, res) => {
+    try {
+        const { name, searchArea, pattern, uavIds, minAltitude, maxAltitude, startCriteria, successCriteria } = req.body;
+
+        if (!searchArea || !pattern || !uavIds || minAltitude === undefined || maxAltitude === undefined) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['searchArea', 'pattern', 'uavIds', 'minAltitude', 'maxAltitude']
+            });
+        }
+
+        if (!Array.isArray(uavIds) || uavIds.length === 0) {
+            return res.status(400).json({
+                error: 'Invalid mission plan',
+                message: 'uavIds must list at least one UAV'
+            });
+        }
+
+        const unknown = [];
+        for (const uavId of uavIds) {
+            const uav = await fleetService.getUAV(uavId);
+            if (!uav || uav.status !== 'active') unknown.push(uavId);
+        }
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                error: 'Unknown UAVs',
+                message: 'Only active fleet aircraft can be assigned',
+                uavIds: unknown
+            });
+        }
+
+        const busy = await missionService.getBusyUAVs(uavIds);
+        if (busy.length > 0) {
+            return res.status(409).json({
+                error: 'UAVs already assigned to a mission',
+                uavIds: busy
+            });
+        }
+
+        let mission;
+        try {
+            mission = await missionService.planMission({
+                name,
+                searchArea,
+                pattern,
+                uavIds,
+                minAltitude,
+                maxAltitude,
+                startCriteria,
+                successCriteria,
+                plannedBy: req.user.username
+            }, auditService.fromRequest(req));
+        } catch (error) {
+            // Another plan booked some of the UAVs since the check above
+            if (error instanceof UAVsBusyError) {
+                return res.status(409).json({
+                    error: 'UAVs already assigned to a mission',
+                    uavIds: error.uavIds
+                });
+            }
+            if (!(error instanceof PlanValidationError)) throw error;
+
+            return res.status(400).json({
+                error: 'Invalid mission plan',
+                message: error.message
+            });
+        }
+
+        // Aircraft load their plans now and fly them once the mission starts
+        const delivery = await req.io.dispatchMissionPlans(mission.id);
+
+        req.io.emitTo('telemetry:view', 'mission_planned', {
+            mission: mission,
+            timestamp: new Date().toISOString()
+        });
+
+        res.status(201).json({
+            ...mission,
+            plans: await missionService.getPlans(mission.id),
+            delivery
+        });
+    } catch (error) {
+        console.error('Error planning mission:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
 /**
  * GET /api/missions/:id
  * Get mission by ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('telemetry:view'), async (req, res) => {
     try {
         const mission = await missionService.getMissionById(req.params.id);
         
@@ -59,7 +240,7 @@ router.get('/:id', async (req, res) => {
  * GET /api/missions/stats
  * Get mission statistics
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('telemetry:view'), async (req, res) => {
     try {
         const uavId = req.query.uavId || 'UAV-001';
         
@@ -75,28 +256,275 @@ router.get('/stats', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/missions/:id/plan
+ * Get the waypoint plan of every UAV on a mission
+ */
+router.get('/:id/plan', requirePermission('telemetry:view'), async (req, res) => {
+    try {
+        const mission = await missionService.getMissionById(req.params.id);
+
+        if (!mission) {
+            return res.status(404).json({
+                error: 'Mission not found'
+            });
+        }
+
+        const plans = await missionService.getPlans(req.params.id);
+
+        res.json({
+            missionId: mission.id,
+            status: mission.status,
+            searchArea: mission.searchArea,
+            searchPattern: mission.searchPattern,
+            plans
+        });
+    } catch (error) {
+        console.error('Error getting mission plan:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/missions/:id/coverage
+ * Get the area a mission's cameras have covered and its coverage grid as a GeoJSON overlay
+ */
+router.get('/:id/coverage', requirePermission('telemetry:view'), async (req, res) => {
+    try {
+        const coverage = await coverageService.getCoverage(req.params.id);
+
+        if (!coverage) {
+            return res.status(404).json({
+                error: 'Mission not found'
+            });
+        }
+
+        res.json(coverage);
+    } catch (error) {
+        console.error('Error getting mission coverage:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/missions/:id/search-map
+ * Get a mission's probability-of-containment grid as a GeoJSON overlay
+ */
+router.get('/:id/search-map', requirePermission('telemetry:view'), async (req, res) => {
+    try {
+        const searchMap = await searchMapService.getSearchMap(req.params.id);
+
+        if (!searchMap) {
+            return res.status(404).json({
+                error: 'Mission not found'
+            });
+        }
+
+        if (!searchMap.hasSearchArea) {
+            return res.status(409).json({
+                error: 'Mission has no search area'
+            });
+        }
+
+        res.json(searchMap);
+    } catch (error) {
+        console.error('Error getting mission search map:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/missions/:id/recommendations
+ * Recommend the next cells each idle UAV on a mission should search
+ */
+router.get('/:id/recommendations', requirePermission('telemetry:view'), async (req, res) => {
+    try {
+        const mission = await missionService.getMissionById(req.params.id);
+
+        if (!mission) {
+            return res.status(404).json({
+                error: 'Mission not found'
+            });
+        }
+
+        const recommendations = await searchMapService.getRecommendations(mission, req.io.getConnectedUAVs());
+
+        if (!recommendations) {
+            return res.status(409).json({
+                error: 'Mission has no search area'
+            });
+        }
+
+        res.json(recommendations);
+    } catch (error) {
+        console.error('Error getting search recommendations:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/missions/:id/weather
+ * Set the weather a mission is flown in; it scales the probability of detection of later searches
+ */
+router.put('/:id/weather', requirePermission('missions:manage'), async (req, res) => {
+    try {
+        const { condition } = req.body;
+
+        if (!condition) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['condition']
+            });
+        }
+
+        if (!isValidWeather(condition)) {
+            return res.status(400).json({
+                error: 'Invalid weather condition',
+                allowed: WEATHER_CONDITIONS
+            });
+        }
+
+        const mission = await missionService.setWeather(req.params.id, condition, auditService.fromRequest(req));
+
+        if (!mission) {
+            return res.status(404).json({
+                error: 'Mission not found'
+            });
+        }
+
+        req.io.emitTo('telemetry:view', 'mission_weather_changed', {
+            missionId: mission.id,
+            weather: mission.weather,
+            timestamp: new Date().toISOString()
+        });
+
+        res.json(mission);
+    } catch (error) {
+        console.error('Error setting mission weather:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/missions/:id/start
+ * Start a planned mission; refused while its start criteria do not hold unless force is set
+ */
+router.post('/:id/start', requirePermission('missions:manage'), async (req, res) => {
+    try {
+        const mission = await missionService.getMissionById(req.params.id);
+
+        if (!mission) {
+            return res.status(404).json({
+                error: 'Mission not found'
+            });
+        }
+
+        if (mission.status !== 'planned') {
+            return res.status(409).json({
+                error: 'Mission is not planned',
+                status: mission.status
+            });
+        }
+
+        const check = missionService.checkStart(mission, req.io.getConnectedUAVs());
+        if (!check.ready && !req.body.force) {
+            return res.status(409).json({
+                error: 'Start criteria not met',
+                waitingFor: check.waitingFor
+            });
+        }
+
+        const started = await missionService.startMission(req.params.id, auditService.fromRequest(req));
+        if (!started) {
+            return sendStatusConflict(res, await missionService.getMissionById(req.params.id));
+        }
+
+        req.io.broadcastMissionStarted(started);
+
+        res.json(started.mission);
+    } catch (error) {
+        console.error('Error starting mission:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/missions/:id/pause
+ * Pause a mission; its UAVs hover where they are until it resumes
+ */
+router.post('/:id/pause', requirePermission('missions:manage'), missionTransition('paused', true));
+
+/**
+ * POST /api/missions/:id/resume
+ * Resume a paused mission; its UAVs carry on from where they stopped
+ */
+router.post('/:id/resume', requirePermission('missions:manage'), missionTransition('active', false));
+
+/**
+ * POST /api/missions/:id/abort
+ * Abort a mission; UAVs already flying it return home
+ */
+router.post('/:id/abort', requirePermission('missions:manage'), missionTransition('aborted', true));
+
 /**
  * PUT /api/missions/:id/complete
  * Complete a mission
  */
-router.put('/:id/complete', async (req, res) => {
+router.put('/:id/complete', requirePermission('missions:manage'), async (req, res) => {
     try {
-        const mission = await missionService.completeMission(req.params.id);
+        const before = await missionService.getMissionById(req.params.id);
         
-        if (!mission) {
+        if (!before) {
             return res.status(404).json({
                 error: 'Mission not found'
             });
         }
         
+        if (!canTransition(before.status, 'completed')) {
+            return res.status(409).json({
+                error: 'Cannot change mission status',
+                status: before.status,
+                allowed: TRANSITIONS[before.status]
+            });
+        }
+        
+        const mission = await missionService.completeMission(req.params.id, auditService.fromRequest(req), req.body.reason);
+        
+        // Tell the aircraft of a planned mission to stop flying its plan
+        if (mission.origin === 'planned') {
+            await req.io.dispatchMissionPlans(mission.id);
+        }
+        
         // Emit WebSocket event
-        req.io.emit('mission_completed', {
+        req.io.emitTo('telemetry:view', 'mission_completed', {
             mission: mission,
             timestamp: new Date().toISOString()
         });
         
         res.json(mission);
     } catch (error) {
+        if (error instanceof MissionConflictError) {
+            return sendStatusConflict(res, error.mission);
+        }
+
         console.error('Error completing mission:', error);
         res.status(500).json({
             error: 'Internal server error',
@@ -0,0 +1,334 @@
+/**
+ * Model Registry Routes
+ * Handles model version browsing, pinning and rollback
+ */
+
+const express = require('express');
+const router = express.Router();
+const modelRegistryService = require('../services/modelRegistryService');
+const privacyBudgetService = require('../services/privacyBudgetService');
+const { requirePermission } = require('../middleware/permissions');
+const { ModelRollbackError } = require('../federated/errors');
+
+/**
+ * GET /api/models
+ * Get all registered model versions
+ */
+router.get('/', requirePermission('learning:view'), async (req, res) => {
+    try {
+        const filters = {
+            uavId: req.query.uavId,
+            limit: req.query.limit ? parseInt(req.query.limit) : undefined
+        };
+
+        const versions = await modelRegistryService.getVersions(filters);
+        const fleetModel = await modelRegistryService.resolveVersion(null);
+
+        res.json({
+            versions: versions,
+            fleetVersion: fleetModel ? fleetModel.version : null,
+            count: versions.length
+        });
+    } catch (error) {
+        console.error('Error getting model versions:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/models/fleet
+ * Get the fleet-wide assignment and per-UAV model state
+ */
+router.get('/fleet', requirePermission('learning:view'), async (req, res) => {
+    try {
+        const fleetModel = await modelRegistryService.resolveVersion(null);
+        const fleetPin = await modelRegistryService.getActivePin(null);
+        const connectedIds = req.io.getConnectedUAVs().map(uav => uav.id);
+        const uavs = await modelRegistryService.getFleetModelState(connectedIds);
+
+        res.json({
+            version: fleetModel ? fleetModel.version : null,
+            assignmentSource: fleetModel ? fleetModel.assignmentSource : null,
+            pin: fleetPin,
+            uavs: uavs
+        });
+    } catch (error) {
+        console.error('Error getting fleet model state:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/models/fleet/pin
+ * Pin the whole fleet to a model version
+ */
+router.put('/fleet/pin', requirePermission('learning:manage'), async (req, res) => {
+    await handlePin(req, res, null);
+});
+
+/**
+ * DELETE /api/models/fleet/pin
+ * Release the fleet pin so the fleet follows the latest version again
+ */
+router.delete('/fleet/pin', requirePermission('learning:manage'), async (req, res) => {
+    await handleRelease(req, res, null);
+});
+
+/**
+ * POST /api/models/fleet/rollback
+ * Roll the fleet back to the parent of its current version (or a given version)
+ */
+router.post('/fleet/rollback', requirePermission('learning:manage'), async (req, res) => {
+    await handleRollback(req, res, null);
+});
+
+/**
+ * GET /api/models/pins
+ * Get pin history
+ */
+router.get('/pins', requirePermission('learning:view'), async (req, res) => {
+    try {
+        const filters = {
+            active: req.query.active === 'true',
+            uavId: req.query.uavId,
+            limit: req.query.limit ? parseInt(req.query.limit) : undefined
+        };
+
+        const pins = await modelRegistryService.getPins(filters);
+
+        res.json(pins);
+    } catch (error) {
+        console.error('Error getting model pins:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/models/privacy
+ * Get differential privacy settings and every UAV's cumulative budget
+ */
+router.get('/privacy', requirePermission('learning:view'), async (req, res) => {
+    try {
+        const uavs = await privacyBudgetService.getFleetBudgets();
+        const fleetModel = await modelRegistryService.resolveVersion(null);
+
+        res.json({
+            config: privacyBudgetService.getConfig(),
+            fleetVersion: fleetModel ? await privacyBudgetService.getVersionBudget(fleetModel.version) : null,
+            uavs: uavs
+        });
+    } catch (error) {
+        console.error('Error getting privacy budgets:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/models/uavs/:uavId
+ * Get which model a UAV is assigned, which it reports flying with and its privacy budget
+ */
+router.get('/uavs/:uavId', requirePermission('learning:view'), async (req, res) => {
+    try {
+        const state = await modelRegistryService.getUAVModelState(req.params.uavId);
+        const pin = await modelRegistryService.getActivePin(req.params.uavId);
+        const privacy = await privacyBudgetService.getUAVBudget(req.params.uavId);
+
+        res.json({
+            ...state,
+            pin: pin,
+            privacy: privacy
+        });
+    } catch (error) {
+        console.error('Error getting UAV model state:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/models/uavs/:uavId/pin
+ * Pin a single UAV to a model version
+ */
+router.put('/uavs/:uavId/pin', requirePermission('learning:manage'), async (req, res) => {
+    await handlePin(req, res, req.params.uavId);
+});
+
+/**
+ * DELETE /api/models/uavs/:uavId/pin
+ * Release a UAV pin so it follows the fleet again
+ */
+router.delete('/uavs/:uavId/pin', requirePermission('learning:manage'), async (req, res) => {
+    await handleRelease(req, res, req.params.uavId);
+});
+
+/**
+ * POST /api/models/uavs/:uavId/rollback
+ * Roll a single UAV back to the parent of its current version (or a given version)
+ */
+router.post('/uavs/:uavId/rollback', requirePermission('learning:manage'), async (req, res) => {
+    await handleRollback(req, res, req.params.uavId);
+});
+
+/**
+ * GET /api/models/:version
+ * Get a model version with its contributors, lineage and privacy spend
+ * UAVs download weights with ?includeWeights=true
+ */
+router.get('/:version', requireVersionPermission, async (req, res) => {
+    try {
+        const includeWeights = req.query.includeWeights === 'true';
+        const model = await modelRegistryService.getVersion(req.params.version, includeWeights);
+
+        if (!model) {
+            return res.status(404).json({
+                error: 'Model version not found'
+            });
+        }
+
+        const contributors = await modelRegistryService.getContributors(req.params.version);
+        const lineage = await modelRegistryService.getLineage(req.params.version);
+        const privacy = await privacyBudgetService.getVersionBudget(req.params.version);
+
+        res.json({
+            ...model,
+            contributors: contributors,
+            lineage: lineage.map(ancestor => ancestor.version),
+            privacy: privacy
+        });
+    } catch (error) {
+        console.error('Error getting model version:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// Shared handlers for fleet and UAV scoped operations
+
+const requireWeightsDownload = requirePermission('models:download');
+const requireLearningView = requirePermission('learning:view');
+
+function requireVersionPermission(req, res, next) {
+    const check = req.query.includeWeights === 'true' ? requireWeightsDownload : requireLearningView;
+    check(req, res, next);
+}
+
+async function handlePin(req, res, uavId) {
+    try {
+        const { version, reason } = req.body;
+
+        if (!version) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['version']
+            });
+        }
+
+        const model = await modelRegistryService.getVersion(version);
+        if (!model) {
+            return res.status(404).json({
+                error: 'Model version not found'
+            });
+        }
+
+        const pin = await modelRegistryService.pin({ version, uavId, reason, pinnedBy: req.user.username });
+
+        emitAssignmentChange(req, 'model_pinned', pin);
+
+        res.json(pin);
+    } catch (error) {
+        console.error('Error pinning model version:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+}
+
+async function handleRelease(req, res, uavId) {
+    try {
+        const released = await modelRegistryService.release(uavId);
+
+        if (!released) {
+            return res.status(404).json({
+                error: 'No active pin'
+            });
+        }
+
+        const model = await modelRegistryService.resolveVersion(uavId);
+
+        emitAssignmentChange(req, 'model_unpinned', {
+            scope: uavId ? 'uav' : 'fleet',
+            uavId: uavId,
+            version: model ? model.version : null
+        });
+
+        res.json({
+            success: true,
+            version: model ? model.version : null,
+            assignmentSource: model ? model.assignmentSource : null
+        });
+    } catch (error) {
+        console.error('Error releasing model pin:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+}
+
+async function handleRollback(req, res, uavId) {
+    try {
+        const { toVersion, reason } = req.body;
+
+        if (toVersion && !(await modelRegistryService.getVersion(toVersion))) {
+            return res.status(404).json({
+                error: 'Model version not found'
+            });
+        }
+
+        const pin = await modelRegistryService.rollback({ uavId, toVersion, reason, pinnedBy: req.user.username });
+
+        emitAssignmentChange(req, 'model_rolled_back', pin);
+
+        res.json(pin);
+    } catch (error) {
+        if (error instanceof ModelRollbackError) {
+            return res.status(400).json({
+                error: 'Rollback failed',
+                message: error.message
+            });
+        }
+
+        console.error('Error rolling back model:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+}
+
+function emitAssignmentChange(req, event, payload) {
+    req.io.pushModelAssignments();
+    req.io.emitTo('learning:view', event, {
+        ...payload,
+        timestamp: new Date().toISOString()
+    });
+}
+
+module.exports = router;
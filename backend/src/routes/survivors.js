@@ -6,19 +6,39 @@
 const express = require('express');
 const router = express.Router();
 const survivorService = require('../services/survivorService');
+const detectionFeedbackService = require('../services/detectionFeedbackService');
+const rescueTeamService = require('../services/rescueTeamService');
+const auditService = require('../services/auditService');
+const { requirePermission } = require('../middleware/permissions');
+const { isValidState, canTransition } = require('../rescue/lifecycle');
+const { isValidInjurySeverity, INJURY_SEVERITIES } = require('../rescue/triage');
+const { parseSpatialQuery, parseSpatialFilter } = require('../geo/spatial');
 
 /**
  * GET /api/survivors
- * Get all survivors with optional filtering
+ * Get all survivors with optional filtering, including bbox=minLng,minLat,maxLng,maxLat
+ * or lat, lng and radius (meters)
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('survivors:view'), async (req, res) => {
     try {
+        let area;
+        try {
+            area = parseSpatialQuery(req.query);
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid spatial filter',
+                message: error.message
+            });
+        }
+        
         const filters = {
+            area,
             status: req.query.status,
             uavId: req.query.uavId,
             minConfidence: req.query.minConfidence ? parseFloat(req.query.minConfidence) : undefined,
             limit: req.query.limit ? parseInt(req.query.limit) : undefined,
-            since: req.query.since
+            since: req.query.since,
+            sort: req.query.sort
         };
 
         const survivors = await survivorService.getAllSurvivors(filters);
@@ -33,11 +53,52 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/survivors/search
+ * Find survivors inside a bbox, radius or GeoJSON polygon, with the same filters as GET
+ */
+router.post('/search', requirePermission('survivors:view'), async (req, res) => {
+    try {
+        const { bbox, near, radius, polygon, status, uavId, minConfidence, since, limit, sort } = req.body;
+        
+        let area;
+        try {
+            area = parseSpatialFilter({ bbox, near, radius, polygon });
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid spatial filter',
+                message: error.message
+            });
+        }
+        
+        const survivors = await survivorService.getAllSurvivors({
+            area,
+            status,
+            uavId,
+            minConfidence,
+            since,
+            limit,
+            sort
+        });
+        
+        res.json({
+            survivors,
+            count: survivors.length
+        });
+    } catch (error) {
+        console.error('Error searching survivors:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
 /**
  * GET /api/survivors/:id
  * Get survivor by ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('survivors:view'), async (req, res) => {
     try {
         const survivor = await survivorService.getSurvivorById(req.params.id);
         
@@ -57,20 +118,59 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/survivors/:id/detections
+ * Get the raw UAV detections fused into a survivor
+ */
+router.get('/:id/detections', requirePermission('survivors:view'), async (req, res) => {
+    try {
+        const survivor = await survivorService.getSurvivorById(req.params.id);
+        
+        if (!survivor) {
+            return res.status(404).json({
+                error: 'Survivor not found'
+            });
+        }
+        
+        const detections = await survivorService.getDetections(req.params.id);
+        
+        res.json({
+            survivorId: survivor.id,
+            contributingUAVs: survivor.contributingUAVs,
+            detections,
+            count: detections.length
+        });
+    } catch (error) {
+        console.error('Error getting survivor detections:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
 /**
  * PUT /api/survivors/:id/rescue
  * Mark survivor as rescued
  */
-router.put('/:id/rescue', async (req, res) => {
+router.put('/:id/rescue', requirePermission('survivors:rescue'), async (req, res) => {
     try {
         const { rescuedBy } = req.body;
         
-        const survivor = await survivorService.markAsRescued(req.params.id, rescuedBy);
+        const current = await survivorService.getSurvivorById(req.params.id);
+        if (rejectTransition(res, current, 'rescued')) {
+            return;
+        }
+        
+        const survivor = await survivorService.markAsRescued(req.params.id, rescuedBy, auditService.fromRequest(req));
         
         console.log(`✅ Survivor ${req.params.id} marked as rescued`);
         
+        await recordVerdict(req, survivor, req.user.username);
+        await releaseAssignment(req, survivor);
+        
         // Emit WebSocket event
-        req.io.emit('survivor_rescued', {
+        req.io.emitTo('survivors:view', 'survivor_rescued', {
             survivor: survivor,
             rescuedBy: rescuedBy,
             timestamp: new Date().toISOString()
@@ -86,18 +186,84 @@ router.put('/:id/rescue', async (req, res) => {
     }
 });
 
+/**
+ * PUT /api/survivors/:id/status
+ * Move a survivor along the rescue lifecycle
+ */
+router.put('/:id/status', requirePermission('survivors:update'), async (req, res) => {
+    try {
+        const { status, note } = req.body;
+        
+        if (!status) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['status']
+            });
+        }
+        
+        const current = await survivorService.getSurvivorById(req.params.id);
+        if (rejectTransition(res, current, status)) {
+            return;
+        }
+        
+        const updates = note ? { status, additionalInfo: note } : { status };
+        const survivor = await survivorService.updateSurvivor(
+            req.params.id,
+            updates,
+            auditService.fromRequest(req),
+            'survivor.status_changed'
+        );
+        
+        console.log(`🚑 Survivor ${req.params.id} moved from ${current.status} to ${status}`);
+        
+        await recordVerdict(req, survivor, req.user.username);
+        await releaseAssignment(req, survivor);
+        
+        req.io.emitTo('survivors:view', 'survivor_updated', {
+            survivor: survivor,
+            previousStatus: current.status,
+            timestamp: new Date().toISOString()
+        });
+        
+        res.json(survivor);
+    } catch (error) {
+        console.error('Error changing survivor status:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
 /**
  * PUT /api/survivors/:id
  * Update survivor information
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('survivors:update'), async (req, res) => {
     try {
-        const updates = req.body;
+        const { labelledBy = req.user.username, ...updates } = req.body;
         
-        const survivor = await survivorService.updateSurvivor(req.params.id, updates);
+        if (updates.injurySeverity != null && !isValidInjurySeverity(updates.injurySeverity)) {
+            return res.status(400).json({
+                error: 'Invalid injury severity',
+                allowed: INJURY_SEVERITIES
+            });
+        }
+        
+        const current = await survivorService.getSurvivorById(req.params.id);
+        if (updates.status ? rejectTransition(res, current, updates.status) : rejectMissing(res, current)) {
+            return;
+        }
+        
+        const survivor = await survivorService.updateSurvivor(req.params.id, updates, auditService.fromRequest(req));
+        
+        if (updates.status) {
+            await recordVerdict(req, survivor, labelledBy);
+            await releaseAssignment(req, survivor);
+        }
         
         // Emit WebSocket event
-        req.io.emit('survivor_updated', {
+        req.io.emitTo('survivors:view', 'survivor_updated', {
             survivor: survivor,
             timestamp: new Date().toISOString()
         });
@@ -116,9 +282,27 @@ router.put('/:id', async (req, res) => {
  * DELETE /api/survivors/:id
  * Delete survivor (for false positives)
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('survivors:delete'), async (req, res) => {
     try {
-        const success = await survivorService.deleteSurvivor(req.params.id);
+        // Stand down any team still heading to it
+        const covering = await rescueTeamService.getOpenAssignmentForSurvivor(req.params.id);
+        if (covering) {
+            const released = await rescueTeamService.updateAssignmentStatus(
+                covering.id,
+                { status: 'cancelled', notes: 'Survivor deleted' },
+                auditService.fromRequest(req)
+            );
+            req.io.emitTo('teams:view', 'team_assignment_updated', {
+                assignment: released.assignment,
+                timestamp: new Date().toISOString()
+            });
+            req.io.emitTo('teams:view', 'rescue_team_updated', {
+                team: released.team,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const success = await survivorService.deleteSurvivor(req.params.id, auditService.fromRequest(req));
         
         if (!success) {
             return res.status(404).json({
@@ -129,7 +313,7 @@ router.delete('/:id', async (req, res) => {
         console.log(`🗑️ Survivor ${req.params.id} deleted`);
         
         // Emit WebSocket event
-        req.io.emit('survivor_deleted', {
+        req.io.emitTo('survivors:view', 'survivor_deleted', {
             survivorId: req.params.id,
             timestamp: new Date().toISOString()
         });
@@ -148,7 +332,7 @@ router.delete('/:id', async (req, res) => {
  * GET /api/survivors/stats
  * Get survivor statistics
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('survivors:view'), async (req, res) => {
     try {
         const stats = await survivorService.getStatistics();
         res.json(stats);
@@ -161,4 +345,75 @@ router.get('/stats', async (req, res) => {
     }
 });
 
+// Respond 404 if the survivor does not exist; returns true if a response was sent
+function rejectMissing(res, survivor) {
+    if (!survivor) {
+        res.status(404).json({
+            error: 'Survivor not found'
+        });
+        return true;
+    }
+    return false;
+}
+
+// Respond 400/404/409 unless the survivor may move to the status; returns true if a response was sent
+function rejectTransition(res, survivor, status) {
+    if (!isValidState(status)) {
+        res.status(400).json({
+            error: 'Invalid status',
+            message: `Unknown survivor status "${status}"`
+        });
+        return true;
+    }
+    if (rejectMissing(res, survivor)) {
+        return true;
+    }
+    if (survivor.status !== status && !canTransition(survivor.status, status)) {
+        res.status(409).json({
+            error: 'Invalid status transition',
+            from: survivor.status,
+            to: status,
+            allowed: survivor.allowedTransitions
+        });
+        return true;
+    }
+    return false;
+}
+
+// Feed operator verdicts back into detector training
+async function recordVerdict(req, survivor, labelledBy) {
+    try {
+        const label = await detectionFeedbackService.syncLabel(survivor, labelledBy || null);
+        
+        if (label) {
+            req.io.emitTo('learning:view', 'detection_labelled', {
+                label: label,
+                timestamp: new Date().toISOString()
+            });
+        }
+    } catch (error) {
+        console.error(`Error recording verdict for survivor ${survivor.id}:`, error.message);
+    }
+}
+
+// Close the team assignment of a survivor resolved or stood down outside the dispatch workflow
+async function releaseAssignment(req, survivor) {
+    try {
+        const released = await rescueTeamService.releaseSurvivor(survivor, auditService.fromRequest(req));
+        
+        if (released) {
+            req.io.emitTo('teams:view', 'team_assignment_updated', {
+                assignment: released.assignment,
+                timestamp: new Date().toISOString()
+            });
+            req.io.emitTo('teams:view', 'rescue_team_updated', {
+                team: released.team,
+                timestamp: new Date().toISOString()
+            });
+        }
+    } catch (error) {
+        console.error(`Error releasing team assignment for survivor ${survivor.id}:`, error.message);
+    }
+}
+
 module.exports = router;
\ No newline at end of file
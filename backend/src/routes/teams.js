@@ -0,0 +1,394 @@
+/**
+ * Rescue Team Routes
+ * Handles the team registry, dispatching teams to survivors and status reports from the field
+ */
+
+const express = require('express');
+const router = express.Router();
+const rescueTeamService = require('../services/rescueTeamService');
+const survivorService = require('../services/survivorService');
+const detectionFeedbackService = require('../services/detectionFeedbackService');
+const auditService = require('../services/auditService');
+const { requirePermission } = require('../middleware/permissions');
+const { isActive } = require('../rescue/lifecycle');
+const { ASSIGNMENT_STATES, OUTCOMES, canTransitionAssignment } = require('../rescue/dispatch');
+const { AssignmentConflictError } = require('../rescue/errors');
+
+/**
+ * GET /api/teams
+ * Get rescue teams (filters: status, capability); with survivorId, ordered by estimated arrival at that survivor
+ */
+router.get('/', requirePermission('teams:view'), async (req, res) => {
+    try {
+        const filters = {
+            status: req.query.status,
+            capability: req.query.capability
+        };
+
+        if (req.query.survivorId) {
+            const survivor = await survivorService.getSurvivorById(req.query.survivorId);
+            if (!survivor) {
+                return res.status(404).json({
+                    error: 'Survivor not found'
+                });
+            }
+            filters.near = survivor.coordinates;
+        }
+
+        const teams = await rescueTeamService.getTeams(filters);
+
+        res.json({
+            teams,
+            count: teams.length
+        });
+    } catch (error) {
+        console.error('Error getting rescue teams:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/teams
+ * Register a rescue team
+ */
+router.post('/', requirePermission('teams:dispatch'), async (req, res) => {
+    try {
+        const { name, capabilities, coordinates, speedKmh, contact } = req.body;
+
+        if (!name) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['name']
+            });
+        }
+
+        let team;
+        try {
+            team = await rescueTeamService.registerTeam(
+                { name, capabilities, coordinates, speedKmh, contact },
+                auditService.fromRequest(req)
+            );
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid team',
+                message: error.message
+            });
+        }
+
+        if (!team) {
+            return res.status(409).json({
+                error: 'Team name already registered'
+            });
+        }
+
+        console.log(`🚒 Rescue team ${team.name} registered by ${req.user.username}`);
+
+        req.io.emitTo('teams:view', 'rescue_team_updated', {
+            team: team,
+            timestamp: new Date().toISOString()
+        });
+
+        res.status(201).json(team);
+    } catch (error) {
+        console.error('Error registering rescue team:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/teams/assignments
+ * Get assignments, newest first (filters: teamId, survivorId, status, open=true, limit)
+ */
+router.get('/assignments', requirePermission('teams:view'), async (req, res) => {
+    try {
+        const filters = {
+            teamId: req.query.teamId,
+            survivorId: req.query.survivorId,
+            status: req.query.status,
+            open: req.query.open === 'true',
+            limit: req.query.limit ? parseInt(req.query.limit) : undefined
+        };
+
+        const assignments = await rescueTeamService.getAssignments(filters);
+
+        res.json({
+            assignments,
+            count: assignments.length
+        });
+    } catch (error) {
+        console.error('Error getting team assignments:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/teams/assignments
+ * Dispatch an available team to a survivor awaiting rescue
+ */
+router.post('/assignments', requirePermission('teams:dispatch'), async (req, res) => {
+    try {
+        const { teamId, survivorId, notes } = req.body;
+
+        if (!teamId || !survivorId) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['teamId', 'survivorId']
+            });
+        }
+
+        const team = await rescueTeamService.getTeamById(teamId);
+        if (!team) {
+            return res.status(404).json({
+                error: 'Team not found'
+            });
+        }
+
+        const survivor = await survivorService.getSurvivorById(survivorId);
+        if (!survivor) {
+            return res.status(404).json({
+                error: 'Survivor not found'
+            });
+        }
+
+        if (team.status !== 'available') {
+            return res.status(409).json({
+                error: 'Team not available',
+                status: team.status,
+                activeAssignment: team.activeAssignment
+            });
+        }
+
+        if (!isActive(survivor.status)) {
+            return res.status(409).json({
+                error: 'Survivor is not awaiting rescue',
+                status: survivor.status
+            });
+        }
+
+        const covering = await rescueTeamService.getOpenAssignmentForSurvivor(survivorId);
+        if (covering) {
+            return res.status(409).json({
+                error: 'Survivor already has a team assigned',
+                assignment: covering
+            });
+        }
+
+        const result = await rescueTeamService.assignTeam({
+            teamId,
+            survivorId,
+            notes,
+            assignedBy: req.user.username
+        }, auditService.fromRequest(req));
+
+        emitDispatchUpdate(req, result);
+
+        res.status(201).json(result.assignment);
+    } catch (error) {
+        // Lost a race with another dispatch, or the survivor was resolved meanwhile
+        if (error instanceof AssignmentConflictError) {
+            return res.status(409).json({
+                error: 'Assignment conflict',
+                message: error.message
+            });
+        }
+
+        console.error('Error assigning rescue team:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/teams/assignments/:id/status
+ * Record a status from the team (acknowledged, en_route, on_scene, completed, declined) or cancel
+ */
+router.put('/assignments/:id/status', requirePermission('teams:dispatch'), async (req, res) => {
+    try {
+        const { status, outcome, notes } = req.body;
+
+        if (!status) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['status']
+            });
+        }
+
+        if (!ASSIGNMENT_STATES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                allowed: ASSIGNMENT_STATES
+            });
+        }
+
+        if (status === 'completed' && !OUTCOMES.includes(outcome)) {
+            return res.status(400).json({
+                error: 'Completing an assignment requires an outcome',
+                allowed: OUTCOMES
+            });
+        }
+
+        const current = await rescueTeamService.getAssignmentById(req.params.id);
+        if (!current) {
+            return res.status(404).json({
+                error: 'Assignment not found'
+            });
+        }
+
+        if (!canTransitionAssignment(current.status, status)) {
+            return res.status(409).json({
+                error: 'Invalid status transition',
+                from: current.status,
+                to: status
+            });
+        }
+
+        const result = await rescueTeamService.updateAssignmentStatus(
+            req.params.id,
+            { status, outcome, notes },
+            auditService.fromRequest(req)
+        );
+
+        console.log(`🚒 Team ${result.assignment.teamName} assignment for survivor ${result.assignment.survivorId}: ${status}`);
+
+        emitDispatchUpdate(req, result);
+
+        res.json(result.assignment);
+    } catch (error) {
+        console.error('Error updating team assignment:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/teams/:id
+ * Update a team's details, or take it on or off duty
+ */
+router.put('/:id', requirePermission('teams:dispatch'), async (req, res) => {
+    try {
+        const { name, capabilities, speedKmh, contact, status } = req.body;
+
+        let team;
+        try {
+            team = await rescueTeamService.updateTeam(
+                req.params.id,
+                { name, capabilities, speedKmh, contact, status },
+                auditService.fromRequest(req)
+            );
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid team update',
+                message: error.message
+            });
+        }
+
+        if (!team) {
+            return res.status(404).json({
+                error: 'Team not found'
+            });
+        }
+
+        req.io.emitTo('teams:view', 'rescue_team_updated', {
+            team: team,
+            timestamp: new Date().toISOString()
+        });
+
+        res.json(team);
+    } catch (error) {
+        console.error('Error updating rescue team:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/teams/:id/position
+ * Report a team's position; refreshes the arrival estimate of its assignment
+ */
+router.put('/:id/position', requirePermission('teams:dispatch'), async (req, res) => {
+    try {
+        const { coordinates } = req.body;
+
+        if (!coordinates) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['coordinates']
+            });
+        }
+
+        let team;
+        try {
+            team = await rescueTeamService.updateTeamPosition(req.params.id, coordinates);
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid position',
+                message: error.message
+            });
+        }
+
+        if (!team) {
+            return res.status(404).json({
+                error: 'Team not found'
+            });
+        }
+
+        emitDispatchUpdate(req, { team, assignment: team.activeAssignment, survivor: null });
+
+        res.json(team);
+    } catch (error) {
+        console.error('Error updating rescue team position:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+// Broadcast the team, its assignment and the survivor it changed
+function emitDispatchUpdate(req, { team, assignment, survivor }) {
+    const timestamp = new Date().toISOString();
+
+    req.io.emitTo('teams:view', 'rescue_team_updated', { team, timestamp });
+
+    if (assignment) {
+        req.io.emitTo('teams:view', 'team_assignment_updated', { assignment, timestamp });
+    }
+
+    if (survivor) {
+        req.io.emitTo('survivors:view', 'survivor_updated', { survivor, timestamp });
+        recordVerdict(req, survivor, req.user.username);
+    }
+}
+
+// Feed confirmations and outcomes reported by teams back into detector training
+async function recordVerdict(req, survivor, labelledBy) {
+    try {
+        const label = await detectionFeedbackService.syncLabel(survivor, labelledBy);
+
+        if (label) {
+            req.io.emitTo('learning:view', 'detection_labelled', {
+                label: label,
+                timestamp: new Date().toISOString()
+            });
+        }
+    } catch (error) {
+        console.error(`Error recording verdict for survivor ${survivor.id}:`, error.message);
+    }
+}
+
+module.exports = router;
@@ -11,12 +11,21 @@ const { v4: uuidv4 } = require('uuid');
 const survivorService = require('../services/survivorService');
 const isacService = require('../services/isacService');
 const missionService = require('../services/missionService');
+const federatedService = require('../services/federatedService');
+const modelRegistryService = require('../services/modelRegistryService');
+const detectionFeedbackService = require('../services/detectionFeedbackService');
+const auditService = require('../services/auditService');
+const telemetryRetentionService = require('../services/telemetryRetentionService');
+const { getCompressionProfile } = require('../federated/compression');
+const { requirePermission } = require('../middleware/permissions');
+const { parseSpatialQuery, parseSpatialFilter } = require('../geo/spatial');
+const { RESOLUTIONS, isValidResolution, resolveSpan } = require('../telemetry/resolution');
 
 /**
  * POST /api/uav/data
  * Receive UAV sensor data and process it
  */
-router.post('/data', async (req, res) => {
+router.post('/data', requirePermission('uav:report'), async (req, res) => {
     try {
         const uavData = req.body;
         
@@ -47,21 +56,30 @@ router.post('/data', async (req, res) => {
             
             for (const detection of uavData.detections) {
                 try {
-                    const survivor = await survivorService.createSurvivor({
+                    const { survivor, merged } = await survivorService.ingestDetection({
                         id: detection.id || uuidv4(),
                         coordinates: detection.coordinates,
                         confidence: detection.confidence,
                         detectionType: detection.type || 'human',
                         uavId: uavData.uavId,
                         timestamp: detection.timestamp || uavData.timestamp,
-                        status: 'detected',
                         additionalInfo: detection.additionalInfo || null
-                    });
+                    }, auditService.fromRequest(req));
+                    
+                    if (merged) {
+                        // Another sighting of a known survivor moves its marker instead of adding one
+                        req.io.emitTo('survivors:view', 'survivor_updated', {
+                            survivor: survivor,
+                            fused: true,
+                            timestamp: new Date().toISOString()
+                        });
+                        continue;
+                    }
                     
                     console.log(`✅ Survivor ${survivor.id} saved (confidence: ${(survivor.confidence * 100).toFixed(1)}%)`);
                     
                     // Emit real-time update via WebSocket
-                    req.io.emit('survivor_detected', {
+                    req.io.emitTo('survivors:view', 'survivor_detected', {
                         survivor: survivor,
                         uavData: {
                             uavId: uavData.uavId,
@@ -77,6 +95,52 @@ router.post('/data', async (req, res) => {
             }
         }
         
+        // Track which detector version the UAV is flying with
+        if (uavData.uavStatus?.aiModelVersion) {
+            try {
+                await modelRegistryService.recordReportedVersion(uavData.uavId, uavData.uavStatus.aiModelVersion);
+            } catch (error) {
+                console.error('Error recording model version:', error.message);
+            }
+        }
+        
+        // Process federated learning model updates
+        let federatedResult = null;
+        if (uavData.modelUpdates && uavData.modelUpdates.available) {
+            try {
+                federatedResult = await federatedService.submitUpdate({
+                    uavId: uavData.uavId,
+                    ...uavData.modelUpdates
+                });
+                
+                if (federatedResult.aggregation) {
+                    req.io.broadcastGlobalModel(federatedResult.aggregation);
+                }
+            } catch (error) {
+                console.error(`Error processing model update from ${uavData.uavId}:`, error.message);
+            }
+        }
+        
+        // Tell the UAV which model version it should be flying with
+        let assignedModel = null;
+        try {
+            assignedModel = await modelRegistryService.resolveVersion(uavData.uavId);
+        } catch (error) {
+            console.error('Error resolving assigned model:', error.message);
+        }
+        
+        // Hand back operator verdicts on this UAV's detections for local training
+        let trainingSignals = [];
+        try {
+            const openRound = await federatedService.getOpenRound();
+            trainingSignals = await detectionFeedbackService.takeTrainingSignals(
+                uavData.uavId,
+                openRound ? openRound.id : null
+            );
+        } catch (error) {
+            console.error('Error collecting training signals:', error.message);
+        }
+        
         // Update mission data
         try {
             await missionService.updateMissionData({
@@ -84,6 +148,7 @@ router.post('/data', async (req, res) => {
                 location: uavData.location,
                 timestamp: uavData.timestamp,
                 detectionsCount: uavData.detections ? uavData.detections.length : 0,
+                detections: uavData.detections || [],
                 isacMode: uavData.isacMode,
                 signalStrength: uavData.signalStrength,
                 batteryLevel: uavData.uavStatus?.batteryLevel
@@ -94,7 +159,7 @@ router.post('/data', async (req, res) => {
         
         // Emit ISAC status update via WebSocket
         if (uavData.isacMode) {
-            req.io.emit('isac_mode_changed', {
+            req.io.emitTo('telemetry:view', 'isac_mode_changed', {
                 uavId: uavData.uavId,
                 isacMode: uavData.isacMode,
                 signalStrength: uavData.signalStrength,
@@ -105,7 +170,7 @@ router.post('/data', async (req, res) => {
         }
         
         // Emit general UAV update
-        req.io.emit('uav_data_update', {
+        req.io.emitTo('telemetry:view', 'uav_data_update', {
             uavId: uavData.uavId,
             location: uavData.location,
             isacMode: uavData.isacMode,
@@ -123,8 +188,20 @@ router.post('/data', async (req, res) => {
                 detections: uavData.detections ? uavData.detections.length : 0,
                 isacMode: uavData.isacMode,
                 signalStrength: uavData.signalStrength,
-                timestamp: uavData.timestamp
-            }
+                timestamp: uavData.timestamp,
+                modelUpdate: federatedResult ? {
+                    roundNumber: federatedResult.update.roundNumber,
+                    accepted: federatedResult.update.accepted,
+                    reason: federatedResult.update.reason,
+                    encoding: federatedResult.update.encoding,
+                    uploadBytes: federatedResult.update.uploadBytes,
+                    labelledSamples: federatedResult.update.labelledSamples,
+                    aggregated: !!federatedResult.aggregation
+                } : null
+            },
+            assignedModelVersion: assignedModel ? assignedModel.version : undefined,
+            modelUpdateProfile: uavData.isacMode ? getCompressionProfile(uavData.isacMode) : undefined,
+            trainingSignals
         });
         
     } catch (error) {
@@ -140,7 +217,7 @@ router.post('/data', async (req, res) => {
  * GET /api/uav/status
  * Get current UAV status
  */
-router.get('/status', async (req, res) => {
+router.get('/status', requirePermission('telemetry:view'), async (req, res) => {
     try {
         const uavId = req.query.uavId || 'UAV-001';
         
@@ -153,6 +230,9 @@ router.get('/status', async (req, res) => {
         // Get latest telemetry for UAV status
         const latestTelemetry = await missionService.getLatestTelemetry(uavId);
         
+        // Get assigned and reported model versions
+        const modelState = await modelRegistryService.getUAVModelState(uavId);
+        
         // Build UAV status response
         const uavStatus = {
             uavId: uavId,
@@ -162,7 +242,8 @@ router.get('/status', async (req, res) => {
             signalStrength: isacStatus?.signalStrength || 100,
             dataRate: isacStatus?.dataRate || 50,
             cameraActive: true,
-            aiModelVersion: '1.0.0',
+            aiModelVersion: modelState.reportedVersion || modelState.assignedVersion || '1.0.0',
+            modelState: modelState,
             lastUpdate: latestTelemetry?.timestamp || new Date().toISOString()
         };
         
@@ -184,10 +265,38 @@ router.get('/status', async (req, res) => {
 
 /**
  * GET /api/uav/telemetry
- * Get UAV telemetry data
+ * Get UAV telemetry data; with bbox=minLng,minLat,maxLng,maxLat or lat, lng and radius (meters),
+ * the telemetry of any UAV (or uavId) recorded in that area
  */
-router.get('/telemetry', async (req, res) => {
+router.get('/telemetry', requirePermission('telemetry:view'), async (req, res) => {
     try {
+        let area;
+        try {
+            area = parseSpatialQuery(req.query);
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid spatial filter',
+                message: error.message
+            });
+        }
+        
+        if (area) {
+            const telemetry = await missionService.getTelemetryInArea({
+                area,
+                uavId: req.query.uavId,
+                missionId: req.query.missionId,
+                since: req.query.since,
+                until: req.query.until,
+                limit: req.query.limit ? parseInt(req.query.limit) : undefined
+            });
+            
+            return res.json({
+                uavId: req.query.uavId || null,
+                telemetry: telemetry,
+                count: telemetry.length
+            });
+        }
+        
         const uavId = req.query.uavId || 'UAV-001';
         const limit = parseInt(req.query.limit) || 50;
         
@@ -209,4 +318,85 @@ router.get('/telemetry', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/uav/telemetry/series
+ * Get telemetry between since and until (default the last hour) at raw, per-minute or hourly
+ * resolution; auto picks raw rows for short recent spans and rollups for longer ones
+ */
+router.get('/telemetry/series', requirePermission('telemetry:view'), async (req, res) => {
+    try {
+        const resolution = req.query.resolution || 'auto';
+
+        if (!isValidResolution(resolution)) {
+            return res.status(400).json({
+                error: 'Invalid resolution',
+                allowed: ['auto', ...RESOLUTIONS]
+            });
+        }
+
+        let span;
+        try {
+            span = resolveSpan(req.query.since, req.query.until);
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid time span',
+                message: error.message
+            });
+        }
+
+        const series = await telemetryRetentionService.getTelemetrySeries({
+            uavId: req.query.uavId,
+            missionId: req.query.missionId,
+            since: span.since,
+            until: span.until,
+            resolution
+        });
+
+        res.json({
+            uavId: req.query.uavId || null,
+            ...series,
+            count: series.points.length
+        });
+    } catch (error) {
+        console.error('Error getting telemetry series:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/uav/telemetry/search
+ * Find telemetry recorded inside a bbox, radius or GeoJSON polygon
+ */
+router.post('/telemetry/search', requirePermission('telemetry:view'), async (req, res) => {
+    try {
+        const { bbox, near, radius, polygon, uavId, missionId, since, until, limit } = req.body;
+        
+        let area;
+        try {
+            area = parseSpatialFilter({ bbox, near, radius, polygon });
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid spatial filter',
+                message: error.message
+            });
+        }
+        
+        const telemetry = await missionService.getTelemetryInArea({ area, uavId, missionId, since, until, limit });
+        
+        res.json({
+            telemetry: telemetry,
+            count: telemetry.length
+        });
+    } catch (error) {
+        console.error('Error searching UAV telemetry:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
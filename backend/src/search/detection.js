@@ -0,0 +1,72 @@
+/**
+ * Probability of Detection
+ * How likely a UAV camera passing over a survivor is to spot them, given the weather
+ * and how high it flies
+ */
+
+// Share of survivors the detector spots straight below the camera in clear weather at the reference altitude
+const BASE_POD = Math.min(Math.max(parseFloat(process.env.SEARCH_BASE_POD) || 0.85, 0.01), 0.99);
+
+// Above this altitude survivors cover fewer pixels and detection falls off in proportion
+const REFERENCE_ALTITUDE_METERS = parseFloat(process.env.SEARCH_REFERENCE_ALTITUDE_METERS) || 60;
+
+// Factor each weather condition applies to the probability of detection
+const WEATHER_FACTORS = {
+    clear: 1,
+    overcast: 0.9,
+    light_rain: 0.75,
+    snow: 0.6,
+    night: 0.6,
+    heavy_rain: 0.5,
+    smoke: 0.45,
+    fog: 0.4
+};
+
+const WEATHER_CONDITIONS = Object.keys(WEATHER_FACTORS);
+
+// A report is never taken as certain: even at full confidence one in a hundred is a false alarm
+const MIN_FALSE_ALARM_RATE = 0.01;
+
+/**
+ * Check whether a string is a known weather condition
+ * @param {string} condition - Condition name
+ * @returns {boolean} True if known
+ */
+function isValidWeather(condition) {
+    return WEATHER_CONDITIONS.includes(condition);
+}
+
+/**
+ * Probability that one pass of the camera over a survivor detects them
+ * @param {string} weather - Weather condition
+ * @param {number} altitude - Height above ground in meters
+ * @returns {number} Probability between 0 and 1
+ */
+function probabilityOfDetection(weather, altitude) {
+    const weatherFactor = WEATHER_FACTORS[weather] ?? WEATHER_FACTORS.clear;
+    const altitudeFactor = altitude > REFERENCE_ALTITUDE_METERS ? REFERENCE_ALTITUDE_METERS / altitude : 1;
+    return BASE_POD * weatherFactor * altitudeFactor;
+}
+
+/**
+ * How much more likely a detection report is if a survivor really is where it was reported
+ * The detector's confidence is read as one minus its false alarm rate. A report never makes
+ * its cell less likely, even when poor conditions make false alarms outnumber real detections
+ * @param {number} confidence - Detection confidence between 0 and 1
+ * @param {number} pod - Probability of detection when the survivor is there
+ * @returns {number} Likelihood ratio applied to the reported cell
+ */
+function detectionLikelihoodRatio(confidence, pod) {
+    const falseAlarmRate = Math.max(1 - confidence, MIN_FALSE_ALARM_RATE);
+    return Math.max(pod / falseAlarmRate, 1);
+}
+
+module.exports = {
+    BASE_POD,
+    REFERENCE_ALTITUDE_METERS,
+    WEATHER_FACTORS,
+    WEATHER_CONDITIONS,
+    isValidWeather,
+    probabilityOfDetection,
+    detectionLikelihoodRatio
+};
@@ -0,0 +1,206 @@
+/**
+ * Probability of Containment
+ * Search theory over a mission's search area: each cell holds the probability that a survivor
+ * is in it. Searching a cell without finding anyone lowers it, a detection raises it, and the
+ * cells with the most probability to gain per meter flown are searched next
+ */
+
+const { cellsInRing } = require('../geo/coverage');
+const { distanceMeters } = require('../geo/spatial');
+
+// Edge length of a search cell in meters
+const CELL_METERS = parseFloat(process.env.SEARCH_CELL_METERS) || 50;
+
+// Largest number of search cells per mission; bigger areas get bigger cells
+const MAX_CELLS = parseInt(process.env.SEARCH_MAX_CELLS) || 10000;
+
+// Cells recommended to each idle UAV
+const RECOMMENDATIONS_PER_UAV = parseInt(process.env.SEARCH_RECOMMENDATIONS_PER_UAV) || 3;
+
+// Each search cell is sampled on a SAMPLES x SAMPLES sub-grid to measure how much of it is covered
+const SAMPLES = 5;
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+/**
+ * Lay a search grid over a search area, anchored at its south-west corner
+ * @param {Array} ring - Search area as a GeoJSON [lng, lat] ring
+ * @param {number} areaSqMeters - Area of the search area
+ * @returns {Object} { originLat, originLng, cellMeters }
+ */
+function createSearchGrid(ring, areaSqMeters) {
+    return {
+        originLat: Math.min(...ring.map(position => position[1])),
+        originLng: Math.min(...ring.map(position => position[0])),
+        cellMeters: Math.max(CELL_METERS, Math.sqrt(areaSqMeters / MAX_CELLS))
+    };
+}
+
+/**
+ * Share of each search cell lying inside a ring
+ * @param {Object} grid - Search grid
+ * @param {Array} ring - GeoJSON [lng, lat] ring
+ * @returns {Map} { row, col, fraction } by "row:col" key
+ */
+function cellFractions(grid, ring) {
+    const sampleGrid = { ...grid, cellMeters: grid.cellMeters / SAMPLES };
+    const fractions = new Map();
+
+    for (const [sampleRow, sampleCol] of cellsInRing(sampleGrid, ring)) {
+        const row = Math.floor(sampleRow / SAMPLES);
+        const col = Math.floor(sampleCol / SAMPLES);
+        const key = `${row}:${col}`;
+        const cell = fractions.get(key) || { row, col, fraction: 0 };
+        cell.fraction += 1 / (SAMPLES * SAMPLES);
+        fractions.set(key, cell);
+    }
+
+    return fractions;
+}
+
+/**
+ * Uniform prior: every point of the search area is equally likely to hold a survivor
+ * @param {Object} grid - Search grid
+ * @param {Array} ring - Search area as a GeoJSON [lng, lat] ring
+ * @returns {Array} { row, col, probability } summing to 1
+ */
+function uniformPrior(grid, ring) {
+    const cells = Array.from(cellFractions(grid, ring).values());
+    const total = cells.reduce((sum, cell) => sum + cell.fraction, 0);
+    return cells.map(cell => ({ row: cell.row, col: cell.col, probability: cell.fraction / total }));
+}
+
+/**
+ * Probability left in a cell after a search that found nobody (before renormalising)
+ * Bayes: P(in cell | not detected) is proportional to P(in cell) * (1 - POD)
+ * @param {number} probability - Probability before the search
+ * @param {number} pod - Probability of detection of the search over the whole cell
+ * @returns {number} Unnormalised posterior
+ */
+function afterUnsuccessfulSearch(probability, pod) {
+    return probability * (1 - pod);
+}
+
+/**
+ * Cumulative probability of detection after another search of a cell
+ * @param {number} previous - Cumulative POD so far
+ * @param {number} pod - POD of the new search
+ * @returns {number} Combined POD
+ */
+function combinePOD(previous, pod) {
+    return 1 - (1 - previous) * (1 - pod);
+}
+
+/**
+ * Center of a search cell
+ * @param {Object} grid - Search grid
+ * @param {number} row - Cell row
+ * @param {number} col - Cell column
+ * @returns {Object} { lat, lng }
+ */
+function cellCenter(grid, row, col) {
+    const metersPerDegreeLng = METERS_PER_DEGREE_LAT * Math.cos(grid.originLat * Math.PI / 180);
+    return {
+        lat: round(grid.originLat + (row + 0.5) * grid.cellMeters / METERS_PER_DEGREE_LAT, 7),
+        lng: round(grid.originLng + (col + 0.5) * grid.cellMeters / metersPerDegreeLng, 7)
+    };
+}
+
+/**
+ * Search cell containing a position
+ * @param {Object} grid - Search grid
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object} { row, col }
+ */
+function cellAt(grid, lat, lng) {
+    const metersPerDegreeLng = METERS_PER_DEGREE_LAT * Math.cos(grid.originLat * Math.PI / 180);
+    return {
+        row: Math.floor((lat - grid.originLat) * METERS_PER_DEGREE_LAT / grid.cellMeters),
+        col: Math.floor((lng - grid.originLng) * metersPerDegreeLng / grid.cellMeters)
+    };
+}
+
+/**
+ * Ring outlining a search cell
+ * @param {Object} grid - Search grid
+ * @param {number} row - Cell row
+ * @param {number} col - Cell column
+ * @returns {Array} Closed GeoJSON ring of [lng, lat] positions
+ */
+function cellRing(grid, row, col) {
+    const metersPerDegreeLng = METERS_PER_DEGREE_LAT * Math.cos(grid.originLat * Math.PI / 180);
+    const south = grid.originLat + row * grid.cellMeters / METERS_PER_DEGREE_LAT;
+    const north = grid.originLat + (row + 1) * grid.cellMeters / METERS_PER_DEGREE_LAT;
+    const west = grid.originLng + col * grid.cellMeters / metersPerDegreeLng;
+    const east = grid.originLng + (col + 1) * grid.cellMeters / metersPerDegreeLng;
+    return [[west, south], [east, south], [east, north], [west, north], [west, south]]
+        .map(([lng, lat]) => [round(lng, 7), round(lat, 7)]);
+}
+
+/**
+ * Recommend the next cells for each idle UAV
+ * Cells are scored by the probability a search would find someone there (probability x POD)
+ * per meter flown to reach them, and handed out greedily so no two UAVs get the same cell
+ * @param {Object} grid - Search grid
+ * @param {Array} cells - { row, col, probability } normalised over the search area
+ * @param {Array} uavs - { uavId, lat, lng, pod } where pod is the POD of one search of a whole cell
+ * @returns {Array} { uavId, cells: [{ row, col, center, probability, expectedDetection, distanceMeters }] }
+ */
+function recommendCells(grid, cells, uavs) {
+    const taken = new Set();
+
+    return uavs.map(uav => {
+        const scored = cells
+            .filter(cell => !taken.has(`${cell.row}:${cell.col}`) && cell.probability > 0)
+            .map(cell => {
+                const center = cellCenter(grid, cell.row, cell.col);
+                const distance = distanceMeters(uav.lat, uav.lng, center.lat, center.lng);
+                const expectedDetection = cell.probability * uav.pod;
+                return {
+                    row: cell.row,
+                    col: cell.col,
+                    center,
+                    probability: cell.probability,
+                    expectedDetection,
+                    distanceMeters: Math.round(distance),
+                    score: expectedDetection / Math.max(distance, grid.cellMeters)
+                };
+            })
+            .sort((a, b) => b.score - a.score)
+            .slice(0, RECOMMENDATIONS_PER_UAV);
+
+        scored.forEach(cell => taken.add(`${cell.row}:${cell.col}`));
+
+        return {
+            uavId: uav.uavId,
+            cells: scored.map(({ score, ...cell }) => ({
+                ...cell,
+                probability: round(cell.probability, 6),
+                expectedDetection: round(cell.expectedDetection, 6)
+            }))
+        };
+    });
+}
+
+// Helper functions
+
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    CELL_METERS,
+    MAX_CELLS,
+    RECOMMENDATIONS_PER_UAV,
+    createSearchGrid,
+    cellFractions,
+    uniformPrior,
+    afterUnsuccessfulSearch,
+    combinePOD,
+    cellCenter,
+    cellAt,
+    cellRing,
+    recommendCells
+};
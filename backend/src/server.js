@@ -8,6 +8,7 @@ const Application = require('./app');
 
 // Initialize database
 const { initializeDatabase } = require('./database/init');
+const fleetService = require('./services/fleetService');
 
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
@@ -23,6 +24,12 @@ async function startServer() {
         await initializeDatabase();
         console.log('Database initialized successfully');
         
+        // Register aircraft listed in FLEET_CREDENTIALS
+        const provisioned = await fleetService.provisionFromConfig();
+        if (provisioned.length > 0) {
+            console.log(`Fleet credentials provisioned for ${provisioned.join(', ')}`);
+        }
+        
         // Create application instance
         const application = new Application();
         const server = application.getServer();
@@ -0,0 +1,232 @@
+/**
+ * Audit Service
+ * Append-only, hash-chained trail of operator and aircraft actions
+ */
+
+const crypto = require('crypto');
+const db = require('../database/connection');
+
+// Hash the first entry of the chain links to
+const GENESIS_HASH = '0'.repeat(64);
+
+// Page size when fetching entries or walking the chain
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const SYSTEM_CONTEXT = { actor: 'system', actorType: 'system', source: null };
+
+class AuditService {
+    constructor() {
+        // Appends run one at a time so every entry links to the one written before it
+        this.appendQueue = Promise.resolve();
+    }
+
+    /**
+     * Build the audit context of an HTTP request
+     * @param {Object} req - Express request (authenticated user or signed aircraft)
+     * @returns {Object} { actor, actorType, source }
+     */
+    fromRequest(req) {
+        if (req.user) {
+            return { actor: req.user.username, actorType: 'user', source: req.ip };
+        }
+        if (req.aircraft) {
+            return { actor: req.aircraft.uavId, actorType: 'aircraft', source: req.ip };
+        }
+        return { ...SYSTEM_CONTEXT, source: req.ip };
+    }
+
+    /**
+     * Build the audit context of an authenticated socket
+     * @param {Object} socket - socket.io socket with data.connection set in the handshake
+     * @returns {Object} { actor, actorType, source }
+     */
+    fromSocket(socket) {
+        const connection = socket.data.connection || {};
+        const source = `socket ${socket.id} (${socket.handshake.address})`;
+
+        if (connection.type === 'user') {
+            return { actor: connection.user.username, actorType: 'user', source };
+        }
+        if (connection.type === 'aircraft') {
+            return { actor: connection.uavId, actorType: 'aircraft', source };
+        }
+        return { ...SYSTEM_CONTEXT, source };
+    }
+
+    /**
+     * Append an entry to the audit trail
+     * @param {Object} entry - { action, entityType, entityId, before, after }
+     * @param {Object} context - { actor, actorType, source }; defaults to the system
+     * @returns {Object} Recorded entry
+     */
+    record(entry, context = SYSTEM_CONTEXT) {
+        const append = this.appendQueue.then(() => this.append(entry, context || SYSTEM_CONTEXT));
+        this.appendQueue = append.catch(() => {});
+        return append;
+    }
+
+    /**
+     * Write one entry linked to the current head of the chain (call through record)
+     * @param {Object} entry - { action, entityType, entityId, before, after }
+     * @param {Object} context - { actor, actorType, source }
+     * @returns {Object} Recorded entry
+     */
+    async append({ action, entityType, entityId = null, before = null, after = null }, context) {
+        const head = await db.get('SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1');
+
+        const row = {
+            timestamp: new Date().toISOString(),
+            actor: context.actor,
+            actor_type: context.actorType,
+            action,
+            entity_type: entityType,
+            entity_id: entityId === null ? null : String(entityId),
+            before_value: serialize(before),
+            after_value: serialize(after),
+            source: context.source || null,
+            prev_hash: head ? head.hash : GENESIS_HASH
+        };
+        row.hash = hashEntry(row);
+
+        const result = await db.run(
+            `INSERT INTO audit_log (
+                timestamp, actor, actor_type, action, entity_type, entity_id,
+                before_value, after_value, source, prev_hash, hash
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                row.timestamp, row.actor, row.actor_type, row.action, row.entity_type, row.entity_id,
+                row.before_value, row.after_value, row.source, row.prev_hash, row.hash
+            ]
+        );
+
+        return this.formatEntry({ id: result.id, ...row });
+    }
+
+    /**
+     * Get audit entries, newest first
+     * @param {Object} filters - { actor, actorType, action, entityType, entityId, since, until, limit }
+     * @returns {Array} Audit entries
+     */
+    async getEntries(filters = {}) {
+        let query = 'SELECT * FROM audit_log';
+        const params = [];
+        const conditions = [];
+
+        const columns = {
+            actor: 'actor',
+            actorType: 'actor_type',
+            action: 'action',
+            entityType: 'entity_type',
+            entityId: 'entity_id'
+        };
+
+        for (const [filter, column] of Object.entries(columns)) {
+            if (filters[filter]) {
+                conditions.push(`${column} = ?`);
+                params.push(filters[filter]);
+            }
+        }
+
+        if (filters.since) {
+            conditions.push('timestamp >= ?');
+            params.push(filters.since);
+        }
+
+        if (filters.until) {
+            conditions.push('timestamp <= ?');
+            params.push(filters.until);
+        }
+
+        if (conditions.length > 0) {
+            query += ' WHERE ' + conditions.join(' AND ');
+        }
+
+        query += ' ORDER BY id DESC LIMIT ?';
+        params.push(Math.min(filters.limit || DEFAULT_LIMIT, MAX_LIMIT));
+
+        const rows = await db.all(query, params);
+        return rows.map(row => this.formatEntry(row));
+    }
+
+    /**
+     * Recompute the hash chain from the first entry
+     * Any edited, removed or reordered entry breaks the link to the next one
+     * @returns {Object} { valid, entries, headHash, brokenAt }
+     */
+    async verifyChain() {
+        let prevHash = GENESIS_HASH;
+        let lastId = 0;
+        let entries = 0;
+
+        for (;;) {
+            const rows = await db.all(
+                'SELECT * FROM audit_log WHERE id > ? ORDER BY id ASC LIMIT ?',
+                [lastId, MAX_LIMIT]
+            );
+            if (rows.length === 0) break;
+
+            for (const row of rows) {
+                if (row.prev_hash !== prevHash) {
+                    return { valid: false, entries, headHash: prevHash, brokenAt: { id: row.id, reason: 'Previous hash does not match' } };
+                }
+                if (hashEntry(row) !== row.hash) {
+                    return { valid: false, entries, headHash: prevHash, brokenAt: { id: row.id, reason: 'Entry hash does not match its contents' } };
+                }
+
+                prevHash = row.hash;
+                lastId = row.id;
+                entries++;
+            }
+        }
+
+        return { valid: true, entries, headHash: prevHash, brokenAt: null };
+    }
+
+    /**
+     * Format audit row for API response
+     * @param {Object} row - Raw audit row
+     * @returns {Object} Formatted entry
+     */
+    formatEntry(row) {
+        return {
+            id: row.id,
+            timestamp: row.timestamp,
+            actor: row.actor,
+            actorType: row.actor_type,
+            action: row.action,
+            entityType: row.entity_type,
+            entityId: row.entity_id,
+            before: row.before_value ? JSON.parse(row.before_value) : null,
+            after: row.after_value ? JSON.parse(row.after_value) : null,
+            source: row.source,
+            prevHash: row.prev_hash,
+            hash: row.hash
+        };
+    }
+}
+
+// Helper functions
+
+function serialize(value) {
+    return value === null || value === undefined ? null : JSON.stringify(value);
+}
+
+// Covers every stored column except the ID, exactly as stored
+function hashEntry(row) {
+    const content = JSON.stringify([
+        row.prev_hash,
+        row.timestamp,
+        row.actor,
+        row.actor_type,
+        row.action,
+        row.entity_type,
+        row.entity_id,
+        row.before_value,
+        row.after_value,
+        row.source
+    ]);
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,332 @@
+/**
+ * Auth Service
+ * Handles user accounts, password hashing and JWT sessions with refresh tokens
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database/connection');
+
+// Secret used to sign access tokens; without one every restart invalidates all sessions
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Lifetime of access tokens (jsonwebtoken format, e.g. '15m', '1h')
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+// Lifetime of refresh tokens in days
+const REFRESH_TOKEN_DAYS = parseFloat(process.env.JWT_REFRESH_EXPIRES_DAYS) || 7;
+
+// bcrypt cost factor for password hashes
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 10;
+
+const JWT_ISSUER = 'uav-disaster-response';
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ROLES = ['admin', 'operator', 'viewer'];
+
+if (!process.env.JWT_SECRET) {
+    console.warn('⚠️ JWT_SECRET is not set; using a random secret, sessions will not survive a restart');
+}
+
+class AuthService {
+    /**
+     * Available user roles
+     * @returns {Array} Role names
+     */
+    getRoles() {
+        return ROLES;
+    }
+
+    /**
+     * Check registration input
+     * @param {Object} userData - { username, email, password, role }
+     * @returns {Array} Validation errors (empty if valid)
+     */
+    validateRegistration(userData) {
+        const { username, email, password, role } = userData;
+        const errors = [];
+
+        if (!USERNAME_PATTERN.test(username || '')) {
+            errors.push('username must be 3-32 letters, digits, dots, dashes or underscores');
+        }
+        if (!EMAIL_PATTERN.test(email || '')) {
+            errors.push('email must be a valid email address');
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        if (role !== undefined && !ROLES.includes(role)) {
+            errors.push(`role must be one of: ${ROLES.join(', ')}`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Create a user account
+     * The first account becomes an admin so a fresh deployment can be administered
+     * @param {Object} userData - { username, email, password, role }
+     * @returns {Object|null} Created user or null if the username or email is taken
+     */
+    async createUser(userData) {
+        const { username, email, password } = userData;
+
+        const existing = await db.get(
+            'SELECT id FROM users WHERE username = ? COLLATE NOCASE OR email = ? COLLATE NOCASE',
+            [username, email]
+        );
+        if (existing) {
+            return null;
+        }
+
+        const { count } = await db.get('SELECT COUNT(*) as count FROM users');
+        const role = count === 0 ? 'admin' : (userData.role || 'viewer');
+
+        const userId = uuidv4();
+        const now = new Date().toISOString();
+        const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+        await db.run(
+            `INSERT INTO users (id, username, email, password_hash, role, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [userId, username, email.toLowerCase(), passwordHash, role, now, now]
+        );
+
+        return this.getUserById(userId);
+    }
+
+    /**
+     * Check a username (or email) and password
+     * @param {string} login - Username or email
+     * @param {string} password - Plain text password
+     * @returns {Object|null} User or null if the credentials are wrong
+     */
+    async verifyCredentials(login, password) {
+        const user = await db.get(
+            'SELECT * FROM users WHERE username = ? COLLATE NOCASE OR email = ? COLLATE NOCASE',
+            [login, login]
+        );
+
+        if (!user || !(await bcrypt.compare(password, user.password_hash))) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        await db.run('UPDATE users SET last_login = ? WHERE id = ?', [now, user.id]);
+
+        return this.formatUser({ ...user, last_login: now });
+    }
+
+    /**
+     * Get user by ID
+     * @param {string} userId - User ID
+     * @returns {Object|null} User or null
+     */
+    async getUserById(userId) {
+        const user = await db.get('SELECT * FROM users WHERE id = ?', [userId]);
+        return user ? this.formatUser(user) : null;
+    }
+
+    /**
+     * Issue an access token and a refresh token for a user
+     * @param {Object} user - Formatted user
+     * @returns {Object} { token, refreshToken, expiresAt, refreshExpiresAt }
+     */
+    async createSession(user) {
+        const token = jwt.sign(
+            { sub: user.id, username: user.username, role: user.role },
+            JWT_SECRET,
+            { expiresIn: JWT_EXPIRES_IN, issuer: JWT_ISSUER, jwtid: uuidv4() }
+        );
+        const { exp } = jwt.decode(token);
+
+        const refreshToken = crypto.randomBytes(48).toString('hex');
+        const refreshExpiresAt = new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        const refreshId = uuidv4();
+
+        await db.run(
+            `INSERT INTO refresh_tokens (id, user_id, token_hash, expires_at, created_at)
+             VALUES (?, ?, ?, ?, ?)`,
+            [refreshId, user.id, hashToken(refreshToken), refreshExpiresAt, new Date().toISOString()]
+        );
+
+        return {
+            token,
+            refreshToken,
+            expiresAt: new Date(exp * 1000).toISOString(),
+            refreshExpiresAt,
+            refreshId
+        };
+    }
+
+    /**
+     * Exchange a refresh token for a new session
+     * Refresh tokens are single use; presenting one that was already rotated revokes every
+     * session of its user, since either the user or an attacker holds a stolen copy
+     * @param {string} refreshToken - Refresh token
+     * @returns {Object|null} { user, session }, { revokedUserId } when a reused token revoked its
+     *                        user's sessions, or null if the token is invalid
+     */
+    async refreshSession(refreshToken) {
+        const stored = await db.get(
+            'SELECT * FROM refresh_tokens WHERE token_hash = ?',
+            [hashToken(refreshToken || '')]
+        );
+        if (!stored) {
+            return null;
+        }
+
+        if (stored.revoked_at) {
+            return await this.rejectRevokedToken(stored);
+        }
+
+        if (Date.parse(stored.expires_at) <= Date.now()) {
+            return null;
+        }
+
+        const user = await this.getUserById(stored.user_id);
+        if (!user) {
+            return null;
+        }
+
+        // Store the replacement, then revoke the presented token only if it is still live. Of two
+        // requests presenting it at once the loser counts as reuse, which revokes the winner's replacement too
+        const session = await this.createSession(user);
+        const rotated = await db.run(
+            'UPDATE refresh_tokens SET revoked_at = ?, replaced_by = ? WHERE id = ? AND revoked_at IS NULL',
+            [new Date().toISOString(), session.refreshId, stored.id]
+        );
+        if (rotated.changes === 0) {
+            await db.run('UPDATE refresh_tokens SET revoked_at = ? WHERE id = ?', [new Date().toISOString(), session.refreshId]);
+            return await this.rejectRevokedToken(await db.get('SELECT * FROM refresh_tokens WHERE id = ?', [stored.id]));
+        }
+
+        return { user, session };
+    }
+
+    /**
+     * Refuse a refresh token that is already revoked, revoking every session of its user
+     * when the token had been rotated
+     * @param {Object} stored - refresh_tokens row
+     * @returns {Object|null} { revokedUserId } after a reuse, otherwise null
+     */
+    async rejectRevokedToken(stored) {
+        if (!stored || !stored.replaced_by) {
+            return null;
+        }
+
+        console.warn(`⚠️ Reused refresh token for user ${stored.user_id}, revoking all sessions`);
+        await this.revokeAllSessions(stored.user_id);
+        return { revokedUserId: stored.user_id };
+    }
+
+    /**
+     * Verify an access token and load its user
+     * @param {string} token - JWT access token
+     * @returns {Object|null} User with the token's jti and expiry, or null if invalid or revoked
+     */
+    async verifyAccessToken(token) {
+        let payload;
+        try {
+            payload = jwt.verify(token, JWT_SECRET, { issuer: JWT_ISSUER });
+        } catch (error) {
+            return null;
+        }
+
+        const revoked = await db.get('SELECT jti FROM revoked_tokens WHERE jti = ?', [payload.jti]);
+        if (revoked) {
+            return null;
+        }
+
+        const user = await this.getUserById(payload.sub);
+        if (!user) {
+            return null;
+        }
+
+        return {
+            ...user,
+            tokenId: payload.jti,
+            tokenExpiresAt: new Date(payload.exp * 1000).toISOString()
+        };
+    }
+
+    /**
+     * End a session by revoking its access token and refresh token
+     * @param {Object} options - { user, refreshToken } where user comes from verifyAccessToken
+     * @returns {boolean} True if anything was revoked
+     */
+    async revokeSession({ user, refreshToken }) {
+        const now = new Date().toISOString();
+        let revoked = false;
+
+        if (user && user.tokenId) {
+            await db.run(
+                'INSERT OR IGNORE INTO revoked_tokens (jti, user_id, expires_at, revoked_at) VALUES (?, ?, ?, ?)',
+                [user.tokenId, user.id, user.tokenExpiresAt, now]
+            );
+            revoked = true;
+        }
+
+        if (refreshToken) {
+            const result = await db.run(
+                'UPDATE refresh_tokens SET revoked_at = ? WHERE token_hash = ? AND revoked_at IS NULL',
+                [now, hashToken(refreshToken)]
+            );
+            revoked = revoked || result.changes > 0;
+        }
+
+        await this.cleanExpiredTokens();
+
+        return revoked;
+    }
+
+    /**
+     * Revoke every refresh token of a user
+     * @param {string} userId - User ID
+     * @returns {number} Number of sessions revoked
+     */
+    async revokeAllSessions(userId) {
+        const result = await db.run(
+            'UPDATE refresh_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL',
+            [new Date().toISOString(), userId]
+        );
+        return result.changes;
+    }
+
+    /**
+     * Remove revocation entries and refresh tokens that have expired anyway
+     */
+    async cleanExpiredTokens() {
+        const now = new Date().toISOString();
+        await db.run('DELETE FROM revoked_tokens WHERE expires_at <= ?', [now]);
+        await db.run('DELETE FROM refresh_tokens WHERE expires_at <= ?', [now]);
+    }
+
+    /**
+     * Format user for API response (never includes the password hash)
+     * @param {Object} user - Raw user data
+     * @returns {Object} Formatted user
+     */
+    formatUser(user) {
+        return {
+            id: user.id,
+            username: user.username,
+            email: user.email,
+            role: user.role,
+            createdAt: user.created_at,
+            updatedAt: user.updated_at,
+            lastLogin: user.last_login
+        };
+    }
+}
+
+// Helper functions
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,250 @@
+/**
+ * Coverage Service
+ * Rasterises UAV camera footprints from telemetry onto each mission's coverage grid
+ */
+
+const db = require('../database/connection');
+const { sweptRing } = require('../geo/footprint');
+const {
+    createGrid,
+    cellsInRing,
+    countCellsInRing,
+    cellInRingTest,
+    overlayCollection,
+    joinsTrack,
+    cellArea
+} = require('../geo/coverage');
+
+// Rows written per INSERT statement
+const INSERT_BATCH = 200;
+
+class CoverageService {
+    /**
+     * Mark the cells a UAV's camera saw since its previous position on a mission
+     * @param {string} missionId - Mission ID
+     * @param {string} uavId - UAV ID
+     * @param {Object|null} previous - { lat, lng, altitude, timestamp } last stored for the UAV on the mission
+     * @param {Object} position - { lat, lng, altitude, timestamp }
+     * @returns {number} Newly covered cells
+     */
+    async recordPosition(missionId, uavId, previous, position) {
+        const mission = await this.ensureGrid(missionId, position);
+        if (!mission) {
+            return 0;
+        }
+
+        const cells = new Map();
+        addFootprint(cells, mission.grid, previous, position);
+
+        return await this.markCells(mission, cells, uavId, position.timestamp);
+    }
+
+    /**
+     * Get a mission's coverage and its grid overlay
+     * @param {string} missionId - Mission ID
+     * @returns {Object|null} Coverage or null if the mission does not exist
+     */
+    async getCoverage(missionId) {
+        const mission = await this.ensureGrid(missionId);
+        if (!mission) {
+            return null;
+        }
+
+        const coverage = {
+            missionId,
+            cellMeters: null,
+            coveredCells: 0,
+            areaCoveredSqMeters: 0,
+            searchAreaSqMeters: null,
+            coveragePercent: null,
+            overlay: overlayCollection(null, [], { missionId })
+        };
+
+        if (!mission.grid) {
+            return coverage;
+        }
+
+        const rows = await db.all(`
+            SELECT cell_row, cell_col, in_area FROM mission_coverage_cells
+            WHERE mission_id = ?
+            ORDER BY cell_row ASC, cell_col ASC
+        `, [missionId]);
+
+        const area = cellArea(mission.grid);
+        return {
+            ...coverage,
+            cellMeters: round(mission.grid.cellMeters, 2),
+            coveredCells: rows.length,
+            areaCoveredSqMeters: Math.round(rows.length * area),
+            searchAreaSqMeters: mission.searchAreaCells != null ? Math.round(mission.searchAreaCells * area) : null,
+            coveragePercent: coveragePercent(mission.coveredAreaCells, mission.searchAreaCells),
+            overlay: overlayCollection(
+                mission.grid,
+                rows.map(row => ({ row: row.cell_row, col: row.cell_col, inArea: row.in_area === 1 })),
+                { missionId, cellMeters: mission.grid.cellMeters, generatedAt: new Date().toISOString() }
+            )
+        };
+    }
+
+    /**
+     * Load a mission's grid, laying it out on first use
+     * A mission that already flew before it had a grid gets its telemetry replayed onto the new one
+     * @param {string} missionId - Mission ID
+     * @param {Object} anchor - { lat, lng } anchoring an automatic mission's grid; defaults to its first telemetry
+     * @returns {Object|null} { id, grid, searchRing, searchAreaCells, coveredAreaCells } or null if not found
+     */
+    async ensureGrid(missionId, anchor) {
+        let mission = await this.getGridState(missionId);
+        if (!mission || mission.grid) {
+            return mission;
+        }
+
+        const first = anchor ? null : await db.get(
+            'SELECT lat, lng FROM mission_telemetry WHERE mission_id = ? ORDER BY timestamp ASC, id ASC LIMIT 1',
+            [missionId]
+        );
+        if (!mission.searchRing && !anchor && !first) {
+            return mission;
+        }
+
+        const grid = createGrid(mission.searchRing, anchor || first);
+        const searchAreaCells = mission.searchRing ? countCellsInRing(grid, mission.searchRing) : null;
+
+        // Only one caller lays the grid out; the others read it back
+        const { changes } = await db.run(`
+            UPDATE missions
+            SET coverage_origin_lat = ?, coverage_origin_lng = ?, coverage_cell_meters = ?, search_area_cells = ?
+            WHERE id = ? AND coverage_origin_lat IS NULL
+        `, [grid.originLat, grid.originLng, grid.cellMeters, searchAreaCells, missionId]);
+
+        mission = await this.getGridState(missionId);
+        if (changes > 0) {
+            await this.replayTelemetry(mission);
+            mission = await this.getGridState(missionId);
+        }
+        return mission;
+    }
+
+    /**
+     * Rasterise everything a mission has already flown onto its grid
+     * @param {Object} mission - Grid state from getGridState
+     */
+    async replayTelemetry(mission) {
+        const rows = await db.all(`
+            SELECT uav_id, lat, lng, altitude, timestamp FROM mission_telemetry
+            WHERE mission_id = ?
+            ORDER BY uav_id, timestamp ASC, id ASC
+        `, [mission.id]);
+
+        const byUAV = new Map();
+        let previous = null;
+        for (const row of rows) {
+            if (!byUAV.has(row.uav_id)) {
+                byUAV.set(row.uav_id, new Map());
+                previous = null;
+            }
+            addFootprint(byUAV.get(row.uav_id), mission.grid, previous, row);
+            previous = row;
+        }
+
+        for (const [uavId, cells] of byUAV) {
+            await this.markCells(mission, cells, uavId, new Date().toISOString());
+        }
+
+        if (rows.length > 0) {
+            console.log(`🧭 Replayed ${rows.length} telemetry records onto the coverage grid of mission ${mission.id}`);
+        }
+    }
+
+    /**
+     * Store newly covered cells and add them to the mission's covered area
+     * @param {Object} mission - Grid state from getGridState
+     * @param {Map} cells - [row, col] by "row:col" key
+     * @param {string} uavId - UAV whose camera covered them
+     * @param {string} coveredAt - When they were covered
+     * @returns {number} Cells that were not covered before
+     */
+    async markCells(mission, cells, uavId, coveredAt) {
+        const inSearchArea = mission.searchRing ? cellInRingTest(mission.grid, mission.searchRing) : () => false;
+        const groups = [{ inArea: 1, cells: [] }, { inArea: 0, cells: [] }];
+        for (const [row, col] of cells.values()) {
+            groups[inSearchArea(row, col) ? 0 : 1].cells.push([row, col]);
+        }
+
+        let added = 0;
+        let addedInArea = 0;
+        for (const group of groups) {
+            for (let i = 0; i < group.cells.length; i += INSERT_BATCH) {
+                const batch = group.cells.slice(i, i + INSERT_BATCH);
+                const { changes } = await db.run(`
+                    INSERT OR IGNORE INTO mission_coverage_cells (mission_id, cell_row, cell_col, in_area, uav_id, covered_at)
+                    VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}
+                `, batch.flatMap(([row, col]) => [mission.id, row, col, group.inArea, uavId, coveredAt]));
+
+                added += changes;
+                if (group.inArea) addedInArea += changes;
+            }
+        }
+
+        if (added > 0) {
+            await db.run(`
+                UPDATE missions
+                SET area_covered = COALESCE(area_covered, 0) + ?, covered_area_cells = covered_area_cells + ?
+                WHERE id = ?
+            `, [added * cellArea(mission.grid), addedInArea, mission.id]);
+        }
+
+        return added;
+    }
+
+    /**
+     * Read a mission's grid and coverage counters
+     * @param {string} missionId - Mission ID
+     * @returns {Object|null} { id, grid, searchRing, searchAreaCells, coveredAreaCells } or null if not found
+     */
+    async getGridState(missionId) {
+        const row = await db.get(`
+            SELECT id, search_area, coverage_origin_lat, coverage_origin_lng, coverage_cell_meters,
+                   search_area_cells, covered_area_cells
+            FROM missions WHERE id = ?
+        `, [missionId]);
+
+        if (!row) {
+            return null;
+        }
+
+        return {
+            id: row.id,
+            grid: row.coverage_origin_lat != null ? {
+                originLat: row.coverage_origin_lat,
+                originLng: row.coverage_origin_lng,
+                cellMeters: row.coverage_cell_meters
+            } : null,
+            searchRing: row.search_area ? JSON.parse(row.search_area).coordinates[0] : null,
+            searchAreaCells: row.search_area_cells,
+            coveredAreaCells: row.covered_area_cells || 0
+        };
+    }
+}
+
+// Helper functions
+
+// Add the cells seen flying from the previous position to this one (or at this one alone)
+function addFootprint(cells, grid, previous, position) {
+    const ring = joinsTrack(previous, position) ? sweptRing(previous, position) : sweptRing(position, position);
+
+    for (const [row, col] of cellsInRing(grid, ring)) {
+        cells.set(`${row}:${col}`, [row, col]);
+    }
+}
+
+function coveragePercent(coveredCells, searchAreaCells) {
+    return searchAreaCells ? Math.min(round(100 * coveredCells / searchAreaCells, 1), 100) : null;
+}
+
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = new CoverageService();
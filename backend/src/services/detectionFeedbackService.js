@@ -0,0 +1,340 @@
+/**
+ * Detection Feedback Service
+ * Turns operator verdicts on survivor detections into per-UAV quality statistics
+ * and labelled training signals for the next federated round
+ */
+
+const db = require('../database/connection');
+const { CONFIRMED_STATES } = require('../rescue/lifecycle');
+
+// Survivor statuses that carry an operator verdict: any state past confirmation is a real person
+const VERDICT_LABELS = {
+    ...Object.fromEntries(CONFIRMED_STATES.map(state => [state, 'true_positive'])),
+    false_positive: 'false_positive'
+};
+
+// SQL list of the confirmed states, for the statistics queries
+const CONFIRMED_SQL = CONFIRMED_STATES.map(state => `'${state}'`).join(', ');
+
+// Detections from different UAVs within this distance refer to the same person
+const MATCH_RADIUS_METERS = parseFloat(process.env.FEEDBACK_MATCH_RADIUS_METERS) || 25;
+
+// A UAV that flew within this distance of a confirmed survivor could have detected it
+const SENSOR_RADIUS_METERS = parseFloat(process.env.FEEDBACK_SENSOR_RADIUS_METERS) || 50;
+
+// Maximum number of training signals handed to a UAV per report
+const MAX_SIGNALS_PER_DELIVERY = 50;
+
+class DetectionFeedbackService {
+    /**
+     * Record, change or withdraw the label for a survivor after its status changed
+     * A changed verdict is queued for delivery again so UAVs learn the correction
+     * @param {Object} survivor - Formatted survivor record
+     * @param {string} labelledBy - Operator who gave the verdict (optional)
+     * @returns {Object|null} Label or null if the survivor carries no verdict
+     */
+    async syncLabel(survivor, labelledBy = null) {
+        const label = VERDICT_LABELS[survivor.status];
+
+        if (!label) {
+            await db.run('DELETE FROM detection_labels WHERE survivor_id = ?', [survivor.id]);
+            return null;
+        }
+
+        const existing = await db.get('SELECT label FROM detection_labels WHERE survivor_id = ?', [survivor.id]);
+        if (existing && existing.label === label) {
+            return await this.getLabel(survivor.id);
+        }
+
+        const query = `
+            INSERT INTO detection_labels (
+                survivor_id, uav_id, label, confidence, detection_type,
+                lat, lng, detected_at, labelled_by, labelled_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(survivor_id) DO UPDATE SET
+                label = excluded.label,
+                labelled_by = excluded.labelled_by,
+                labelled_at = excluded.labelled_at,
+                delivered_round_id = NULL,
+                delivered_at = NULL
+        `;
+
+        await db.run(query, [
+            survivor.id,
+            survivor.uavId,
+            label,
+            survivor.confidence,
+            survivor.detectionType,
+            survivor.coordinates.lat,
+            survivor.coordinates.lng,
+            survivor.createdAt,
+            labelledBy,
+            new Date().toISOString()
+        ]);
+
+        console.log(`🏷️ Detection ${survivor.id} from ${survivor.uavId} labelled ${label}`);
+
+        return await this.getLabel(survivor.id);
+    }
+
+    /**
+     * Get the label for a survivor
+     * @param {string} survivorId - Survivor ID
+     * @returns {Object|null} Label or null
+     */
+    async getLabel(survivorId) {
+        const row = await db.get('SELECT * FROM detection_labels WHERE survivor_id = ?', [survivorId]);
+        return row ? this.formatLabel(row) : null;
+    }
+
+    /**
+     * Get labelled samples with optional filtering
+     * @param {Object} filters - { uavId, label, undelivered, since, limit }
+     * @returns {Array} Labelled samples, newest first
+     */
+    async getSamples(filters = {}) {
+        let query = 'SELECT * FROM detection_labels';
+        const params = [];
+        const conditions = [];
+
+        if (filters.uavId) {
+            conditions.push('uav_id = ?');
+            params.push(filters.uavId);
+        }
+
+        if (filters.label) {
+            conditions.push('label = ?');
+            params.push(filters.label);
+        }
+
+        if (filters.undelivered) {
+            conditions.push('delivered_at IS NULL');
+        }
+
+        if (filters.since) {
+            conditions.push('labelled_at >= ?');
+            params.push(filters.since);
+        }
+
+        if (conditions.length > 0) {
+            query += ' WHERE ' + conditions.join(' AND ');
+        }
+
+        query += ' ORDER BY labelled_at DESC LIMIT ?';
+        params.push(filters.limit || 100);
+
+        const rows = await db.all(query, params);
+        return rows.map(row => this.formatLabel(row));
+    }
+
+    /**
+     * Hand a UAV the labels on its own detections it has not received yet
+     * @param {string} uavId - UAV ID
+     * @param {string|null} roundId - Federated round the signals are meant for
+     * @returns {Array} Training signals
+     */
+    async takeTrainingSignals(uavId, roundId = null) {
+        const rows = await db.all(
+            `SELECT * FROM detection_labels WHERE uav_id = ? AND delivered_at IS NULL
+             ORDER BY labelled_at ASC LIMIT ?`,
+            [uavId, MAX_SIGNALS_PER_DELIVERY]
+        );
+
+        if (rows.length === 0) {
+            return [];
+        }
+
+        await db.run(
+            `UPDATE detection_labels SET delivered_round_id = ?, delivered_at = ?
+             WHERE id IN (${rows.map(() => '?').join(', ')})`,
+            [roundId, new Date().toISOString(), ...rows.map(row => row.id)]
+        );
+
+        return rows.map(row => this.formatTrainingSignal(row));
+    }
+
+    /**
+     * Count labels delivered for a round
+     * @param {string} roundId - Round ID
+     * @returns {number} Number of labels
+     */
+    async countDeliveredForRound(roundId) {
+        const row = await db.get(
+            'SELECT COUNT(*) as count FROM detection_labels WHERE delivered_round_id = ?',
+            [roundId]
+        );
+
+        return row.count;
+    }
+
+    /**
+     * Get detection quality statistics per UAV
+     * Precision uses operator verdicts on the UAV's own detections. Recall counts a confirmed
+     * survivor as missed when the UAV flew within sensor range of it without detecting it.
+     * @param {string} uavId - Restrict to one UAV (optional)
+     * @returns {Array} Per-UAV statistics
+     */
+    async getStatistics(uavId = null) {
+        const uavRows = uavId
+            ? [{ uav_id: uavId }]
+            : await db.all(
+                `SELECT uav_id FROM survivors UNION SELECT uav_id FROM mission_telemetry
+                 ORDER BY uav_id ASC`
+            );
+
+        const confirmed = await db.all(
+            `SELECT id, uav_id, lat, lng FROM survivors WHERE status IN (${CONFIRMED_SQL})`
+        );
+
+        const stats = [];
+        for (const row of uavRows) {
+            stats.push(await this.getUAVStatistics(row.uav_id, confirmed));
+        }
+
+        return stats;
+    }
+
+    /**
+     * Get detection quality statistics for one UAV
+     * @param {string} uavId - UAV ID
+     * @param {Array} confirmed - Confirmed survivors across the fleet
+     * @returns {Object} UAV statistics
+     */
+    async getUAVStatistics(uavId, confirmed) {
+        const counts = await db.get(
+            `SELECT
+                SUM(CASE WHEN status IN (${CONFIRMED_SQL}) THEN 1 ELSE 0 END) as true_positives,
+                SUM(CASE WHEN status = 'false_positive' THEN 1 ELSE 0 END) as false_positives,
+                SUM(CASE WHEN status NOT IN (${CONFIRMED_SQL}, 'false_positive') THEN 1 ELSE 0 END) as unlabelled,
+                AVG(CASE WHEN status IN (${CONFIRMED_SQL}) THEN confidence END) as tp_confidence,
+                AVG(CASE WHEN status = 'false_positive' THEN confidence END) as fp_confidence
+             FROM survivors WHERE uav_id = ?`,
+            [uavId]
+        );
+
+        const ownConfirmed = confirmed.filter(survivor => survivor.uav_id === uavId);
+        let falseNegatives = 0;
+
+        for (const survivor of confirmed) {
+            if (survivor.uav_id === uavId) continue;
+
+            const detectedByUAV = ownConfirmed.some(own =>
+                distanceMeters(own.lat, own.lng, survivor.lat, survivor.lng) <= MATCH_RADIUS_METERS
+            );
+
+            if (!detectedByUAV && await this.flewNear(uavId, survivor.lat, survivor.lng)) {
+                falseNegatives++;
+            }
+        }
+
+        const truePositives = counts.true_positives || 0;
+        const falsePositives = counts.false_positives || 0;
+
+        return {
+            uavId,
+            truePositives,
+            falsePositives,
+            falseNegatives,
+            unlabelled: counts.unlabelled || 0,
+            precision: truePositives + falsePositives > 0 ? truePositives / (truePositives + falsePositives) : null,
+            recall: truePositives + falseNegatives > 0 ? truePositives / (truePositives + falseNegatives) : null,
+            meanConfidence: {
+                truePositive: counts.tp_confidence,
+                falsePositive: counts.fp_confidence
+            },
+            pendingSignals: await this.countUndelivered(uavId)
+        };
+    }
+
+    /**
+     * Check whether a UAV's telemetry passed within sensor range of a point
+     * @param {string} uavId - UAV ID
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {boolean} True if the UAV flew near the point
+     */
+    async flewNear(uavId, lat, lng) {
+        const dLat = SENSOR_RADIUS_METERS / 111320;
+        const dLng = SENSOR_RADIUS_METERS / (111320 * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+
+        const rows = await db.all(
+            `SELECT lat, lng FROM mission_telemetry
+             WHERE uav_id = ? AND lat BETWEEN ? AND ? AND lng BETWEEN ? AND ?`,
+            [uavId, lat - dLat, lat + dLat, lng - dLng, lng + dLng]
+        );
+
+        return rows.some(row => distanceMeters(row.lat, row.lng, lat, lng) <= SENSOR_RADIUS_METERS);
+    }
+
+    /**
+     * Count labels not yet delivered to a UAV
+     * @param {string} uavId - UAV ID
+     * @returns {number} Number of undelivered labels
+     */
+    async countUndelivered(uavId) {
+        const row = await db.get(
+            'SELECT COUNT(*) as count FROM detection_labels WHERE uav_id = ? AND delivered_at IS NULL',
+            [uavId]
+        );
+
+        return row.count;
+    }
+
+    /**
+     * Format label record for API response
+     * @param {Object} row - Raw label record from database
+     * @returns {Object} Formatted label
+     */
+    formatLabel(row) {
+        return {
+            survivorId: row.survivor_id,
+            uavId: row.uav_id,
+            label: row.label,
+            confidence: row.confidence,
+            detectionType: row.detection_type,
+            coordinates: {
+                lat: row.lat,
+                lng: row.lng
+            },
+            detectedAt: row.detected_at,
+            labelledBy: row.labelled_by,
+            labelledAt: row.labelled_at,
+            deliveredRoundId: row.delivered_round_id,
+            deliveredAt: row.delivered_at
+        };
+    }
+
+    /**
+     * Format label record as a training signal for the UAV
+     * @param {Object} row - Raw label record from database
+     * @returns {Object} Training signal
+     */
+    formatTrainingSignal(row) {
+        return {
+            survivorId: row.survivor_id,
+            label: row.label,
+            target: row.label === 'true_positive' ? 1 : 0,
+            detectedConfidence: row.confidence,
+            detectionType: row.detection_type,
+            coordinates: {
+                lat: row.lat,
+                lng: row.lng
+            },
+            detectedAt: row.detected_at
+        };
+    }
+}
+
+// Helper functions
+
+function distanceMeters(lat1, lng1, lat2, lng2) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+module.exports = new DetectionFeedbackService();
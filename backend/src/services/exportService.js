@@ -0,0 +1,206 @@
+/**
+ * Export Service
+ * Gathers survivors, UAV tracks and covered areas for the GeoJSON and KML exports
+ */
+
+const db = require('../database/connection');
+const survivorService = require('./survivorService');
+const hazardService = require('./hazardService');
+const missionService = require('./missionService');
+const { distanceMeters } = require('../geo/spatial');
+const { sweptRing } = require('../geo/footprint');
+
+// Most telemetry points read by one track or coverage export; the rest are left out
+const MAX_TELEMETRY_POINTS = parseInt(process.env.EXPORT_MAX_TELEMETRY_POINTS) || 100000;
+
+// Telemetry further apart than this starts a new track segment instead of drawing a line across the gap
+const TRACK_GAP_SECONDS = parseInt(process.env.EXPORT_TRACK_GAP_SECONDS) || 120;
+
+class ExportService {
+    /**
+     * Get survivors seen by a mission or within a time range
+     * A survivor is included when one of its detections matches, so fused survivors
+     * show up in every mission that saw them
+     * @param {Object} filters - { missionId, since, until, status }
+     * @returns {Array} Formatted survivors
+     */
+    async getSurvivors(filters = {}) {
+        const detectionConditions = ['d.survivor_id = s.id'];
+        const params = [];
+
+        if (filters.missionId) {
+            const mission = await missionService.getMissionById(filters.missionId);
+            if (!mission) {
+                return [];
+            }
+            // Detections and telemetry are both stamped by the aircraft clock, so the mission's
+            // telemetry bounds its detections
+            detectionConditions.push(
+                'd.uav_id IN (SELECT uav_id FROM mission_uavs WHERE mission_id = ?)',
+                'd.detected_at >= (SELECT MIN(timestamp) FROM mission_telemetry WHERE mission_id = ?)',
+                'd.detected_at <= (SELECT MAX(timestamp) FROM mission_telemetry WHERE mission_id = ?)'
+            );
+            params.push(mission.id, mission.id, mission.id);
+        }
+
+        if (filters.since) {
+            detectionConditions.push('d.detected_at >= ?');
+            params.push(filters.since);
+        }
+
+        if (filters.until) {
+            detectionConditions.push('d.detected_at <= ?');
+            params.push(filters.until);
+        }
+
+        let query = `SELECT s.* FROM survivors s
+            WHERE EXISTS (SELECT 1 FROM survivor_detections d WHERE ${detectionConditions.join(' AND ')})`;
+
+        if (filters.status) {
+            query += ' AND s.status = ?';
+            params.push(filters.status);
+        }
+
+        query += ' ORDER BY s.timestamp ASC';
+
+        const rows = await db.all(query, params);
+        const hazards = await hazardService.getActiveHazards();
+
+        return rows.map(row => survivorService.formatSurvivor(row, hazards));
+    }
+
+    /**
+     * Build the flight track of each mission and UAV from recorded telemetry
+     * @param {Object} filters - { missionId, uavId, since, until }
+     * @returns {Object} { tracks, truncated } where truncated is true if points were left out
+     */
+    async getTracks(filters = {}) {
+        const { rows, truncated } = await this.getTelemetryPoints(filters);
+        const tracks = [];
+        let track = null;
+        let previous = null;
+
+        for (const row of rows) {
+            const point = {
+                lat: row.lat,
+                lng: row.lng,
+                altitude: row.altitude,
+                timestamp: row.timestamp
+            };
+
+            if (!track || track.missionId !== row.mission_id || track.uavId !== row.uav_id) {
+                track = {
+                    missionId: row.mission_id,
+                    uavId: row.uav_id,
+                    startTime: row.timestamp,
+                    endTime: row.timestamp,
+                    points: 0,
+                    distanceMeters: 0,
+                    segments: [[]]
+                };
+                tracks.push(track);
+                previous = null;
+            }
+
+            if (previous && secondsBetween(previous.timestamp, point.timestamp) > TRACK_GAP_SECONDS) {
+                track.segments.push([]);
+            } else if (previous) {
+                track.distanceMeters += distanceMeters(previous.lat, previous.lng, point.lat, point.lng);
+            }
+
+            track.segments[track.segments.length - 1].push(point);
+            track.endTime = point.timestamp;
+            track.points++;
+            previous = point;
+        }
+
+        return { tracks, truncated };
+    }
+
+    /**
+     * Get the ground area swept by each UAV's camera along its tracks
+     * Each flown segment contributes the footprint swept between its two positions;
+     * isolated positions contribute a single footprint
+     * @param {Object} filters - { missionId, uavId, since, until }
+     * @returns {Object} { areas, truncated }
+     */
+    async getCoverage(filters = {}) {
+        const { tracks, truncated } = await this.getTracks(filters);
+
+        const areas = tracks.map(track => {
+            const rings = [];
+            for (const segment of track.segments) {
+                if (segment.length === 1) {
+                    rings.push(sweptRing(segment[0], segment[0]));
+                }
+                for (let i = 1; i < segment.length; i++) {
+                    rings.push(sweptRing(segment[i - 1], segment[i]));
+                }
+            }
+
+            return {
+                missionId: track.missionId,
+                uavId: track.uavId,
+                startTime: track.startTime,
+                endTime: track.endTime,
+                rings
+            };
+        }).filter(area => area.rings.length > 0);
+
+        return { areas, truncated };
+    }
+
+    /**
+     * Read telemetry in track order, up to MAX_TELEMETRY_POINTS
+     * @param {Object} filters - { missionId, uavId, since, until }
+     * @returns {Object} { rows, truncated }
+     */
+    async getTelemetryPoints(filters) {
+        let query = 'SELECT mission_id, uav_id, lat, lng, altitude, timestamp FROM mission_telemetry';
+        const params = [];
+        const conditions = [];
+
+        if (filters.missionId) {
+            conditions.push('mission_id = ?');
+            params.push(filters.missionId);
+        }
+
+        if (filters.uavId) {
+            conditions.push('uav_id = ?');
+            params.push(filters.uavId);
+        }
+
+        if (filters.since) {
+            conditions.push('timestamp >= ?');
+            params.push(filters.since);
+        }
+
+        if (filters.until) {
+            conditions.push('timestamp <= ?');
+            params.push(filters.until);
+        }
+
+        if (conditions.length > 0) {
+            query += ' WHERE ' + conditions.join(' AND ');
+        }
+
+        query += ' ORDER BY mission_id, uav_id, timestamp ASC, id ASC LIMIT ?';
+        params.push(MAX_TELEMETRY_POINTS + 1);
+
+        const rows = await db.all(query, params);
+        const truncated = rows.length > MAX_TELEMETRY_POINTS;
+        if (truncated) {
+            rows.pop();
+        }
+
+        return { rows, truncated };
+    }
+}
+
+// Helper functions
+
+function secondsBetween(from, to) {
+    return (new Date(to).getTime() - new Date(from).getTime()) / 1000;
+}
+
+module.exports = new ExportService();
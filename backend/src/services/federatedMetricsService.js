@@ -0,0 +1,172 @@
+/**
+ * Federated Metrics Service
+ * Summarises federated rounds, UAV contributions and model uploads for the learning dashboard
+ */
+
+const db = require('../database/connection');
+const modelRegistryService = require('./modelRegistryService');
+
+// Round metrics joined with its updates; superseded uploads are left out of the counts.
+// Only accepted updates trained on the round's base model report that model's accuracy.
+const ROUND_METRICS_QUERY = `
+    SELECT r.*,
+           COUNT(u.id) as submitted,
+           SUM(CASE WHEN u.status = 'rejected' THEN 1 ELSE 0 END) as rejected,
+           SUM(CASE WHEN u.status = 'flagged' THEN 1 ELSE 0 END) as flagged,
+           SUM(u.upload_bytes) as upload_bytes,
+           SUM(CASE WHEN u.status IN ('pending', 'aggregated') AND u.base_version = r.base_version
+                    AND u.base_accuracy IS NOT NULL THEN u.base_accuracy * u.training_samples END) /
+               SUM(CASE WHEN u.status IN ('pending', 'aggregated') AND u.base_version = r.base_version
+                        AND u.base_accuracy IS NOT NULL THEN u.training_samples END) as base_accuracy,
+           SUM(CASE WHEN u.status IN ('pending', 'aggregated') AND u.base_version = r.base_version
+                    AND u.base_accuracy IS NOT NULL THEN 1 ELSE 0 END) as accuracy_reports,
+           AVG(CASE WHEN u.status IN ('pending', 'aggregated') THEN u.accuracy_improvement END) as accuracy_improvement
+    FROM federated_rounds r
+    LEFT JOIN federated_updates u ON u.round_id = r.id AND u.status != 'superseded'
+`;
+
+class FederatedMetricsService {
+    /**
+     * Get per-round metrics in round order
+     * Accuracy is that of the round's base model, measured by UAVs on their own held-out data
+     * @param {number} limit - Number of most recent rounds
+     * @returns {Array} Round metrics, oldest first
+     */
+    async getRoundMetrics(limit = 50) {
+        const rows = await db.all(
+            `${ROUND_METRICS_QUERY} GROUP BY r.id ORDER BY r.round_number DESC LIMIT ?`,
+            [limit]
+        );
+
+        return rows.reverse().map(row => this.formatRoundMetrics(row));
+    }
+
+    /**
+     * Get metrics for one round
+     * @param {string} roundId - Round ID
+     * @returns {Object|null} Round metrics or null
+     */
+    async getRoundMetric(roundId) {
+        const row = await db.get(`${ROUND_METRICS_QUERY} WHERE r.id = ? GROUP BY r.id`, [roundId]);
+        return row ? this.formatRoundMetrics(row) : null;
+    }
+
+    /**
+     * Get contribution counts and model versions per UAV
+     * @returns {Array} UAV metrics sorted by UAV ID
+     */
+    async getUAVMetrics() {
+        const rows = await db.all(`
+            SELECT uav_id,
+                   COUNT(*) as submitted,
+                   SUM(CASE WHEN status = 'aggregated' THEN 1 ELSE 0 END) as contributions,
+                   SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
+                   SUM(CASE WHEN status = 'rejected' THEN 1 ELSE 0 END) as rejected,
+                   SUM(CASE WHEN status = 'flagged' THEN 1 ELSE 0 END) as flagged,
+                   SUM(CASE WHEN status = 'superseded' THEN 1 ELSE 0 END) as superseded,
+                   SUM(CASE WHEN status = 'aggregated' THEN training_samples ELSE 0 END) as contributed_samples,
+                   SUM(labelled_samples) as labelled_samples,
+                   SUM(upload_bytes) as upload_bytes,
+                   MAX(received_at) as last_update_at
+            FROM federated_updates
+            GROUP BY uav_id
+        `);
+
+        const states = await modelRegistryService.getFleetModelState(rows.map(row => row.uav_id));
+        const statsByUAV = {};
+        rows.forEach(row => {
+            statsByUAV[row.uav_id] = row;
+        });
+
+        return states.map(state => {
+            const row = statsByUAV[state.uavId] || {};
+
+            return {
+                uavId: state.uavId,
+                submitted: row.submitted || 0,
+                contributions: row.contributions || 0,
+                pending: row.pending || 0,
+                rejected: row.rejected || 0,
+                flagged: row.flagged || 0,
+                superseded: row.superseded || 0,
+                contributedSamples: row.contributed_samples || 0,
+                labelledSamples: row.labelled_samples || 0,
+                uploadBytes: row.upload_bytes || 0,
+                lastUpdateAt: row.last_update_at || null,
+                assignedVersion: state.assignedVersion,
+                reportedVersion: state.reportedVersion,
+                inSync: state.inSync
+            };
+        });
+    }
+
+    /**
+     * Get uploaded bytes per ISAC mode and why updates were turned away
+     * @returns {Object} { byMode, rejections }
+     */
+    async getUploadMetrics() {
+        const byMode = await db.all(`
+            SELECT COALESCE(isac_mode, 'unknown') as isac_mode,
+                   COUNT(*) as updates,
+                   SUM(CASE WHEN status IN ('pending', 'aggregated') THEN 1 ELSE 0 END) as accepted,
+                   SUM(upload_bytes) as bytes,
+                   AVG(upload_bytes) as average_bytes
+            FROM federated_updates
+            GROUP BY COALESCE(isac_mode, 'unknown')
+            ORDER BY isac_mode ASC
+        `);
+
+        const rejections = await db.all(`
+            SELECT CASE WHEN status = 'flagged' THEN COALESCE(flag_reason, 'flagged')
+                        ELSE COALESCE(admission_reason, 'unknown') END as reason,
+                   COUNT(*) as count
+            FROM federated_updates
+            WHERE status IN ('rejected', 'flagged')
+            GROUP BY reason
+            ORDER BY count DESC
+        `);
+
+        return {
+            byMode: byMode.map(row => ({
+                isacMode: row.isac_mode,
+                updates: row.updates,
+                accepted: row.accepted || 0,
+                bytes: row.bytes || 0,
+                averageBytes: row.average_bytes !== null ? Math.round(row.average_bytes) : null
+            })),
+            rejections: rejections.map(row => ({
+                reason: row.reason,
+                count: row.count
+            }))
+        };
+    }
+
+    /**
+     * Format round metrics row for API response
+     * @param {Object} row - Raw round metrics row
+     * @returns {Object} Formatted round metrics
+     */
+    formatRoundMetrics(row) {
+        return {
+            roundId: row.id,
+            roundNumber: row.round_number,
+            status: row.status,
+            baseVersion: row.base_version,
+            resultVersion: row.result_version,
+            aggregationRule: row.aggregation_rule,
+            participantCount: row.participant_count || 0,
+            totalSamples: row.total_samples || 0,
+            submitted: row.submitted || 0,
+            rejected: row.rejected || 0,
+            flagged: row.flagged || 0,
+            uploadBytes: row.upload_bytes || 0,
+            accuracy: row.base_accuracy,
+            accuracyReports: row.accuracy_reports || 0,
+            accuracyImprovement: row.accuracy_improvement,
+            startedAt: row.started_at,
+            completedAt: row.completed_at
+        };
+    }
+}
+
+module.exports = new FederatedMetricsService();
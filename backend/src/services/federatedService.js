@@ -0,0 +1,662 @@
+/**
+ * Federated Learning Service
+ * Collects UAV weight updates, runs FedAvg or robust aggregation rounds and versions the global model
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database/connection');
+const modelRegistryService = require('./modelRegistryService');
+const roundSchedulerService = require('./roundSchedulerService');
+const privacyBudgetService = require('./privacyBudgetService');
+const {
+    AGGREGATION_RULES,
+    flattenWeights,
+    layoutsMatch,
+    aggregate,
+    scoreAnomalies,
+    applyDelta
+} = require('../federated/aggregation');
+const { decodeModelUpdate } = require('../federated/compression');
+const { validatePrivacyParams } = require('../federated/privacy');
+const { ModelUpdateError } = require('../federated/errors');
+
+// Number of UAV updates needed to aggregate before the round deadline
+const MIN_PARTICIPANTS = parseInt(process.env.FL_MIN_PARTICIPANTS) || 2;
+
+// Server-side learning rate applied to the averaged delta
+const SERVER_LEARNING_RATE = parseFloat(process.env.FL_SERVER_LEARNING_RATE) || 1.0;
+
+// Aggregation rule used when a round does not request one (fedavg, median, trimmed_mean, krum)
+const AGGREGATION_RULE = process.env.FL_AGGREGATION_RULE || 'fedavg';
+
+// Fraction of values trimmed from each end by the trimmed mean
+const TRIM_RATIO = parseFloat(process.env.FL_TRIM_RATIO) || 0.1;
+
+// Number of byzantine UAVs Krum tolerates
+const KRUM_BYZANTINE = parseInt(process.env.FL_KRUM_BYZANTINE) || 1;
+
+// Robust z-score above which an update is flagged and left out of the round
+const ANOMALY_THRESHOLD = parseFloat(process.env.FL_ANOMALY_THRESHOLD) || 3.5;
+
+// Version assigned to the zero-initialised model before the first round
+const INITIAL_VERSION = '1.0.0';
+
+class FederatedService {
+    constructor() {
+        this.aggregating = false;
+        this.submissionQueue = Promise.resolve();
+    }
+
+    /**
+     * Submit a UAV model update to the open round
+     * Round operations are serialised so concurrent UAV posts cannot open duplicate rounds
+     * @param {Object} updateData - Model update data from the UAV
+     * @returns {Object} Stored update, round and aggregation result (if the round closed)
+     * @throws {ModelUpdateError} If the update cannot be decoded or does not fit the global model
+     */
+    submitUpdate(updateData) {
+        return this.enqueue(() => this.processUpdate(updateData));
+    }
+
+    /**
+     * Aggregate the open round if its deadline has passed
+     * @returns {Object|null} Aggregation result or null
+     */
+    closeExpiredRound() {
+        return this.enqueue(() => this.closeRoundIfExpired());
+    }
+
+    /**
+     * Run a task after every previously queued round operation has finished
+     * @param {Function} task - Async task
+     * @returns {Promise} Task result
+     */
+    enqueue(task) {
+        const result = this.submissionQueue.then(task);
+        this.submissionQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Store an update and aggregate the round once enough UAVs have reported
+     * @param {Object} updateData - Model update data from the UAV
+     * @returns {Object} Stored update, round and aggregation result (if the round closed)
+     */
+    async processUpdate(updateData) {
+        const {
+            uavId,
+            modelVersion = null,
+            trainingSamples,
+            labelledSamples = 0,
+            baseAccuracy = null,
+            accuracyImprovement = null,
+            convergenceScore = null,
+            weightUpdates,
+            encodedUpdate = null,
+            privacy = null
+        } = updateData;
+
+        if (!uavId) {
+            throw new ModelUpdateError('UAV ID is required');
+        }
+
+        if (!Number.isInteger(trainingSamples) || trainingSamples <= 0) {
+            throw new ModelUpdateError('Training samples must be a positive integer');
+        }
+
+        if (!Number.isInteger(labelledSamples) || labelledSamples < 0 || labelledSamples > trainingSamples) {
+            throw new ModelUpdateError('Labelled samples must be an integer between 0 and the training samples');
+        }
+
+        if (baseAccuracy !== null && (typeof baseAccuracy !== 'number' || baseAccuracy < 0 || baseAccuracy > 1)) {
+            throw new ModelUpdateError('Base accuracy must be a number between 0 and 1');
+        }
+
+        // Compressed uploads are decoded to dense vectors; plain uploads are dense deltas
+        let decoded;
+        try {
+            decoded = encodedUpdate
+                ? decodeModelUpdate(encodedUpdate)
+                : { ...flattenWeights(weightUpdates), encoding: 'dense' };
+            if (privacy) validatePrivacyParams(privacy);
+        } catch (error) {
+            throw new ModelUpdateError(error.message);
+        }
+        const { layout } = decoded;
+
+        // The first update defines the model architecture
+        let globalModel = await this.getGlobalModel(false);
+        if (!globalModel) {
+            globalModel = await this.createInitialModel(layout);
+        }
+
+        if (!layoutsMatch(layout, globalModel.layout)) {
+            throw new ModelUpdateError('Weight update does not match the global model architecture');
+        }
+
+        const round = await this.getOrCreateOpenRound(globalModel.version, decoded.vector.length);
+
+        // Aggregation works on deltas against the round's base model
+        const deltaBase = encodedUpdate ? decoded.deltaBase : round.baseVersion;
+        const vector = await this.rebaseDelta(decoded.vector, deltaBase, round.baseVersion);
+
+        // DP updates are charged against the UAV's and the base model's privacy budgets
+        const privacyCheck = await privacyBudgetService.assess(uavId, privacy, round.baseVersion);
+
+        // Only UAVs whose ISAC link can carry the upload may contribute
+        const uploadBytes = Buffer.byteLength(JSON.stringify(encodedUpdate || weightUpdates));
+        const admission = await roundSchedulerService.admitUpdate(
+            round.id,
+            uavId,
+            uploadBytes,
+            privacyCheck.allowed ? null : privacyCheck.reason
+        );
+        const status = admission.eligible ? 'pending' : 'rejected';
+
+        // Latest update from a UAV within a round replaces the earlier one; the superseded
+        // row is kept without weights so any privacy it spent stays on the ledger
+        await db.run(
+            `UPDATE federated_updates SET status = 'superseded', weights = '[]'
+             WHERE round_id = ? AND uav_id = ? AND status IN ('pending', 'rejected')`,
+            [round.id, uavId]
+        );
+
+        const updateId = uuidv4();
+        const now = new Date().toISOString();
+
+        const query = `
+            INSERT INTO federated_updates (
+                id, round_id, uav_id, base_version, training_samples, labelled_samples,
+                base_accuracy, accuracy_improvement, convergence_score, weights, encoding, upload_bytes,
+                dp_clip_norm, dp_noise_multiplier, privacy_rho, isac_mode, admission_reason,
+                status, received_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        await db.run(query, [
+            updateId,
+            round.id,
+            uavId,
+            modelVersion,
+            trainingSamples,
+            labelledSamples,
+            baseAccuracy,
+            accuracyImprovement,
+            convergenceScore,
+            JSON.stringify(vector),
+            decoded.encoding,
+            uploadBytes,
+            privacyCheck.params ? privacyCheck.params.clipNorm : null,
+            privacyCheck.params ? privacyCheck.params.noiseMultiplier : null,
+            privacyCheck.allowed ? privacyCheck.rho : null,
+            admission.isacMode,
+            admission.reason,
+            status,
+            now
+        ]);
+
+        if (admission.eligible) {
+            console.log(`🧠 Model update from ${uavId} queued for round ${round.roundNumber} (${trainingSamples} samples, ${decoded.encoding}, ${uploadBytes} bytes, ${admission.reason})`);
+        } else {
+            console.log(`🧠 Model update from ${uavId} rejected for round ${round.roundNumber}: ${admission.reason}`);
+        }
+
+        const pendingCount = await this.countPendingUpdates(round.id);
+        let aggregation = null;
+
+        // Close early once every selected UAV has reported, otherwise wait for the deadline
+        if (admission.eligible && pendingCount >= MIN_PARTICIPANTS &&
+            !(await roundSchedulerService.hasOutstandingParticipants(round.id))) {
+            aggregation = await this.aggregateRound(round.id);
+        }
+
+        return {
+            update: {
+                id: updateId,
+                uavId,
+                roundId: round.id,
+                roundNumber: round.roundNumber,
+                trainingSamples,
+                labelledSamples,
+                accepted: admission.eligible,
+                reason: admission.reason,
+                encoding: decoded.encoding,
+                uploadBytes,
+                privacyEpsilon: privacyCheck.allowed ? privacyCheck.epsilon : null,
+                estimatedUploadSeconds: admission.estimatedUploadSeconds,
+                receivedAt: now
+            },
+            round: aggregation ? aggregation.round : { ...round, participantCount: pendingCount },
+            aggregation
+        };
+    }
+
+    /**
+     * Express an update as a delta against a target model version
+     * @param {Array} vector - Decoded update vector
+     * @param {string|null} fromVersion - Version the delta was taken against (null = full weights)
+     * @param {string} toVersion - Version the delta should apply to
+     * @returns {Array} Delta against toVersion
+     */
+    async rebaseDelta(vector, fromVersion, toVersion) {
+        if (fromVersion === toVersion) {
+            return vector;
+        }
+
+        const target = await modelRegistryService.getVersion(toVersion, true);
+        const targetVector = flattenWeights(target.weights).vector;
+        let sourceVector = null;
+
+        if (fromVersion) {
+            const source = await modelRegistryService.getVersion(fromVersion, true);
+            if (!source) {
+                throw new ModelUpdateError(`Unknown delta base version ${fromVersion}`);
+            }
+            sourceVector = flattenWeights(source.weights).vector;
+        }
+
+        return vector.map((value, i) => (sourceVector ? sourceVector[i] : 0) + value - targetVector[i]);
+    }
+
+    /**
+     * Get the aggregation settings applied to rounds
+     * @returns {Object} Aggregation configuration
+     */
+    getAggregationConfig() {
+        return {
+            rule: AGGREGATION_RULE,
+            availableRules: AGGREGATION_RULES,
+            trimRatio: TRIM_RATIO,
+            krumByzantine: KRUM_BYZANTINE,
+            anomalyThreshold: ANOMALY_THRESHOLD
+        };
+    }
+
+    /**
+     * Aggregate the pending updates of a round and publish a new global version
+     * Updates whose deltas diverge strongly from the cohort are flagged and left out
+     * @param {string} roundId - Round ID
+     * @param {string} rule - Aggregation rule (defaults to FL_AGGREGATION_RULE)
+     * @returns {Object|null} { round, model, participants, deferred, flagged } or null if nothing was aggregated
+     */
+    async aggregateRound(roundId, rule = AGGREGATION_RULE) {
+        if (!AGGREGATION_RULES.includes(rule)) {
+            throw new Error(`Unknown aggregation rule: ${rule}`);
+        }
+
+        if (this.aggregating) {
+            return null;
+        }
+
+        this.aggregating = true;
+
+        try {
+            const round = await this.getRoundById(roundId);
+
+            if (!round) {
+                throw new Error('Round not found');
+            }
+
+            if (round.status !== 'open') {
+                throw new Error(`Round ${round.roundNumber} is already ${round.status}`);
+            }
+
+            const rows = await db.all(
+                `SELECT * FROM federated_updates WHERE round_id = ? AND status = 'pending'`,
+                [roundId]
+            );
+
+            if (rows.length === 0) {
+                return null;
+            }
+
+            // Deltas were trained against the round's base model, not whatever is newest now
+            const baseModel = round.baseVersion
+                ? await modelRegistryService.getVersion(round.baseVersion, true)
+                : await this.getGlobalModel(true);
+            const updates = rows.map(row => ({
+                id: row.id,
+                uavId: row.uav_id,
+                trainingSamples: row.training_samples,
+                accuracyImprovement: row.accuracy_improvement,
+                convergenceScore: row.convergence_score,
+                vector: JSON.parse(row.weights)
+            }));
+
+            const { accepted, flagged } = await this.screenUpdates(updates);
+
+            const delta = aggregate(accepted, rule, { trimRatio: TRIM_RATIO, byzantine: KRUM_BYZANTINE });
+            const baseVector = flattenWeights(baseModel.weights).vector;
+            const newVector = applyDelta(baseVector, delta, SERVER_LEARNING_RATE);
+
+            const totalSamples = accepted.reduce((sum, u) => sum + u.trainingSamples, 0);
+            const version = await modelRegistryService.nextVersion();
+            const now = new Date().toISOString();
+
+            await modelRegistryService.registerVersion({
+                version,
+                parentVersion: baseModel.version,
+                roundId,
+                layout: baseModel.layout,
+                vector: newVector,
+                contributors: accepted.map(({ vector, anomalyScore, ...contributor }) => contributor)
+            });
+
+            await db.run(
+                `UPDATE federated_updates SET status = 'aggregated' WHERE round_id = ? AND status = 'pending'`,
+                [roundId]
+            );
+
+            const deferred = await roundSchedulerService.deferStragglers(roundId);
+
+            await db.run(
+                `UPDATE federated_rounds
+                 SET status = 'aggregated', result_version = ?, participant_count = ?,
+                     total_samples = ?, aggregation_rule = ?, flagged_count = ?, completed_at = ?
+                 WHERE id = ?`,
+                [version, accepted.length, totalSamples, rule, flagged.length, now, roundId]
+            );
+
+            console.log(`🧠 Round ${round.roundNumber} aggregated (${rule}): ${accepted.length} UAV(s), ${totalSamples} samples -> model ${version}`);
+
+            return {
+                round: await this.getRoundById(roundId),
+                model: await modelRegistryService.getVersion(version, true),
+                participants: accepted.map(u => u.uavId),
+                deferred,
+                flagged: flagged.map(u => ({ uavId: u.uavId, anomalyScore: u.anomalyScore }))
+            };
+        } finally {
+            this.aggregating = false;
+        }
+    }
+
+    /**
+     * Score pending updates against the cohort and flag the divergent ones
+     * @param {Array} updates - Pending updates with weight vectors
+     * @returns {Object} { accepted, flagged } with anomalyScore set on every update
+     */
+    async screenUpdates(updates) {
+        const scores = scoreAnomalies(updates);
+        const accepted = [];
+        const flagged = [];
+
+        for (let i = 0; i < updates.length; i++) {
+            const update = { ...updates[i], anomalyScore: scores[i].score };
+            const isFlagged = update.anomalyScore !== null && update.anomalyScore > ANOMALY_THRESHOLD;
+
+            await db.run(
+                'UPDATE federated_updates SET anomaly_score = ?, status = ?, flag_reason = ? WHERE id = ?',
+                [
+                    update.anomalyScore,
+                    isFlagged ? 'flagged' : 'pending',
+                    isFlagged ? 'divergent_from_cohort' : null,
+                    update.id
+                ]
+            );
+
+            (isFlagged ? flagged : accepted).push(update);
+        }
+
+        if (flagged.length > 0) {
+            console.log(`🛡️ Flagged ${flagged.length} divergent update(s): ${flagged.map(u => `${u.uavId} (score ${u.anomalyScore.toFixed(2)})`).join(', ')}`);
+        }
+
+        return { accepted, flagged };
+    }
+
+    /**
+     * Get updates flagged as anomalous, newest first
+     * @param {Object} filters - { uavId, limit }
+     * @returns {Array} Flagged updates with their round number
+     */
+    async getFlaggedUpdates(filters = {}) {
+        let query = `
+            SELECT u.*, r.round_number FROM federated_updates u
+            JOIN federated_rounds r ON r.id = u.round_id
+            WHERE u.status = 'flagged'
+        `;
+        const params = [];
+
+        if (filters.uavId) {
+            query += ' AND u.uav_id = ?';
+            params.push(filters.uavId);
+        }
+
+        query += ' ORDER BY u.received_at DESC LIMIT ?';
+        params.push(filters.limit || 50);
+
+        const rows = await db.all(query, params);
+        return rows.map(row => ({
+            ...this.formatUpdate(row),
+            roundNumber: row.round_number
+        }));
+    }
+
+    /**
+     * Get the global model currently deployed to the fleet
+     * @param {boolean} includeWeights - Whether to include the nested weights
+     * @returns {Object|null} Global model or null if none exists yet
+     */
+    async getGlobalModel(includeWeights = false) {
+        return await modelRegistryService.resolveVersion(null, includeWeights);
+    }
+
+    /**
+     * Create the zero-initialised model for a given architecture
+     * @param {Array} layout - Weight layout
+     * @returns {Object} Initial global model
+     */
+    async createInitialModel(layout) {
+        const size = layout.reduce((sum, layer) => sum + layer.size, 0);
+
+        await modelRegistryService.registerVersion({
+            version: INITIAL_VERSION,
+            layout,
+            vector: new Array(size).fill(0)
+        });
+
+        console.log(`🧠 Initial global model ${INITIAL_VERSION} created (${size} parameters)`);
+
+        return await this.getGlobalModel(false);
+    }
+
+    /**
+     * Aggregate the open round if its deadline has passed
+     * A round that expires without any accepted update gets a fresh deadline and selection
+     * @returns {Object|null} Aggregation result or null
+     */
+    async closeRoundIfExpired() {
+        const round = await this.getOpenRound();
+
+        if (!round || !roundSchedulerService.isExpired(round)) {
+            return null;
+        }
+
+        if (round.participantCount > 0) {
+            console.log(`📅 Round ${round.roundNumber} reached its deadline with ${round.participantCount} update(s)`);
+            return await this.aggregateRound(round.id);
+        }
+
+        const model = await modelRegistryService.getVersion(round.baseVersion);
+        const parameterCount = model ? model.layout.reduce((sum, layer) => sum + layer.size, 0) : 0;
+
+        await db.run(
+            'UPDATE federated_rounds SET deadline_at = ? WHERE id = ?',
+            [roundSchedulerService.getRoundDeadline(), round.id]
+        );
+        await roundSchedulerService.selectParticipants(round.id, parameterCount);
+
+        return null;
+    }
+
+    /**
+     * Get the open round, creating one if needed
+     * @param {string} baseVersion - Global model version the round trains against
+     * @param {number} parameterCount - Global model parameter count
+     * @returns {Object} Open round
+     */
+    async getOrCreateOpenRound(baseVersion, parameterCount) {
+        const open = await db.get(
+            `SELECT * FROM federated_rounds WHERE status = 'open' ORDER BY round_number DESC LIMIT 1`
+        );
+
+        if (open) {
+            return this.formatRound(open);
+        }
+
+        const last = await db.get('SELECT * FROM federated_rounds ORDER BY round_number DESC LIMIT 1');
+        const roundNumber = (last ? last.round_number : 0) + 1;
+        const roundId = uuidv4();
+        const now = new Date().toISOString();
+
+        await db.run(
+            `INSERT INTO federated_rounds (id, round_number, status, base_version, started_at, deadline_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [roundId, roundNumber, 'open', baseVersion, now, roundSchedulerService.getRoundDeadline()]
+        );
+
+        console.log(`🧠 Federated round ${roundNumber} opened on model ${baseVersion}`);
+
+        // Stragglers from the previous round are carried over
+        const deferred = last ? await roundSchedulerService.getDeferredFrom(last.id) : {};
+        await roundSchedulerService.selectParticipants(roundId, parameterCount, deferred);
+
+        return await this.getRoundById(roundId);
+    }
+
+    /**
+     * Get the currently open round without creating one
+     * @returns {Object|null} Open round or null
+     */
+    async getOpenRound() {
+        const open = await db.get(
+            `SELECT * FROM federated_rounds WHERE status = 'open' ORDER BY round_number DESC LIMIT 1`
+        );
+
+        if (!open) return null;
+
+        const round = this.formatRound(open);
+        round.participantCount = await this.countPendingUpdates(round.id);
+        return round;
+    }
+
+    /**
+     * Count pending updates in a round
+     * @param {string} roundId - Round ID
+     * @returns {number} Number of pending updates
+     */
+    async countPendingUpdates(roundId) {
+        const result = await db.get(
+            `SELECT COUNT(*) as count FROM federated_updates WHERE round_id = ? AND status = 'pending'`,
+            [roundId]
+        );
+
+        return result.count;
+    }
+
+    /**
+     * Get round by ID
+     * @param {string} roundId - Round ID
+     * @returns {Object|null} Round or null
+     */
+    async getRoundById(roundId) {
+        const round = await db.get('SELECT * FROM federated_rounds WHERE id = ?', [roundId]);
+        return round ? this.formatRound(round) : null;
+    }
+
+    /**
+     * Get rounds with optional filtering
+     * @param {Object} filters - Filter options
+     * @returns {Array} Array of rounds
+     */
+    async getRounds(filters = {}) {
+        let query = 'SELECT * FROM federated_rounds';
+        const params = [];
+
+        if (filters.status) {
+            query += ' WHERE status = ?';
+            params.push(filters.status);
+        }
+
+        query += ' ORDER BY round_number DESC';
+
+        if (filters.limit) {
+            query += ' LIMIT ?';
+            params.push(filters.limit);
+        }
+
+        const rounds = await db.all(query, params);
+        return rounds.map(round => this.formatRound(round));
+    }
+
+    /**
+     * Get updates submitted to a round
+     * @param {string} roundId - Round ID
+     * @returns {Array} Array of updates (without weights)
+     */
+    async getRoundUpdates(roundId) {
+        const updates = await db.all(
+            'SELECT * FROM federated_updates WHERE round_id = ? ORDER BY received_at ASC',
+            [roundId]
+        );
+
+        return updates.map(update => this.formatUpdate(update));
+    }
+
+    /**
+     * Format round record for API response
+     * @param {Object} round - Raw round record from database
+     * @returns {Object} Formatted round record
+     */
+    formatRound(round) {
+        return {
+            id: round.id,
+            roundNumber: round.round_number,
+            status: round.status,
+            baseVersion: round.base_version,
+            resultVersion: round.result_version,
+            participantCount: round.participant_count || 0,
+            totalSamples: round.total_samples || 0,
+            aggregationRule: round.aggregation_rule,
+            flaggedCount: round.flagged_count || 0,
+            startedAt: round.started_at,
+            deadlineAt: round.deadline_at,
+            completedAt: round.completed_at
+        };
+    }
+
+    /**
+     * Format update record for API response
+     * @param {Object} update - Raw update record from database
+     * @returns {Object} Formatted update record
+     */
+    formatUpdate(update) {
+        return {
+            id: update.id,
+            roundId: update.round_id,
+            uavId: update.uav_id,
+            baseVersion: update.base_version,
+            trainingSamples: update.training_samples,
+            labelledSamples: update.labelled_samples || 0,
+            baseAccuracy: update.base_accuracy,
+            accuracyImprovement: update.accuracy_improvement,
+            convergenceScore: update.convergence_score,
+            encoding: update.encoding,
+            uploadBytes: update.upload_bytes,
+            isacMode: update.isac_mode,
+            admissionReason: update.admission_reason,
+            privacy: update.dp_noise_multiplier !== null && update.dp_noise_multiplier !== undefined ? {
+                clipNorm: update.dp_clip_norm,
+                noiseMultiplier: update.dp_noise_multiplier,
+                charged: update.privacy_rho !== null
+            } : null,
+            status: update.status,
+            anomalyScore: update.anomaly_score,
+            flagReason: update.flag_reason,
+            receivedAt: update.received_at
+        };
+    }
+}
+
+module.exports = new FederatedService();
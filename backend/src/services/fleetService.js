@@ -0,0 +1,277 @@
+/**
+ * Fleet Service
+ * Registry of aircraft allowed to connect and verification of their credentials
+ */
+
+const crypto = require('crypto');
+const db = require('../database/connection');
+
+// Aircraft provisioned at startup, as comma-separated uavId:secret pairs
+const FLEET_CREDENTIALS = process.env.FLEET_CREDENTIALS || '';
+
+// How far a handshake or signed request timestamp may drift from server time
+const MAX_CLOCK_SKEW_MS = parseInt(process.env.FLEET_CLOCK_SKEW_MS) || 60000;
+
+const UAV_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+class FleetService {
+    /**
+     * Check a UAV ID is usable as a fleet identifier
+     * @param {string} uavId - UAV ID
+     * @returns {boolean} True if valid
+     */
+    isValidUAVId(uavId) {
+        return typeof uavId === 'string' && UAV_ID_PATTERN.test(uavId);
+    }
+
+    /**
+     * Register (or re-activate) the aircraft listed in FLEET_CREDENTIALS
+     * Secrets given there replace stored ones, so the environment stays authoritative
+     * @returns {Array} Provisioned UAV IDs
+     */
+    async provisionFromConfig() {
+        const entries = FLEET_CREDENTIALS.split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => {
+                const separator = entry.indexOf(':');
+                return [entry.slice(0, separator), entry.slice(separator + 1)];
+            });
+
+        const provisioned = [];
+        for (const [uavId, secret] of entries) {
+            if (!this.isValidUAVId(uavId) || !secret) {
+                console.warn(`⚠️ Ignoring malformed FLEET_CREDENTIALS entry for "${uavId}"`);
+                continue;
+            }
+
+            const now = new Date().toISOString();
+            await db.run(
+                `INSERT INTO fleet_uavs (uav_id, secret, status, description, registered_by, created_at, updated_at)
+                 VALUES (?, ?, 'active', 'Provisioned from FLEET_CREDENTIALS', 'config', ?, ?)
+                 ON CONFLICT(uav_id) DO UPDATE SET secret = excluded.secret, status = 'active', updated_at = excluded.updated_at`,
+                [uavId, secret, now, now]
+            );
+            provisioned.push(uavId);
+        }
+
+        return provisioned;
+    }
+
+    /**
+     * Register a new aircraft with a generated secret
+     * @param {Object} uavData - { uavId, description, registeredBy }
+     * @returns {Object|null} { uav, secret } or null if the UAV ID is taken
+     */
+    async registerUAV({ uavId, description = null, registeredBy = null }) {
+        const existing = await db.get('SELECT uav_id FROM fleet_uavs WHERE uav_id = ?', [uavId]);
+        if (existing) {
+            return null;
+        }
+
+        const secret = generateSecret();
+        const now = new Date().toISOString();
+
+        await db.run(
+            `INSERT INTO fleet_uavs (uav_id, secret, status, description, registered_by, created_at, updated_at)
+             VALUES (?, ?, 'active', ?, ?, ?, ?)`,
+            [uavId, secret, description, registeredBy, now, now]
+        );
+
+        return { uav: await this.getUAV(uavId), secret };
+    }
+
+    /**
+     * Replace an aircraft's secret (also re-activates a revoked aircraft)
+     * @param {string} uavId - UAV ID
+     * @returns {Object|null} { uav, secret } or null if unknown
+     */
+    async rotateSecret(uavId) {
+        const secret = generateSecret();
+        const result = await db.run(
+            `UPDATE fleet_uavs SET secret = ?, status = 'active', updated_at = ? WHERE uav_id = ?`,
+            [secret, new Date().toISOString(), uavId]
+        );
+
+        if (result.changes === 0) {
+            return null;
+        }
+
+        return { uav: await this.getUAV(uavId), secret };
+    }
+
+    /**
+     * Revoke an aircraft so it can no longer connect
+     * @param {string} uavId - UAV ID
+     * @returns {Object|null} Revoked UAV or null if unknown
+     */
+    async revokeUAV(uavId) {
+        const result = await db.run(
+            `UPDATE fleet_uavs SET status = 'revoked', updated_at = ? WHERE uav_id = ?`,
+            [new Date().toISOString(), uavId]
+        );
+
+        return result.changes > 0 ? this.getUAV(uavId) : null;
+    }
+
+    /**
+     * Get a registered aircraft (without its secret)
+     * @param {string} uavId - UAV ID
+     * @returns {Object|null} UAV or null
+     */
+    async getUAV(uavId) {
+        const row = await db.get('SELECT * FROM fleet_uavs WHERE uav_id = ?', [uavId]);
+        return row ? this.formatUAV(row) : null;
+    }
+
+    /**
+     * List registered aircraft (without secrets)
+     * @returns {Array} UAVs sorted by ID
+     */
+    async getFleet() {
+        const rows = await db.all('SELECT * FROM fleet_uavs ORDER BY uav_id ASC');
+        return rows.map(row => this.formatUAV(row));
+    }
+
+    /**
+     * Verify an aircraft handshake
+     * The aircraft proves it holds its secret by signing "uavId:timestamp" with HMAC-SHA256
+     * @param {Object} credentials - { uavId, timestamp, signature }
+     * @returns {Object} { valid, uav, reason }
+     */
+    async verifyHandshake({ uavId, timestamp, signature }) {
+        if (!this.isValidUAVId(uavId) || !timestamp || typeof signature !== 'string') {
+            return { valid: false, reason: 'Malformed aircraft credentials' };
+        }
+
+        if (!isFresh(timestamp)) {
+            return { valid: false, reason: 'Handshake timestamp outside allowed clock skew' };
+        }
+
+        const { row, reason } = await this.getActiveRow(uavId);
+        if (!row) {
+            return { valid: false, reason };
+        }
+
+        const expected = hmac(row.secret, `${uavId}:${timestamp}`);
+        if (!safeEqual(expected, signature)) {
+            return { valid: false, reason: 'Invalid aircraft signature' };
+        }
+
+        return { valid: true, uav: this.formatUAV(row) };
+    }
+
+    /**
+     * Verify a signed aircraft HTTP request and consume its sequence number
+     * The signature covers method, URL, UAV ID, timestamp, sequence and a SHA-256 of the body.
+     * Requests outside the clock skew window, or whose sequence is not above the last
+     * accepted one, are rejected as replays
+     * @param {Object} request - { uavId, timestamp, sequence, signature, method, url, body }
+     * @returns {Object} { valid, uav, reason }
+     */
+    async verifyRequest({ uavId, timestamp, sequence, signature, method, url, body }) {
+        const sequenceNumber = Number(sequence);
+        if (!this.isValidUAVId(uavId) || !timestamp || typeof signature !== 'string' ||
+            !Number.isSafeInteger(sequenceNumber) || sequenceNumber < 0) {
+            return { valid: false, reason: 'Malformed aircraft signature headers' };
+        }
+
+        if (!isFresh(timestamp)) {
+            return { valid: false, reason: 'Request timestamp outside allowed clock skew' };
+        }
+
+        const { row, reason } = await this.getActiveRow(uavId);
+        if (!row) {
+            return { valid: false, reason };
+        }
+
+        const expected = hmac(row.secret, canonicalRequest({ method, url, uavId, timestamp, sequence, body }));
+        if (!safeEqual(expected, signature)) {
+            return { valid: false, reason: 'Invalid aircraft signature' };
+        }
+
+        // Only the first request to reach a sequence number wins, even when two arrive together
+        const result = await db.run(
+            `UPDATE fleet_uavs SET last_sequence = ?, last_request_at = ?
+             WHERE uav_id = ? AND (last_sequence IS NULL OR last_sequence < ?)`,
+            [sequenceNumber, new Date().toISOString(), uavId, sequenceNumber]
+        );
+        if (result.changes === 0) {
+            return { valid: false, reason: `Replayed or out-of-order sequence ${sequenceNumber}` };
+        }
+
+        return { valid: true, uav: this.formatUAV(row) };
+    }
+
+    /**
+     * Load an aircraft's row if it may authenticate
+     * @param {string} uavId - UAV ID
+     * @returns {Object} { row, reason } with row null if unknown or revoked
+     */
+    async getActiveRow(uavId) {
+        const row = await db.get('SELECT * FROM fleet_uavs WHERE uav_id = ?', [uavId]);
+        if (!row) {
+            return { row: null, reason: `Unknown UAV ${uavId}` };
+        }
+        if (row.status !== 'active') {
+            return { row: null, reason: `UAV ${uavId} is revoked` };
+        }
+        return { row };
+    }
+
+    /**
+     * Record that an aircraft connected
+     * @param {string} uavId - UAV ID
+     */
+    async recordConnection(uavId) {
+        await db.run(
+            'UPDATE fleet_uavs SET last_connected_at = ? WHERE uav_id = ?',
+            [new Date().toISOString(), uavId]
+        );
+    }
+
+    /**
+     * Format fleet row for API response (never includes the secret)
+     * @param {Object} row - Raw fleet row
+     * @returns {Object} Formatted UAV
+     */
+    formatUAV(row) {
+        return {
+            uavId: row.uav_id,
+            status: row.status,
+            description: row.description,
+            registeredBy: row.registered_by,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            lastConnectedAt: row.last_connected_at,
+            lastRequestAt: row.last_request_at
+        };
+    }
+}
+
+// Helper functions
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function hmac(secret, message) {
+    return crypto.createHmac('sha256', secret).update(message).digest('hex');
+}
+
+function canonicalRequest({ method, url, uavId, timestamp, sequence, body }) {
+    const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+    return [method.toUpperCase(), url, uavId, timestamp, sequence, bodyHash].join('\n');
+}
+
+function isFresh(timestamp) {
+    return Math.abs(Date.now() - Date.parse(timestamp)) <= MAX_CLOCK_SKEW_MS;
+}
+
+function safeEqual(expected, actual) {
+    const a = Buffer.from(expected, 'hex');
+    const b = Buffer.from(actual || '', 'hex');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = new FleetService();
@@ -0,0 +1,133 @@
+/**
+ * Hazard Service
+ * Registry of known hazards (fires, floods, unstable structures) that raise survivor triage priority
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database/connection');
+const auditService = require('./auditService');
+
+class HazardService {
+    /**
+     * Report a hazard
+     * @param {Object} hazardData - { hazardType, coordinates, radiusMeters, description, reportedBy }
+     * @param {Object} context - Audit context of the reporting operator
+     * @returns {Object} Created hazard
+     */
+    async createHazard(hazardData, context) {
+        const {
+            hazardType,
+            coordinates,
+            radiusMeters = 0,
+            description = null,
+            reportedBy = null
+        } = hazardData;
+
+        if (!coordinates || typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number') {
+            throw new Error('Invalid coordinates provided');
+        }
+
+        if (typeof radiusMeters !== 'number' || radiusMeters < 0) {
+            throw new Error('Radius must be a non-negative number of meters');
+        }
+
+        const id = uuidv4();
+        await db.run(
+            `INSERT INTO hazards (id, hazard_type, lat, lng, radius_meters, description, reported_by, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [id, hazardType, coordinates.lat, coordinates.lng, radiusMeters, description, reportedBy, new Date().toISOString()]
+        );
+
+        const hazard = await this.getHazardById(id);
+        await auditService.record({
+            action: 'hazard.reported',
+            entityType: 'hazard',
+            entityId: id,
+            after: hazard
+        }, context);
+
+        return hazard;
+    }
+
+    /**
+     * Get hazard by ID
+     * @param {string} hazardId - Hazard ID
+     * @returns {Object|null} Hazard or null
+     */
+    async getHazardById(hazardId) {
+        const row = await db.get('SELECT * FROM hazards WHERE id = ?', [hazardId]);
+        return row ? this.formatHazard(row) : null;
+    }
+
+    /**
+     * Get hazards
+     * @param {boolean} includeCleared - Include hazards that have been cleared
+     * @returns {Array} Hazards, newest first
+     */
+    async getHazards(includeCleared = false) {
+        const rows = await db.all(
+            `SELECT * FROM hazards ${includeCleared ? '' : 'WHERE cleared_at IS NULL'} ORDER BY created_at DESC`
+        );
+        return rows.map(row => this.formatHazard(row));
+    }
+
+    /**
+     * Get hazards that are still present
+     * @returns {Array} Active hazards
+     */
+    async getActiveHazards() {
+        return this.getHazards(false);
+    }
+
+    /**
+     * Mark a hazard as cleared; it stays on record but no longer affects triage
+     * @param {string} hazardId - Hazard ID
+     * @param {Object} context - Audit context of the operator clearing it
+     * @returns {Object|null} Cleared hazard or null if not found
+     */
+    async clearHazard(hazardId, context) {
+        const before = await this.getHazardById(hazardId);
+        if (!before) {
+            return null;
+        }
+        if (before.clearedAt) {
+            return before;
+        }
+
+        await db.run('UPDATE hazards SET cleared_at = ? WHERE id = ?', [new Date().toISOString(), hazardId]);
+
+        const hazard = await this.getHazardById(hazardId);
+        await auditService.record({
+            action: 'hazard.cleared',
+            entityType: 'hazard',
+            entityId: hazardId,
+            before,
+            after: hazard
+        }, context);
+
+        return hazard;
+    }
+
+    /**
+     * Format hazard row for API response
+     * @param {Object} row - Raw hazard row
+     * @returns {Object} Formatted hazard
+     */
+    formatHazard(row) {
+        return {
+            id: row.id,
+            hazardType: row.hazard_type,
+            coordinates: {
+                lat: row.lat,
+                lng: row.lng
+            },
+            radiusMeters: row.radius_meters,
+            description: row.description,
+            reportedBy: row.reported_by,
+            createdAt: row.created_at,
+            clearedAt: row.cleared_at
+        };
+    }
+}
+
+module.exports = new HazardService();
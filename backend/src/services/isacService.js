@@ -86,6 +86,35 @@ class ISACService {
         return null;
     }
 
+    /**
+     * Get the latest ISAC status of every UAV reporting since a given time
+     * @param {string} since - ISO timestamp lower bound
+     * @returns {Array} Latest ISAC status per UAV
+     */
+    async getLatestISACStatuses(since) {
+        const query = `
+            SELECT s.* FROM isac_status s
+            JOIN (
+                SELECT uav_id, MAX(timestamp) as latest
+                FROM isac_status
+                WHERE timestamp >= ?
+                GROUP BY uav_id
+            ) l ON s.uav_id = l.uav_id AND s.timestamp = l.latest
+            GROUP BY s.uav_id
+        `;
+
+        const statuses = await db.all(query, [since]);
+
+        return statuses.map(status => ({
+            uavId: status.uav_id,
+            mode: status.mode,
+            signalStrength: status.signal_strength,
+            dataRate: status.data_rate,
+            timestamp: status.timestamp,
+            availableStreams: this.getAvailableStreams(status.mode)
+        }));
+    }
+
     /**
      * Get ISAC status history
      * @param {string} uavId - UAV ID
@@ -213,19 +242,36 @@ class ISACService {
     }
 
     /**
-     * Clean old ISAC status records
-     * @param {number} daysToKeep - Number of days to keep records
-     * @returns {number} Number of deleted records
+     * Estimate transmission time for a payload over the ISAC link
+     * Mirrors the simulation's estimateTransmissionTime, preferring the reported data rate
+     * @param {number} dataSizeBytes - Payload size in bytes
+     * @param {string} mode - ISAC mode
+     * @param {number} dataRateMbps - Reported data rate in Mbps (optional)
+     * @returns {number} Estimated transmission time in seconds
      */
-    async cleanOldRecords(daysToKeep = 7) {
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-
-        const query = 'DELETE FROM isac_status WHERE timestamp < ?';
-        const result = await db.run(query, [cutoffDate.toISOString()]);
+    estimateTransmissionTime(dataSizeBytes, mode, dataRateMbps = null) {
+        let dataRateBps;
+
+        if (dataRateMbps && dataRateMbps > 0) {
+            dataRateBps = dataRateMbps * 125000; // Mbps -> bytes per second
+        } else {
+            switch ((mode || '').toLowerCase()) {
+                case 'good':
+                    dataRateBps = 6250000; // 50 Mbps
+                    break;
+                case 'medium':
+                    dataRateBps = 2500000; // 20 Mbps
+                    break;
+                case 'weak':
+                    dataRateBps = 625000; // 5 Mbps
+                    break;
+                default:
+                    dataRateBps = 125000; // 1 Mbps
+            }
+        }
 
-        console.log(`Cleaned ${result.changes} old ISAC status records`);
-        return result.changes;
+        // 20% protocol overhead, as in the simulation
+        return (dataSizeBytes / dataRateBps) * 1.2;
     }
 }
 
@@ -5,6 +5,39 @@
 
 const { v4: uuidv4 } = require('uuid');
 const db = require('../database/connection');
+const auditService = require('./auditService');
+const coverageService = require('./coverageService');
+const searchMapService = require('./searchMapService');
+const { boundsCondition, matchesFilter, distanceMeters, parseSpatialFilter } = require('../geo/spatial');
+const { planSearch } = require('../missions/planner');
+const {
+    normalizeStartCriteria,
+    normalizeSuccessCriteria,
+    checkStartCriteria,
+    evaluateSuccess
+} = require('../missions/criteria');
+const { canTransition } = require('../missions/lifecycle');
+const { PlanValidationError, MissionConflictError, UAVsBusyError } = require('../missions/errors');
+
+// Telemetry records returned by an area search
+const DEFAULT_AREA_LIMIT = 1000;
+const MAX_AREA_LIMIT = 5000;
+
+// Audit action recorded when a mission enters each state through transitionMission
+const TRANSITION_ACTIONS = {
+    active: 'mission.resumed',
+    paused: 'mission.paused',
+    completed: 'mission.completed',
+    aborted: 'mission.aborted'
+};
+
+// Missions with the IDs of the UAVs flying them
+const MISSION_SELECT = `SELECT m.*,
+    (SELECT json_group_array(uav_id) FROM mission_uavs WHERE mission_id = m.id) AS uav_ids
+    FROM missions m`;
+
+// Planned missions that still hold their UAVs, as a condition on missions m
+const BOOKING_CONDITION = "m.origin = 'planned' AND m.status IN ('planned', 'active', 'paused')";
 
 class MissionService {
     /**
@@ -18,6 +51,7 @@ class MissionService {
             location,
             timestamp,
             detectionsCount = 0,
+            detections = [],
             isacMode,
             signalStrength,
             batteryLevel
@@ -30,6 +64,23 @@ class MissionService {
             mission = await this.createMission(uavId);
         }
 
+        // Footprint and search map first: both are swept from the UAV's previous stored position.
+        // They are derived data, so a failure here must not lose the telemetry itself
+        const previous = await this.getLastPosition(mission.id, uavId);
+        const position = { ...location, timestamp };
+
+        try {
+            await coverageService.recordPosition(mission.id, uavId, previous, position);
+        } catch (error) {
+            console.error(`Error recording coverage for mission ${mission.id}:`, error.message);
+        }
+
+        try {
+            await searchMapService.recordSearch(mission.id, previous, position, detections);
+        } catch (error) {
+            console.error(`Error updating search map for mission ${mission.id}:`, error.message);
+        }
+
         // Add telemetry record
         await this.addTelemetryRecord({
             missionId: mission.id,
@@ -51,16 +102,36 @@ class MissionService {
         return mission;
     }
 
+    /**
+     * Get the last position a UAV reported on a mission
+     * @param {string} missionId - Mission ID
+     * @param {string} uavId - UAV ID
+     * @returns {Object|null} { lat, lng, altitude, timestamp } or null before its first report
+     */
+    async getLastPosition(missionId, uavId) {
+        const query = `
+            SELECT lat, lng, altitude, timestamp FROM mission_telemetry
+            WHERE mission_id = ? AND uav_id = ?
+            ORDER BY timestamp DESC, id DESC
+            LIMIT 1
+        `;
+
+        return await db.get(query, [missionId, uavId]) || null;
+    }
+
     /**
      * Get active mission for UAV
+     * A paused mission stays the UAV's mission, so telemetry sent while hovering still counts towards it
      * @param {string} uavId - UAV ID
-     * @returns {Object|null} Active mission or null
+     * @returns {Object|null} Active or paused mission or null
      */
     async getActiveMission(uavId) {
+        // A started planned mission takes the UAV's telemetry over its automatic one
         const query = `
-            SELECT * FROM missions 
-            WHERE uav_id = ? AND status = 'active' 
-            ORDER BY start_time DESC 
+            ${MISSION_SELECT}
+            WHERE m.status IN ('active', 'paused')
+            AND EXISTS (SELECT 1 FROM mission_uavs u WHERE u.mission_id = m.id AND u.uav_id = ?)
+            ORDER BY m.origin = 'planned' DESC, m.start_time DESC
             LIMIT 1
         `;
 
@@ -84,12 +155,15 @@ class MissionService {
         `;
 
         await db.run(query, [missionId, uavId, now, 'active', now]);
+        await db.run('INSERT INTO mission_uavs (mission_id, uav_id) VALUES (?, ?)', [missionId, uavId]);
 
         console.log(`🚁 New mission started: ${missionId} for ${uavId}`);
 
         return {
             id: missionId,
             uavId,
+            uavIds: [uavId],
+            origin: 'automatic',
             startTime: now,
             status: 'active',
             survivorsDetected: 0,
@@ -216,19 +290,7 @@ class MissionService {
 
         if (!record) return null;
 
-        return {
-            missionId: record.mission_id,
-            uavId: record.uav_id,
-            location: {
-                lat: record.lat,
-                lng: record.lng,
-                altitude: record.altitude
-            },
-            batteryLevel: record.battery_level,
-            isacMode: record.isac_mode,
-            signalStrength: record.signal_strength,
-            timestamp: record.timestamp
-        };
+        return this.formatTelemetry(record);
     }
 
     /**
@@ -247,7 +309,74 @@ class MissionService {
 
         const telemetry = await db.all(query, [uavId, limit]);
 
-        return telemetry.map(record => ({
+        return telemetry.map(record => this.formatTelemetry(record));
+    }
+
+    /**
+     * Get telemetry recorded inside an area, newest first
+     * Candidates come from the R-tree index and are then tested exactly against the area
+     * @param {Object} filters - { area (parsed spatial filter), uavId, missionId, since, until, limit }
+     * @returns {Array} Telemetry records; radius searches add distanceMeters
+     */
+    async getTelemetryInArea(filters) {
+        const bounds = boundsCondition('r', filters.area);
+        const conditions = [`t.id IN (SELECT r.id FROM mission_telemetry_rtree r WHERE ${bounds.sql})`];
+        const params = [...bounds.params];
+
+        if (filters.uavId) {
+            conditions.push('t.uav_id = ?');
+            params.push(filters.uavId);
+        }
+
+        if (filters.missionId) {
+            conditions.push('t.mission_id = ?');
+            params.push(filters.missionId);
+        }
+
+        if (filters.since) {
+            conditions.push('t.timestamp >= ?');
+            params.push(filters.since);
+        }
+
+        if (filters.until) {
+            conditions.push('t.timestamp <= ?');
+            params.push(filters.until);
+        }
+
+        const limit = Math.min(filters.limit || DEFAULT_AREA_LIMIT, MAX_AREA_LIMIT);
+        const query = `SELECT t.* FROM mission_telemetry t WHERE ${conditions.join(' AND ')}
+            ORDER BY t.timestamp DESC, t.id DESC LIMIT ? OFFSET ?`;
+
+        // Page through candidates until enough pass the exact test
+        const telemetry = [];
+        for (let offset = 0; telemetry.length < limit; offset += limit) {
+            const rows = await db.all(query, [...params, limit, offset]);
+
+            for (const record of rows) {
+                if (telemetry.length >= limit) break;
+                if (!matchesFilter(filters.area, record.lat, record.lng)) continue;
+
+                const formatted = this.formatTelemetry(record);
+                if (filters.area.type === 'radius') {
+                    const { center } = filters.area;
+                    formatted.distanceMeters = Math.round(distanceMeters(center.lat, center.lng, record.lat, record.lng));
+                }
+                telemetry.push(formatted);
+            }
+
+            if (rows.length < limit) break;
+        }
+
+        return telemetry;
+    }
+
+    /**
+     * Format telemetry row for API response
+     * @param {Object} record - Raw telemetry row
+     * @returns {Object} Formatted telemetry record
+     */
+    formatTelemetry(record) {
+        return {
             missionId: record.mission_id,
             uavId: record.uav_id,
             location: {
@@ -259,28 +388,376 @@ class MissionService {
             isacMode: record.isac_mode,
             signalStrength: record.signal_strength,
             timestamp: record.timestamp
-        }));
+        };
     }
 
     /**
      * Complete mission
      * @param {string} missionId - Mission ID
+     * @param {Object} context - Audit context of the operator completing it
+     * @param {string} reason - Why the mission was completed
      * @returns {Object} Completed mission
      */
-    async completeMission(missionId) {
+    async completeMission(missionId, context, reason = null) {
+        return await this.transitionMission(missionId, 'completed', reason, context);
+    }
+
+    /**
+     * Complete a mission on the server's own initiative, unless a request closed or changed it first
+     * @param {string} missionId - Mission ID
+     * @param {Object} context - Audit context
+     * @param {string} reason - Why the mission was completed
+     * @returns {Object|null} Completed mission or null if it was no longer there to complete
+     */
+    async closeIfUnchanged(missionId, context, reason) {
+        try {
+            return await this.completeMission(missionId, context, reason);
+        } catch (error) {
+            if (!(error instanceof MissionConflictError)) throw error;
+
+            console.log(`⏭️ Mission ${missionId} not completed: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Move a mission to another lifecycle state, recording why
+     * Completed and aborted missions are closed with an end time
+     * @param {string} missionId - Mission ID
+     * @param {string} status - New status (active only to resume a paused mission)
+     * @param {string} reason - Why the status changed
+     * @param {Object} context - Audit context of whoever made the change
+     * @returns {Object|null} Updated mission or null if not found
+     * @throws {MissionConflictError} If the mission cannot make the change, or another request changed it first
+     */
+    async transitionMission(missionId, status, reason, context) {
+        const before = await this.getMissionById(missionId);
+        if (!before) {
+            return null;
+        }
+
+        if (!canTransition(before.status, status) || (status === 'active' && before.status !== 'paused')) {
+            throw new MissionConflictError(`Cannot change mission status from ${before.status} to ${status}`, before);
+        }
+
         const now = new Date().toISOString();
+        const closing = status === 'completed' || status === 'aborted';
 
+        // Only moves the mission out of the status checked above; a concurrent change leaves nothing to update
         const query = `
             UPDATE missions 
-            SET status = 'completed', end_time = ?, updated_at = ? 
-            WHERE id = ?
+            SET status = ?, status_reason = ?, status_changed_at = ?, end_time = ?, updated_at = ? 
+            WHERE id = ? AND status = ?
         `;
 
-        await db.run(query, [now, now, missionId]);
+        const result = await db.run(query, [status, reason || null, now, closing ? now : null, now, missionId, before.status]);
+        if (result.changes === 0) {
+            const current = await this.getMissionById(missionId);
+            throw new MissionConflictError(
+                `Mission ${missionId} changed to ${current ? current.status : 'deleted'} before it could move to ${status}`,
+                current
+            );
+        }
+
+        console.log(`🚦 Mission ${missionId}: ${before.status} -> ${status}${reason ? ` (${reason})` : ''}`);
+
+        const mission = await this.getMissionById(missionId);
+        await auditService.record({
+            action: TRANSITION_ACTIONS[status],
+            entityType: 'mission',
+            entityId: missionId,
+            before,
+            after: mission
+        }, context);
 
-        console.log(`✅ Mission completed: ${missionId}`);
+        return mission;
+    }
+
+    /**
+     * Set the weather a mission is flown in, which scales how likely its UAVs are to spot survivors
+     * Only searches made from now on are affected
+     * @param {string} missionId - Mission ID
+     * @param {string} condition - Weather condition
+     * @param {Object} context - Audit context of the operator reporting it
+     * @returns {Object|null} Updated mission or null if not found
+     */
+    async setWeather(missionId, condition, context) {
+        const before = await this.getMissionById(missionId);
+        if (!before) {
+            return null;
+        }
 
-        return await this.getMissionById(missionId);
+        const now = new Date().toISOString();
+        await db.run(
+            'UPDATE missions SET weather_condition = ?, weather_changed_at = ?, updated_at = ? WHERE id = ?',
+            [condition, now, now, missionId]
+        );
+
+        console.log(`🌦️ Mission ${missionId} weather: ${before.weather.condition} -> ${condition}`);
+
+        const mission = await this.getMissionById(missionId);
+        await auditService.record({
+            action: 'mission.weather_changed',
+            entityType: 'mission',
+            entityId: missionId,
+            before,
+            after: mission
+        }, context);
+
+        return mission;
+    }
+
+    /**
+     * Plan a mission: split the search area between the UAVs and lay out their waypoints
+     * @param {Object} plan - { name, searchArea (GeoJSON Polygon), pattern, uavIds, minAltitude,
+     *                        maxAltitude, startCriteria, successCriteria, plannedBy }
+     * @param {Object} context - Audit context of the operator planning it
+     * @returns {Object} Planned mission
+     * @throws {PlanValidationError} If the plan cannot be flown as requested
+     * @throws {UAVsBusyError} If another mission booked any of its UAVs first
+     */
+    async planMission(plan, context) {
+        let area;
+        try {
+            area = parseSpatialFilter({ polygon: plan.searchArea });
+        } catch (error) {
+            throw new PlanValidationError(`searchArea: ${error.message}`);
+        }
+        const startCriteria = normalizeStartCriteria(plan.startCriteria);
+        const successCriteria = normalizeSuccessCriteria(plan.successCriteria);
+        const uavPlans = planSearch({
+            ring: area.ring,
+            pattern: plan.pattern,
+            uavIds: plan.uavIds,
+            minAltitude: plan.minAltitude,
+            maxAltitude: plan.maxAltitude
+        });
+
+        const missionId = uuidv4();
+        const now = new Date().toISOString();
+
+        // Each UAV is only booked while no other planned mission holds it, and the mission is
+        // rolled back unless all of them are
+        await db.transaction(async (tx) => {
+            await tx.run(`
+                INSERT INTO missions (
+                    id, status, origin, name, search_area, search_pattern, min_altitude, max_altitude,
+                    start_criteria, success_criteria, planned_by, created_at
+                ) VALUES (?, 'planned', 'planned', ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                missionId,
+                plan.name || null,
+                JSON.stringify({ type: 'Polygon', coordinates: [area.ring] }),
+                plan.pattern,
+                plan.minAltitude,
+                plan.maxAltitude,
+                JSON.stringify(startCriteria),
+                JSON.stringify(successCriteria),
+                plan.plannedBy || null,
+                now
+            ]);
+
+            const busy = [];
+            for (const uavPlan of uavPlans) {
+                const booked = await tx.run(`
+                    INSERT INTO mission_uavs (mission_id, uav_id, altitude, waypoints, distance_meters)
+                    SELECT ?, ?, ?, ?, ?
+                    WHERE NOT EXISTS (
+                        SELECT 1 FROM mission_uavs u JOIN missions m ON m.id = u.mission_id
+                        WHERE u.uav_id = ? AND ${BOOKING_CONDITION}
+                    )
+                `, [
+                    missionId,
+                    uavPlan.uavId,
+                    uavPlan.altitude,
+                    JSON.stringify(uavPlan.waypoints),
+                    uavPlan.distanceMeters,
+                    uavPlan.uavId
+                ]);
+                if (booked.changes === 0) busy.push(uavPlan.uavId);
+            }
+
+            if (busy.length > 0) {
+                throw new UAVsBusyError(busy);
+            }
+        });
+
+        await coverageService.ensureGrid(missionId);
+        await searchMapService.ensureSearchMap(missionId);
+
+        console.log(`🗺️ Mission ${missionId} planned for ${plan.uavIds.join(', ')} (${plan.pattern})`);
+
+        const mission = await this.getMissionById(missionId);
+        await auditService.record({
+            action: 'mission.planned',
+            entityType: 'mission',
+            entityId: missionId,
+            after: mission
+        }, context);
+
+        return mission;
+    }
+
+    /**
+     * Get the waypoint plan of every UAV on a mission
+     * @param {string} missionId - Mission ID
+     * @returns {Array} Plans
+     */
+    async getPlans(missionId) {
+        const rows = await db.all('SELECT * FROM mission_uavs WHERE mission_id = ? ORDER BY uav_id ASC', [missionId]);
+        return rows.map(row => this.formatPlan(row));
+    }
+
+    /**
+     * Get the planned mission a UAV is assigned to and has not finished
+     * @param {string} uavId - UAV ID
+     * @returns {Object|null} Mission or null
+     */
+    async getAssignedMission(uavId) {
+        const mission = await db.get(`
+            ${MISSION_SELECT}
+            WHERE ${BOOKING_CONDITION}
+            AND EXISTS (SELECT 1 FROM mission_uavs u WHERE u.mission_id = m.id AND u.uav_id = ?)
+            ORDER BY m.created_at DESC
+            LIMIT 1
+        `, [uavId]);
+
+        return mission ? this.formatMission(mission) : null;
+    }
+
+    /**
+     * List which of some UAVs already fly or wait for a planned mission
+     * @param {Array} uavIds - UAV IDs
+     * @returns {Array} UAV IDs that are taken
+     */
+    async getBusyUAVs(uavIds) {
+        if (uavIds.length === 0) return [];
+
+        const rows = await db.all(`
+            SELECT DISTINCT u.uav_id FROM mission_uavs u
+            JOIN missions m ON m.id = u.mission_id
+            WHERE ${BOOKING_CONDITION}
+            AND u.uav_id IN (${uavIds.map(() => '?').join(', ')})
+        `, uavIds);
+
+        return rows.map(row => row.uav_id);
+    }
+
+    /**
+     * Check a planned mission's start criteria
+     * @param {Object} mission - Formatted planned mission
+     * @param {Array} connectedUAVs - { id, battery } of aircraft connected over socket.io
+     * @returns {Object} { ready, waitingFor }
+     */
+    checkStart(mission, connectedUAVs) {
+        return checkStartCriteria(mission.startCriteria || {}, mission.uavIds, connectedUAVs);
+    }
+
+    /**
+     * Start a planned mission
+     * The UAVs' automatic missions are completed so their telemetry counts towards this one
+     * @param {string} missionId - Mission ID
+     * @param {Object} context - Audit context (the system when started by its criteria)
+     * @returns {Object|null} { mission, superseded } or null if the mission was not planned
+     */
+    async startMission(missionId, context) {
+        const before = await this.getMissionById(missionId);
+        if (!before || before.status !== 'planned') {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const result = await db.run(
+            `UPDATE missions SET status = 'active', start_time = ?, status_changed_at = ?, updated_at = ?
+             WHERE id = ? AND status = 'planned'`,
+            [now, now, now, missionId]
+        );
+
+        // Another request started or closed it first and has already done the rest
+        if (result.changes === 0) {
+            return null;
+        }
+
+        const automatic = await db.all(`
+            SELECT DISTINCT m.id FROM missions m
+            JOIN mission_uavs u ON u.mission_id = m.id
+            WHERE m.origin = 'automatic' AND m.status = 'active'
+            AND u.uav_id IN (${before.uavIds.map(() => '?').join(', ')})
+        `, before.uavIds);
+
+        const superseded = [];
+        for (const { id } of automatic) {
+            const completed = await this.closeIfUnchanged(id, context, `Superseded by mission ${missionId}`);
+            if (completed) superseded.push(completed);
+        }
+
+        console.log(`🚀 Mission started: ${missionId}`);
+
+        const mission = await this.getMissionById(missionId);
+        await auditService.record({
+            action: 'mission.started',
+            entityType: 'mission',
+            entityId: missionId,
+            before,
+            after: mission
+        }, context);
+
+        return { mission, superseded };
+    }
+
+    /**
+     * Record that a UAV's plan was sent to it
+     * @param {string} missionId - Mission ID
+     * @param {string} uavId - UAV ID
+     */
+    async recordPlanDispatched(missionId, uavId) {
+        await db.run(
+            'UPDATE mission_uavs SET dispatched_at = ?, acknowledged_at = NULL WHERE mission_id = ? AND uav_id = ?',
+            [new Date().toISOString(), missionId, uavId]
+        );
+    }
+
+    /**
+     * Record that a UAV acknowledged its plan
+     * @param {string} missionId - Mission ID
+     * @param {string} uavId - UAV ID
+     */
+    async recordPlanAcknowledged(missionId, uavId) {
+        await db.run(
+            'UPDATE mission_uavs SET acknowledged_at = ? WHERE mission_id = ? AND uav_id = ?',
+            [new Date().toISOString(), missionId, uavId]
+        );
+    }
+
+    /**
+     * Start automatic missions whose start criteria hold and complete missions whose
+     * success criteria are met
+     * @param {Array} connectedUAVs - { id, battery } of aircraft connected over socket.io
+     * @returns {Object} { started: [{ mission, superseded }], completed: [mission] }
+     */
+    async advanceMissions(connectedUAVs) {
+        const started = [];
+        const planned = await db.all(`${MISSION_SELECT} WHERE m.status = 'planned'`);
+        for (const row of planned) {
+            const mission = this.formatMission(row);
+            if (mission.startCriteria && mission.startCriteria.mode === 'automatic' &&
+                this.checkStart(mission, connectedUAVs).ready) {
+                const result = await this.startMission(mission.id);
+                if (result) started.push(result);
+            }
+        }
+
+        const completed = [];
+        const active = await db.all(`${MISSION_SELECT} WHERE m.status = 'active' AND m.origin = 'planned'`);
+        for (const row of active) {
+            const mission = this.formatMission(row);
+            if (mission.success && mission.success.met) {
+                const closed = await this.closeIfUnchanged(mission.id, undefined, 'Success criteria met');
+                if (closed) completed.push(closed);
+            }
+        }
+
+        return { started, completed };
     }
 
     /**
@@ -289,7 +766,7 @@ class MissionService {
      * @returns {Object|null} Mission or null
      */
     async getMissionById(missionId) {
-        const query = 'SELECT * FROM missions WHERE id = ?';
+        const query = `${MISSION_SELECT} WHERE m.id = ?`;
         const mission = await db.get(query, [missionId]);
         
         return mission ? this.formatMission(mission) : null;
@@ -301,17 +778,17 @@ class MissionService {
      * @returns {Array} Array of missions
      */
     async getAllMissions(filters = {}) {
-        let query = 'SELECT * FROM missions';
+        let query = MISSION_SELECT;
         const params = [];
         const conditions = [];
 
         if (filters.status) {
-            conditions.push('status = ?');
+            conditions.push('m.status = ?');
             params.push(filters.status);
         }
 
         if (filters.uavId) {
-            conditions.push('uav_id = ?');
+            conditions.push('EXISTS (SELECT 1 FROM mission_uavs u WHERE u.mission_id = m.id AND u.uav_id = ?)');
             params.push(filters.uavId);
         }
 
@@ -319,7 +796,7 @@ class MissionService {
             query += ' WHERE ' + conditions.join(' AND ');
         }
 
-        query += ' ORDER BY start_time DESC';
+        query += ' ORDER BY m.start_time DESC, m.created_at DESC';
 
         if (filters.limit) {
             query += ' LIMIT ?';
@@ -336,19 +813,59 @@ class MissionService {
      * @returns {Object} Formatted mission record
      */
     formatMission(mission) {
+        const successCriteria = mission.success_criteria ? JSON.parse(mission.success_criteria) : null;
+        const survivorsDetected = mission.survivors_detected || 0;
+        const coveragePercent = mission.search_area_cells
+            ? Math.min(Math.round(1000 * (mission.covered_area_cells || 0) / mission.search_area_cells) / 10, 100)
+            : null;
+
         return {
             id: mission.id,
+            name: mission.name || null,
+            origin: mission.origin || 'automatic',
             uavId: mission.uav_id,
+            uavIds: mission.uav_ids ? JSON.parse(mission.uav_ids) : [mission.uav_id],
             startTime: mission.start_time,
             endTime: mission.end_time,
             status: mission.status,
-            survivorsDetected: mission.survivors_detected || 0,
+            statusReason: mission.status_reason || null,
+            statusChangedAt: mission.status_changed_at || null,
+            survivorsDetected,
             survivorsRescued: mission.survivors_rescued || 0,
             areaCovered: mission.area_covered || 0,
+            coveragePercent,
+            weather: {
+                condition: mission.weather_condition || 'clear',
+                changedAt: mission.weather_changed_at || null
+            },
+            searchArea: mission.search_area ? JSON.parse(mission.search_area) : null,
+            searchPattern: mission.search_pattern || null,
+            altitudeBand: mission.min_altitude != null ? { min: mission.min_altitude, max: mission.max_altitude } : null,
+            startCriteria: mission.start_criteria ? JSON.parse(mission.start_criteria) : null,
+            successCriteria,
+            success: successCriteria ? evaluateSuccess(successCriteria, { survivorsDetected, coveragePercent }) : null,
+            plannedBy: mission.planned_by || null,
             createdAt: mission.created_at,
             updatedAt: mission.updated_at
         };
     }
+
+    /**
+     * Format a UAV's waypoint plan for API response
+     * @param {Object} row - Raw mission_uavs row
+     * @returns {Object} Formatted plan
+     */
+    formatPlan(row) {
+        return {
+            missionId: row.mission_id,
+            uavId: row.uav_id,
+            altitude: row.altitude,
+            waypoints: row.waypoints ? JSON.parse(row.waypoints) : [],
+            distanceMeters: row.distance_meters,
+            dispatchedAt: row.dispatched_at,
+            acknowledgedAt: row.acknowledged_at
+        };
+    }
 }
 
 module.exports = new MissionService();
\ No newline at end of file
@@ -0,0 +1,470 @@
+/**
+ * Model Registry Service
+ * Stores global model versions, their lineage and contributors, and tracks
+ * which version the fleet and each UAV should be flying with
+ */
+
+const db = require('../database/connection');
+const { unflattenWeights } = require('../federated/aggregation');
+const { ModelRollbackError } = require('../federated/errors');
+
+class ModelRegistryService {
+    /**
+     * Register a new model version
+     * @param {Object} versionData - Version data
+     * @returns {Object} Registered version (without weights)
+     */
+    async registerVersion(versionData) {
+        const {
+            version,
+            parentVersion = null,
+            roundId = null,
+            layout,
+            vector,
+            contributors = []
+        } = versionData;
+
+        const existing = await db.get('SELECT version FROM model_versions WHERE version = ?', [version]);
+        if (existing) {
+            throw new Error(`Model version ${version} already exists`);
+        }
+
+        const totalSamples = contributors.reduce((sum, c) => sum + c.trainingSamples, 0);
+        const metrics = this.aggregateMetrics(contributors, totalSamples);
+
+        const query = `
+            INSERT INTO model_versions (
+                version, parent_version, round_id, layout, weights,
+                participant_count, total_samples, accuracy_improvement,
+                convergence_score, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        await db.run(query, [
+            version,
+            parentVersion,
+            roundId,
+            JSON.stringify(layout),
+            JSON.stringify(vector),
+            contributors.length,
+            totalSamples,
+            metrics.accuracyImprovement,
+            metrics.convergenceScore,
+            new Date().toISOString()
+        ]);
+
+        for (const contributor of contributors) {
+            await db.run(
+                `INSERT INTO model_version_contributors (
+                    version, round_id, uav_id, training_samples,
+                    accuracy_improvement, convergence_score
+                ) VALUES (?, ?, ?, ?, ?, ?)`,
+                [
+                    version,
+                    roundId,
+                    contributor.uavId,
+                    contributor.trainingSamples,
+                    contributor.accuracyImprovement,
+                    contributor.convergenceScore
+                ]
+            );
+        }
+
+        console.log(`📚 Model version ${version} registered (parent: ${parentVersion || 'none'})`);
+
+        return await this.getVersion(version);
+    }
+
+    /**
+     * Get a model version
+     * @param {string} version - Version string
+     * @param {boolean} includeWeights - Whether to include the nested weights
+     * @returns {Object|null} Model version or null
+     */
+    async getVersion(version, includeWeights = false) {
+        const row = await db.get('SELECT * FROM model_versions WHERE version = ?', [version]);
+        return row ? this.formatVersion(row, includeWeights) : null;
+    }
+
+    /**
+     * Get the most recently registered version
+     * @param {boolean} includeWeights - Whether to include the nested weights
+     * @returns {Object|null} Latest model version or null
+     */
+    async getLatestVersion(includeWeights = false) {
+        const row = await db.get(
+            'SELECT * FROM model_versions ORDER BY created_at DESC, rowid DESC LIMIT 1'
+        );
+
+        return row ? this.formatVersion(row, includeWeights) : null;
+    }
+
+    /**
+     * Get all model versions
+     * @param {Object} filters - Filter options
+     * @returns {Array} Array of model versions (without weights)
+     */
+    async getVersions(filters = {}) {
+        let query = 'SELECT * FROM model_versions';
+        const params = [];
+
+        if (filters.uavId) {
+            query += ' WHERE version IN (SELECT version FROM model_version_contributors WHERE uav_id = ?)';
+            params.push(filters.uavId);
+        }
+
+        query += ' ORDER BY created_at DESC, rowid DESC';
+
+        if (filters.limit) {
+            query += ' LIMIT ?';
+            params.push(filters.limit);
+        }
+
+        const rows = await db.all(query, params);
+        return rows.map(row => this.formatVersion(row));
+    }
+
+    /**
+     * Get UAV contributions to a version
+     * @param {string} version - Version string
+     * @returns {Array} Contributors
+     */
+    async getContributors(version) {
+        const rows = await db.all(
+            'SELECT * FROM model_version_contributors WHERE version = ? ORDER BY training_samples DESC',
+            [version]
+        );
+
+        return rows.map(row => ({
+            uavId: row.uav_id,
+            roundId: row.round_id,
+            trainingSamples: row.training_samples,
+            accuracyImprovement: row.accuracy_improvement,
+            convergenceScore: row.convergence_score
+        }));
+    }
+
+    /**
+     * Walk a version's ancestry back to the initial model
+     * @param {string} version - Version string
+     * @returns {Array} Versions from the given one back to the root
+     */
+    async getLineage(version) {
+        const lineage = [];
+        const seen = new Set();
+        let current = await this.getVersion(version);
+
+        while (current && !seen.has(current.version)) {
+            seen.add(current.version);
+            lineage.push(current);
+            current = current.parentVersion ? await this.getVersion(current.parentVersion) : null;
+        }
+
+        return lineage;
+    }
+
+    /**
+     * Compute the next version number after the newest registered one
+     * @returns {string} Next minor version
+     */
+    async nextVersion() {
+        const rows = await db.all('SELECT version FROM model_versions');
+
+        let major = 1;
+        let minor = -1;
+
+        rows.forEach(row => {
+            const [rowMajor = 1, rowMinor = 0] = row.version.split('.').map(n => parseInt(n) || 0);
+            if (rowMajor > major || (rowMajor === major && rowMinor > minor)) {
+                major = rowMajor;
+                minor = rowMinor;
+            }
+        });
+
+        return `${major}.${minor + 1}.0`;
+    }
+
+    /**
+     * Get the active pin for the fleet or a UAV
+     * @param {string|null} uavId - UAV ID, or null for the fleet pin
+     * @returns {Object|null} Active pin or null
+     */
+    async getActivePin(uavId = null) {
+        const row = uavId
+            ? await db.get(
+                `SELECT * FROM model_pins WHERE scope = 'uav' AND uav_id = ? AND released_at IS NULL
+                 ORDER BY id DESC LIMIT 1`,
+                [uavId]
+            )
+            : await db.get(
+                `SELECT * FROM model_pins WHERE scope = 'fleet' AND released_at IS NULL
+                 ORDER BY id DESC LIMIT 1`
+            );
+
+        return row ? this.formatPin(row) : null;
+    }
+
+    /**
+     * Get pin history
+     * @param {Object} filters - Filter options
+     * @returns {Array} Pins
+     */
+    async getPins(filters = {}) {
+        let query = 'SELECT * FROM model_pins';
+        const params = [];
+        const conditions = [];
+
+        if (filters.active) {
+            conditions.push('released_at IS NULL');
+        }
+
+        if (filters.uavId) {
+            conditions.push('uav_id = ?');
+            params.push(filters.uavId);
+        }
+
+        if (conditions.length > 0) {
+            query += ' WHERE ' + conditions.join(' AND ');
+        }
+
+        query += ' ORDER BY id DESC';
+
+        if (filters.limit) {
+            query += ' LIMIT ?';
+            params.push(filters.limit);
+        }
+
+        const rows = await db.all(query, params);
+        return rows.map(row => this.formatPin(row));
+    }
+
+    /**
+     * Pin the fleet or a single UAV to a version
+     * @param {Object} pinData - { version, uavId, reason, pinnedBy }
+     * @returns {Object} New pin
+     */
+    async pin(pinData) {
+        const { version, uavId = null, reason = null, pinnedBy = null } = pinData;
+
+        const model = await this.getVersion(version);
+        if (!model) {
+            throw new Error(`Model version ${version} not found`);
+        }
+
+        await this.release(uavId);
+
+        const now = new Date().toISOString();
+        const result = await db.run(
+            `INSERT INTO model_pins (scope, uav_id, version, reason, pinned_by, created_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [uavId ? 'uav' : 'fleet', uavId, version, reason, pinnedBy, now]
+        );
+
+        console.log(`📌 ${uavId || 'Fleet'} pinned to model ${version}${reason ? ` (${reason})` : ''}`);
+
+        const row = await db.get('SELECT * FROM model_pins WHERE id = ?', [result.id]);
+        return this.formatPin(row);
+    }
+
+    /**
+     * Release the active pin for the fleet or a UAV
+     * @param {string|null} uavId - UAV ID, or null for the fleet pin
+     * @returns {boolean} True if a pin was released
+     */
+    async release(uavId = null) {
+        const now = new Date().toISOString();
+        const result = uavId
+            ? await db.run(
+                `UPDATE model_pins SET released_at = ? WHERE scope = 'uav' AND uav_id = ? AND released_at IS NULL`,
+                [now, uavId]
+            )
+            : await db.run(
+                `UPDATE model_pins SET released_at = ? WHERE scope = 'fleet' AND released_at IS NULL`,
+                [now]
+            );
+
+        return result.changes > 0;
+    }
+
+    /**
+     * Roll the fleet (or one UAV) back to an earlier version
+     * @param {Object} rollbackData - { uavId, toVersion, reason, pinnedBy }
+     * @returns {Object} New pin
+     * @throws {ModelRollbackError} If there is no earlier version to roll back to
+     */
+    async rollback(rollbackData) {
+        const { uavId = null, toVersion = null, reason = null, pinnedBy = null } = rollbackData;
+
+        let target = toVersion;
+
+        if (!target) {
+            const current = await this.resolveVersion(uavId);
+            if (!current || !current.parentVersion) {
+                throw new ModelRollbackError('No earlier model version to roll back to');
+            }
+            target = current.parentVersion;
+        }
+
+        return await this.pin({
+            version: target,
+            uavId,
+            reason: reason || 'rollback',
+            pinnedBy
+        });
+    }
+
+    /**
+     * Resolve the model version the fleet or a UAV should fly with
+     * @param {string|null} uavId - UAV ID, or null for the fleet
+     * @param {boolean} includeWeights - Whether to include the nested weights
+     * @returns {Object|null} Model version with an assignment source, or null
+     */
+    async resolveVersion(uavId = null, includeWeights = false) {
+        const uavPin = uavId ? await this.getActivePin(uavId) : null;
+        const fleetPin = uavPin ? null : await this.getActivePin(null);
+        const pin = uavPin || fleetPin;
+
+        const model = pin
+            ? await this.getVersion(pin.version, includeWeights)
+            : await this.getLatestVersion(includeWeights);
+
+        if (!model) return null;
+
+        return {
+            ...model,
+            assignmentSource: uavPin ? 'uav_pin' : fleetPin ? 'fleet_pin' : 'latest'
+        };
+    }
+
+    /**
+     * Record the model version a UAV reports flying with
+     * @param {string} uavId - UAV ID
+     * @param {string} version - Reported version
+     */
+    async recordReportedVersion(uavId, version) {
+        if (!uavId || !version) return;
+
+        await db.run(
+            `INSERT INTO uav_model_reports (uav_id, reported_version, reported_at)
+             VALUES (?, ?, ?)
+             ON CONFLICT(uav_id) DO UPDATE SET
+                reported_version = excluded.reported_version,
+                reported_at = excluded.reported_at`,
+            [uavId, String(version), new Date().toISOString()]
+        );
+    }
+
+    /**
+     * Get the assigned and reported model for a UAV
+     * @param {string} uavId - UAV ID
+     * @returns {Object} UAV model state
+     */
+    async getUAVModelState(uavId) {
+        const assigned = await this.resolveVersion(uavId);
+        const report = await db.get('SELECT * FROM uav_model_reports WHERE uav_id = ?', [uavId]);
+
+        return {
+            uavId,
+            assignedVersion: assigned ? assigned.version : null,
+            assignmentSource: assigned ? assigned.assignmentSource : null,
+            reportedVersion: report ? report.reported_version : null,
+            reportedAt: report ? report.reported_at : null,
+            inSync: !!(assigned && report && assigned.version === report.reported_version)
+        };
+    }
+
+    /**
+     * Get model state for every UAV the registry knows about
+     * @param {Array} extraUavIds - Additional UAV IDs to include (e.g. connected UAVs)
+     * @returns {Array} UAV model states
+     */
+    async getFleetModelState(extraUavIds = []) {
+        const rows = await db.all(`
+            SELECT uav_id FROM uav_model_reports
+            UNION
+            SELECT uav_id FROM model_pins WHERE scope = 'uav' AND released_at IS NULL
+            UNION
+            SELECT DISTINCT uav_id FROM model_version_contributors
+        `);
+
+        const uavIds = new Set(rows.map(row => row.uav_id));
+        extraUavIds.forEach(id => uavIds.add(id));
+
+        const states = [];
+        for (const uavId of Array.from(uavIds).sort()) {
+            states.push(await this.getUAVModelState(uavId));
+        }
+
+        return states;
+    }
+
+    /**
+     * Compute sample-weighted metrics over a version's contributors
+     * @param {Array} contributors - Contributors
+     * @param {number} totalSamples - Total training samples
+     * @returns {Object} Aggregate metrics
+     */
+    aggregateMetrics(contributors, totalSamples) {
+        const weightedMean = (field) => {
+            const withValue = contributors.filter(c => typeof c[field] === 'number');
+            const samples = withValue.reduce((sum, c) => sum + c.trainingSamples, 0);
+            if (withValue.length === 0 || samples === 0) return null;
+            return withValue.reduce((sum, c) => sum + c[field] * c.trainingSamples, 0) / samples;
+        };
+
+        return {
+            accuracyImprovement: totalSamples > 0 ? weightedMean('accuracyImprovement') : null,
+            convergenceScore: totalSamples > 0 ? weightedMean('convergenceScore') : null
+        };
+    }
+
+    /**
+     * Format model version record for API response
+     * @param {Object} model - Raw model version record from database
+     * @param {boolean} includeWeights - Whether to include the nested weights
+     * @returns {Object} Formatted model version
+     */
+    formatVersion(model, includeWeights = false) {
+        const layout = JSON.parse(model.layout);
+        const formatted = {
+            version: model.version,
+            parentVersion: model.parent_version,
+            roundId: model.round_id,
+            layout,
+            participantCount: model.participant_count || 0,
+            totalSamples: model.total_samples || 0,
+            metrics: {
+                accuracyImprovement: model.accuracy_improvement,
+                convergenceScore: model.convergence_score
+            },
+            createdAt: model.created_at
+        };
+
+        if (includeWeights) {
+            formatted.weights = unflattenWeights(layout, JSON.parse(model.weights));
+        }
+
+        return formatted;
+    }
+
+    /**
+     * Format pin record for API response
+     * @param {Object} pin - Raw pin record from database
+     * @returns {Object} Formatted pin
+     */
+    formatPin(pin) {
+        return {
+            id: pin.id,
+            scope: pin.scope,
+            uavId: pin.uav_id,
+            version: pin.version,
+            reason: pin.reason,
+            pinnedBy: pin.pinned_by,
+            createdAt: pin.created_at,
+            releasedAt: pin.released_at,
+            active: !pin.released_at
+        };
+    }
+}
+
+module.exports = new ModelRegistryService();
@@ -0,0 +1,235 @@
+/**
+ * Privacy Budget Service
+ * Tracks cumulative differential privacy spend per UAV and per model version
+ */
+
+const db = require('../database/connection');
+const modelRegistryService = require('./modelRegistryService');
+const { validatePrivacyParams, gaussianRho, rhoToEpsilon } = require('../federated/privacy');
+
+// Reject updates that do not carry DP parameters
+const DP_REQUIRED = process.env.FL_DP_REQUIRED === 'true';
+
+// Delta of the reported (epsilon, delta) guarantees
+const DP_DELTA = parseFloat(process.env.FL_DP_DELTA) || 1e-5;
+
+// Total epsilon a single UAV may spend across all its updates
+const UAV_EPSILON_BUDGET = parseFloat(process.env.FL_DP_UAV_EPSILON_BUDGET) || 10;
+
+// Epsilon any UAV may spend along the lineage of one model version
+const MODEL_EPSILON_BUDGET = parseFloat(process.env.FL_DP_MODEL_EPSILON_BUDGET) || 10;
+
+class PrivacyBudgetService {
+    /**
+     * Get the privacy accounting settings
+     * @returns {Object} Privacy configuration
+     */
+    getConfig() {
+        return {
+            required: DP_REQUIRED,
+            mechanism: 'gaussian',
+            accounting: 'zcdp',
+            delta: DP_DELTA,
+            uavEpsilonBudget: UAV_EPSILON_BUDGET,
+            modelEpsilonBudget: MODEL_EPSILON_BUDGET
+        };
+    }
+
+    /**
+     * Decide whether an update may be accepted under the UAV and model budgets
+     * @param {string} uavId - UAV ID
+     * @param {Object|null} privacy - DP parameters reported with the update
+     * @param {string} baseVersion - Model version the round trains against
+     * @returns {Object} { allowed, reason, params, rho, epsilon }
+     */
+    async assess(uavId, privacy, baseVersion) {
+        if (!privacy) {
+            return {
+                allowed: !DP_REQUIRED,
+                reason: DP_REQUIRED ? 'privacy_required' : null,
+                params: null,
+                rho: null,
+                epsilon: null
+            };
+        }
+
+        const params = validatePrivacyParams(privacy);
+        const rho = gaussianRho(params.noiseMultiplier);
+        const result = { allowed: true, reason: null, params, rho, epsilon: rhoToEpsilon(rho, DP_DELTA) };
+
+        const uavRho = await this.getUAVRho(uavId);
+        if (rhoToEpsilon(uavRho + rho, DP_DELTA) > UAV_EPSILON_BUDGET) {
+            return { ...result, allowed: false, reason: 'uav_privacy_budget_exhausted' };
+        }
+
+        const versionRho = (await this.getVersionRhoByUAV(baseVersion))[uavId] || 0;
+        if (rhoToEpsilon(versionRho + rho, DP_DELTA) > MODEL_EPSILON_BUDGET) {
+            return { ...result, allowed: false, reason: 'model_privacy_budget_exhausted' };
+        }
+
+        return result;
+    }
+
+    /**
+     * Check whether a UAV can no longer afford an update at the noise level it last used
+     * @param {string} uavId - UAV ID
+     * @returns {boolean} True if the UAV's budget is exhausted
+     */
+    async isExhausted(uavId) {
+        const last = await db.get(
+            `SELECT privacy_rho FROM federated_updates
+             WHERE uav_id = ? AND privacy_rho IS NOT NULL
+             ORDER BY received_at DESC LIMIT 1`,
+            [uavId]
+        );
+
+        if (!last) return false;
+
+        const uavRho = await this.getUAVRho(uavId);
+        return rhoToEpsilon(uavRho + last.privacy_rho, DP_DELTA) > UAV_EPSILON_BUDGET;
+    }
+
+    /**
+     * Get a UAV's cumulative privacy spend
+     * @param {string} uavId - UAV ID
+     * @returns {Object} UAV privacy budget
+     */
+    async getUAVBudget(uavId) {
+        const row = await db.get(
+            `SELECT SUM(privacy_rho) as rho,
+                    COUNT(privacy_rho) as private_updates,
+                    SUM(CASE WHEN dp_noise_multiplier IS NULL THEN 1 ELSE 0 END) as non_private_updates
+             FROM federated_updates WHERE uav_id = ?`,
+            [uavId]
+        );
+
+        const epsilon = rhoToEpsilon(row.rho || 0, DP_DELTA);
+
+        return {
+            uavId,
+            epsilon,
+            delta: DP_DELTA,
+            budget: UAV_EPSILON_BUDGET,
+            remaining: Math.max(0, UAV_EPSILON_BUDGET - epsilon),
+            exhausted: await this.isExhausted(uavId),
+            privateUpdates: row.private_updates || 0,
+            nonPrivateUpdates: row.non_private_updates || 0
+        };
+    }
+
+    /**
+     * Get privacy budgets of every UAV that has submitted updates
+     * @returns {Array} UAV privacy budgets
+     */
+    async getFleetBudgets() {
+        const rows = await db.all('SELECT DISTINCT uav_id FROM federated_updates ORDER BY uav_id ASC');
+
+        const budgets = [];
+        for (const row of rows) {
+            budgets.push(await this.getUAVBudget(row.uav_id));
+        }
+
+        return budgets;
+    }
+
+    /**
+     * Get the privacy guarantee of a model version over its whole lineage
+     * The version's epsilon is that of the UAV which spent the most on it
+     * @param {string} version - Model version
+     * @returns {Object} Model version privacy budget
+     */
+    async getVersionBudget(version) {
+        const rhoByUAV = await this.getVersionRhoByUAV(version);
+        const nonPrivate = await this.countNonPrivateContributions(version);
+
+        const uavs = Object.entries(rhoByUAV)
+            .map(([uavId, rho]) => ({ uavId, epsilon: rhoToEpsilon(rho, DP_DELTA) }))
+            .sort((a, b) => b.epsilon - a.epsilon);
+        const epsilon = uavs.length > 0 ? uavs[0].epsilon : 0;
+
+        return {
+            version,
+            epsilon,
+            delta: DP_DELTA,
+            budget: MODEL_EPSILON_BUDGET,
+            remaining: Math.max(0, MODEL_EPSILON_BUDGET - epsilon),
+            exhausted: epsilon >= MODEL_EPSILON_BUDGET,
+            // The guarantee only holds when every contribution in the lineage was noised
+            nonPrivateContributions: nonPrivate,
+            uavs
+        };
+    }
+
+    /**
+     * Sum zCDP cost per UAV over the aggregated updates in a version's lineage
+     * @param {string} version - Model version
+     * @returns {Object} Map of UAV ID -> rho
+     */
+    async getVersionRhoByUAV(version) {
+        const roundIds = await this.getLineageRoundIds(version);
+        if (roundIds.length === 0) return {};
+
+        const rows = await db.all(
+            `SELECT uav_id, SUM(privacy_rho) as rho FROM federated_updates
+             WHERE status = 'aggregated' AND privacy_rho IS NOT NULL
+               AND round_id IN (${roundIds.map(() => '?').join(', ')})
+             GROUP BY uav_id`,
+            roundIds
+        );
+
+        const rhoByUAV = {};
+        rows.forEach(row => {
+            rhoByUAV[row.uav_id] = row.rho;
+        });
+
+        return rhoByUAV;
+    }
+
+    /**
+     * Count aggregated updates without DP in a version's lineage
+     * @param {string} version - Model version
+     * @returns {number} Number of non-private contributions
+     */
+    async countNonPrivateContributions(version) {
+        const roundIds = await this.getLineageRoundIds(version);
+        if (roundIds.length === 0) return 0;
+
+        const row = await db.get(
+            `SELECT COUNT(*) as count FROM federated_updates
+             WHERE status = 'aggregated' AND dp_noise_multiplier IS NULL
+               AND round_id IN (${roundIds.map(() => '?').join(', ')})`,
+            roundIds
+        );
+
+        return row.count;
+    }
+
+    /**
+     * Get the rounds that produced a version and its ancestors
+     * @param {string} version - Model version
+     * @returns {Array} Round IDs
+     */
+    async getLineageRoundIds(version) {
+        if (!version) return [];
+
+        const lineage = await modelRegistryService.getLineage(version);
+        return lineage.map(model => model.roundId).filter(Boolean);
+    }
+
+    /**
+     * Sum a UAV's zCDP cost over every charged update it sent, aggregated or not
+     * Updates refused by the budget check are stored without a charge
+     * @param {string} uavId - UAV ID
+     * @returns {number} rho
+     */
+    async getUAVRho(uavId) {
+        const row = await db.get(
+            'SELECT SUM(privacy_rho) as rho FROM federated_updates WHERE uav_id = ?',
+            [uavId]
+        );
+
+        return row.rho || 0;
+    }
+}
+
+module.exports = new PrivacyBudgetService();
@@ -0,0 +1,619 @@
+/**
+ * Rescue Team Service
+ * Registry of ground rescue teams and the dispatch of teams to survivors
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database/connection');
+const auditService = require('./auditService');
+const survivorService = require('./survivorService');
+const { ACTIVE_STATES, isActive } = require('../rescue/lifecycle');
+const {
+    OPEN_ASSIGNMENT_STATES,
+    canTransitionAssignment,
+    isOpenAssignment,
+    estimateArrival
+} = require('../rescue/dispatch');
+const { AssignmentConflictError } = require('../rescue/errors');
+
+// Team statuses an operator may set; 'dispatched' follows the team's assignments
+const SETTABLE_TEAM_STATUSES = ['available', 'off_duty'];
+
+// SQL list of the open assignment states
+const OPEN_SQL = OPEN_ASSIGNMENT_STATES.map(state => `'${state}'`).join(', ');
+
+// SQL list of the survivor states a team can still be dispatched to
+const ACTIVE_SQL = ACTIVE_STATES.map(state => `'${state}'`).join(', ');
+
+const ASSIGNMENT_QUERY = `
+    SELECT team_assignments.*, rescue_teams.name AS team_name
+    FROM team_assignments JOIN rescue_teams ON rescue_teams.id = team_assignments.team_id
+`;
+
+class RescueTeamService {
+    /**
+     * Register a rescue team
+     * @param {Object} teamData - { name, capabilities, coordinates, speedKmh, contact }
+     * @param {Object} context - Audit context of the registering operator
+     * @returns {Object|null} Created team or null if the name is taken
+     */
+    async registerTeam(teamData, context) {
+        const { name, capabilities = [], coordinates = null, speedKmh = null, contact = null } = teamData;
+
+        validateTeam({ capabilities, coordinates, speedKmh });
+
+        const existing = await db.get('SELECT id FROM rescue_teams WHERE name = ?', [name]);
+        if (existing) {
+            return null;
+        }
+
+        const id = uuidv4();
+        const now = new Date().toISOString();
+        await db.run(
+            `INSERT INTO rescue_teams (
+                id, name, capabilities, status, lat, lng, position_updated_at, speed_kmh, contact, created_at, updated_at
+            ) VALUES (?, ?, ?, 'available', ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                id,
+                name,
+                JSON.stringify(capabilities),
+                coordinates ? coordinates.lat : null,
+                coordinates ? coordinates.lng : null,
+                coordinates ? now : null,
+                speedKmh,
+                contact,
+                now,
+                now
+            ]
+        );
+
+        const team = await this.getTeamById(id);
+        await auditService.record({
+            action: 'team.registered',
+            entityType: 'rescue_team',
+            entityId: id,
+            after: team
+        }, context);
+
+        return team;
+    }
+
+    /**
+     * Get team by ID, with its open assignment
+     * @param {string} teamId - Team ID
+     * @returns {Object|null} Team or null
+     */
+    async getTeamById(teamId) {
+        const row = await db.get('SELECT * FROM rescue_teams WHERE id = ?', [teamId]);
+        if (!row) {
+            return null;
+        }
+        return this.formatTeam(row, await this.getOpenAssignmentForTeam(teamId));
+    }
+
+    /**
+     * Get teams with their open assignments
+     * Given a survivor position, each team also carries its estimated arrival and the
+     * list is ordered by it, fastest first (teams with no known position last)
+     * @param {Object} filters - { status, capability, near: { lat, lng } }
+     * @returns {Array} Teams
+     */
+    async getTeams(filters = {}) {
+        let query = 'SELECT * FROM rescue_teams';
+        const params = [];
+        const conditions = [];
+
+        if (filters.status) {
+            conditions.push('status = ?');
+            params.push(filters.status);
+        }
+
+        if (filters.capability) {
+            conditions.push('EXISTS (SELECT 1 FROM json_each(capabilities) WHERE json_each.value = ?)');
+            params.push(filters.capability);
+        }
+
+        if (conditions.length > 0) {
+            query += ' WHERE ' + conditions.join(' AND ');
+        }
+
+        query += ' ORDER BY name ASC';
+
+        const rows = await db.all(query, params);
+        const open = await this.getAssignments({ open: true });
+        const openByTeam = new Map(open.map(assignment => [assignment.teamId, assignment]));
+
+        const teams = rows.map(row => this.formatTeam(row, openByTeam.get(row.id) || null));
+
+        if (!filters.near) {
+            return teams;
+        }
+
+        teams.forEach(team => { team.arrival = estimateArrival(team, filters.near); });
+        return teams.sort((a, b) => arrivalOf(a) - arrivalOf(b));
+    }
+
+    /**
+     * Update a team's details or take it on and off duty
+     * @param {string} teamId - Team ID
+     * @param {Object} updates - { name, capabilities, speedKmh, contact, status }
+     * @param {Object} context - Audit context
+     * @returns {Object|null} Updated team or null if not found
+     */
+    async updateTeam(teamId, updates, context) {
+        const before = await this.getTeamById(teamId);
+        if (!before) {
+            return null;
+        }
+
+        validateTeam(updates);
+
+        if (updates.status !== undefined) {
+            if (!SETTABLE_TEAM_STATUSES.includes(updates.status)) {
+                throw new Error(`Team status must be one of ${SETTABLE_TEAM_STATUSES.join(', ')}`);
+            }
+            if (before.activeAssignment) {
+                throw new Error('Team has an open assignment; cancel or complete it first');
+            }
+        }
+
+        const columns = { name: 'name', capabilities: 'capabilities', speedKmh: 'speed_kmh', contact: 'contact', status: 'status' };
+        const setClause = [];
+        const params = [];
+
+        for (const [field, column] of Object.entries(columns)) {
+            if (updates[field] !== undefined) {
+                setClause.push(`${column} = ?`);
+                params.push(field === 'capabilities' ? JSON.stringify(updates[field]) : updates[field]);
+            }
+        }
+
+        if (setClause.length === 0) {
+            throw new Error('No valid fields to update');
+        }
+
+        setClause.push('updated_at = ?');
+        params.push(new Date().toISOString(), teamId);
+
+        await db.run(`UPDATE rescue_teams SET ${setClause.join(', ')} WHERE id = ?`, params);
+
+        const team = await this.getTeamById(teamId);
+        await auditService.record({
+            action: 'team.updated',
+            entityType: 'rescue_team',
+            entityId: teamId,
+            before,
+            after: team
+        }, context);
+
+        return team;
+    }
+
+    /**
+     * Record a team's current position and refresh the arrival estimate of its assignment
+     * Positions are frequent, so they are not audited
+     * @param {string} teamId - Team ID
+     * @param {Object} coordinates - { lat, lng }
+     * @returns {Object|null} Updated team (with activeAssignment) or null if not found
+     */
+    async updateTeamPosition(teamId, coordinates) {
+        validateTeam({ coordinates });
+
+        const now = new Date().toISOString();
+        const result = await db.run(
+            'UPDATE rescue_teams SET lat = ?, lng = ?, position_updated_at = ?, updated_at = ? WHERE id = ?',
+            [coordinates.lat, coordinates.lng, now, now, teamId]
+        );
+        if (result.changes === 0) {
+            return null;
+        }
+
+        const team = await this.getTeamById(teamId);
+        if (team.activeAssignment) {
+            await this.refreshArrival(team, team.activeAssignment);
+            return this.getTeamById(teamId);
+        }
+
+        return team;
+    }
+
+    /**
+     * Dispatch a team to a survivor
+     * The survivor moves to assigned (confirming it first if it was only detected) and the team to dispatched.
+     * The team and the survivor are claimed with conditional writes, so of two concurrent dispatches
+     * only one succeeds; the other is undone and refused
+     * @param {Object} assignmentData - { teamId, survivorId, notes, assignedBy }
+     * @param {Object} context - Audit context of the dispatching operator
+     * @returns {Object} { assignment, team, survivor }
+     * @throws {AssignmentConflictError} If the team or survivor is taken or no longer awaits rescue
+     */
+    async assignTeam({ teamId, survivorId, notes = null, assignedBy = null }, context) {
+        const team = await this.getTeamById(teamId);
+        if (!team || team.status !== 'available') {
+            throw new AssignmentConflictError(`Team ${teamId} is not available`);
+        }
+
+        let survivor = await survivorService.getSurvivorById(survivorId);
+        if (!survivor || !isActive(survivor.status)) {
+            throw new AssignmentConflictError(`Survivor ${survivorId} is not awaiting rescue`);
+        }
+
+        const id = uuidv4();
+        const now = new Date().toISOString();
+        const arrival = estimateArrival(team, survivor.coordinates);
+
+        const claimed = await db.run(
+            "UPDATE rescue_teams SET status = 'dispatched', updated_at = ? WHERE id = ? AND status = 'available'",
+            [now, teamId]
+        );
+        if (claimed.changes === 0) {
+            throw new AssignmentConflictError(`Team ${teamId} is not available`);
+        }
+
+        // Only written while the survivor is still active and no other team covers it
+        const inserted = await db.run(
+            `INSERT INTO team_assignments (
+                id, team_id, survivor_id, status, distance_meters, eta_at, assigned_by, notes, assigned_at, updated_at
+            )
+            SELECT ?, ?, ?, 'pending', ?, ?, ?, ?, ?, ?
+            WHERE EXISTS (SELECT 1 FROM survivors WHERE id = ? AND status IN (${ACTIVE_SQL}))
+            AND NOT EXISTS (SELECT 1 FROM team_assignments WHERE survivor_id = ? AND status IN (${OPEN_SQL}))`,
+            [
+                id,
+                teamId,
+                survivorId,
+                arrival ? arrival.distanceMeters : null,
+                arrival ? arrival.etaAt : null,
+                assignedBy,
+                notes,
+                now,
+                now,
+                survivorId,
+                survivorId
+            ]
+        );
+        if (inserted.changes === 0) {
+            await releaseTeam(teamId, now);
+            throw new AssignmentConflictError(`Survivor ${survivorId} already has a team assigned or is not awaiting rescue`);
+        }
+
+        try {
+            if (survivor.status === 'detected') {
+                survivor = await survivorService.updateSurvivor(survivorId, { status: 'confirmed' }, context, 'survivor.status_changed');
+            }
+            if (survivor.status !== 'assigned') {
+                survivor = await survivorService.updateSurvivor(survivorId, { status: 'assigned' }, context, 'survivor.status_changed');
+            }
+        } catch (error) {
+            // The survivor was resolved meanwhile; drop the claim rather than leave the team committed to it
+            await db.run('DELETE FROM team_assignments WHERE id = ?', [id]);
+            await releaseTeam(teamId, now);
+            throw new AssignmentConflictError(`Survivor ${survivorId} is not awaiting rescue: ${error.message}`);
+        }
+
+        const assignment = await this.getAssignmentById(id);
+        await auditService.record({
+            action: 'assignment.created',
+            entityType: 'team_assignment',
+            entityId: id,
+            after: assignment
+        }, context);
+
+        console.log(`🚒 Team ${team.name} dispatched to survivor ${survivorId}`);
+
+        return { assignment, team: await this.getTeamById(teamId), survivor };
+    }
+
+    /**
+     * Record a status reported by the team, or a cancellation by dispatch
+     * En route moves the survivor to en_route; completion applies the outcome to the survivor;
+     * a declined or cancelled assignment returns the survivor to confirmed. Closing frees the team
+     * @param {string} assignmentId - Assignment ID
+     * @param {Object} update - { status, outcome (required when completing), notes }
+     * @param {Object} context - Audit context
+     * @returns {Object} { assignment, team, survivor }
+     */
+    async updateAssignmentStatus(assignmentId, { status, outcome = null, notes = null }, context) {
+        const before = await this.getAssignmentById(assignmentId);
+        if (!before) {
+            throw new Error('Assignment not found');
+        }
+        if (!canTransitionAssignment(before.status, status)) {
+            throw new Error(`Cannot change assignment status from ${before.status} to ${status}`);
+        }
+
+        const now = new Date().toISOString();
+        const setClause = ['status = ?', 'updated_at = ?'];
+        const params = [status, now];
+
+        // Column names come from the assignment states checked above
+        const stampColumn = { acknowledged: 'acknowledged_at', en_route: 'en_route_at', on_scene: 'on_scene_at' }[status];
+        if (stampColumn) {
+            setClause.push(`${stampColumn} = ?`);
+            params.push(now);
+        }
+        if (!isOpenAssignment(status)) {
+            setClause.push('closed_at = ?');
+            params.push(now);
+        }
+        if (status === 'completed') {
+            setClause.push('outcome = ?');
+            params.push(outcome);
+        }
+        if (notes) {
+            setClause.push('notes = ?');
+            params.push(notes);
+        }
+
+        params.push(assignmentId);
+        await db.run(`UPDATE team_assignments SET ${setClause.join(', ')} WHERE id = ?`, params);
+
+        if (!isOpenAssignment(status)) {
+            await releaseTeam(before.teamId, now);
+        }
+
+        const survivor = await this.applyToSurvivor(before, status, outcome, context);
+
+        const assignment = await this.getAssignmentById(assignmentId);
+        await auditService.record({
+            action: `assignment.${status}`,
+            entityType: 'team_assignment',
+            entityId: assignmentId,
+            before,
+            after: assignment
+        }, context);
+
+        return { assignment, team: await this.getTeamById(before.teamId), survivor };
+    }
+
+    /**
+     * Close the open assignment of a survivor whose status was changed outside the team workflow
+     * A resolved survivor completes the assignment with that outcome; one stood down cancels it
+     * @param {Object} survivor - Formatted survivor after the change
+     * @param {Object} context - Audit context
+     * @returns {Object|null} { assignment, team } or null if the survivor had no open assignment to close
+     */
+    async releaseSurvivor(survivor, context) {
+        const open = await this.getOpenAssignmentForSurvivor(survivor.id);
+        if (!open || (isActive(survivor.status) && survivor.status !== 'confirmed')) {
+            return null;
+        }
+
+        const resolved = ['rescued', 'deceased', 'false_positive'].includes(survivor.status);
+        const now = new Date().toISOString();
+
+        await db.run(
+            'UPDATE team_assignments SET status = ?, outcome = ?, closed_at = ?, updated_at = ? WHERE id = ?',
+            [resolved ? 'completed' : 'cancelled', resolved ? survivor.status : null, now, now, open.id]
+        );
+        await releaseTeam(open.teamId, now);
+
+        const assignment = await this.getAssignmentById(open.id);
+        await auditService.record({
+            action: `assignment.${assignment.status}`,
+            entityType: 'team_assignment',
+            entityId: open.id,
+            before: open,
+            after: assignment
+        }, context);
+
+        return { assignment, team: await this.getTeamById(open.teamId) };
+    }
+
+    /**
+     * Get assignment by ID
+     * @param {string} assignmentId - Assignment ID
+     * @returns {Object|null} Assignment or null
+     */
+    async getAssignmentById(assignmentId) {
+        const row = await db.get(`${ASSIGNMENT_QUERY} WHERE team_assignments.id = ?`, [assignmentId]);
+        return row ? this.formatAssignment(row) : null;
+    }
+
+    /**
+     * Get assignments, newest first
+     * @param {Object} filters - { teamId, survivorId, status, open, limit }
+     * @returns {Array} Assignments
+     */
+    async getAssignments(filters = {}) {
+        let query = ASSIGNMENT_QUERY;
+        const params = [];
+        const conditions = [];
+
+        if (filters.teamId) {
+            conditions.push('team_assignments.team_id = ?');
+            params.push(filters.teamId);
+        }
+
+        if (filters.survivorId) {
+            conditions.push('team_assignments.survivor_id = ?');
+            params.push(filters.survivorId);
+        }
+
+        if (filters.status) {
+            conditions.push('team_assignments.status = ?');
+            params.push(filters.status);
+        }
+
+        if (filters.open) {
+            conditions.push(`team_assignments.status IN (${OPEN_SQL})`);
+        }
+
+        if (conditions.length > 0) {
+            query += ' WHERE ' + conditions.join(' AND ');
+        }
+
+        query += ' ORDER BY team_assignments.assigned_at DESC';
+
+        if (filters.limit) {
+            query += ' LIMIT ?';
+            params.push(filters.limit);
+        }
+
+        const rows = await db.all(query, params);
+        return rows.map(row => this.formatAssignment(row));
+    }
+
+    /**
+     * Get the assignment a survivor is covered by
+     * @param {string} survivorId - Survivor ID
+     * @returns {Object|null} Open assignment or null
+     */
+    async getOpenAssignmentForSurvivor(survivorId) {
+        const [assignment] = await this.getAssignments({ survivorId, open: true, limit: 1 });
+        return assignment || null;
+    }
+
+    /**
+     * Get the assignment a team is working on
+     * @param {string} teamId - Team ID
+     * @returns {Object|null} Open assignment or null
+     */
+    async getOpenAssignmentForTeam(teamId) {
+        const [assignment] = await this.getAssignments({ teamId, open: true, limit: 1 });
+        return assignment || null;
+    }
+
+    /**
+     * Recompute an assignment's distance and arrival time from the team's position
+     * @param {Object} team - Formatted team
+     * @param {Object} assignment - Open assignment
+     */
+    async refreshArrival(team, assignment) {
+        // Once on scene the team has arrived
+        if (assignment.status === 'on_scene') {
+            return;
+        }
+
+        const survivor = await survivorService.getSurvivorById(assignment.survivorId);
+        const arrival = survivor ? estimateArrival(team, survivor.coordinates) : null;
+        if (!arrival) {
+            return;
+        }
+
+        await db.run(
+            'UPDATE team_assignments SET distance_meters = ?, eta_at = ? WHERE id = ?',
+            [arrival.distanceMeters, arrival.etaAt, assignment.id]
+        );
+    }
+
+    /**
+     * Move the survivor along with its assignment
+     * @param {Object} assignment - Assignment before the change
+     * @param {string} status - New assignment status
+     * @param {string} outcome - Outcome of a completed assignment
+     * @param {Object} context - Audit context
+     * @returns {Object|null} Updated survivor, or null if it did not change
+     */
+    async applyToSurvivor(assignment, status, outcome, context) {
+        const survivor = await survivorService.getSurvivorById(assignment.survivorId);
+        if (!survivor) {
+            return null;
+        }
+
+        let target = null;
+        if (status === 'en_route') {
+            target = 'en_route';
+        } else if (status === 'completed') {
+            target = outcome;
+        } else if (status === 'declined' || status === 'cancelled') {
+            target = 'confirmed';
+        }
+
+        if (!target || target === survivor.status || !survivor.allowedTransitions.includes(target)) {
+            return null;
+        }
+
+        if (target === 'rescued') {
+            return survivorService.markAsRescued(survivor.id, assignment.teamName, context);
+        }
+        return survivorService.updateSurvivor(survivor.id, { status: target }, context, 'survivor.status_changed');
+    }
+
+    /**
+     * Format team row for API response
+     * @param {Object} row - Raw team row
+     * @param {Object|null} activeAssignment - The team's open assignment
+     * @returns {Object} Formatted team
+     */
+    formatTeam(row, activeAssignment = null) {
+        return {
+            id: row.id,
+            name: row.name,
+            capabilities: JSON.parse(row.capabilities),
+            status: row.status,
+            coordinates: row.lat === null || row.lng === null ? null : {
+                lat: row.lat,
+                lng: row.lng
+            },
+            positionUpdatedAt: row.position_updated_at,
+            speedKmh: row.speed_kmh,
+            contact: row.contact,
+            activeAssignment,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * Format assignment row for API response
+     * @param {Object} row - Raw assignment row joined with its team name
+     * @returns {Object} Formatted assignment
+     */
+    formatAssignment(row) {
+        const open = isOpenAssignment(row.status);
+        return {
+            id: row.id,
+            teamId: row.team_id,
+            teamName: row.team_name,
+            survivorId: row.survivor_id,
+            status: row.status,
+            outcome: row.outcome,
+            distanceMeters: row.distance_meters,
+            etaAt: row.eta_at,
+            // Seconds left until the estimated arrival, while the team is still on its way
+            etaSeconds: open && row.status !== 'on_scene' && row.eta_at
+                ? Math.max(Math.round((Date.parse(row.eta_at) - Date.now()) / 1000), 0)
+                : null,
+            assignedBy: row.assigned_by,
+            notes: row.notes,
+            assignedAt: row.assigned_at,
+            acknowledgedAt: row.acknowledged_at,
+            enRouteAt: row.en_route_at,
+            onSceneAt: row.on_scene_at,
+            closedAt: row.closed_at,
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+// Helper functions
+
+function validateTeam({ capabilities, coordinates, speedKmh }) {
+    if (capabilities !== undefined && (!Array.isArray(capabilities) || !capabilities.every(c => typeof c === 'string'))) {
+        throw new Error('Capabilities must be an array of strings');
+    }
+
+    if (coordinates && (typeof coordinates.lat !== 'number' || typeof coordinates.lng !== 'number')) {
+        throw new Error('Invalid coordinates provided');
+    }
+
+    if (speedKmh !== undefined && speedKmh !== null && !(typeof speedKmh === 'number' && speedKmh > 0)) {
+        throw new Error('Speed must be a positive number of km/h');
+    }
+}
+
+// Return a dispatched team to duty; a team an operator stood down meanwhile stays off duty
+function releaseTeam(teamId, now) {
+    return db.run(
+        "UPDATE rescue_teams SET status = 'available', updated_at = ? WHERE id = ? AND status = 'dispatched'",
+        [now, teamId]
+    );
+}
+
+// Teams with no known position sort after every team with an estimate
+function arrivalOf(team) {
+    return team.arrival ? team.arrival.etaSeconds : Infinity;
+}
+
+module.exports = new RescueTeamService();
@@ -0,0 +1,314 @@
+/**
+ * Round Scheduler Service
+ * Decides which UAVs take part in a federated round based on their ISAC link
+ */
+
+const db = require('../database/connection');
+const isacService = require('./isacService');
+const privacyBudgetService = require('./privacyBudgetService');
+const { getCompressionProfile, estimateEncodedBytes } = require('../federated/compression');
+
+// Per-tick time slot a model upload may take on a non-'good' link
+const UPLOAD_BUDGET_SECONDS = parseFloat(process.env.FL_UPLOAD_BUDGET_SECONDS) || 0.01;
+
+// How long a round waits for selected UAVs before aggregating what it has
+const ROUND_DEADLINE_MS = parseInt(process.env.FL_ROUND_DEADLINE_MS) || 90000;
+
+// ISAC reports older than this do not count as a UAV's current link
+const ISAC_STALENESS_MS = parseInt(process.env.FL_ISAC_STALENESS_MS) || 60000;
+
+class RoundSchedulerService {
+    /**
+     * Deadline for a round opened now
+     * @returns {string} ISO timestamp
+     */
+    getRoundDeadline() {
+        return new Date(Date.now() + ROUND_DEADLINE_MS).toISOString();
+    }
+
+    /**
+     * Check whether a round has passed its deadline
+     * @param {Object} round - Formatted round
+     * @returns {boolean} True if expired
+     */
+    isExpired(round) {
+        return !!round.deadlineAt && Date.now() > Date.parse(round.deadlineAt);
+    }
+
+    /**
+     * Estimate upload size of an update encoded with the profile negotiated for an ISAC mode
+     * @param {number} parameterCount - Number of weights
+     * @param {string} isacMode - ISAC mode
+     * @returns {number} Estimated bytes
+     */
+    estimateUpdateBytes(parameterCount, isacMode) {
+        return estimateEncodedBytes(parameterCount, getCompressionProfile(isacMode));
+    }
+
+    /**
+     * Evaluate whether a UAV's current ISAC link can carry a model upload
+     * @param {string} uavId - UAV ID
+     * @param {number|null} uploadBytes - Actual upload size, or null to estimate from the mode's profile
+     * @param {number} parameterCount - Global model parameter count (used when estimating)
+     * @returns {Object} Link evaluation
+     */
+    async evaluateLink(uavId, uploadBytes, parameterCount = 0) {
+        const status = await isacService.getLatestISACStatus(uavId);
+
+        if (!status || Date.now() - Date.parse(status.timestamp) > ISAC_STALENESS_MS) {
+            return {
+                eligible: false,
+                reason: 'no_recent_isac_status',
+                isacMode: status ? status.mode : null,
+                signalStrength: status ? status.signalStrength : null,
+                dataRate: status ? status.dataRate : null,
+                estimatedUploadSeconds: null
+            };
+        }
+
+        if (uploadBytes === null) {
+            uploadBytes = this.estimateUpdateBytes(parameterCount, status.mode);
+        }
+
+        const estimatedUploadSeconds = isacService.estimateTransmissionTime(
+            uploadBytes,
+            status.mode,
+            status.dataRate
+        );
+
+        let eligible = false;
+        let reason;
+
+        if (status.availableStreams.modelUpdates) {
+            eligible = true;
+            reason = `isac_${status.mode}`;
+        } else if (estimatedUploadSeconds <= UPLOAD_BUDGET_SECONDS) {
+            eligible = true;
+            reason = 'fits_data_rate';
+        } else {
+            reason = `isac_${status.mode}_upload_too_slow`;
+        }
+
+        return {
+            eligible,
+            reason,
+            isacMode: status.mode,
+            signalStrength: status.signalStrength,
+            dataRate: status.dataRate,
+            estimatedUploadSeconds
+        };
+    }
+
+    /**
+     * Select participants for a newly opened round
+     * @param {string} roundId - Round ID
+     * @param {number} parameterCount - Global model parameter count
+     * @param {Object} deferred - Map of UAV ID -> round ID it was deferred from
+     * @returns {Array} Participation records
+     */
+    async selectParticipants(roundId, parameterCount, deferred = {}) {
+        const since = new Date(Date.now() - ISAC_STALENESS_MS).toISOString();
+        const statuses = await isacService.getLatestISACStatuses(since);
+
+        const candidates = new Set(statuses.map(status => status.uavId));
+        Object.keys(deferred).forEach(uavId => candidates.add(uavId));
+
+        for (const uavId of candidates) {
+            const link = await this.evaluateLink(uavId, null, parameterCount);
+
+            // UAVs that have spent their privacy budget sit out regardless of link quality
+            if (link.eligible && await privacyBudgetService.isExhausted(uavId)) {
+                link.eligible = false;
+                link.reason = 'uav_privacy_budget_exhausted';
+            }
+
+            await this.recordParticipation(roundId, uavId, link.eligible ? 'selected' : 'excluded', link, deferred[uavId]);
+        }
+
+        const participation = await this.getParticipation(roundId);
+        const selected = participation.filter(p => p.status === 'selected').map(p => p.uavId);
+
+        console.log(`📅 Round scheduler selected ${selected.length}/${candidates.size} UAV(s): ${selected.join(', ') || 'none'}`);
+
+        return participation;
+    }
+
+    /**
+     * Admit or reject an update based on the UAV's link at submission time
+     * UAVs that were not selected at round open may still join if their link now qualifies
+     * @param {string} roundId - Round ID
+     * @param {string} uavId - UAV ID
+     * @param {number} uploadBytes - Actual upload size in bytes
+     * @param {string|null} refusal - Reason the update is refused regardless of its link (e.g. privacy budget)
+     * @returns {Object} Link evaluation with `eligible` flag
+     */
+    async admitUpdate(roundId, uavId, uploadBytes, refusal = null) {
+        const link = await this.evaluateLink(uavId, uploadBytes);
+        if (refusal) {
+            link.eligible = false;
+            link.reason = refusal;
+        }
+
+        const existing = await db.get(
+            'SELECT deferred_from FROM federated_participation WHERE round_id = ? AND uav_id = ?',
+            [roundId, uavId]
+        );
+
+        await this.recordParticipation(
+            roundId,
+            uavId,
+            link.eligible ? 'submitted' : 'rejected',
+            link,
+            existing ? existing.deferred_from : null
+        );
+
+        return link;
+    }
+
+    /**
+     * Check whether selected UAVs have yet to submit
+     * @param {string} roundId - Round ID
+     * @returns {boolean} True if any selected UAV is still outstanding
+     */
+    async hasOutstandingParticipants(roundId) {
+        const result = await db.get(
+            `SELECT COUNT(*) as count FROM federated_participation WHERE round_id = ? AND status = 'selected'`,
+            [roundId]
+        );
+
+        return result.count > 0;
+    }
+
+    /**
+     * Mark selected UAVs that never submitted as deferred to the next round
+     * @param {string} roundId - Round ID
+     * @returns {Array} Deferred UAV IDs
+     */
+    async deferStragglers(roundId) {
+        const rows = await db.all(
+            `SELECT uav_id FROM federated_participation WHERE round_id = ? AND status = 'selected'`,
+            [roundId]
+        );
+
+        if (rows.length > 0) {
+            await db.run(
+                `UPDATE federated_participation SET status = 'deferred', reason = 'missed_round_deadline', updated_at = ?
+                 WHERE round_id = ? AND status = 'selected'`,
+                [new Date().toISOString(), roundId]
+            );
+
+            console.log(`📅 Deferred ${rows.length} straggler(s) to the next round: ${rows.map(r => r.uav_id).join(', ')}`);
+        }
+
+        return rows.map(row => row.uav_id);
+    }
+
+    /**
+     * Get UAVs deferred from a round, keyed by UAV ID
+     * @param {string} roundId - Round ID
+     * @returns {Object} Map of UAV ID -> round ID
+     */
+    async getDeferredFrom(roundId) {
+        const rows = await db.all(
+            `SELECT uav_id FROM federated_participation WHERE round_id = ? AND status = 'deferred'`,
+            [roundId]
+        );
+
+        const deferred = {};
+        rows.forEach(row => {
+            deferred[row.uav_id] = roundId;
+        });
+
+        return deferred;
+    }
+
+    /**
+     * Get participation records for a round
+     * @param {string} roundId - Round ID
+     * @returns {Array} Participation records
+     */
+    async getParticipation(roundId) {
+        const rows = await db.all(
+            'SELECT * FROM federated_participation WHERE round_id = ? ORDER BY uav_id ASC',
+            [roundId]
+        );
+
+        return rows.map(row => this.formatParticipation(row));
+    }
+
+    /**
+     * Get participation history for a UAV
+     * @param {string} uavId - UAV ID
+     * @param {number} limit - Number of records to fetch
+     * @returns {Array} Participation records
+     */
+    async getUAVParticipation(uavId, limit = 50) {
+        const rows = await db.all(
+            'SELECT * FROM federated_participation WHERE uav_id = ? ORDER BY updated_at DESC LIMIT ?',
+            [uavId, limit]
+        );
+
+        return rows.map(row => this.formatParticipation(row));
+    }
+
+    /**
+     * Insert or update a participation record
+     * @param {string} roundId - Round ID
+     * @param {string} uavId - UAV ID
+     * @param {string} status - Participation status
+     * @param {Object} link - Link evaluation
+     * @param {string|null} deferredFrom - Round the UAV was deferred from
+     */
+    async recordParticipation(roundId, uavId, status, link, deferredFrom = null) {
+        const query = `
+            INSERT INTO federated_participation (
+                round_id, uav_id, status, isac_mode, signal_strength, data_rate,
+                estimated_upload_seconds, reason, deferred_from, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(round_id, uav_id) DO UPDATE SET
+                status = excluded.status,
+                isac_mode = excluded.isac_mode,
+                signal_strength = excluded.signal_strength,
+                data_rate = excluded.data_rate,
+                estimated_upload_seconds = excluded.estimated_upload_seconds,
+                reason = excluded.reason,
+                deferred_from = excluded.deferred_from,
+                updated_at = excluded.updated_at
+        `;
+
+        await db.run(query, [
+            roundId,
+            uavId,
+            status,
+            link.isacMode,
+            link.signalStrength,
+            link.dataRate,
+            link.estimatedUploadSeconds,
+            link.reason,
+            deferredFrom || null,
+            new Date().toISOString()
+        ]);
+    }
+
+    /**
+     * Format participation record for API response
+     * @param {Object} record - Raw participation record from database
+     * @returns {Object} Formatted participation record
+     */
+    formatParticipation(record) {
+        return {
+            roundId: record.round_id,
+            uavId: record.uav_id,
+            status: record.status,
+            isacMode: record.isac_mode,
+            signalStrength: record.signal_strength,
+            dataRate: record.data_rate,
+            estimatedUploadSeconds: record.estimated_upload_seconds,
+            reason: record.reason,
+            deferredFrom: record.deferred_from,
+            updatedAt: record.updated_at
+        };
+    }
+}
+
+module.exports = new RoundSchedulerService();
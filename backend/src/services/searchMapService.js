@@ -0,0 +1,328 @@
+/**
+ * Search Map Service
+ * Keeps the probability-of-containment grid of each planned mission up to date from
+ * UAV sweeps and detections, and recommends where idle UAVs should search next
+ */
+
+const db = require('../database/connection');
+const { sweptRing } = require('../geo/footprint');
+const { joinsTrack } = require('../geo/coverage');
+const { areaOfRing } = require('../missions/planner');
+const { probabilityOfDetection, detectionLikelihoodRatio } = require('../search/detection');
+const {
+    createSearchGrid,
+    cellFractions,
+    uniformPrior,
+    afterUnsuccessfulSearch,
+    combinePOD,
+    cellAt,
+    cellRing,
+    recommendCells
+} = require('../search/probability');
+
+// Aircraft statuses reported over socket.io in which a UAV is not flying anywhere
+const IDLE_STATUSES = ['idle', 'connected', 'hovering', 'landed'];
+
+// Rows written per INSERT statement
+const INSERT_BATCH = 200;
+
+class SearchMapService {
+    /**
+     * Update a mission's search map with the ground a UAV just searched and what it found there
+     * Cells searched without a detection lose probability in proportion to how much of them
+     * the camera saw and how likely it was to spot someone in the mission's weather
+     * @param {string} missionId - Mission ID
+     * @param {Object|null} previous - { lat, lng, altitude, timestamp } last stored for the UAV on the mission
+     * @param {Object} position - { lat, lng, altitude, timestamp }
+     * @param {Array} detections - { coordinates: { lat, lng }, confidence } reported at this position
+     * @returns {number} Cells updated
+     */
+    async recordSearch(missionId, previous, position, detections = []) {
+        const map = await this.ensureSearchMap(missionId);
+        if (!map || !map.grid) {
+            return 0;
+        }
+
+        const pod = probabilityOfDetection(map.weather, position.altitude);
+        const found = new Map();
+        for (const detection of detections) {
+            if (!detection.coordinates) continue;
+            const { row, col } = cellAt(map.grid, detection.coordinates.lat, detection.coordinates.lng);
+            const key = `${row}:${col}`;
+            const cell = found.get(key) || { row, col, ratio: 1, count: 0 };
+            cell.ratio *= detectionLikelihoodRatio(detection.confidence || 0, pod);
+            cell.count += 1;
+            found.set(key, cell);
+        }
+
+        let updated = 0;
+        for (const cell of sweptFractions(map.grid, previous, position).values()) {
+            if (found.has(`${cell.row}:${cell.col}`)) continue;
+            updated += await this.applySearch(missionId, cell.row, cell.col, pod * cell.fraction, position.timestamp);
+        }
+
+        for (const cell of found.values()) {
+            const { changes } = await db.run(`
+                UPDATE mission_search_cells
+                SET probability = probability * ?, detections = detections + ?, searches = searches + 1,
+                    cumulative_pod = 1 - (1 - cumulative_pod) * (1 - ?), last_searched_at = ?
+                WHERE mission_id = ? AND cell_row = ? AND cell_col = ?
+            `, [cell.ratio, cell.count, pod, position.timestamp, missionId, cell.row, cell.col]);
+            updated += changes;
+        }
+
+        return updated;
+    }
+
+    /**
+     * Record one unsuccessful search of a cell
+     * @param {string} missionId - Mission ID
+     * @param {number} row - Cell row
+     * @param {number} col - Cell column
+     * @param {number} pod - Probability of detection of the search over the whole cell
+     * @param {string} searchedAt - When the cell was searched
+     * @returns {number} 1 if the cell is part of the search map, otherwise 0
+     */
+    async applySearch(missionId, row, col, pod, searchedAt) {
+        const cell = await db.get(
+            'SELECT probability, cumulative_pod FROM mission_search_cells WHERE mission_id = ? AND cell_row = ? AND cell_col = ?',
+            [missionId, row, col]
+        );
+        if (!cell) {
+            return 0;
+        }
+
+        await db.run(`
+            UPDATE mission_search_cells
+            SET probability = ?, cumulative_pod = ?, searches = searches + 1, last_searched_at = ?
+            WHERE mission_id = ? AND cell_row = ? AND cell_col = ?
+        `, [
+            afterUnsuccessfulSearch(cell.probability, pod),
+            combinePOD(cell.cumulative_pod, pod),
+            searchedAt,
+            missionId,
+            row,
+            col
+        ]);
+        return 1;
+    }
+
+    /**
+     * Get a mission's search map as a GeoJSON grid of normalised probabilities
+     * @param {string} missionId - Mission ID
+     * @returns {Object|null} Search map, or null if the mission does not exist
+     */
+    async getSearchMap(missionId) {
+        const map = await this.ensureSearchMap(missionId);
+        if (!map) {
+            return null;
+        }
+        if (!map.grid) {
+            return { missionId, weather: map.weather, hasSearchArea: false };
+        }
+
+        const cells = await this.getCells(missionId);
+        const features = cells.map(cell => ({
+            type: 'Feature',
+            id: `${cell.row}:${cell.col}`,
+            geometry: { type: 'Polygon', coordinates: [cellRing(map.grid, cell.row, cell.col)] },
+            properties: {
+                row: cell.row,
+                col: cell.col,
+                probability: round(cell.probability, 6),
+                cumulativePOD: round(cell.cumulativePOD, 4),
+                searches: cell.searches,
+                detections: cell.detections,
+                lastSearchedAt: cell.lastSearchedAt
+            }
+        }));
+
+        // Chance the search so far would have found a survivor, had the prior been right
+        const probabilityOfSuccess = cells.reduce((sum, cell) => sum + cell.prior * cell.cumulativePOD, 0);
+
+        return {
+            missionId,
+            weather: map.weather,
+            hasSearchArea: true,
+            cellMeters: round(map.grid.cellMeters, 2),
+            cells: cells.length,
+            searchedCells: cells.filter(cell => cell.searches > 0).length,
+            probabilityOfSuccess: round(probabilityOfSuccess, 4),
+            maxProbability: round(Math.max(0, ...cells.map(cell => cell.probability)), 6),
+            overlay: {
+                type: 'FeatureCollection',
+                metadata: { missionId, weather: map.weather, generatedAt: new Date().toISOString() },
+                features
+            }
+        };
+    }
+
+    /**
+     * Recommend the next cells each idle UAV on a mission should search
+     * @param {Object} mission - Formatted mission
+     * @param {Array} connectedUAVs - { id, status } of aircraft connected over socket.io
+     * @returns {Object|null} { missionId, weather, idleUAVs, recommendations } or null without a search area
+     */
+    async getRecommendations(mission, connectedUAVs) {
+        const map = await this.ensureSearchMap(mission.id);
+        if (!map || !map.grid) {
+            return null;
+        }
+
+        const idle = connectedUAVs
+            .filter(uav => mission.uavIds.includes(uav.id) && IDLE_STATUSES.includes(uav.status))
+            .map(uav => uav.id);
+
+        const uavs = [];
+        for (const uavId of idle) {
+            const position = await this.getUAVPosition(mission.id, uavId);
+            if (position) {
+                uavs.push({ uavId, lat: position.lat, lng: position.lng, pod: probabilityOfDetection(map.weather, position.altitude) });
+            }
+        }
+
+        return {
+            missionId: mission.id,
+            weather: map.weather,
+            idleUAVs: idle,
+            recommendations: recommendCells(map.grid, await this.getCells(mission.id), uavs)
+        };
+    }
+
+    /**
+     * Load a mission's search map, laying it out over its search area on first use
+     * A mission that flew before it had a map gets its telemetry replayed onto the new one
+     * @param {string} missionId - Mission ID
+     * @returns {Object|null} { id, grid, weather } (grid is null without a search area) or null if not found
+     */
+    async ensureSearchMap(missionId) {
+        const row = await db.get(
+            'SELECT id, search_area, search_cell_meters, weather_condition FROM missions WHERE id = ?',
+            [missionId]
+        );
+        if (!row) {
+            return null;
+        }
+        if (!row.search_area) {
+            return { id: row.id, grid: null, weather: row.weather_condition };
+        }
+
+        const ring = JSON.parse(row.search_area).coordinates[0];
+        const map = { id: row.id, grid: createSearchGrid(ring, areaOfRing(ring)), weather: row.weather_condition };
+        if (row.search_cell_meters != null) {
+            map.grid.cellMeters = row.search_cell_meters;
+            return map;
+        }
+
+        // Only one caller lays the map out
+        const { changes } = await db.run(
+            'UPDATE missions SET search_cell_meters = ? WHERE id = ? AND search_cell_meters IS NULL',
+            [map.grid.cellMeters, missionId]
+        );
+        if (changes === 0) {
+            return this.ensureSearchMap(missionId);
+        }
+
+        const prior = uniformPrior(map.grid, ring);
+        for (let i = 0; i < prior.length; i += INSERT_BATCH) {
+            const batch = prior.slice(i, i + INSERT_BATCH);
+            await db.run(`
+                INSERT INTO mission_search_cells (mission_id, cell_row, cell_col, prior, probability)
+                VALUES ${batch.map(() => '(?, ?, ?, ?, ?)').join(', ')}
+            `, batch.flatMap(cell => [missionId, cell.row, cell.col, cell.probability, cell.probability]));
+        }
+
+        await this.replayTelemetry(map);
+        return map;
+    }
+
+    /**
+     * Apply everything a mission has already flown to its new search map, in today's weather
+     * Past detections are not replayed
+     * @param {Object} map - { id, grid, weather }
+     */
+    async replayTelemetry(map) {
+        const rows = await db.all(`
+            SELECT uav_id, lat, lng, altitude, timestamp FROM mission_telemetry
+            WHERE mission_id = ?
+            ORDER BY uav_id, timestamp ASC, id ASC
+        `, [map.id]);
+
+        let previous = null;
+        for (const row of rows) {
+            if (previous && previous.uav_id !== row.uav_id) previous = null;
+            const pod = probabilityOfDetection(map.weather, row.altitude);
+            for (const cell of sweptFractions(map.grid, previous, row).values()) {
+                await this.applySearch(map.id, cell.row, cell.col, pod * cell.fraction, row.timestamp);
+            }
+            previous = row;
+        }
+    }
+
+    /**
+     * Read a mission's search cells with probabilities normalised to sum to 1
+     * @param {string} missionId - Mission ID
+     * @returns {Array} { row, col, prior, probability, cumulativePOD, searches, detections, lastSearchedAt }
+     */
+    async getCells(missionId) {
+        const rows = await db.all(
+            'SELECT * FROM mission_search_cells WHERE mission_id = ? ORDER BY cell_row ASC, cell_col ASC',
+            [missionId]
+        );
+        const total = rows.reduce((sum, row) => sum + row.probability, 0) || 1;
+
+        return rows.map(row => ({
+            row: row.cell_row,
+            col: row.cell_col,
+            prior: row.prior,
+            probability: row.probability / total,
+            cumulativePOD: row.cumulative_pod,
+            searches: row.searches,
+            detections: row.detections,
+            lastSearchedAt: row.last_searched_at
+        }));
+    }
+
+    /**
+     * Where a UAV is on a mission: its last telemetry, or the start of its plan before it reported any
+     * @param {string} missionId - Mission ID
+     * @param {string} uavId - UAV ID
+     * @returns {Object|null} { lat, lng, altitude }
+     */
+    async getUAVPosition(missionId, uavId) {
+        const last = await db.get(`
+            SELECT lat, lng, altitude FROM mission_telemetry
+            WHERE mission_id = ? AND uav_id = ?
+            ORDER BY timestamp DESC, id DESC
+            LIMIT 1
+        `, [missionId, uavId]);
+        if (last) {
+            return last;
+        }
+
+        const plan = await db.get(
+            'SELECT altitude, waypoints FROM mission_uavs WHERE mission_id = ? AND uav_id = ?',
+            [missionId, uavId]
+        );
+        const waypoints = plan && plan.waypoints ? JSON.parse(plan.waypoints) : [];
+        return waypoints.length > 0 ? { lat: waypoints[0].lat, lng: waypoints[0].lng, altitude: plan.altitude } : null;
+    }
+}
+
+// Helper functions
+
+// Share of each search cell seen since the previous position. Consecutive positions of a track
+// sweep the strip between them without the footprint ends, so the strips do not overlap
+function sweptFractions(grid, previous, position) {
+    const ring = joinsTrack(previous, position)
+        ? sweptRing(previous, position, false)
+        : sweptRing(position, position);
+    return cellFractions(grid, ring);
+}
+
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = new SearchMapService();
@@ -5,14 +5,220 @@
 
 const { v4: uuidv4 } = require('uuid');
 const db = require('../database/connection');
+const auditService = require('./auditService');
+const hazardService = require('./hazardService');
+const { ACTIVE_STATES, canTransition, getAllowedTransitions } = require('../rescue/lifecycle');
+const { computeTriage } = require('../rescue/triage');
+const { boundsCondition, matchesFilter, distanceMeters } = require('../geo/spatial');
+
+// Detections of the same type within this distance of a survivor are fused into it
+const FUSION_RADIUS_METERS = parseFloat(process.env.FUSION_RADIUS_METERS) || 15;
+
+// ...provided the survivor was last seen within this many seconds of the detection
+const FUSION_WINDOW_SECONDS = parseFloat(process.env.FUSION_WINDOW_SECONDS) || 600;
 
 class SurvivorService {
+    /**
+     * Record a UAV detection, fusing it into a nearby recent survivor or creating a new one
+     * Re-sent detections (same ID) refresh the detection they replace; an ID reported by another
+     * UAV is refused
+     * @param {Object} detectionData - { id, coordinates, confidence, detectionType, uavId, timestamp, additionalInfo }
+     * @param {Object} context - Audit context of the reporting aircraft
+     * @returns {Object} { survivor, merged } where merged is true if an existing survivor absorbed it
+     */
+    async ingestDetection(detectionData, context) {
+        const {
+            id = uuidv4(),
+            coordinates,
+            confidence,
+            detectionType = 'human',
+            uavId,
+            timestamp = new Date().toISOString()
+        } = detectionData;
+        
+        validateDetection(coordinates, confidence);
+        
+        // Only the aircraft that reported a detection may re-send it
+        const known = await db.get('SELECT survivor_id, uav_id FROM survivor_detections WHERE id = ?', [id]);
+        if (known && known.uav_id !== uavId) {
+            throw new Error(`Detection ${id} belongs to another UAV`);
+        }
+        if (known) {
+            await db.run(
+                'UPDATE survivor_detections SET lat = ?, lng = ?, confidence = ?, detected_at = ? WHERE id = ? AND uav_id = ?',
+                [coordinates.lat, coordinates.lng, confidence, timestamp, id, uavId]
+            );
+            const survivor = await this.fuseDetections(known.survivor_id, context, 'survivor.updated');
+            return { survivor, merged: true };
+        }
+        
+        const match = await this.findFusionCandidate(coordinates, detectionType, timestamp);
+        if (!match) {
+            const survivor = await this.createSurvivor({ ...detectionData, id, timestamp }, context);
+            return { survivor, merged: false };
+        }
+        
+        await this.addDetection(match.id, { id, coordinates, confidence, detectionType, uavId, timestamp });
+        const survivor = await this.fuseDetections(match.id, context);
+        
+        console.log(`🔗 Detection ${id} from ${uavId} fused into survivor ${match.id} (${match.distance.toFixed(1)} m away)`);
+        
+        return { survivor, merged: true };
+    }
+    
+    /**
+     * Find the nearest unresolved survivor a detection belongs to
+     * @param {Object} coordinates - { lat, lng }
+     * @param {string} detectionType - Detection type
+     * @param {string} timestamp - Detection time
+     * @returns {Object|null} { id, distance } or null if the detection is a new survivor
+     */
+    async findFusionCandidate(coordinates, detectionType, timestamp) {
+        const { lat, lng } = coordinates;
+        const dLat = FUSION_RADIUS_METERS / 111320;
+        const dLng = FUSION_RADIUS_METERS / (111320 * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+        
+        const detectedAt = Date.parse(timestamp) || Date.now();
+        const windowMs = FUSION_WINDOW_SECONDS * 1000;
+        
+        const rows = await db.all(
+            `SELECT id, lat, lng FROM survivors
+             WHERE status IN (${ACTIVE_STATES.map(() => '?').join(', ')}) AND detection_type = ?
+               AND lat BETWEEN ? AND ? AND lng BETWEEN ? AND ?
+               AND last_detected_at BETWEEN ? AND ?`,
+            [
+                ...ACTIVE_STATES,
+                detectionType,
+                lat - dLat, lat + dLat, lng - dLng, lng + dLng,
+                new Date(detectedAt - windowMs).toISOString(),
+                new Date(detectedAt + windowMs).toISOString()
+            ]
+        );
+        
+        let best = null;
+        for (const row of rows) {
+            const distance = distanceMeters(lat, lng, row.lat, row.lng);
+            if (distance <= FUSION_RADIUS_METERS && (!best || distance < best.distance)) {
+                best = { id: row.id, distance };
+            }
+        }
+        
+        return best;
+    }
+    
+    /**
+     * Store a raw detection against a survivor
+     * @param {string} survivorId - Survivor ID
+     * @param {Object} detection - { id, coordinates, confidence, detectionType, uavId, timestamp }
+     */
+    async addDetection(survivorId, detection) {
+        await db.run(
+            `INSERT INTO survivor_detections (
+                id, survivor_id, uav_id, lat, lng, confidence, detection_type, detected_at, received_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                detection.id,
+                survivorId,
+                detection.uavId,
+                detection.coordinates.lat,
+                detection.coordinates.lng,
+                detection.confidence,
+                detection.detectionType,
+                detection.timestamp,
+                new Date().toISOString()
+            ]
+        );
+    }
+    
+    /**
+     * Recompute a survivor's position and confidence from all its detections
+     * Position is the confidence-weighted mean. Confidence combines the best detection of each
+     * UAV as independent observations (1 - product of misses); repeated looks by one UAV do not
+     * count as independent evidence
+     * @param {string} survivorId - Survivor ID
+     * @param {Object} context - Audit context
+     * @param {string} action - Audit action recorded for the change
+     * @returns {Object} Updated survivor record
+     */
+    async fuseDetections(survivorId, context, action = 'survivor.fused') {
+        const before = await this.getSurvivorById(survivorId);
+        const detections = await this.getDetections(survivorId);
+        
+        // Equal weights if every detection has zero confidence
+        const totalConfidence = detections.reduce((sum, d) => sum + d.confidence, 0);
+        const weightOf = totalConfidence > 0 ? (d => d.confidence) : (() => 1);
+        const totalWeight = totalConfidence > 0 ? totalConfidence : detections.length;
+        const lat = detections.reduce((sum, d) => sum + weightOf(d) * d.coordinates.lat, 0) / totalWeight;
+        const lng = detections.reduce((sum, d) => sum + weightOf(d) * d.coordinates.lng, 0) / totalWeight;
+        
+        const bestByUAV = new Map();
+        detections.forEach(d => bestByUAV.set(d.uavId, Math.max(bestByUAV.get(d.uavId) || 0, d.confidence)));
+        const missed = Array.from(bestByUAV.values()).reduce((product, c) => product * (1 - c), 1);
+        const confidence = Math.round((1 - missed) * 10000) / 10000;
+        
+        const lastDetectedAt = detections.reduce((latest, d) => (d.detectedAt > latest ? d.detectedAt : latest), '');
+        
+        await db.run(
+            `UPDATE survivors SET lat = ?, lng = ?, confidence = ?, detection_count = ?,
+                contributing_uavs = ?, last_detected_at = ?, updated_at = ?
+             WHERE id = ?`,
+            [
+                lat,
+                lng,
+                confidence,
+                detections.length,
+                JSON.stringify(Array.from(bestByUAV.keys()).sort()),
+                lastDetectedAt,
+                new Date().toISOString(),
+                survivorId
+            ]
+        );
+        
+        const survivor = await this.getSurvivorById(survivorId);
+        await auditService.record({
+            action,
+            entityType: 'survivor',
+            entityId: survivorId,
+            before,
+            after: survivor
+        }, context);
+        
+        return survivor;
+    }
+    
+    /**
+     * Get the raw detections fused into a survivor
+     * @param {string} survivorId - Survivor ID
+     * @returns {Array} Detections, oldest first
+     */
+    async getDetections(survivorId) {
+        const rows = await db.all(
+            'SELECT * FROM survivor_detections WHERE survivor_id = ? ORDER BY detected_at ASC',
+            [survivorId]
+        );
+        
+        return rows.map(row => ({
+            id: row.id,
+            survivorId: row.survivor_id,
+            uavId: row.uav_id,
+            coordinates: {
+                lat: row.lat,
+                lng: row.lng
+            },
+            confidence: row.confidence,
+            detectionType: row.detection_type,
+            detectedAt: row.detected_at,
+            receivedAt: row.received_at
+        }));
+    }
+    
     /**
      * Create a new survivor detection
      * @param {Object} survivorData - Survivor detection data
+     * @param {Object} context - Audit context of the reporting aircraft
      * @returns {Object} Created survivor record
      */
-    async createSurvivor(survivorData) {
+    async createSurvivor(survivorData, context) {
         const {
             id = uuidv4(),
             coordinates,
@@ -24,28 +230,22 @@ class SurvivorService {
             additionalInfo = null
         } = survivorData;
         
-        // Validate required fields
-        if (!coordinates || !coordinates.lat || !coordinates.lng) {
-            throw new Error('Invalid coordinates provided');
-        }
-        
-        if (confidence < 0 || confidence > 1) {
-            throw new Error('Confidence must be between 0 and 1');
-        }
+        validateDetection(coordinates, confidence);
         
         // Check if survivor already exists (prevent duplicates)
         const existing = await this.getSurvivorById(id);
         if (existing) {
             console.log(`Survivor ${id} already exists, updating...`);
-            return await this.updateSurvivor(id, { confidence, timestamp });
+            return await this.updateSurvivor(id, { confidence, timestamp }, context);
         }
         
         // Insert new survivor
         const query = `
             INSERT INTO survivors (
                 id, lat, lng, confidence, detection_type, uav_id, 
-                timestamp, status, additional_info, created_at
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                timestamp, status, additional_info, created_at,
+                detection_count, contributing_uavs, last_detected_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
         
         const params = [
@@ -58,12 +258,24 @@ class SurvivorService {
             timestamp,
             status,
             additionalInfo,
-            new Date().toISOString()
+            new Date().toISOString(),
+            1,
+            JSON.stringify([uavId]),
+            timestamp
         ];
         
         await db.run(query, params);
+        await this.addDetection(id, { id, coordinates, confidence, detectionType, uavId, timestamp });
+        
+        const survivor = await this.getSurvivorById(id);
+        await auditService.record({
+            action: 'survivor.detected',
+            entityType: 'survivor',
+            entityId: id,
+            after: survivor
+        }, context);
         
-        return await this.getSurvivorById(id);
+        return survivor;
     }
     
     /**
@@ -76,7 +288,7 @@ class SurvivorService {
         const survivor = await db.get(query, [survivorId]);
         
         if (survivor) {
-            return this.formatSurvivor(survivor);
+            return this.formatSurvivor(survivor, await hazardService.getActiveHazards());
         }
         
         return null;
@@ -84,7 +296,9 @@ class SurvivorService {
     
     /**
      * Get all survivors with optional filtering
-     * @param {Object} filters - Filter options
+     * An area filter (parsed by geo/spatial) is answered from the R-tree index and then tested exactly;
+     * radius searches add distanceMeters and are ordered nearest first
+     * @param {Object} filters - Filter options; sort: 'priority' orders by triage priority, highest first
      * @returns {Array} Array of survivor records
      */
     async getAllSurvivors(filters = {}) {
@@ -113,35 +327,74 @@ class SurvivorService {
             params.push(filters.since);
         }
         
+        if (filters.area) {
+            const bounds = boundsCondition('r', filters.area);
+            conditions.push(`id IN (
+                SELECT k.survivor_id FROM survivors_rtree r
+                JOIN survivor_spatial_keys k ON k.key = r.id
+                WHERE ${bounds.sql}
+            )`);
+            params.push(...bounds.params);
+        }
+        
         if (conditions.length > 0) {
             query += ' WHERE ' + conditions.join(' AND ');
         }
         
         query += ' ORDER BY timestamp DESC';
         
-        if (filters.limit) {
+        // Priority depends on the current time and hazards, and area matches are refined
+        // after the index lookup, so both are sorted (and limited) after formatting
+        const byPriority = filters.sort === 'priority';
+        const byDistance = !byPriority && filters.area && filters.area.type === 'radius';
+        
+        if (filters.limit && !byPriority && !filters.area) {
             query += ' LIMIT ?';
             params.push(filters.limit);
         }
         
-        const survivors = await db.all(query, params);
-        return survivors.map(survivor => this.formatSurvivor(survivor));
+        const rows = await db.all(query, params);
+        const hazards = await hazardService.getActiveHazards();
+        const survivors = rows
+            .filter(row => !filters.area || matchesFilter(filters.area, row.lat, row.lng))
+            .map(survivor => this.formatSurvivor(survivor, hazards));
+        
+        if (filters.area && filters.area.type === 'radius') {
+            const { center } = filters.area;
+            survivors.forEach(survivor => {
+                survivor.distanceMeters = Math.round(distanceMeters(
+                    center.lat, center.lng, survivor.coordinates.lat, survivor.coordinates.lng
+                ));
+            });
+        }
+        
+        if (byPriority) {
+            survivors.sort((a, b) => priorityOf(b) - priorityOf(a));
+        } else if (byDistance) {
+            survivors.sort((a, b) => a.distanceMeters - b.distanceMeters);
+        }
+        
+        return filters.limit ? survivors.slice(0, filters.limit) : survivors;
     }
     
     /**
      * Update survivor status (e.g., mark as rescued)
+     * A status change must be an allowed lifecycle transition and stamps the time it happened
      * @param {string} survivorId - Survivor ID
      * @param {Object} updates - Fields to update
+     * @param {Object} context - Audit context of whoever made the change
+     * @param {string} action - Audit action recorded for the change
      * @returns {Object} Updated survivor record
      */
-    async updateSurvivor(survivorId, updates) {
-        const allowedFields = ['status', 'confidence', 'additional_info', 'timestamp'];
+    async updateSurvivor(survivorId, updates, context, action = 'survivor.updated') {
+        const allowedFields = ['status', 'confidence', 'additional_info', 'timestamp', 'injury_severity'];
+        const fieldNames = { additionalInfo: 'additional_info', injurySeverity: 'injury_severity' };
         const setClause = [];
         const params = [];
         
         // Build update query
         for (const [field, value] of Object.entries(updates)) {
-            const dbField = field === 'additionalInfo' ? 'additional_info' : field;
+            const dbField = fieldNames[field] || field;
             if (allowedFields.includes(dbField)) {
                 setClause.push(`${dbField} = ?`);
                 params.push(value);
@@ -152,38 +405,64 @@ class SurvivorService {
             throw new Error('No valid fields to update');
         }
         
+        const before = await this.getSurvivorById(survivorId);
+        if (!before) {
+            throw new Error('Survivor not found');
+        }
+        
+        const now = new Date().toISOString();
+        
+        if (updates.status && updates.status !== before.status) {
+            if (!canTransition(before.status, updates.status)) {
+                throw new Error(`Cannot change survivor status from ${before.status} to ${updates.status}`);
+            }
+            setClause.push('status_changed_at = ?');
+            params.push(now);
+            // Column names come from the lifecycle states checked above; a reopened
+            // false positive keeps its original detection time
+            if (updates.status !== 'detected') {
+                setClause.push(`${updates.status}_at = ?`);
+                params.push(now);
+            }
+        }
+        
         // Add updated_at timestamp
         setClause.push('updated_at = ?');
-        params.push(new Date().toISOString());
+        params.push(now);
         
         // Add survivor ID for WHERE clause
         params.push(survivorId);
         
         const query = `UPDATE survivors SET ${setClause.join(', ')} WHERE id = ?`;
         
-        const result = await db.run(query, params);
+        await db.run(query, params);
         
-        if (result.changes === 0) {
-            throw new Error('Survivor not found');
-        }
+        const survivor = await this.getSurvivorById(survivorId);
+        await auditService.record({
+            action,
+            entityType: 'survivor',
+            entityId: survivorId,
+            before,
+            after: survivor
+        }, context);
         
-        return await this.getSurvivorById(survivorId);
+        return survivor;
     }
     
     /**
      * Mark survivor as rescued
      * @param {string} survivorId - Survivor ID
      * @param {string} rescuedBy - Who rescued the survivor
+     * @param {Object} context - Audit context of the operator marking the rescue
      * @returns {Object} Updated survivor record
      */
-    async markAsRescued(survivorId, rescuedBy = null) {
+    async markAsRescued(survivorId, rescuedBy = null, context) {
         const updates = {
             status: 'rescued',
-            additional_info: rescuedBy ? `Rescued by: ${rescuedBy}` : 'Rescued',
-            timestamp: new Date().toISOString()
+            additional_info: rescuedBy ? `Rescued by: ${rescuedBy}` : 'Rescued'
         };
         
-        return await this.updateSurvivor(survivorId, updates);
+        return await this.updateSurvivor(survivorId, updates, context, 'survivor.rescued');
     }
     
     /**
@@ -194,7 +473,11 @@ class SurvivorService {
         const queries = {
             total: 'SELECT COUNT(*) as count FROM survivors',
             detected: 'SELECT COUNT(*) as count FROM survivors WHERE status = "detected"',
+            confirmed: 'SELECT COUNT(*) as count FROM survivors WHERE status = "confirmed"',
+            assigned: 'SELECT COUNT(*) as count FROM survivors WHERE status = "assigned"',
+            enRoute: 'SELECT COUNT(*) as count FROM survivors WHERE status = "en_route"',
             rescued: 'SELECT COUNT(*) as count FROM survivors WHERE status = "rescued"',
+            deceased: 'SELECT COUNT(*) as count FROM survivors WHERE status = "deceased"',
             falsePositive: 'SELECT COUNT(*) as count FROM survivors WHERE status = "false_positive"',
             avgConfidence: 'SELECT AVG(confidence) as avg FROM survivors WHERE status = "detected"',
             recentDetections: 'SELECT COUNT(*) as count FROM survivors WHERE timestamp >= datetime("now", "-1 hour")'
@@ -213,11 +496,24 @@ class SurvivorService {
     /**
      * Delete survivor (for false positives)
      * @param {string} survivorId - Survivor ID
+     * @param {Object} context - Audit context of the operator deleting it
      * @returns {boolean} Success status
      */
-    async deleteSurvivor(survivorId) {
+    async deleteSurvivor(survivorId, context) {
+        const before = await this.getSurvivorById(survivorId);
+        
         const query = 'DELETE FROM survivors WHERE id = ?';
         const result = await db.run(query, [survivorId]);
+        await db.run('DELETE FROM survivor_detections WHERE survivor_id = ?', [survivorId]);
+        
+        if (result.changes > 0) {
+            await auditService.record({
+                action: 'survivor.deleted',
+                entityType: 'survivor',
+                entityId: survivorId,
+                before
+            }, context);
+        }
         
         return result.changes > 0;
     }
@@ -225,10 +521,11 @@ class SurvivorService {
     /**
      * Format survivor record for API response
      * @param {Object} survivor - Raw survivor record from database
+     * @param {Array} hazards - Active hazards used for the triage priority
      * @returns {Object} Formatted survivor record
      */
-    formatSurvivor(survivor) {
-        return {
+    formatSurvivor(survivor, hazards = []) {
+        const formatted = {
             id: survivor.id,
             coordinates: {
                 lat: survivor.lat,
@@ -240,10 +537,45 @@ class SurvivorService {
             timestamp: survivor.timestamp,
             status: survivor.status,
             additionalInfo: survivor.additional_info,
+            detectionCount: survivor.detection_count || 1,
+            contributingUAVs: survivor.contributing_uavs ? JSON.parse(survivor.contributing_uavs) : [survivor.uav_id],
+            lastDetectedAt: survivor.last_detected_at || survivor.timestamp,
+            injurySeverity: survivor.injury_severity || null,
+            statusChangedAt: survivor.status_changed_at || null,
+            statusHistory: {
+                detected: survivor.timestamp,
+                confirmed: survivor.confirmed_at || null,
+                assigned: survivor.assigned_at || null,
+                enRoute: survivor.en_route_at || null,
+                rescued: survivor.rescued_at || null,
+                deceased: survivor.deceased_at || null,
+                falsePositive: survivor.false_positive_at || null
+            },
+            allowedTransitions: getAllowedTransitions(survivor.status),
             createdAt: survivor.created_at,
             updatedAt: survivor.updated_at
         };
+        
+        formatted.triage = computeTriage(formatted, hazards);
+        return formatted;
     }
 }
 
+// Helper functions
+
+function validateDetection(coordinates, confidence) {
+    if (!coordinates || !coordinates.lat || !coordinates.lng) {
+        throw new Error('Invalid coordinates provided');
+    }
+    
+    if (confidence < 0 || confidence > 1) {
+        throw new Error('Confidence must be between 0 and 1');
+    }
+}
+
+// Resolved survivors (no triage) sort after every open one
+function priorityOf(survivor) {
+    return survivor.triage ? survivor.triage.priority : -1;
+}
+
 module.exports = new SurvivorService();
\ No newline at end of file
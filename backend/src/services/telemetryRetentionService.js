@@ -0,0 +1,378 @@
+/**
+ * Telemetry Retention Service
+ * Rolls raw mission telemetry and ISAC status up into per-minute averages, expires raw rows
+ * and rollups past their retention, and answers history queries at a resolution suited to the span
+ */
+
+const db = require('../database/connection');
+const missionService = require('./missionService');
+const { resolveSpan, chooseResolution, bucketExpression } = require('../telemetry/resolution');
+
+// Days raw rows are kept; they are only deleted once rolled up
+const TELEMETRY_RETENTION_DAYS = parseFloat(process.env.TELEMETRY_RETENTION_DAYS) || 7;
+const ISAC_RETENTION_DAYS = parseFloat(process.env.ISAC_RETENTION_DAYS) || 7;
+
+// Days per-minute rollups are kept
+const TELEMETRY_ROLLUP_RETENTION_DAYS = parseFloat(process.env.TELEMETRY_ROLLUP_RETENTION_DAYS) || 90;
+const ISAC_ROLLUP_RETENTION_DAYS = parseFloat(process.env.ISAC_ROLLUP_RETENTION_DAYS) || 90;
+
+// Raw rows rolled up or deleted per statement, so one pass never holds the database for long
+const BATCH_SIZE = 5000;
+
+// Most points returned by one history query
+const MAX_SERIES_POINTS = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Each raw table with its rollup table and retention
+const SOURCES = {
+    mission_telemetry: {
+        rollupTable: 'mission_telemetry_rollups',
+        retentionDays: TELEMETRY_RETENTION_DAYS,
+        rollupRetentionDays: TELEMETRY_ROLLUP_RETENTION_DAYS,
+        rollUpQuery: `
+            INSERT INTO mission_telemetry_rollups (
+                uav_id, bucket_start, mission_id, samples, lat_sum, lng_sum, altitude_sum,
+                battery_sum, battery_samples, battery_min, signal_sum, signal_samples, signal_min
+            )
+            SELECT uav_id, ${bucketExpression('timestamp', 'minute')}, mission_id, COUNT(*), SUM(lat), SUM(lng), SUM(altitude),
+                TOTAL(battery_level), COUNT(battery_level), MIN(battery_level),
+                TOTAL(signal_strength), COUNT(signal_strength), MIN(signal_strength)
+            FROM mission_telemetry
+            WHERE id > ? AND id <= ? AND ${bucketExpression('timestamp', 'minute')} IS NOT NULL
+            GROUP BY 1, 2, 3
+            ON CONFLICT (uav_id, bucket_start, mission_id) DO UPDATE SET
+                samples = samples + excluded.samples,
+                lat_sum = lat_sum + excluded.lat_sum,
+                lng_sum = lng_sum + excluded.lng_sum,
+                altitude_sum = altitude_sum + excluded.altitude_sum,
+                battery_sum = battery_sum + excluded.battery_sum,
+                battery_samples = battery_samples + excluded.battery_samples,
+                battery_min = MIN(COALESCE(battery_min, excluded.battery_min), COALESCE(excluded.battery_min, battery_min)),
+                signal_sum = signal_sum + excluded.signal_sum,
+                signal_samples = signal_samples + excluded.signal_samples,
+                signal_min = MIN(COALESCE(signal_min, excluded.signal_min), COALESCE(excluded.signal_min, signal_min))
+        `
+    },
+    isac_status: {
+        rollupTable: 'isac_status_rollups',
+        retentionDays: ISAC_RETENTION_DAYS,
+        rollupRetentionDays: ISAC_ROLLUP_RETENTION_DAYS,
+        rollUpQuery: `
+            INSERT INTO isac_status_rollups (
+                uav_id, bucket_start, samples, signal_sum, signal_min, signal_max,
+                data_rate_sum, data_rate_samples, good_samples, medium_samples, weak_samples
+            )
+            SELECT uav_id, ${bucketExpression('timestamp', 'minute')}, COUNT(*),
+                SUM(signal_strength), MIN(signal_strength), MAX(signal_strength),
+                TOTAL(data_rate), COUNT(data_rate),
+                SUM(mode = 'good'), SUM(mode = 'medium'), SUM(mode = 'weak')
+            FROM isac_status
+            WHERE id > ? AND id <= ? AND ${bucketExpression('timestamp', 'minute')} IS NOT NULL
+            GROUP BY 1, 2
+            ON CONFLICT (uav_id, bucket_start) DO UPDATE SET
+                samples = samples + excluded.samples,
+                signal_sum = signal_sum + excluded.signal_sum,
+                signal_min = MIN(signal_min, excluded.signal_min),
+                signal_max = MAX(signal_max, excluded.signal_max),
+                data_rate_sum = data_rate_sum + excluded.data_rate_sum,
+                data_rate_samples = data_rate_samples + excluded.data_rate_samples,
+                good_samples = good_samples + excluded.good_samples,
+                medium_samples = medium_samples + excluded.medium_samples,
+                weak_samples = weak_samples + excluded.weak_samples
+        `
+    }
+};
+
+class TelemetryRetentionService {
+    constructor() {
+        this.rolling = null;
+        this.running = null;
+    }
+
+    /**
+     * Roll up new rows, then delete raw rows and rollups past their retention
+     * Overlapping calls share the pass already under way
+     * @param {Date} now - Current time
+     * @returns {Object} { rolledUp, deleted } counts by table
+     */
+    async run(now = new Date()) {
+        if (!this.running) {
+            this.running = (async () => {
+                const rolledUp = await this.rollUp();
+                const deleted = {};
+
+                for (const [table, source] of Object.entries(SOURCES)) {
+                    deleted[table] = await this.deleteExpiredRows(table, cutoff(now, source.retentionDays));
+                    deleted[source.rollupTable] = await this.deleteExpiredRollups(
+                        source.rollupTable,
+                        cutoff(now, source.rollupRetentionDays)
+                    );
+                }
+
+                const total = Object.values(deleted).reduce((sum, count) => sum + count, 0);
+                if (total > 0) {
+                    console.log(`🧹 Telemetry retention deleted ${Object.entries(deleted)
+                        .filter(([, count]) => count > 0)
+                        .map(([table, count]) => `${count} from ${table}`)
+                        .join(', ')}`);
+                }
+
+                return { rolledUp, deleted };
+            })().finally(() => {
+                this.running = null;
+            });
+        }
+
+        return this.running;
+    }
+
+    /**
+     * Add every raw row not rolled up yet to its per-minute rollup
+     * Overlapping calls share the pass already under way, so no row is counted twice
+     * @returns {Object} Raw rows rolled up by table
+     */
+    async rollUp() {
+        if (!this.rolling) {
+            this.rolling = (async () => {
+                const rolledUp = {};
+                for (const [table, source] of Object.entries(SOURCES)) {
+                    rolledUp[table] = await this.rollUpSource(table, source);
+                }
+                return rolledUp;
+            })().finally(() => {
+                this.rolling = null;
+            });
+        }
+
+        return this.rolling;
+    }
+
+    /**
+     * Roll up one raw table from where its last pass stopped
+     * Rows are taken in id order, so rows arriving late for a minute already rolled up are
+     * merged into it
+     * @param {string} table - Raw table
+     * @param {Object} source - Entry of SOURCES
+     * @returns {number} Raw rows rolled up
+     */
+    async rollUpSource(table, source) {
+        const progress = await db.get('SELECT last_id FROM telemetry_rollup_progress WHERE source = ?', [table]);
+        const { maxId } = await db.get(`SELECT MAX(id) AS maxId FROM ${table}`);
+
+        let lastId = progress ? progress.last_id : 0;
+        const startId = lastId;
+
+        while (maxId != null && lastId < maxId) {
+            const upTo = Math.min(lastId + BATCH_SIZE, maxId);
+            await db.run(source.rollUpQuery, [lastId, upTo]);
+            await db.run('UPDATE telemetry_rollup_progress SET last_id = ? WHERE source = ?', [upTo, table]);
+            lastId = upTo;
+        }
+
+        return lastId - startId;
+    }
+
+    /**
+     * Delete raw rows older than a cutoff that are already rolled up
+     * @param {string} table - Raw table
+     * @param {string} before - ISO cutoff
+     * @returns {number} Rows deleted
+     */
+    async deleteExpiredRows(table, before) {
+        const progress = await db.get('SELECT last_id FROM telemetry_rollup_progress WHERE source = ?', [table]);
+        if (!progress) {
+            return 0;
+        }
+
+        let deleted = 0;
+        for (;;) {
+            const { changes } = await db.run(`
+                DELETE FROM ${table} WHERE id IN (
+                    SELECT id FROM ${table} WHERE timestamp < ? AND id <= ? LIMIT ?
+                )
+            `, [before, progress.last_id, BATCH_SIZE]);
+            deleted += changes;
+            if (changes < BATCH_SIZE) break;
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Delete rollups of minutes before a cutoff
+     * @param {string} table - Rollup table
+     * @param {string} before - ISO cutoff
+     * @returns {number} Rollups deleted
+     */
+    async deleteExpiredRollups(table, before) {
+        const { changes } = await db.run(`DELETE FROM ${table} WHERE bucket_start < ?`, [before]);
+        return changes;
+    }
+
+    /**
+     * Get mission telemetry over a time span
+     * Short recent spans return raw rows; longer ones per-minute or hourly averages
+     * @param {Object} filters - { uavId, missionId, since, until, resolution (auto, raw, minute or hour) }
+     * @returns {Object} { resolution, since, until, points, truncated }
+     * @throws {Error} If since or until is not a valid span
+     */
+    async getTelemetrySeries(filters) {
+        const span = resolveSpan(filters.since, filters.until);
+        const resolution = this.pickResolution('mission_telemetry', span, filters.resolution);
+
+        const conditions = [];
+        const params = [];
+
+        if (filters.uavId) {
+            conditions.push('uav_id = ?');
+            params.push(filters.uavId);
+        }
+
+        if (filters.missionId) {
+            conditions.push('mission_id = ?');
+            params.push(filters.missionId);
+        }
+
+        let rows;
+        if (resolution === 'raw') {
+            rows = await db.all(`
+                SELECT * FROM mission_telemetry
+                WHERE timestamp >= ? AND timestamp <= ?${conditions.map(condition => ` AND ${condition}`).join('')}
+                ORDER BY timestamp ASC, id ASC
+                LIMIT ?
+            `, [span.since, span.until, ...params, MAX_SERIES_POINTS + 1]);
+        } else {
+            await this.rollUp();
+            const bucket = resolution === 'minute' ? 'bucket_start' : bucketExpression('bucket_start', resolution);
+            rows = await db.all(`
+                SELECT uav_id, mission_id, ${bucket} AS bucket,
+                    SUM(samples) AS samples,
+                    SUM(lat_sum) / SUM(samples) AS lat,
+                    SUM(lng_sum) / SUM(samples) AS lng,
+                    SUM(altitude_sum) / SUM(samples) AS altitude,
+                    CASE WHEN SUM(battery_samples) > 0 THEN SUM(battery_sum) / SUM(battery_samples) END AS battery_level,
+                    MIN(battery_min) AS min_battery_level,
+                    CASE WHEN SUM(signal_samples) > 0 THEN SUM(signal_sum) / SUM(signal_samples) END AS signal_strength,
+                    MIN(signal_min) AS min_signal_strength
+                FROM mission_telemetry_rollups
+                WHERE bucket_start >= ${bucketExpression('?', resolution)} AND bucket_start <= ?${conditions.map(condition => ` AND ${condition}`).join('')}
+                GROUP BY uav_id, mission_id, bucket
+                ORDER BY bucket ASC, uav_id ASC
+                LIMIT ?
+            `, [span.since, span.until, ...params, MAX_SERIES_POINTS + 1]);
+        }
+
+        const points = rows.slice(0, MAX_SERIES_POINTS).map(row => resolution === 'raw'
+            ? missionService.formatTelemetry(row)
+            : {
+                missionId: row.mission_id,
+                uavId: row.uav_id,
+                location: { lat: round(row.lat, 7), lng: round(row.lng, 7), altitude: round(row.altitude, 2) },
+                batteryLevel: row.battery_level != null ? round(row.battery_level, 2) : null,
+                minBatteryLevel: row.min_battery_level,
+                signalStrength: row.signal_strength != null ? round(row.signal_strength, 2) : null,
+                minSignalStrength: row.min_signal_strength,
+                samples: row.samples,
+                timestamp: row.bucket
+            });
+
+        return { resolution, ...span, points, truncated: rows.length > MAX_SERIES_POINTS };
+    }
+
+    /**
+     * Get ISAC status over a time span
+     * Short recent spans return raw rows; longer ones per-minute or hourly averages with the
+     * samples seen in each mode
+     * @param {Object} filters - { uavId, since, until, resolution (auto, raw, minute or hour) }
+     * @returns {Object} { resolution, since, until, points, truncated }
+     * @throws {Error} If since or until is not a valid span
+     */
+    async getISACSeries(filters) {
+        const span = resolveSpan(filters.since, filters.until);
+        const resolution = this.pickResolution('isac_status', span, filters.resolution);
+        const uavCondition = filters.uavId ? ' AND uav_id = ?' : '';
+        const uavParams = filters.uavId ? [filters.uavId] : [];
+
+        let rows;
+        if (resolution === 'raw') {
+            rows = await db.all(`
+                SELECT * FROM isac_status
+                WHERE timestamp >= ? AND timestamp <= ?${uavCondition}
+                ORDER BY timestamp ASC, id ASC
+                LIMIT ?
+            `, [span.since, span.until, ...uavParams, MAX_SERIES_POINTS + 1]);
+        } else {
+            await this.rollUp();
+            const bucket = resolution === 'minute' ? 'bucket_start' : bucketExpression('bucket_start', resolution);
+            rows = await db.all(`
+                SELECT uav_id, ${bucket} AS bucket,
+                    SUM(samples) AS samples,
+                    SUM(signal_sum) / SUM(samples) AS signal_strength,
+                    MIN(signal_min) AS min_signal_strength,
+                    MAX(signal_max) AS max_signal_strength,
+                    CASE WHEN SUM(data_rate_samples) > 0 THEN SUM(data_rate_sum) / SUM(data_rate_samples) END AS data_rate,
+                    SUM(good_samples) AS good, SUM(medium_samples) AS medium, SUM(weak_samples) AS weak
+                FROM isac_status_rollups
+                WHERE bucket_start >= ${bucketExpression('?', resolution)} AND bucket_start <= ?${uavCondition}
+                GROUP BY uav_id, bucket
+                ORDER BY bucket ASC, uav_id ASC
+                LIMIT ?
+            `, [span.since, span.until, ...uavParams, MAX_SERIES_POINTS + 1]);
+        }
+
+        const points = rows.slice(0, MAX_SERIES_POINTS).map(row => {
+            if (resolution === 'raw') {
+                return {
+                    uavId: row.uav_id,
+                    mode: row.mode,
+                    signalStrength: row.signal_strength,
+                    dataRate: row.data_rate,
+                    timestamp: row.timestamp
+                };
+            }
+
+            const modes = { good: row.good, medium: row.medium, weak: row.weak };
+            return {
+                uavId: row.uav_id,
+                mode: Object.keys(modes).reduce((best, mode) => (modes[mode] > modes[best] ? mode : best)),
+                modes,
+                signalStrength: round(row.signal_strength, 2),
+                minSignalStrength: row.min_signal_strength,
+                maxSignalStrength: row.max_signal_strength,
+                dataRate: row.data_rate != null ? round(row.data_rate, 2) : null,
+                samples: row.samples,
+                timestamp: row.bucket
+            };
+        });
+
+        return { resolution, ...span, points, truncated: rows.length > MAX_SERIES_POINTS };
+    }
+
+    /**
+     * Resolution a query is answered at
+     * @param {string} table - Raw table queried
+     * @param {Object} span - { since, until }
+     * @param {string} requested - auto, raw, minute or hour
+     * @returns {string} raw, minute or hour
+     */
+    pickResolution(table, span, requested = 'auto') {
+        if (requested && requested !== 'auto') {
+            return requested;
+        }
+        return chooseResolution(span, cutoff(new Date(), SOURCES[table].retentionDays));
+    }
+}
+
+// Helper functions
+
+function cutoff(now, days) {
+    return new Date(now.getTime() - days * DAY_MS).toISOString();
+}
+
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = new TelemetryRetentionService();
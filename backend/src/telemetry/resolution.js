@@ -0,0 +1,89 @@
+/**
+ * Telemetry Resolution
+ * Which resolution a telemetry query is answered at: raw rows for short recent spans,
+ * per-minute rollups for longer ones and hourly rollups beyond that
+ */
+
+// Longest span answered with raw rows when the caller leaves the resolution to us
+const RAW_MAX_SPAN_MINUTES = parseInt(process.env.TELEMETRY_RAW_MAX_SPAN_MINUTES) || 60;
+
+// Longest span answered with per-minute rollups; longer spans get hourly ones
+const MINUTE_MAX_SPAN_HOURS = parseInt(process.env.TELEMETRY_MINUTE_MAX_SPAN_HOURS) || 48;
+
+// Span queried when no start is given
+const DEFAULT_SPAN_MINUTES = 60;
+
+const RESOLUTIONS = ['raw', 'minute', 'hour'];
+
+// strftime formats that truncate an ISO timestamp to the start of its bucket
+const BUCKET_FORMATS = {
+    minute: '%Y-%m-%dT%H:%M:00.000Z',
+    hour: '%Y-%m-%dT%H:00:00.000Z'
+};
+
+/**
+ * Check whether a resolution is known, or auto
+ * @param {string} resolution - Resolution name
+ * @returns {boolean} True if valid
+ */
+function isValidResolution(resolution) {
+    return resolution === 'auto' || RESOLUTIONS.includes(resolution);
+}
+
+/**
+ * Work out the time span a query covers: until defaults to now and since to an hour before until
+ * @param {string} since - ISO lower bound (optional)
+ * @param {string} until - ISO upper bound (optional)
+ * @param {Date} now - Current time
+ * @returns {Object} { since, until } as ISO strings
+ * @throws {Error} If a bound is not a date or the span is empty
+ */
+function resolveSpan(since, until, now = new Date()) {
+    const end = until ? new Date(until) : now;
+    const start = since ? new Date(since) : new Date(end.getTime() - DEFAULT_SPAN_MINUTES * 60000);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        throw new Error('since and until must be ISO timestamps');
+    }
+    if (start >= end) {
+        throw new Error('since must be before until');
+    }
+
+    return { since: start.toISOString(), until: end.toISOString() };
+}
+
+/**
+ * Pick the resolution for a span
+ * Raw rows are only used while they have not expired for the whole span
+ * @param {Object} span - { since, until } as ISO strings
+ * @param {string} rawCutoff - Raw rows older than this may already have been deleted
+ * @returns {string} raw, minute or hour
+ */
+function chooseResolution(span, rawCutoff) {
+    const minutes = (new Date(span.until) - new Date(span.since)) / 60000;
+
+    if (minutes <= RAW_MAX_SPAN_MINUTES && span.since >= rawCutoff) {
+        return 'raw';
+    }
+    return minutes <= MINUTE_MAX_SPAN_HOURS * 60 ? 'minute' : 'hour';
+}
+
+/**
+ * SQLite expression truncating a timestamp column to the start of its bucket
+ * @param {string} column - Column or expression holding an ISO timestamp
+ * @param {string} resolution - minute or hour
+ * @returns {string} SQL expression
+ */
+function bucketExpression(column, resolution) {
+    return `strftime('${BUCKET_FORMATS[resolution]}', ${column})`;
+}
+
+module.exports = {
+    RAW_MAX_SPAN_MINUTES,
+    MINUTE_MAX_SPAN_HOURS,
+    RESOLUTIONS,
+    isValidResolution,
+    resolveSpan,
+    chooseResolution,
+    bucketExpression
+};
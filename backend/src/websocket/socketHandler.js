@@ -3,18 +3,44 @@
  * Manages real-time communication with UAVs and frontend clients
  */
 
-const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
 const path = require('path');
+const modelRegistryService = require('../services/modelRegistryService');
+const federatedService = require('../services/federatedService');
+const federatedMetricsService = require('../services/federatedMetricsService');
+const authService = require('../services/authService');
+const fleetService = require('../services/fleetService');
+const auditService = require('../services/auditService');
+const missionService = require('../services/missionService');
+const telemetryRetentionService = require('../services/telemetryRetentionService');
+const { getPermissions, getEventPermission, canEmit } = require('../middleware/permissions');
 
 // Store connected UAVs and their data
 const connectedUAVs = new Map();
 
+// Authenticated aircraft sockets by UAV ID, held from handshake to disconnect
+const aircraftSockets = new Map();
+
 // Master-slave management
 let currentMasterId = null;
 const MASTER_ROTATION_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
 let masterRotationInterval = null;
 
+// Federated round deadline checks
+const ROUND_CHECK_INTERVAL_MS = 10 * 1000; // 10 seconds
+
+// Planned mission start and success checks
+const MISSION_CHECK_INTERVAL_MS = 10 * 1000; // 10 seconds
+
+// Telemetry rollups and retention
+const RETENTION_CHECK_INTERVAL_MS = 60 * 1000; // 1 minute
+
+// How long an aircraft has to acknowledge a mission plan
+const PLAN_ACK_TIMEOUT_MS = 10 * 1000;
+
+// How long an aircraft has to answer a command
+const COMMAND_TIMEOUT_MS = 10 * 1000;
+
 // Scoring weights for master election
 const WEIGHTS = {
     SNR: 0.4,        // w1: Signal-to-Noise Ratio weight
@@ -25,6 +51,16 @@ const WEIGHTS = {
 // Center point for distance calculations (default: Kolkata)
 const CENTER_POINT = { lat: 22.5726, lng: 88.3639 };
 
+// Longest delay setTimeout accepts
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Tell a dashboard why its session ended, then drop it from every permission room
+const endUserSession = (socket, reason) => {
+    if (socket.disconnected) return;
+    socket.emit('session_ended', { reason, timestamp: new Date().toISOString() });
+    socket.disconnect(true);
+};
+
 // Helper: get list of currently connected UAV IDs
 const getConnectedUavIds = () => {
     return Array.from(connectedUAVs.entries())
@@ -97,6 +133,135 @@ const electNextMaster = (reason = 'rotation') => {
     return currentMasterId;
 };
 
+// Helper: append to the audit trail without holding up the event being handled
+const recordAudit = (entry, context) => {
+    auditService.record(entry, context)
+        .catch(error => console.error(`Error recording audit entry ${entry.action}:`, error.message));
+};
+
+// Helper: room joined by every user session holding a permission
+const permissionRoom = (permission) => `permission:${permission}`;
+
+// Helper: send a UAV the model version assigned to it, if it is not already flying it
+const pushAssignedModel = async (uavId) => {
+    const uav = connectedUAVs.get(uavId);
+    if (!uav || !uav.socket || !uav.socket.connected) return false;
+
+    const model = await modelRegistryService.resolveVersion(uavId, true);
+    if (!model || model.version === uav.modelVersion) return false;
+
+    uav.socket.emit('global_model_update', model);
+    uav.modelVersion = model.version;
+    return true;
+};
+
+// Helper: send a UAV its waypoint plan and record when it acknowledges
+const sendMissionPlan = async (mission, plan) => {
+    const uav = connectedUAVs.get(plan.uavId);
+    if (!uav || !uav.socket || !uav.socket.connected) return false;
+
+    await missionService.recordPlanDispatched(mission.id, plan.uavId);
+
+    uav.socket.timeout(PLAN_ACK_TIMEOUT_MS).emit('mission_plan', {
+        missionId: mission.id,
+        name: mission.name,
+        status: mission.status,
+        pattern: mission.searchPattern,
+        altitude: plan.altitude,
+        waypoints: plan.waypoints,
+        timestamp: new Date().toISOString()
+    }, (error, response) => {
+        if (error || !response || response.accepted === false) {
+            console.warn(`⚠️ UAV ${plan.uavId} did not acknowledge its plan for mission ${mission.id}`);
+            return;
+        }
+        missionService.recordPlanAcknowledged(mission.id, plan.uavId)
+            .catch(ackError => console.error('Error recording plan acknowledgement:', ackError.message));
+    });
+    return true;
+};
+
+// Helper: send a (re)connected UAV the plan of the mission it is assigned to, if any
+const pushAssignedMission = async (uavId) => {
+    const mission = await missionService.getAssignedMission(uavId);
+    if (!mission) return false;
+
+    const plan = (await missionService.getPlans(mission.id)).find(p => p.uavId === uavId);
+    return plan ? sendMissionPlan(mission, plan) : false;
+};
+
+// Helper: send a UAV a command and resolve with its response, or a failure once it times out
+const sendUAVCommand = (uavId, command, params, context) => new Promise((resolve) => {
+    const uav = connectedUAVs.get(uavId);
+    if (!uav || !uav.socket || !uav.socket.connected) {
+        return resolve({
+            success: false,
+            error: `UAV ${uavId} not connected`,
+            uavId,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const commandId = `cmd-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+
+    uav.socket.emit('command', {
+        command,
+        params,
+        commandId,
+        timestamp: new Date().toISOString()
+    });
+
+    recordAudit({
+        action: 'uav.command_sent',
+        entityType: 'uav',
+        entityId: uavId,
+        after: { commandId, command, params }
+    }, context);
+
+    // The aircraft answers on its own socket
+    const aircraftSocket = uav.socket;
+    let timeout = null;
+
+    const onResponse = (response) => {
+        if (response && response.commandId === commandId) {
+            aircraftSocket.off('command_response', onResponse);
+            clearTimeout(timeout);
+
+            recordAudit({
+                action: 'uav.command_response',
+                entityType: 'uav',
+                entityId: uavId,
+                after: response
+            }, auditService.fromSocket(aircraftSocket));
+
+            resolve({
+                ...response,
+                uavId,
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    aircraftSocket.on('command_response', onResponse);
+
+    timeout = setTimeout(() => {
+        aircraftSocket.off('command_response', onResponse);
+        recordAudit({
+            action: 'uav.command_timeout',
+            entityType: 'uav',
+            entityId: uavId,
+            after: { commandId, command }
+        });
+        resolve({
+            success: false,
+            error: 'Command timeout',
+            commandId,
+            uavId,
+            timestamp: new Date().toISOString()
+        });
+    }, COMMAND_TIMEOUT_MS);
+});
+
 const socketHandler = (io) => {
     console.log('🚀 WebSocket handler initialized');
 
@@ -117,7 +282,7 @@ const socketHandler = (io) => {
                 cleaned++;
 
                 // Notify all clients about the disconnected UAV
-                io.emit('uav_disconnected', {
+                io.emitTo('telemetry:view', 'uav_disconnected', {
                     uavId,
                     isMaster: currentMasterId === uavId,
                     currentMasterId,
@@ -132,6 +297,37 @@ const socketHandler = (io) => {
         }
     }, 60000); // Check every minute
 
+    // Aggregate federated rounds whose deadline passed without every selected UAV reporting
+    const roundCheckInterval = setInterval(() => {
+        federatedService.closeExpiredRound()
+            .then(aggregation => {
+                if (aggregation) {
+                    io.broadcastGlobalModel(aggregation);
+                }
+            })
+            .catch(error => console.error('Error closing expired federated round:', error.message));
+    }, ROUND_CHECK_INTERVAL_MS);
+
+    // Start planned missions whose criteria hold and complete those that succeeded
+    const missionCheckInterval = setInterval(() => {
+        missionService.advanceMissions(io.getConnectedUAVs())
+            .then(({ started, completed }) => {
+                started.forEach(result => io.broadcastMissionStarted(result));
+                completed.forEach(mission => {
+                    io.dispatchMissionPlans(mission.id)
+                        .catch(error => console.error(`Error sending plans of mission ${mission.id}:`, error.message));
+                    io.broadcastMissionCompleted({ mission });
+                });
+            })
+            .catch(error => console.error('Error advancing planned missions:', error.message));
+    }, MISSION_CHECK_INTERVAL_MS);
+
+    // Roll new telemetry up into per-minute averages and delete rows past their retention
+    const retentionInterval = setInterval(() => {
+        telemetryRetentionService.run()
+            .catch(error => console.error('Error applying telemetry retention:', error.message));
+    }, RETENTION_CHECK_INTERVAL_MS);
+
     // Start master rotation timer
     if (!masterRotationInterval) {
         masterRotationInterval = setInterval(() => {
@@ -139,21 +335,93 @@ const socketHandler = (io) => {
         }, MASTER_ROTATION_INTERVAL_MS);
     }
 
+    // Every connection authenticates in its handshake: dashboards with their access token,
+    // aircraft with { uavId, timestamp, signature } signed by their fleet secret
+    io.use(async (socket, next) => {
+        const auth = socket.handshake.auth || {};
+
+        try {
+            if (auth.token) {
+                const user = await authService.verifyAccessToken(auth.token);
+                if (!user) {
+                    return next(new Error('Invalid or expired token'));
+                }
+
+                socket.data.connection = { type: 'user', role: user.role, user };
+                socket.join(getPermissions(user.role).map(permissionRoom));
+                return next();
+            }
+
+            if (auth.uavId) {
+                const { valid, uav, reason } = await fleetService.verifyHandshake(auth);
+                if (!valid) {
+                    console.warn(`🚫 Rejected aircraft handshake from ${socket.handshake.address}: ${reason}`);
+                    return next(new Error(reason));
+                }
+
+                // Checked and claimed without awaiting in between, so two handshakes cannot both win
+                const existing = aircraftSockets.get(uav.uavId);
+                if (existing && !existing.disconnected) {
+                    console.warn(`🚫 Rejected duplicate connection for UAV ${uav.uavId}`);
+                    return next(new Error(`UAV ${uav.uavId} is already connected`));
+                }
+
+                aircraftSockets.set(uav.uavId, socket);
+                socket.data.connection = { type: 'aircraft', uavId: uav.uavId };
+                fleetService.recordConnection(uav.uavId)
+                    .catch(error => console.error('Error recording fleet connection:', error.message));
+                return next();
+            }
+
+            next(new Error('Authentication required'));
+        } catch (error) {
+            next(error);
+        }
+    });
+
     io.on('connection', (socket) => {
-        console.log(`🔌 New connection: ${socket.id}`);
+        const connection = socket.data.connection;
+        const label = connection.type === 'user'
+            ? `${connection.user.username}, ${connection.role}`
+            : `aircraft ${connection.uavId}`;
+        console.log(`🔌 New connection: ${socket.id} (${label})`);
         let uavId = null;
 
-        // Handle UAV registration
+        // A user session lasts as long as its access token; the dashboard refreshes and reconnects
+        const sessionTimer = connection.type === 'user'
+            ? setTimeout(
+                () => endUserSession(socket, 'token_expired'),
+                Math.min(Math.max(Date.parse(connection.user.tokenExpiresAt) - Date.now(), 0), MAX_TIMER_MS)
+            )
+            : null;
+
+        // Drop events this kind of connection may not emit, answering their acknowledgement if any
+        socket.use(([event, ...args], next) => {
+            if (canEmit(connection, event)) {
+                return next();
+            }
+
+            const permission = getEventPermission(event);
+            console.warn(`🚫 Rejected ${event} from ${socket.id} (${label})`);
+            const callback = args[args.length - 1];
+            if (typeof callback === 'function') {
+                callback({
+                    success: false,
+                    error: permission ? 'Insufficient permissions' : `Unknown event: ${event}`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Handle UAV registration; the UAV ID is the one proven in the handshake
         socket.on('register_uav', (data, callback) => {
             try {
-                uavId = data.uavId || `uav-${uuidv4().substring(0, 6)}`;
-                const existingUAV = connectedUAVs.get(uavId);
-
-                if (existingUAV && existingUAV.socket && existingUAV.socket.connected) {
-                    console.log(`⚠️ UAV ${uavId} already connected, disconnecting previous instance`);
-                    existingUAV.socket.disconnect();
+                if (data.uavId && data.uavId !== connection.uavId) {
+                    throw new Error(`Connection is authenticated as ${connection.uavId}, not ${data.uavId}`);
                 }
 
+                uavId = connection.uavId;
+
                 // Register new UAV
                 connectedUAVs.set(uavId, {
                     socket,
@@ -163,9 +431,15 @@ const socketHandler = (io) => {
                     status: 'connected',
                     lastSeen: Date.now(),
                     capabilities: data.capabilities || [],
-                    metadata: data.metadata || {}
+                    metadata: data.metadata || {},
+                    modelVersion: data.modelVersion || null
                 });
 
+                if (data.modelVersion) {
+                    modelRegistryService.recordReportedVersion(uavId, data.modelVersion)
+                        .catch(error => console.error('Error recording model version:', error.message));
+                }
+
                 console.log(`🚁 UAV ${uavId} registered (${socket.id})`);
 
                 // Ensure we have a master after this registration (if none yet)
@@ -186,7 +460,7 @@ const socketHandler = (io) => {
                 }
 
                 // Notify all clients about the new UAV
-                io.emit('uav_connected', {
+                io.emitTo('telemetry:view', 'uav_connected', {
                     ...response,
                     position: data.position || [0, 0, 0],
                     battery: data.battery || 100,
@@ -194,6 +468,14 @@ const socketHandler = (io) => {
                     currentMasterId
                 });
 
+                // Bring the UAV up to date with the model assigned to it
+                pushAssignedModel(uavId)
+                    .catch(error => console.error('Error sending global model:', error.message));
+
+                // and the mission plan it should be flying
+                pushAssignedMission(uavId)
+                    .catch(error => console.error('Error sending mission plan:', error.message));
+
                 // Send current list of UAVs to the new connection
                 socket.emit('uav_list', Array.from(connectedUAVs.values()).map(uav => ({
                     id: uav.id,
@@ -239,7 +521,7 @@ const socketHandler = (io) => {
             }
 
             // Broadcast status to all clients
-            io.emit('uav_status_update', {
+            io.emitTo('telemetry:view', 'uav_status_update', {
                 uavId,
                 position: uav.position,
                 velocity: uav.velocity,
@@ -268,8 +550,8 @@ const socketHandler = (io) => {
                     timestamp: data.timestamp || new Date().toISOString()
                 };
 
-                // Broadcast to all frontend clients
-                io.emit('frontend_master_image', payload);
+                // Relay only to dashboards allowed to view imagery
+                io.emitTo('imagery:view', 'frontend_master_image', payload);
             } catch (error) {
                 console.error('Error handling master_image:', error);
             }
@@ -313,79 +595,35 @@ const socketHandler = (io) => {
 
         // Handle commands from dashboard to UAVs
         socket.on('send_command', (data, callback) => {
-            const { uavId: targetUavId, command, params = {} } = data;
+            const { uavId: targetUavId, command, params = {} } = data || {};
 
             if (!targetUavId) {
-                return callback({
-                    success: false,
-                    error: 'No UAV ID specified',
-                    timestamp: new Date().toISOString()
-                });
-            }
-
-            const uav = connectedUAVs.get(targetUavId);
-            if (!uav || !uav.socket || !uav.socket.connected) {
-                return callback({
-                    success: false,
-                    error: `UAV ${targetUavId} not connected`,
-                    timestamp: new Date().toISOString()
-                });
-            }
-
-            const commandId = `cmd-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
-
-            // Send command to UAV
-            uav.socket.emit('command', {
-                command,
-                params,
-                commandId,
-                timestamp: new Date().toISOString()
-            });
-
-            // Set up response listener
-            const onResponse = (response) => {
-                if (response.commandId === commandId) {
-                    // Clean up the listener
-                    socket.off('command_response', onResponse);
-
-                    // Forward the response to the original sender
-                    if (typeof callback === 'function') {
-                        callback({
-                            ...response,
-                            uavId: targetUavId,
-                            timestamp: new Date().toISOString()
-                        });
-                    }
-                }
-            };
-
-            // Listen for the response
-            socket.on('command_response', onResponse);
-
-            // Set timeout for command response
-            const timeout = setTimeout(() => {
-                socket.off('command_response', onResponse);
                 if (typeof callback === 'function') {
                     callback({
                         success: false,
-                        error: 'Command timeout',
-                        commandId,
-                        uavId: targetUavId,
+                        error: 'No UAV ID specified',
                         timestamp: new Date().toISOString()
                     });
                 }
-            }, 10000); // 10 second timeout
+                return;
+            }
 
-            // Clean up timeout if response is received
-            socket.once('command_response', (response) => {
-                if (response.commandId === commandId) {
-                    clearTimeout(timeout);
-                }
-            });
+            sendUAVCommand(targetUavId, command, params, auditService.fromSocket(socket))
+                .then(response => {
+                    if (typeof callback === 'function') {
+                        callback(response);
+                    }
+                });
         });
 
         // Handle disconnection
         socket.on('disconnect', () => {
+            clearTimeout(sessionTimer);
+
+            if (connection.type === 'aircraft' && aircraftSockets.get(connection.uavId) === socket) {
+                aircraftSockets.delete(connection.uavId);
+            }
+
             if (uavId) {
                 const uav = connectedUAVs.get(uavId);
                 if (uav) {
@@ -401,7 +639,7 @@ const socketHandler = (io) => {
                         }
 
                         // Notify all clients
-                        io.emit('uav_disconnected', {
+                        io.emitTo('telemetry:view', 'uav_disconnected', {
                             uavId,
                             isMaster: currentMasterId === uavId,
                             currentMasterId,
@@ -423,6 +661,9 @@ const socketHandler = (io) => {
     // Clean up on server shutdown
     const cleanup = () => {
         clearInterval(cleanupInterval);
+        clearInterval(roundCheckInterval);
+        clearInterval(missionCheckInterval);
+        clearInterval(retentionInterval);
         if (masterRotationInterval) {
             clearInterval(masterRotationInterval);
             masterRotationInterval = null;
@@ -434,41 +675,179 @@ const socketHandler = (io) => {
     process.on('SIGTERM', cleanup);
 
     // Broadcast functions for use by other parts of the application
+
+    // Send an event to every user session whose role holds a permission
+    io.emitTo = (permission, event, payload) => {
+        io.to(permissionRoom(permission)).emit(event, payload);
+    };
+
+    // Drop an aircraft's live connection after its credentials were rotated or revoked
+    io.disconnectUAV = (id) => {
+        const aircraftSocket = aircraftSockets.get(id);
+        if (!aircraftSocket) return false;
+
+        aircraftSocket.disconnect(true);
+        return true;
+    };
+
+    // Drop the live connections of a user session after logout, or of every session of a user
+    // whose sessions were revoked
+    io.disconnectUserSessions = ({ userId, tokenId }, reason) => {
+        let disconnected = 0;
+        io.sockets.sockets.forEach(socket => {
+            const connection = socket.data.connection;
+            if (!connection || connection.type !== 'user') return;
+            if (tokenId ? connection.user.tokenId !== tokenId : connection.user.id !== userId) return;
+
+            endUserSession(socket, reason);
+            disconnected++;
+        });
+        return disconnected;
+    };
+
     io.broadcastSurvivorDetected = (survivorData) => {
-        io.emit('survivor_detected', {
+        io.emitTo('survivors:view', 'survivor_detected', {
             ...survivorData,
             timestamp: new Date().toISOString()
         });
     };
 
     io.broadcastISACModeChanged = (isacData) => {
-        io.emit('isac_mode_changed', {
+        io.emitTo('telemetry:view', 'isac_mode_changed', {
             ...isacData,
             timestamp: new Date().toISOString()
         });
     };
 
     io.broadcastUAVDataUpdate = (uavData) => {
-        io.emit('uav_data_update', {
+        io.emitTo('telemetry:view', 'uav_data_update', {
             ...uavData,
             timestamp: new Date().toISOString()
         });
     };
 
     io.broadcastSurvivorRescued = (survivorData) => {
-        io.emit('survivor_rescued', {
+        io.emitTo('survivors:view', 'survivor_rescued', {
             ...survivorData,
             timestamp: new Date().toISOString()
         });
     };
 
     io.broadcastMissionCompleted = (missionData) => {
-        io.emit('mission_completed', {
+        io.emitTo('telemetry:view', 'mission_completed', {
             ...missionData,
             timestamp: new Date().toISOString()
         });
     };
 
+    // Announce a started mission, send its plans and close the automatic missions it replaced
+    io.broadcastMissionStarted = ({ mission, superseded = [] }) => {
+        io.dispatchMissionPlans(mission.id)
+            .catch(error => console.error(`Error sending plans of mission ${mission.id}:`, error.message));
+
+        superseded.forEach(previous => io.broadcastMissionCompleted({ mission: previous }));
+
+        io.emitTo('telemetry:view', 'mission_started', {
+            mission,
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    // Tell the dashboards a mission was paused, resumed or aborted and command its aircraft accordingly
+    io.broadcastMissionStatus = ({ mission, previousStatus, command, context }) => {
+        const delivery = { command, commanded: [], offline: [] };
+
+        if (command) {
+            const params = { missionId: mission.id, reason: mission.statusReason };
+            for (const id of mission.uavIds) {
+                const uav = connectedUAVs.get(id);
+                if (!uav || !uav.socket || !uav.socket.connected) {
+                    delivery.offline.push(id);
+                    continue;
+                }
+
+                delivery.commanded.push(id);
+                sendUAVCommand(id, command, params, context).then(response => {
+                    if (!response.success) {
+                        console.warn(`⚠️ UAV ${id} did not carry out ${command} for mission ${mission.id}: ${response.error}`);
+                    }
+                });
+            }
+        }
+
+        // Aircraft that reconnect later pick the status up with their plan
+        if (mission.origin === 'planned') {
+            io.dispatchMissionPlans(mission.id)
+                .catch(error => console.error(`Error sending plans of mission ${mission.id}:`, error.message));
+        }
+
+        const event = { paused: 'mission_paused', active: 'mission_resumed', aborted: 'mission_aborted' }[mission.status];
+        io.emitTo('telemetry:view', event, {
+            mission,
+            previousStatus,
+            reason: mission.statusReason,
+            delivery,
+            timestamp: new Date().toISOString()
+        });
+
+        return delivery;
+    };
+
+    // Send every connected UAV on a mission its plan with the mission's current status
+    io.dispatchMissionPlans = async (missionId) => {
+        const mission = await missionService.getMissionById(missionId);
+        if (!mission) return { dispatched: [], offline: [] };
+
+        const dispatched = [];
+        const offline = [];
+        for (const plan of await missionService.getPlans(missionId)) {
+            (await sendMissionPlan(mission, plan) ? dispatched : offline).push(plan.uavId);
+        }
+        return { dispatched, offline };
+    };
+
+    // Push a newly aggregated global model to every connected UAV that is not pinned elsewhere
+    io.broadcastGlobalModel = ({ round, model, participants = [], deferred = [], flagged = [] }) => {
+        io.pushModelAssignments();
+
+        io.emitTo('learning:view', 'federated_round_completed', {
+            round,
+            version: model.version,
+            parentVersion: model.parentVersion,
+            participants,
+            deferred,
+            flagged,
+            timestamp: new Date().toISOString()
+        });
+
+        if (flagged.length > 0) {
+            io.emitTo('learning:view', 'federated_updates_flagged', {
+                roundId: round.id,
+                roundNumber: round.roundNumber,
+                flagged,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // Learning dashboards append the finished round without reloading the history
+        federatedMetricsService.getRoundMetric(round.id)
+            .then(metrics => {
+                io.emitTo('learning:view', 'federated_metrics_updated', {
+                    round: metrics,
+                    timestamp: new Date().toISOString()
+                });
+            })
+            .catch(error => console.error('Error broadcasting federated metrics:', error.message));
+    };
+
+    // Re-send assigned models after pins or rollbacks change what UAVs should fly
+    io.pushModelAssignments = () => {
+        getConnectedUavIds().forEach(id => {
+            pushAssignedModel(id)
+                .catch(error => console.error(`Error pushing model to ${id}:`, error.message));
+        });
+    };
+
     // Add a method to get all connected UAVs
     io.getConnectedUAVs = () => {
         return Array.from(connectedUAVs.values()).map(uav => ({
@@ -4,6 +4,10 @@ import HomePage from './components/home/HomePage';
 import Dashboard from './components/dashboard/Dashboard';
 import UAVDetails from './components/uav/UAVDetails';
 import AdminPage from './components/admin/AdminPage';
+import FederatedMetricsPage from './components/federated/FederatedMetricsPage';
+import LoginPage from './components/auth/LoginPage';
+import RequireAuth from './components/auth/RequireAuth';
+import { AuthProvider } from './context/AuthContext';
 import { WebSocketProvider } from './context/WebSocketContext';
 import { AppProvider } from './context/AppContext';
 import ErrorBoundary from './components/common/ErrorBoundary';
@@ -15,30 +19,48 @@ function App() {
     <ErrorBoundary>
       <div className="app">
         <Router>
-          <Routes>
-            <Route path="/" element={<HomePage />} />
-            <Route path="/dashboard" element={
-              <WebSocketProvider>
-                <AppProvider>
-                  <Dashboard />
-                </AppProvider>
-              </WebSocketProvider>
-            } />
-            <Route path="/admin" element={
-              <WebSocketProvider>
-                <AppProvider>
-                  <AdminPage />
-                </AppProvider>
-              </WebSocketProvider>
-            } />
-            <Route path="/uav/:uavId" element={
-              <WebSocketProvider>
-                <AppProvider>
-                  <UAVDetails />
-                </AppProvider>
-              </WebSocketProvider>
-            } />
-          </Routes>
+          <AuthProvider>
+            <Routes>
+              <Route path="/" element={<HomePage />} />
+              <Route path="/login" element={<LoginPage />} />
+              <Route path="/dashboard" element={
+                <RequireAuth permission="telemetry:view">
+                  <WebSocketProvider>
+                    <AppProvider>
+                      <Dashboard />
+                    </AppProvider>
+                  </WebSocketProvider>
+                </RequireAuth>
+              } />
+              <Route path="/admin" element={
+                <RequireAuth permission="imagery:view">
+                  <WebSocketProvider>
+                    <AppProvider>
+                      <AdminPage />
+                    </AppProvider>
+                  </WebSocketProvider>
+                </RequireAuth>
+              } />
+              <Route path="/learning" element={
+                <RequireAuth permission="learning:view">
+                  <WebSocketProvider>
+                    <AppProvider>
+                      <FederatedMetricsPage />
+                    </AppProvider>
+                  </WebSocketProvider>
+                </RequireAuth>
+              } />
+              <Route path="/uav/:uavId" element={
+                <RequireAuth permission="telemetry:view">
+                  <WebSocketProvider>
+                    <AppProvider>
+                      <UAVDetails />
+                    </AppProvider>
+                  </WebSocketProvider>
+                </RequireAuth>
+              } />
+            </Routes>
+          </AuthProvider>
         </Router>
       </div>
     </ErrorBoundary>
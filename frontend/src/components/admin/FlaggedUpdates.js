@@ -0,0 +1,112 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useWebSocket } from '../../context/WebSocketContext';
+import { getFlaggedUpdates } from '../../services/api';
+
+// Helper function to format timestamp
+const formatTimestamp = (timestamp) => {
+  if (!timestamp) return 'Unknown time';
+  return new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+};
+
+const cellStyle = {
+  padding: '0.5rem 0.75rem',
+  borderBottom: '1px solid #e5e7eb',
+  fontSize: '0.875rem',
+  textAlign: 'left'
+};
+
+const FlaggedUpdates = () => {
+  const { subscribe } = useWebSocket();
+  const [flagged, setFlagged] = useState([]);
+  const [error, setError] = useState(null);
+
+  const loadFlagged = useCallback(async () => {
+    try {
+      const response = await getFlaggedUpdates({ limit: 50 });
+      setFlagged(response.flagged || []);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadFlagged();
+  }, [loadFlagged]);
+
+  // Refresh whenever the backend reports newly flagged contributions
+  useEffect(() => {
+    return subscribe('federated_updates_flagged', loadFlagged);
+  }, [subscribe, loadFlagged]);
+
+  return (
+    <div className="card" style={{ padding: '1.5rem', marginTop: '1.5rem' }}>
+      <h2 style={{ margin: '0 0 1rem 0' }}>Admin - Flagged Model Updates</h2>
+      <p style={{ color: '#6b7280', fontSize: '0.875rem', marginBottom: '1rem' }}>
+        UAV contributions excluded from federated rounds for diverging strongly from the cohort
+      </p>
+      {error && (
+        <p style={{ color: '#dc2626', fontSize: '0.875rem' }}>Failed to load flagged updates: {error}</p>
+      )}
+      {flagged.length === 0 ? (
+        <div style={{
+          textAlign: 'center',
+          padding: '2rem',
+          backgroundColor: '#f9fafb',
+          borderRadius: '0.5rem',
+          border: '2px dashed #e5e7eb'
+        }}>
+          <p style={{ color: '#6b7280', margin: 0 }}>
+            No flagged updates. Every recent contribution was in line with the fleet.
+          </p>
+        </div>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ backgroundColor: '#f9fafb' }}>
+              <th style={cellStyle}>UAV</th>
+              <th style={cellStyle}>Round</th>
+              <th style={cellStyle}>Anomaly Score</th>
+              <th style={cellStyle}>Samples</th>
+              <th style={cellStyle}>Reason</th>
+              <th style={cellStyle}>Received</th>
+            </tr>
+          </thead>
+          <tbody>
+            {flagged.map(update => (
+              <tr key={update.id}>
+                <td style={cellStyle}>
+                  <span style={{
+                    backgroundColor: '#dc2626',
+                    color: 'white',
+                    padding: '0.125rem 0.5rem',
+                    borderRadius: '9999px',
+                    fontSize: '0.75rem',
+                    fontWeight: '600'
+                  }}>
+                    🚁 {update.uavId}
+                  </span>
+                </td>
+                <td style={cellStyle}>#{update.roundNumber}</td>
+                <td style={cellStyle}>
+                  {update.anomalyScore != null ? update.anomalyScore.toFixed(2) : '—'}
+                </td>
+                <td style={cellStyle}>{update.trainingSamples}</td>
+                <td style={cellStyle}>{update.flagReason || 'unknown'}</td>
+                <td style={{ ...cellStyle, color: '#6b7280' }}>{formatTimestamp(update.receivedAt)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default FlaggedUpdates;
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.6rem 0.75rem',
+  border: '1px solid #d1d5db',
+  borderRadius: '0.375rem',
+  fontSize: '0.875rem',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = {
+  display: 'block',
+  fontSize: '0.75rem',
+  fontWeight: '600',
+  color: '#374151',
+  marginBottom: '0.25rem'
+};
+
+const LoginPage = () => {
+  const { login, register } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [mode, setMode] = useState('login'); // login, register
+  const [form, setForm] = useState({ username: '', email: '', password: '' });
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const redirectTo = location.state?.from || '/dashboard';
+
+  const handleChange = (field) => (e) => {
+    setForm(prev => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      if (mode === 'login') {
+        await login(form.username, form.password);
+      } else {
+        await register(form);
+      }
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '1rem' }}>
+      <form className="card" onSubmit={handleSubmit} style={{ width: '100%', maxWidth: '380px', padding: '1.5rem' }}>
+        <h2 style={{ margin: '0 0 0.25rem 0' }}>🚁 {mode === 'login' ? 'Sign in' : 'Create account'}</h2>
+        <p style={{ color: '#6b7280', fontSize: '0.875rem', margin: '0 0 1.25rem 0' }}>
+          {mode === 'login'
+            ? 'Sign in to access the rescue dashboard.'
+            : 'New accounts can view the dashboard; an admin can grant operator rights.'}
+        </p>
+
+        <div style={{ marginBottom: '0.75rem' }}>
+          <label style={labelStyle} htmlFor="username">{mode === 'login' ? 'Username or email' : 'Username'}</label>
+          <input id="username" style={inputStyle} value={form.username} onChange={handleChange('username')} autoComplete="username" required />
+        </div>
+
+        {mode === 'register' && (
+          <div style={{ marginBottom: '0.75rem' }}>
+            <label style={labelStyle} htmlFor="email">Email</label>
+            <input id="email" type="email" style={inputStyle} value={form.email} onChange={handleChange('email')} autoComplete="email" required />
+          </div>
+        )}
+
+        <div style={{ marginBottom: '1rem' }}>
+          <label style={labelStyle} htmlFor="password">Password</label>
+          <input
+            id="password"
+            type="password"
+            style={inputStyle}
+            value={form.password}
+            onChange={handleChange('password')}
+            autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+            required
+          />
+        </div>
+
+        {error && (
+          <div style={{ color: '#dc2626', fontSize: '0.875rem', marginBottom: '0.75rem' }}>{error}</div>
+        )}
+
+        <button type="submit" className="rescue-button" disabled={submitting} style={{ width: '100%', padding: '0.6rem' }}>
+          {submitting ? 'Please wait...' : mode === 'login' ? 'Sign in' : 'Create account'}
+        </button>
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '1rem', fontSize: '0.8rem' }}>
+          <Link to="/" style={{ color: '#6b7280' }}>← Home</Link>
+          <button
+            type="button"
+            onClick={() => { setMode(mode === 'login' ? 'register' : 'login'); setError(null); }}
+            style={{ background: 'none', border: 'none', color: '#2563eb', cursor: 'pointer', padding: 0, fontSize: '0.8rem' }}
+          >
+            {mode === 'login' ? 'Create an account' : 'Already have an account?'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default LoginPage;
@@ -0,0 +1,36 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+
+// Sends anonymous visitors to the login page and remembers where they were going
+const RequireAuth = ({ permission, children }) => {
+  const { user, loading, can } = useAuth();
+  const location = useLocation();
+
+  if (loading) {
+    return (
+      <div style={{ padding: '3rem', textAlign: 'center', color: '#6b7280' }}>
+        Checking session...
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  }
+
+  if (permission && !can(permission)) {
+    return (
+      <div className="card" style={{ margin: '3rem auto', maxWidth: '480px', padding: '1.5rem', textAlign: 'center' }}>
+        <h2 style={{ margin: '0 0 0.5rem 0' }}>Access denied</h2>
+        <p style={{ color: '#6b7280', margin: 0 }}>
+          Your role ({user.role}) does not allow this page.
+        </p>
+      </div>
+    );
+  }
+
+  return children;
+};
+
+export default RequireAuth;
@@ -1,7 +1,16 @@
 import React from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
 
 const Navigation = () => {
+  const { user, logout } = useAuth();
+  const navigate = useNavigate();
+
+  const handleLogout = async () => {
+    await logout();
+    navigate('/login');
+  };
+
   return (
     <nav style={{
       position: 'absolute',
@@ -72,6 +81,62 @@ const Navigation = () => {
         <span>🛠️</span>
         <span>Admin</span>
       </Link>
+
+      <Link 
+        to="/learning" 
+        style={{
+          display: 'inline-flex',
+          alignItems: 'center',
+          gap: '0.5rem',
+          padding: '0.5rem 1rem',
+          background: 'rgba(255, 255, 255, 0.9)',
+          color: '#2d3748',
+          textDecoration: 'none',
+          borderRadius: '25px',
+          fontSize: '0.875rem',
+          fontWeight: '500',
+          backdropFilter: 'blur(10px)',
+          border: '1px solid rgba(255, 255, 255, 0.2)',
+          transition: 'all 0.3s ease',
+          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.1)'
+        }}
+        onMouseEnter={(e) => {
+          e.target.style.transform = 'translateY(-2px)';
+          e.target.style.boxShadow = '0 8px 20px rgba(0, 0, 0, 0.15)';
+        }}
+        onMouseLeave={(e) => {
+          e.target.style.transform = 'translateY(0)';
+          e.target.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.1)';
+        }}
+      >
+        <span>🧠</span>
+        <span>Learning</span>
+      </Link>
+
+      {user && (
+        <button
+          onClick={handleLogout}
+          title={`Signed in as ${user.username} (${user.role})`}
+          style={{
+            display: 'inline-flex',
+            alignItems: 'center',
+            gap: '0.5rem',
+            padding: '0.5rem 1rem',
+            background: 'rgba(255, 255, 255, 0.9)',
+            color: '#2d3748',
+            borderRadius: '25px',
+            fontSize: '0.875rem',
+            fontWeight: '500',
+            backdropFilter: 'blur(10px)',
+            border: '1px solid rgba(255, 255, 255, 0.2)',
+            cursor: 'pointer',
+            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.1)'
+          }}
+        >
+          <span>👤</span>
+          <span>{user.username} · Log out</span>
+        </button>
+      )}
     </nav>
   );
 };
@@ -1,6 +1,7 @@
-import React, { useEffect, useMemo } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { useApp } from '../../context/AppContext';
 import { useWebSocket } from '../../context/WebSocketContext';
+import { useAuth } from '../../context/AuthContext';
 import Header from '../common/Header';
 import Navigation from '../common/Navigation';
 import MapComponent from './MapComponent';
@@ -8,11 +9,17 @@ import SurvivorList from './SurvivorList';
 import ISACStatus from './ISACStatus';
 import MultiUAVStatus from './MultiUAVStatus';
 import MissionStats from './MissionStats';
+import RescueTeams from './RescueTeams';
 import ConnectionStatus from '../common/ConnectionStatus';
 import NotificationContainer from '../common/NotificationContainer';
+import { getMissions, getMissionCoverage } from '../../services/api';
+
+// How often the coverage overlays of flying missions are reloaded
+const COVERAGE_REFRESH_MS = 15000;
 
 const Dashboard = () => {
-  const { survivors = [], actions } = useApp();
+  const { survivors = [], teams = [], teamAssignments = [], actions } = useApp();
+  const { can } = useAuth();
   const { 
     isConnected, 
     uavs = [], 
@@ -70,6 +77,44 @@ const Dashboard = () => {
     actions.loadSurvivors();
   }, [actions]);
 
+  // Load rescue teams once; later changes arrive over the socket
+  const teamsLoaded = useRef(false);
+  useEffect(() => {
+    if (teamsLoaded.current || !can('teams:view')) return;
+    teamsLoaded.current = true;
+    actions.loadTeams();
+  }, [actions, can]);
+
+  // Coverage grids of the missions being flown, reloaded while the dashboard is open
+  const [missionCoverage, setMissionCoverage] = useState([]);
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadCoverage = async () => {
+      try {
+        const [active, paused] = await Promise.all([
+          getMissions({ status: 'active' }),
+          getMissions({ status: 'paused' })
+        ]);
+        const overlays = await Promise.all([...active, ...paused].map(async (mission) => ({
+          mission,
+          coverage: await getMissionCoverage(mission.id)
+        })));
+        if (!cancelled) setMissionCoverage(overlays);
+      } catch (error) {
+        console.error('Error loading mission coverage:', error);
+      }
+    };
+
+    loadCoverage();
+    const interval = setInterval(loadCoverage, COVERAGE_REFRESH_MS);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, []);
+
   // Subscribe to UAV status updates
   useEffect(() => {
     if (!isConnected) return;
@@ -96,6 +141,7 @@ const Dashboard = () => {
             survivors={safeSurvivors}
             uavStatus={selectedUAVStatus}
             uavs={uavsForMap}
+            missionCoverage={missionCoverage}
           />
         </div>
 
@@ -126,8 +172,21 @@ const Dashboard = () => {
           <SurvivorList 
             survivors={safeSurvivors}
             loading={false}
-            onMarkAsRescued={actions?.markSurvivorAsRescued}
+            onMarkAsRescued={can('survivors:rescue') ? actions?.markSurvivorAsRescued : undefined}
+            onUpdateStatus={can('survivors:update') ? actions?.updateSurvivorStatus : undefined}
+            assignments={teamAssignments}
+            availableTeams={teams.filter(team => team.status === 'available')}
+            onAssignTeam={can('teams:dispatch') ? actions?.assignRescueTeam : undefined}
           />
+
+          {/* Rescue Teams */}
+          {can('teams:view') && (
+            <RescueTeams
+              teams={teams}
+              assignments={teamAssignments}
+              survivors={safeSurvivors}
+            />
+          )}
         </div>
       </div>
 
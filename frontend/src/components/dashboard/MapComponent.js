@@ -25,11 +25,11 @@ const MapFallback = ({ survivors, uavStatus }) => (
 );
 
 // Import Leaflet components with error handling
-let MapContainer, TileLayer, Marker, Popup;
+let MapContainer, TileLayer, Marker, Popup, GeoJSON;
 
 try {
   const leaflet = require('react-leaflet');
-  ({ MapContainer, TileLayer, Marker, Popup } = leaflet);
+  ({ MapContainer, TileLayer, Marker, Popup, GeoJSON } = leaflet);
 } catch (error) {
   console.warn('Leaflet not available, using fallback map component');
   // Provide fallback components in development
@@ -154,7 +154,47 @@ const UAVMarkers = ({ uavs, selectedUAV, onUAVClick }) => {
   ));
 };
 
-const MapComponent = ({ survivors, uavStatus, uavs, onSurvivorClick, onUAVSelect }) => {
+// Covered cells inside the search area in green, elsewhere in blue
+const coverageStyle = (feature) => ({
+  color: feature.properties.inArea ? '#16a34a' : '#3b82f6',
+  weight: 0,
+  fillOpacity: 0.35
+});
+
+const searchAreaStyle = {
+  color: '#8b5cf6',
+  weight: 2,
+  dashArray: '6 4',
+  fill: false
+};
+
+const MissionCoverage = ({ missionCoverage }) => {
+  if (!GeoJSON) return null;
+
+  return missionCoverage.map(({ mission, coverage }) => (
+    <React.Fragment key={mission.id}>
+      {mission.searchArea && (
+        <GeoJSON data={mission.searchArea} style={searchAreaStyle}>
+          <Popup>
+            <div>
+              <h4>{mission.name || 'Planned mission'}</h4>
+              <p>Status: {mission.status}</p>
+              <p>Covered: {coverage.coveragePercent ?? 0}% of {((coverage.searchAreaSqMeters || 0) / 10000).toFixed(1)} ha</p>
+            </div>
+          </Popup>
+        </GeoJSON>
+      )}
+      {/* GeoJSON layers do not redraw on new data, so each reload remounts the overlay */}
+      <GeoJSON
+        key={coverage.overlay.metadata?.generatedAt || mission.id}
+        data={coverage.overlay}
+        style={coverageStyle}
+      />
+    </React.Fragment>
+  ));
+};
+
+const MapComponent = ({ survivors, uavStatus, uavs, missionCoverage = [], onSurvivorClick, onUAVSelect }) => {
   // Move all hooks to the top, before any conditional returns
   const defaultCenter = useMemo(() => [22.5726, 88.3639], []);
   const baseStationLocation = useMemo(() => [22.5726, 88.3639], []);
@@ -205,6 +245,9 @@ const MapComponent = ({ survivors, uavStatus, uavs, onSurvivorClick, onUAVSelect
           </Popup>
         </Marker>
 
+        {/* Mission search areas and the cells their cameras have covered */}
+        <MissionCoverage missionCoverage={missionCoverage} />
+
         {/* UAV Markers - Multiple UAVs */}
         <UAVMarkers 
           uavs={uavs} 
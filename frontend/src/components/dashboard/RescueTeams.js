@@ -0,0 +1,81 @@
+import React from 'react';
+
+const ASSIGNMENT_LABELS = {
+  pending: 'Awaiting acknowledgement',
+  acknowledged: 'Acknowledged',
+  en_route: 'En route',
+  on_scene: 'On scene'
+};
+
+const ACTIVE_STATUSES = ['detected', 'confirmed', 'assigned', 'en_route'];
+
+const getTeamStatusColor = (status) => {
+  const statusMap = {
+    available: '#16a34a',
+    dispatched: '#3b82f6',
+    off_duty: '#6b7280'
+  };
+  return statusMap[status] || '#6b7280';
+};
+
+// Minutes left from an assignment's arrival estimate
+export const formatEta = (assignment) => {
+  if (assignment.etaSeconds === null || assignment.etaSeconds === undefined) return null;
+  const minutes = Math.ceil(assignment.etaSeconds / 60);
+  return minutes <= 1 ? 'ETA <1 min' : `ETA ${minutes} min`;
+};
+
+const RescueTeams = ({ teams, assignments, survivors }) => {
+  const coveredIds = new Set(assignments.map(assignment => assignment.survivorId));
+  const openSurvivors = survivors.filter(survivor => ACTIVE_STATUSES.includes(survivor.status));
+  const waitingCount = openSurvivors.filter(survivor => !coveredIds.has(survivor.id)).length;
+  const coveredCount = openSurvivors.length - waitingCount;
+
+  return (
+    <div className="card">
+      <h2>Rescue Teams ({teams.length})</h2>
+
+      <div className="stats-grid">
+        <div className="stat-item">
+          <div className="stat-value" style={{ color: '#16a34a' }}>{coveredCount}</div>
+          <div className="stat-label">Survivors Covered</div>
+        </div>
+        <div className="stat-item">
+          <div className="stat-value" style={{ color: waitingCount > 0 ? '#dc2626' : '#6b7280' }}>{waitingCount}</div>
+          <div className="stat-label">Waiting for a Team</div>
+        </div>
+      </div>
+
+      {teams.length === 0 ? (
+        <div style={{ textAlign: 'center', color: '#6b7280', padding: '1rem', fontSize: '0.875rem' }}>
+          No rescue teams registered
+        </div>
+      ) : (
+        teams.map(team => {
+          const assignment = assignments.find(a => a.teamId === team.id);
+          return (
+            <div key={team.id} className="survivor-item">
+              <div className="survivor-info">
+                <h4>🚒 {team.name}</h4>
+                {team.capabilities.length > 0 && (
+                  <p>{team.capabilities.join(', ')}</p>
+                )}
+                {assignment && (
+                  <p>
+                    Survivor {assignment.survivorId} · {ASSIGNMENT_LABELS[assignment.status] || assignment.status}
+                    {formatEta(assignment) && ` · ${formatEta(assignment)}`}
+                  </p>
+                )}
+              </div>
+              <span style={{ fontSize: '0.75rem', fontWeight: '500', color: getTeamStatusColor(team.status) }}>
+                {team.status.replace('_', ' ')}
+              </span>
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+};
+
+export default React.memo(RescueTeams);
@@ -1,16 +1,51 @@
 import React, { useState } from 'react';
 import { formatDistanceToNow } from 'date-fns';
+import { formatEta } from './RescueTeams';
 
-const SurvivorList = ({ survivors, loading, onMarkAsRescued }) => {
-  const [filter, setFilter] = useState('all'); // all, detected, rescued
-  const [sortBy, setSortBy] = useState('timestamp'); // timestamp, confidence
+const STATUS_LABELS = {
+  detected: 'Detected',
+  confirmed: 'Confirmed',
+  assigned: 'Team Assigned',
+  en_route: 'Team En Route',
+  rescued: 'Rescued',
+  deceased: 'Deceased',
+  false_positive: 'False Positive'
+};
+
+const ACTIVE_STATUSES = ['detected', 'confirmed', 'assigned', 'en_route'];
+
+const PRIORITY_COLORS = {
+  critical: { background: '#fee2e2', color: '#b91c1c' },
+  high: { background: '#ffedd5', color: '#c2410c' },
+  medium: { background: '#fef3c7', color: '#92400e' },
+  low: { background: '#e0f2fe', color: '#0369a1' }
+};
+
+// Resolved survivors carry no triage and sort after every open one
+const priorityOf = (survivor) => (survivor.triage ? survivor.triage.priority : -1);
+
+const SurvivorList = ({
+  survivors,
+  loading,
+  onMarkAsRescued,
+  onUpdateStatus,
+  assignments = [],
+  availableTeams = [],
+  onAssignTeam
+}) => {
+  const [filter, setFilter] = useState('all'); // all, active or a single status
+  const [sortBy, setSortBy] = useState('priority'); // priority, timestamp, confidence
 
   const filteredSurvivors = survivors
     .filter(survivor => {
       if (filter === 'all') return true;
+      if (filter === 'active') return ACTIVE_STATUSES.includes(survivor.status);
       return survivor.status === filter;
     })
     .sort((a, b) => {
+      if (sortBy === 'priority') {
+        return priorityOf(b) - priorityOf(a) || new Date(b.timestamp) - new Date(a.timestamp);
+      }
       if (sortBy === 'confidence') {
         return b.confidence - a.confidence;
       }
@@ -35,6 +70,27 @@ const SurvivorList = ({ survivors, loading, onMarkAsRescued }) => {
     }
   };
 
+  const handleUpdateStatus = async (survivorId, status) => {
+    if (onUpdateStatus && status) {
+      await onUpdateStatus(survivorId, status);
+    }
+  };
+
+  const handleAssignTeam = async (survivorId, teamId) => {
+    if (onAssignTeam && teamId) {
+      await onAssignTeam(teamId, survivorId);
+    }
+  };
+
+  const assignmentFor = (survivorId) => assignments.find(assignment => assignment.survivorId === survivorId);
+
+  // Older records without allowedTransitions can only be rescued while still detected
+  const canMoveTo = (survivor, status) => (
+    survivor.allowedTransitions
+      ? survivor.allowedTransitions.includes(status)
+      : survivor.status === 'detected' && status === 'rescued'
+  );
+
   if (loading) {
     return (
       <div className="card">
@@ -64,8 +120,10 @@ const SurvivorList = ({ survivors, loading, onMarkAsRescued }) => {
             }}
           >
             <option value="all">All</option>
-            <option value="detected">Detected</option>
-            <option value="rescued">Rescued</option>
+            <option value="active">Open</option>
+            {Object.entries(STATUS_LABELS).map(([status, label]) => (
+              <option key={status} value={status}>{label}</option>
+            ))}
           </select>
           
           <select 
@@ -78,6 +136,7 @@ const SurvivorList = ({ survivors, loading, onMarkAsRescued }) => {
               fontSize: '0.75rem'
             }}
           >
+            <option value="priority">Triage Priority</option>
             <option value="timestamp">Latest First</option>
             <option value="confidence">Confidence</option>
           </select>
@@ -87,7 +146,7 @@ const SurvivorList = ({ survivors, loading, onMarkAsRescued }) => {
       <div className="survivor-list">
         {filteredSurvivors.length === 0 ? (
           <div style={{ textAlign: 'center', color: '#6b7280', padding: '2rem' }}>
-            {filter === 'all' ? 'No survivors detected yet' : `No ${filter} survivors`}
+            {filter === 'all' ? 'No survivors detected yet' : `No ${filter === 'active' ? 'open' : (STATUS_LABELS[filter] || filter).toLowerCase()} survivors`}
           </div>
         ) : (
           filteredSurvivors.map((survivor) => (
@@ -105,18 +164,86 @@ const SurvivorList = ({ survivors, loading, onMarkAsRescued }) => {
                 </p>
                 <p>
                   Detected {formatDistanceToNow(new Date(survivor.timestamp), { addSuffix: true })}
+                  {survivor.injurySeverity && ` · Injuries: ${survivor.injurySeverity}`}
                 </p>
-                {survivor.uavId && (
+                {ACTIVE_STATUSES.includes(survivor.status) && (assignmentFor(survivor.id) ? (
+                  <p style={{ color: '#16a34a' }}>
+                    🚒 {assignmentFor(survivor.id).teamName}
+                    {formatEta(assignmentFor(survivor.id)) && ` · ${formatEta(assignmentFor(survivor.id))}`}
+                  </p>
+                ) : (
+                  <p style={{ color: '#dc2626' }}>⏳ Waiting for a team</p>
+                ))}
+                {survivor.triage?.nearestHazard && (
+                  <p>
+                    {survivor.triage.nearestHazard.distanceMeters} m from {survivor.triage.nearestHazard.hazardType}
+                  </p>
+                )}
+                {survivor.contributingUAVs && survivor.contributingUAVs.length > 1 ? (
+                  <p>By: {survivor.contributingUAVs.join(', ')} ({survivor.detectionCount} detections)</p>
+                ) : survivor.uavId && (
                   <p>By: {survivor.uavId}</p>
                 )}
               </div>
               
               <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end', gap: '0.5rem' }}>
+                {survivor.triage && (
+                  <span
+                    className="confidence-badge"
+                    style={PRIORITY_COLORS[survivor.triage.level]}
+                    title="Triage priority (injuries, confidence, time waiting, hazard proximity)"
+                  >
+                    P{survivor.triage.priority} {survivor.triage.level}
+                  </span>
+                )}
+                
                 <span className={`confidence-badge ${getConfidenceClass(survivor.confidence)}`}>
                   {(survivor.confidence * 100).toFixed(1)}% {getConfidenceLabel(survivor.confidence)}
                 </span>
                 
-                {survivor.status === 'detected' && (
+                {survivor.status !== 'detected' && survivor.status !== 'rescued' && (
+                  <span style={{ fontSize: '0.75rem', color: '#6b7280', fontWeight: '500' }}>
+                    {STATUS_LABELS[survivor.status] || survivor.status}
+                  </span>
+                )}
+                
+                {onUpdateStatus && survivor.allowedTransitions && survivor.allowedTransitions.length > 0 && (
+                  <select
+                    value=""
+                    onChange={(e) => handleUpdateStatus(survivor.id, e.target.value)}
+                    style={{
+                      padding: '0.25rem 0.5rem',
+                      borderRadius: '4px',
+                      border: '1px solid #d1d5db',
+                      fontSize: '0.75rem'
+                    }}
+                  >
+                    <option value="">Change status…</option>
+                    {survivor.allowedTransitions.map(status => (
+                      <option key={status} value={status}>{STATUS_LABELS[status] || status}</option>
+                    ))}
+                  </select>
+                )}
+                
+                {onAssignTeam && ACTIVE_STATUSES.includes(survivor.status) && !assignmentFor(survivor.id) && availableTeams.length > 0 && (
+                  <select
+                    value=""
+                    onChange={(e) => handleAssignTeam(survivor.id, e.target.value)}
+                    style={{
+                      padding: '0.25rem 0.5rem',
+                      borderRadius: '4px',
+                      border: '1px solid #d1d5db',
+                      fontSize: '0.75rem'
+                    }}
+                  >
+                    <option value="">Dispatch team…</option>
+                    {availableTeams.map(team => (
+                      <option key={team.id} value={team.id}>{team.name}</option>
+                    ))}
+                  </select>
+                )}
+                
+                {canMoveTo(survivor, 'rescued') && onMarkAsRescued && (
                   <button
                     className="rescue-button"
                     onClick={() => handleMarkAsRescued(survivor.id)}
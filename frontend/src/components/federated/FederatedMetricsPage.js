@@ -0,0 +1,338 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from 'recharts';
+import { useWebSocket } from '../../context/WebSocketContext';
+import Navigation from '../common/Navigation';
+import {
+  getFederatedRoundMetrics,
+  getFederatedUAVMetrics,
+  getFederatedUploadMetrics
+} from '../../services/api';
+
+// Number of rounds charted
+const ROUND_LIMIT = 50;
+
+const ISAC_COLORS = {
+  good: '#16a34a',
+  medium: '#d97706',
+  weak: '#dc2626',
+  unknown: '#6b7280'
+};
+
+// Helper function to format byte counts
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+};
+
+// Helper function to format timestamp
+const formatTimestamp = (timestamp) => {
+  if (!timestamp) return '—';
+  return new Date(timestamp).toLocaleTimeString('en-US', {
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+};
+
+const cellStyle = {
+  padding: '0.5rem 0.75rem',
+  borderBottom: '1px solid #e5e7eb',
+  fontSize: '0.875rem',
+  textAlign: 'left'
+};
+
+const EmptyState = ({ message }) => (
+  <div style={{
+    textAlign: 'center',
+    padding: '2rem',
+    backgroundColor: '#f9fafb',
+    borderRadius: '0.5rem',
+    border: '2px dashed #e5e7eb'
+  }}>
+    <p style={{ color: '#6b7280', margin: 0 }}>{message}</p>
+  </div>
+);
+
+const StatItem = ({ label, value, color }) => (
+  <div className="stat-item">
+    <div className="stat-value" style={{ color }}>{value}</div>
+    <div className="stat-label">{label}</div>
+  </div>
+);
+
+const FederatedMetricsPage = () => {
+  const { subscribe } = useWebSocket();
+  const [rounds, setRounds] = useState([]);
+  const [uavMetrics, setUAVMetrics] = useState([]);
+  const [uploads, setUploads] = useState({ byMode: [], rejections: [] });
+  const [error, setError] = useState(null);
+  const [lastUpdate, setLastUpdate] = useState(null);
+
+  const loadRounds = useCallback(async () => {
+    const response = await getFederatedRoundMetrics(ROUND_LIMIT);
+    setRounds(response.rounds || []);
+  }, []);
+
+  const loadUAVs = useCallback(async () => {
+    const response = await getFederatedUAVMetrics();
+    setUAVMetrics(response.uavs || []);
+  }, []);
+
+  const loadUploads = useCallback(async () => {
+    const response = await getFederatedUploadMetrics();
+    setUploads({
+      byMode: response.byMode || [],
+      rejections: response.rejections || []
+    });
+  }, []);
+
+  const loadAll = useCallback(async () => {
+    try {
+      await Promise.all([loadRounds(), loadUAVs(), loadUploads()]);
+      setLastUpdate(new Date().toISOString());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [loadRounds, loadUAVs, loadUploads]);
+
+  useEffect(() => {
+    loadAll();
+  }, [loadAll]);
+
+  // A completed round arrives with its metrics; contributions and uploads are refetched
+  useEffect(() => {
+    return subscribe('federated_metrics_updated', (data) => {
+      if (data?.round) {
+        setRounds(prev => {
+          const others = prev.filter(round => round.roundId !== data.round.roundId);
+          return [...others, data.round]
+            .sort((a, b) => a.roundNumber - b.roundNumber)
+            .slice(-ROUND_LIMIT);
+        });
+      }
+      setLastUpdate(data?.timestamp || new Date().toISOString());
+      Promise.all([loadUAVs(), loadUploads()]).catch(err => setError(err.message));
+    });
+  }, [subscribe, loadUAVs, loadUploads]);
+
+  // Pins and rollbacks change which version each UAV should fly
+  useEffect(() => {
+    const refreshVersions = () => loadUAVs().catch(err => setError(err.message));
+    const unsubscribers = ['model_pinned', 'model_unpinned', 'model_rolled_back']
+      .map(event => subscribe(event, refreshVersions));
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [subscribe, loadUAVs]);
+
+  const accuracyData = useMemo(() => rounds.map(round => ({
+    round: `#${round.roundNumber}`,
+    accuracy: round.accuracy != null ? Number((round.accuracy * 100).toFixed(1)) : null,
+    improvement: round.accuracyImprovement != null ? Number((round.accuracyImprovement * 100).toFixed(2)) : null
+  })), [rounds]);
+
+  const rejectionData = useMemo(() => rounds.map(round => ({
+    round: `#${round.roundNumber}`,
+    accepted: Math.max(0, round.submitted - round.rejected - round.flagged),
+    rejected: round.rejected,
+    flagged: round.flagged
+  })), [rounds]);
+
+  const bandwidthData = useMemo(() => uploads.byMode.map(mode => ({
+    mode: mode.isacMode,
+    kilobytes: Number((mode.bytes / 1024).toFixed(1)),
+    updates: mode.updates
+  })), [uploads.byMode]);
+
+  const summary = useMemo(() => {
+    const latest = [...rounds].reverse().find(round => round.accuracy != null);
+    return {
+      rounds: rounds.filter(round => round.status === 'aggregated').length,
+      accuracy: latest ? `${(latest.accuracy * 100).toFixed(1)}%` : '—',
+      rejected: rounds.reduce((sum, round) => sum + round.rejected + round.flagged, 0),
+      bytes: uploads.byMode.reduce((sum, mode) => sum + mode.bytes, 0)
+    };
+  }, [rounds, uploads.byMode]);
+
+  return (
+    <div style={{ padding: '4.5rem 2rem 2rem', minHeight: '100vh', backgroundColor: '#f3f4f6' }}>
+      <Navigation />
+
+      <div className="card" style={{ padding: '1.5rem' }}>
+        <h2 style={{ margin: '0 0 0.5rem 0' }}>🧠 Federated Learning Metrics</h2>
+        <p style={{ color: '#6b7280', fontSize: '0.875rem', margin: '0 0 1rem 0' }}>
+          Global model accuracy is measured by each UAV on its own held-out data. Updates live as rounds complete
+          {lastUpdate && ` · last update ${formatTimestamp(lastUpdate)}`}
+        </p>
+        {error && (
+          <p style={{ color: '#dc2626', fontSize: '0.875rem' }}>Failed to load learning metrics: {error}</p>
+        )}
+        <div className="stats-grid" style={{ gridTemplateColumns: 'repeat(4, 1fr)', minHeight: 0 }}>
+          <StatItem label="Rounds Aggregated" value={summary.rounds} color="#3b82f6" />
+          <StatItem label="Latest Accuracy" value={summary.accuracy} color="#16a34a" />
+          <StatItem label="Rejected / Flagged" value={summary.rejected} color="#dc2626" />
+          <StatItem label="Bytes Uploaded" value={formatBytes(summary.bytes)} color="#d97706" />
+        </div>
+      </div>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(420px, 1fr))',
+        gap: '1.5rem',
+        marginTop: '1.5rem'
+      }}>
+        <div className="card" style={{ padding: '1.5rem' }}>
+          <h2 style={{ margin: '0 0 1rem 0' }}>Global Model Accuracy per Round</h2>
+          {accuracyData.length === 0 ? (
+            <EmptyState message="No federated rounds yet." />
+          ) : (
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={accuracyData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="round" fontSize={12} />
+                <YAxis yAxisId="accuracy" domain={[0, 100]} unit="%" fontSize={12} />
+                <YAxis yAxisId="improvement" orientation="right" unit="%" fontSize={12} />
+                <Tooltip />
+                <Legend />
+                <Line yAxisId="accuracy" type="monotone" dataKey="accuracy" name="Base model accuracy" stroke="#16a34a" strokeWidth={2} connectNulls />
+                <Line yAxisId="improvement" type="monotone" dataKey="improvement" name="Local improvement" stroke="#3b82f6" strokeDasharray="4 4" connectNulls />
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+
+        <div className="card" style={{ padding: '1.5rem' }}>
+          <h2 style={{ margin: '0 0 1rem 0' }}>Accepted vs Rejected Updates</h2>
+          {rejectionData.length === 0 ? (
+            <EmptyState message="No model updates received yet." />
+          ) : (
+            <ResponsiveContainer width="100%" height={260}>
+              <BarChart data={rejectionData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="round" fontSize={12} />
+                <YAxis allowDecimals={false} fontSize={12} />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="accepted" name="Accepted" stackId="updates" fill="#16a34a" />
+                <Bar dataKey="rejected" name="Rejected" stackId="updates" fill="#d97706" />
+                <Bar dataKey="flagged" name="Flagged" stackId="updates" fill="#dc2626" />
+              </BarChart>
+            </ResponsiveContainer>
+          )}
+          {uploads.rejections.length > 0 && (
+            <div style={{ marginTop: '0.75rem', fontSize: '0.75rem', color: '#6b7280' }}>
+              {uploads.rejections.map(rejection => (
+                <span key={rejection.reason} style={{ marginRight: '1rem' }}>
+                  {rejection.reason}: <strong>{rejection.count}</strong>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="card" style={{ padding: '1.5rem' }}>
+          <h2 style={{ margin: '0 0 1rem 0' }}>Contributions per UAV</h2>
+          {uavMetrics.length === 0 ? (
+            <EmptyState message="No UAV has submitted a model update yet." />
+          ) : (
+            <ResponsiveContainer width="100%" height={260}>
+              <BarChart data={uavMetrics}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="uavId" fontSize={12} />
+                <YAxis allowDecimals={false} fontSize={12} />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="contributions" name="Aggregated" fill="#3b82f6" />
+                <Bar dataKey="rejected" name="Rejected" fill="#d97706" />
+                <Bar dataKey="flagged" name="Flagged" fill="#dc2626" />
+              </BarChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+
+        <div className="card" style={{ padding: '1.5rem' }}>
+          <h2 style={{ margin: '0 0 1rem 0' }}>Bytes Uploaded per ISAC Mode</h2>
+          {bandwidthData.length === 0 ? (
+            <EmptyState message="No model uploads yet." />
+          ) : (
+            <ResponsiveContainer width="100%" height={260}>
+              <BarChart data={bandwidthData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="mode" fontSize={12} />
+                <YAxis unit=" KB" fontSize={12} />
+                <Tooltip formatter={(value, name) => (name === 'Uploaded' ? `${value} KB` : value)} />
+                <Legend />
+                <Bar dataKey="kilobytes" name="Uploaded" fill="#6366f1" />
+              </BarChart>
+            </ResponsiveContainer>
+          )}
+          <div style={{ marginTop: '0.75rem', display: 'flex', gap: '1rem', fontSize: '0.75rem' }}>
+            {uploads.byMode.map(mode => (
+              <span key={mode.isacMode} style={{ color: ISAC_COLORS[mode.isacMode] || ISAC_COLORS.unknown }}>
+                {mode.isacMode.toUpperCase()}: {mode.updates} update(s), avg {formatBytes(mode.averageBytes)}
+              </span>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="card" style={{ padding: '1.5rem', marginTop: '1.5rem' }}>
+        <h2 style={{ margin: '0 0 1rem 0' }}>Model Version per UAV</h2>
+        {uavMetrics.length === 0 ? (
+          <EmptyState message="No UAV model state reported yet." />
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ backgroundColor: '#f9fafb' }}>
+                <th style={cellStyle}>UAV</th>
+                <th style={cellStyle}>Flying</th>
+                <th style={cellStyle}>Assigned</th>
+                <th style={cellStyle}>Contributions</th>
+                <th style={cellStyle}>Samples</th>
+                <th style={cellStyle}>Labelled</th>
+                <th style={cellStyle}>Uploaded</th>
+                <th style={cellStyle}>Last Update</th>
+              </tr>
+            </thead>
+            <tbody>
+              {uavMetrics.map(uav => (
+                <tr key={uav.uavId}>
+                  <td style={cellStyle}>🚁 {uav.uavId}</td>
+                  <td style={cellStyle}>{uav.reportedVersion || '—'}</td>
+                  <td style={cellStyle}>
+                    <span style={{ color: uav.inSync ? '#16a34a' : '#d97706', fontWeight: '600' }}>
+                      {uav.assignedVersion || '—'}
+                    </span>
+                    {!uav.inSync && uav.assignedVersion && (
+                      <span style={{ color: '#6b7280', fontSize: '0.75rem', marginLeft: '0.5rem' }}>pending switch</span>
+                    )}
+                  </td>
+                  <td style={cellStyle}>{uav.contributions} / {uav.submitted}</td>
+                  <td style={cellStyle}>{uav.contributedSamples}</td>
+                  <td style={cellStyle}>{uav.labelledSamples}</td>
+                  <td style={cellStyle}>{formatBytes(uav.uploadBytes)}</td>
+                  <td style={{ ...cellStyle, color: '#6b7280' }}>{formatTimestamp(uav.lastUpdateAt)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FederatedMetricsPage;
@@ -15,6 +15,9 @@ export const useApp = () => {
 // Initial state
 const initialState = {
   survivors: [],
+  // Rescue teams and their open assignments
+  teams: [],
+  teamAssignments: [],
   uavs: [
     {
       uavId: 'UAV-001',
@@ -87,6 +90,9 @@ const actionTypes = {
   SET_SURVIVORS: 'SET_SURVIVORS',
   ADD_SURVIVOR: 'ADD_SURVIVOR',
   UPDATE_SURVIVOR: 'UPDATE_SURVIVOR',
+  SET_TEAMS: 'SET_TEAMS',
+  UPDATE_TEAM: 'UPDATE_TEAM',
+  UPDATE_TEAM_ASSIGNMENT: 'UPDATE_TEAM_ASSIGNMENT',
   UPDATE_UAV_STATUS: 'UPDATE_UAV_STATUS',
   UPDATE_UAVS: 'UPDATE_UAVS',
   UPDATE_SINGLE_UAV: 'UPDATE_SINGLE_UAV',
@@ -98,6 +104,9 @@ const actionTypes = {
   SET_ERROR: 'SET_ERROR'
 };
 
+// Assignment statuses in which a team is still committed to its survivor
+const OPEN_ASSIGNMENT_STATUSES = ['pending', 'acknowledged', 'en_route', 'on_scene'];
+
 // Reducer
 const appReducer = (state, action) => {
   switch (action.type) {
@@ -124,12 +133,39 @@ const appReducer = (state, action) => {
         survivors: state.survivors.map(survivor =>
           survivor.id === action.payload.id ? action.payload : survivor
         ),
-        missionStats: action.payload.status === 'rescued' ? {
+        missionStats: action.payload.status === 'rescued' && !state.survivors.some(survivor =>
+          survivor.id === action.payload.id && survivor.status === 'rescued'
+        ) ? {
           ...state.missionStats,
           survivorsRescued: state.missionStats.survivorsRescued + 1
         } : state.missionStats
       };
 
+    case actionTypes.SET_TEAMS:
+      return {
+        ...state,
+        teams: action.payload.teams,
+        teamAssignments: action.payload.assignments
+      };
+
+    case actionTypes.UPDATE_TEAM:
+      return {
+        ...state,
+        teams: state.teams.some(team => team.id === action.payload.id)
+          ? state.teams.map(team => team.id === action.payload.id ? action.payload : team)
+          : [...state.teams, action.payload]
+      };
+
+    case actionTypes.UPDATE_TEAM_ASSIGNMENT:
+      // Only open assignments are kept; a closed one drops out of the list
+      return {
+        ...state,
+        teamAssignments: [
+          ...state.teamAssignments.filter(assignment => assignment.id !== action.payload.id),
+          ...(OPEN_ASSIGNMENT_STATUSES.includes(action.payload.status) ? [action.payload] : [])
+        ]
+      };
+
     case actionTypes.UPDATE_UAV_STATUS:
       return {
         ...state,
@@ -294,6 +330,44 @@ export const AppProvider = ({ children }) => {
     }
   };
 
+  const loadTeams = async () => {
+    try {
+      const [teamsResponse, assignmentsResponse] = await Promise.all([
+        api.getRescueTeams(),
+        api.getTeamAssignments({ open: true })
+      ]);
+      dispatch({
+        type: actionTypes.SET_TEAMS,
+        payload: { teams: teamsResponse.teams, assignments: assignmentsResponse.assignments }
+      });
+    } catch (error) {
+      console.error('Error loading rescue teams:', error);
+    }
+  };
+
+  const assignRescueTeam = async (teamId, survivorId) => {
+    try {
+      const assignment = await api.assignRescueTeam(teamId, survivorId);
+      dispatch({
+        type: actionTypes.UPDATE_TEAM_ASSIGNMENT,
+        payload: assignment
+      });
+
+      addNotification({
+        type: 'success',
+        message: `${assignment.teamName} dispatched to survivor ${survivorId}`,
+        duration: 3000
+      });
+    } catch (error) {
+      console.error('Error dispatching rescue team:', error);
+      addNotification({
+        type: 'error',
+        message: error.response?.data?.error || 'Failed to dispatch rescue team',
+        duration: 3000
+      });
+    }
+  };
+
   const loadUAVStatus = async (showLoading = true) => {
     try {
       if (showLoading) {
@@ -400,6 +474,29 @@ export const AppProvider = ({ children }) => {
     }
   };
 
+  const updateSurvivorStatus = async (survivorId, status) => {
+    try {
+      const updatedSurvivor = await api.updateSurvivorStatus(survivorId, status);
+      dispatch({
+        type: actionTypes.UPDATE_SURVIVOR,
+        payload: updatedSurvivor
+      });
+
+      addNotification({
+        type: 'success',
+        message: `Survivor ${survivorId} marked as ${status.replace('_', ' ')}`,
+        duration: 3000
+      });
+    } catch (error) {
+      console.error('Error updating survivor status:', error);
+      addNotification({
+        type: 'error',
+        message: error.response?.data?.error || 'Failed to update survivor status',
+        duration: 3000
+      });
+    }
+  };
+
   // Simulate UAV movement and updates
   const simulateUAVUpdates = () => {
     const currentTime = Date.now() / 1000; // Current time in seconds
@@ -541,6 +638,38 @@ export const AppProvider = ({ children }) => {
         });
       }),
 
+      // Survivor updated (e.g. another UAV's detection fused into it)
+      subscribe('survivor_updated', (data) => {
+        dispatch({
+          type: actionTypes.UPDATE_SURVIVOR,
+          payload: data.survivor
+        });
+      }),
+
+      // Rescue team registered, moved or changed status
+      subscribe('rescue_team_updated', (data) => {
+        dispatch({
+          type: actionTypes.UPDATE_TEAM,
+          payload: data.team
+        });
+      }),
+
+      // Team dispatched, reporting progress, or stood down
+      subscribe('team_assignment_updated', (data) => {
+        dispatch({
+          type: actionTypes.UPDATE_TEAM_ASSIGNMENT,
+          payload: data.assignment
+        });
+
+        if (data.assignment.status === 'declined') {
+          addNotification({
+            type: 'info',
+            message: `${data.assignment.teamName} declined survivor ${data.assignment.survivorId}`,
+            duration: 5000
+          });
+        }
+      }),
+
       // ISAC mode changed
       subscribe('isac_mode_changed', (data) => {
         console.log('📡 ISAC mode changed:', data.isacMode);
@@ -605,6 +734,9 @@ export const AppProvider = ({ children }) => {
       loadSurvivors,
       loadUAVStatus,
       markSurvivorAsRescued,
+      updateSurvivorStatus,
+      loadTeams,
+      assignRescueTeam,
       addNotification,
       removeNotification
     }
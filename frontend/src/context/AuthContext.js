@@ -0,0 +1,67 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import * as api from '../services/api';
+
+const AuthContext = createContext();
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
+
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  // Restore the session from a stored token on load
+  useEffect(() => {
+    if (!localStorage.getItem('authToken')) {
+      setLoading(false);
+      return;
+    }
+
+    api.getCurrentUser()
+      .then(setUser)
+      .catch(() => setUser(null))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const login = useCallback(async (username, password) => {
+    const response = await api.login(username, password);
+    setUser(response.user);
+    return response.user;
+  }, []);
+
+  const register = useCallback(async (userData) => {
+    const response = await api.register(userData);
+    setUser(response.user);
+    return response.user;
+  }, []);
+
+  const logout = useCallback(async () => {
+    await api.logout();
+    setUser(null);
+  }, []);
+
+  // Permissions come from the backend policy table for the user's role
+  const can = useCallback((permission) => {
+    return !!user && (user.permissions || []).includes(permission);
+  }, [user]);
+
+  const value = {
+    user,
+    loading,
+    login,
+    register,
+    logout,
+    can
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
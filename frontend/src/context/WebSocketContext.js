@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
 import { io } from 'socket.io-client';
+import { refreshSession } from '../services/api';
 
 const WebSocketContext = createContext();
 
@@ -23,8 +24,8 @@ export const WebSocketProvider = ({ children }) => {
   // Function to send commands to UAVs
   const sendCommand = useCallback((uavId, command, params = {}) => {
     if (socket && isConnected) {
-      socket.emit('command', {
-        target: uavId,
+      socket.emit('send_command', {
+        uavId,
         command,
         params,
         timestamp: new Date().toISOString()
@@ -50,6 +51,8 @@ export const WebSocketProvider = ({ children }) => {
   useEffect(() => {
     // Initialize socket connection
     const newSocket = io(process.env.REACT_APP_BACKEND_URL || 'https://uav-backend.onrender.com', {
+      // Read on every (re)connect so a refreshed access token is picked up
+      auth: (cb) => cb({ token: localStorage.getItem('authToken') }),
       transports: ['websocket', 'polling'],
       timeout: 5000,
       reconnection: true,
@@ -76,6 +79,25 @@ export const WebSocketProvider = ({ children }) => {
       console.error('WebSocket connection error:', error);
       setConnectionError(error.message);
       setIsConnected(false);
+
+      // The handshake was refused for an expired access token: refresh it and retry
+      if (error.message === 'Invalid or expired token' && localStorage.getItem('refreshToken')) {
+        refreshSession()
+          .then(() => newSocket.connect())
+          .catch(refreshError => console.error('Session refresh failed:', refreshError.message));
+      }
+    });
+
+    // The server ends a session when its access token expires: refresh it and reconnect.
+    // After a logout or revocation the refresh fails and the socket stays closed
+    newSocket.on('session_ended', ({ reason }) => {
+      console.log('🔒 WebSocket session ended:', reason);
+
+      if (reason === 'token_expired' && localStorage.getItem('refreshToken')) {
+        refreshSession()
+          .then(() => newSocket.connect())
+          .catch(refreshError => console.error('Session refresh failed:', refreshError.message));
+      }
     });
 
     // Handle UAV connection events
@@ -45,7 +45,20 @@ api.interceptors.response.use(
   (response) => {
     return response.data;
   },
-  (error) => {
+  async (error) => {
+    // Access tokens are short-lived: refresh once and retry the request
+    const config = error.config;
+    if (error.response?.status === 401 && config && !config._retried &&
+        !config.url?.startsWith('/auth/') && localStorage.getItem('refreshToken')) {
+      config._retried = true;
+      try {
+        await refreshSession();
+        return api(config);
+      } catch (refreshError) {
+        clearSession();
+      }
+    }
+
     console.error('API Error:', error);
     
     if (error.response) {
@@ -102,6 +115,17 @@ export const markSurvivorAsRescued = async (survivorId, rescuedBy = null) => {
   return await api.put(`/survivors/${survivorId}/rescue`, { rescuedBy });
 };
 
+/**
+ * Move survivor to another rescue lifecycle state
+ * @param {string} survivorId - Survivor ID
+ * @param {string} status - New status (confirmed, assigned, en_route, rescued, deceased, false_positive)
+ * @param {string} note - Optional note stored with the survivor
+ * @returns {Promise<Object>} Updated survivor object
+ */
+export const updateSurvivorStatus = async (survivorId, status, note = null) => {
+  return await api.put(`/survivors/${survivorId}/status`, { status, note });
+};
+
 /**
  * Update survivor status
  * @param {string} survivorId - Survivor ID
@@ -168,6 +192,104 @@ export const getMissions = async (filters = {}) => {
   return await api.get(url);
 };
 
+/**
+ * Get the area a mission's cameras have covered
+ * @param {string} missionId - Mission ID
+ * @returns {Promise<Object>} Covered area, percentage of the search area and GeoJSON grid overlay
+ */
+export const getMissionCoverage = async (missionId) => {
+  return await api.get(`/missions/${missionId}/coverage`);
+};
+
+/**
+ * Get rescue teams with their open assignments
+ * @param {Object} filters - Optional filters (status, capability, survivorId to order by arrival)
+ * @returns {Promise<Object>} Teams and count
+ */
+export const getRescueTeams = async (filters = {}) => {
+  const params = new URLSearchParams();
+  
+  if (filters.status) params.append('status', filters.status);
+  if (filters.capability) params.append('capability', filters.capability);
+  if (filters.survivorId) params.append('survivorId', filters.survivorId);
+  
+  const queryString = params.toString();
+  const url = queryString ? `/teams?${queryString}` : '/teams';
+  
+  return await api.get(url);
+};
+
+/**
+ * Get rescue team assignments
+ * @param {Object} filters - Optional filters (teamId, survivorId, status, open)
+ * @returns {Promise<Object>} Assignments and count
+ */
+export const getTeamAssignments = async (filters = {}) => {
+  const params = new URLSearchParams();
+  
+  if (filters.teamId) params.append('teamId', filters.teamId);
+  if (filters.survivorId) params.append('survivorId', filters.survivorId);
+  if (filters.status) params.append('status', filters.status);
+  if (filters.open) params.append('open', 'true');
+  
+  const queryString = params.toString();
+  const url = queryString ? `/teams/assignments?${queryString}` : '/teams/assignments';
+  
+  return await api.get(url);
+};
+
+/**
+ * Dispatch a rescue team to a survivor
+ * @param {string} teamId - Team ID
+ * @param {string} survivorId - Survivor ID
+ * @returns {Promise<Object>} Created assignment
+ */
+export const assignRescueTeam = async (teamId, survivorId) => {
+  return await api.post('/teams/assignments', { teamId, survivorId });
+};
+
+/**
+ * Get federated model updates flagged as anomalous
+ * @param {Object} filters - Optional filters
+ * @returns {Promise<Object>} Flagged updates and count
+ */
+export const getFlaggedUpdates = async (filters = {}) => {
+  const params = new URLSearchParams();
+  
+  if (filters.uavId) params.append('uavId', filters.uavId);
+  if (filters.limit) params.append('limit', filters.limit);
+  
+  const queryString = params.toString();
+  const url = queryString ? `/federated/flagged?${queryString}` : '/federated/flagged';
+  
+  return await api.get(url);
+};
+
+/**
+ * Get per-round federated learning metrics
+ * @param {number} limit - Number of most recent rounds
+ * @returns {Promise<Object>} Round metrics (oldest first) and count
+ */
+export const getFederatedRoundMetrics = async (limit = 50) => {
+  return await api.get(`/federated/metrics/rounds?limit=${limit}`);
+};
+
+/**
+ * Get per-UAV federated contributions and model versions
+ * @returns {Promise<Object>} UAV metrics and count
+ */
+export const getFederatedUAVMetrics = async () => {
+  return await api.get('/federated/metrics/uavs');
+};
+
+/**
+ * Get bytes uploaded per ISAC mode and update rejection reasons
+ * @returns {Promise<Object>} Upload metrics
+ */
+export const getFederatedUploadMetrics = async () => {
+  return await api.get('/federated/metrics/uploads');
+};
+
 /**
  * Health check
  * @returns {Promise<Object>} Health status
@@ -180,27 +302,64 @@ export const healthCheck = async () => {
  * Authentication functions
  */
 
+/**
+ * Register a new user account
+ * @param {Object} userData - { username, email, password }
+ * @returns {Promise<Object>} Registration response with tokens and user
+ */
+export const register = async (userData) => {
+  const response = await api.post('/auth/register', userData);
+
+  if (response.token) {
+    storeSession(response);
+  }
+
+  return response;
+};
+
 /**
  * Login user
- * @param {string} username - Username
+ * @param {string} username - Username or email
  * @param {string} password - Password
- * @returns {Promise<Object>} Login response with token
+ * @returns {Promise<Object>} Login response with tokens and user
  */
 export const login = async (username, password) => {
   const response = await api.post('/auth/login', { username, password });
   
   if (response.token) {
-    localStorage.setItem('authToken', response.token);
+    storeSession(response);
   }
   
   return response;
 };
 
 /**
- * Logout user
+ * Exchange the stored refresh token for a new session
+ * @returns {Promise<Object>} Refresh response with tokens and user
  */
-export const logout = () => {
-  localStorage.removeItem('authToken');
+export const refreshSession = async () => {
+  const response = await api.post('/auth/refresh', {
+    refreshToken: localStorage.getItem('refreshToken')
+  });
+
+  storeSession(response);
+
+  return response;
+};
+
+/**
+ * Logout user and revoke the session on the server
+ */
+export const logout = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+
+  try {
+    await api.post('/auth/logout', { refreshToken });
+  } catch (error) {
+    console.warn('Logout request failed:', error.message);
+  } finally {
+    clearSession();
+  }
 };
 
 /**
@@ -211,4 +370,16 @@ export const getCurrentUser = async () => {
   return await api.get('/auth/me');
 };
 
+// Session storage helpers
+
+const storeSession = (session) => {
+  localStorage.setItem('authToken', session.token);
+  localStorage.setItem('refreshToken', session.refreshToken);
+};
+
+const clearSession = () => {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+};
+
 export default api;
\ No newline at end of file
@@ -3,6 +3,8 @@
  * Configuration parameters for UAV disaster response simulation
  */
 
+const { parseCredentials } = require('../uav/signRequest');
+
 class SimulationConfig {
     constructor() {
         // Simulation timing
@@ -14,6 +16,12 @@ class SimulationConfig {
         this.backendUrl = 'http://localhost:3000'; // Node.js backend URL
         this.apiTimeout = 10000; // HTTP request timeout in milliseconds
         
+        // Fleet secrets used to sign requests; must match the backend's FLEET_CREDENTIALS
+        this.fleetCredentials = parseCredentials(
+            process.env.UAV_CREDENTIALS ||
+            'UAV-001:dev-secret-uav-001,UAV-002:dev-secret-uav-002,UAV-003:dev-secret-uav-003'
+        );
+        
         // UAV configuration
         this.uavStartPosition = [100, 100, 50]; // [x, y, altitude] in meters
         this.uavVelocity = [8, 3, 0]; // [vx, vy, vz] in m/s
@@ -48,7 +56,8 @@ class SimulationConfig {
         this.detection = {
             probability: 0.15, // Probability of detecting survivor per time step
             falsePositiveRate: 0.05, // False positive detection rate
-            confidenceRange: [0.6, 0.95] // Range of detection confidence
+            confidenceRange: [0.6, 0.95], // Range of detection confidence
+            survivorDensity: 0.3 // Survivor density the detection probability is calibrated for
         };
         
         // Data transmission parameters
@@ -58,6 +67,41 @@ class SimulationConfig {
             compressionRatio: 0.3 // Video compression ratio for medium mode
         };
         
+        // Federated learning upload profiles per ISAC mode, until the backend negotiates its own
+        this.federated = {
+            compressionProfiles: {
+                good: { delta: true, topK: null, quantizeBits: null }, // Full-precision deltas
+                medium: { delta: true, topK: 0.1, quantizeBits: 8 }, // Top 10% of deltas, 8-bit
+                weak: null // No model uploads
+            },
+            // Differential privacy: clip each update to clipNorm and add Gaussian noise
+            // with stddev noiseMultiplier * clipNorm before it leaves the UAV
+            differentialPrivacy: {
+                enabled: false,
+                clipNorm: 1.0,
+                noiseMultiplier: 2.0
+            },
+            // Each UAV's own local dataset; the same seed always gives the same non-IID splits
+            // survivorDensity: share of candidates that are survivors, falsePositiveRate: share of
+            // clutter that resembles a survivor (also the UAV's false detection rate in flight)
+            localData: {
+                seed: 42,
+                samplesPerUAV: 400,
+                testFraction: 0.25,
+                profiles: {
+                    'UAV-001': { terrain: 'urban', survivorDensity: 0.3, falsePositiveRate: 0.05 },
+                    'UAV-002': { terrain: 'forest', survivorDensity: 0.15, falsePositiveRate: 0.2 },
+                    'UAV-003': { terrain: 'rural', survivorDensity: 0.5, falsePositiveRate: 0.02 }
+                }
+            },
+            // Local SGD run by each UAV before it uploads a model update
+            localTraining: {
+                epochs: 2,
+                batchSize: 16,
+                learningRate: 0.1
+            }
+        };
+        
         console.log('Simulation configuration loaded:');
         console.log(`  Duration: ${this.simulationTime} seconds`);
         console.log(`  Time step: ${this.dt} seconds`);
@@ -0,0 +1,127 @@
+/**
+ * Local Dataset Generation
+ * Builds each UAV's own non-IID detection dataset from its terrain, survivor density and false positive rate
+ */
+
+const { createSeededRandom, gaussian, deriveSeed, shuffle } = require('./seededRandom');
+
+// Feature vector length; the last feature is a constant 1 acting as the model's bias input
+const FEATURE_COUNT = 64;
+
+// Features before this index are visual, the rest thermal
+const THERMAL_OFFSET = 32;
+
+// Seed of the survivor signature shared by every UAV (the concept the fleet learns)
+const SIGNATURE_SEED = 7919;
+
+// Strength of the survivor signature per feature
+const SIGNATURE_SCALE = 0.4;
+
+// How each terrain shapes what the camera sees
+// clutter: strength of the terrain background, noise: per-feature sensor noise,
+// visibility: fraction of the visual signature that survives occlusion
+const TERRAIN_PROFILES = {
+    urban: { clutter: 0.8, noise: 1.0, visibility: 0.7 },
+    forest: { clutter: 0.6, noise: 1.4, visibility: 0.3 },
+    rural: { clutter: 0.3, noise: 0.8, visibility: 1.0 },
+    water: { clutter: 1.0, noise: 1.2, visibility: 0.9 },
+    mountain: { clutter: 0.7, noise: 1.1, visibility: 0.6 }
+};
+
+const signature = buildVector(SIGNATURE_SEED, SIGNATURE_SCALE);
+const terrainBackgrounds = {};
+
+/**
+ * Generate a UAV's local dataset and split it into train and test sets
+ * @param {Object} profile - { terrain, survivorDensity, falsePositiveRate }
+ * @param {Object} options - { seed, size, testFraction }
+ * @returns {Object} { profile, train, test }
+ */
+function generateLocalDataset(profile, options) {
+    const { seed, size, testFraction = 0.25 } = options;
+    const random = createSeededRandom(seed);
+    const samples = [];
+
+    for (let i = 0; i < size; i++) {
+        const label = random() < profile.survivorDensity ? 1 : 0;
+        samples.push(generateSample(profile, label, random));
+    }
+
+    // The split is drawn from its own stream so it does not depend on how samples were generated
+    shuffle(samples, createSeededRandom(deriveSeed(seed, 'split')));
+    const testSize = Math.round(samples.length * testFraction);
+
+    return {
+        profile,
+        test: samples.slice(0, testSize),
+        train: samples.slice(testSize)
+    };
+}
+
+/**
+ * Generate one labelled detection sample under a UAV's data profile
+ * Negatives resemble survivors (warm debris, animals) with probability falsePositiveRate
+ * @param {Object} profile - { terrain, survivorDensity, falsePositiveRate }
+ * @param {number} label - 1 for a survivor, 0 for clutter
+ * @param {Function} random - Uniform generator
+ * @returns {Object} { features, label }
+ */
+function generateSample(profile, label, random) {
+    const terrain = getTerrainProfile(profile.terrain);
+    const background = getTerrainBackground(profile.terrain);
+    const lookalike = label === 0 && random() < profile.falsePositiveRate;
+    const features = new Array(FEATURE_COUNT);
+
+    for (let i = 0; i < FEATURE_COUNT - 1; i++) {
+        const thermal = i >= THERMAL_OFFSET;
+        let value = background[i] + gaussian(random) * terrain.noise;
+
+        if (label === 1) {
+            value += signature[i] * (thermal ? 1 : terrain.visibility);
+        } else if (lookalike && thermal) {
+            value += signature[i] * 0.8;
+        }
+
+        features[i] = value;
+    }
+
+    features[FEATURE_COUNT - 1] = 1;
+
+    return { features, label };
+}
+
+/**
+ * Get the terrain profile used for a terrain type
+ * @param {string} terrain - Terrain type
+ * @returns {Object} Terrain profile
+ */
+function getTerrainProfile(terrain) {
+    const profile = TERRAIN_PROFILES[terrain];
+    if (!profile) {
+        throw new Error(`Unknown terrain type: ${terrain}`);
+    }
+    return profile;
+}
+
+// Helper functions
+
+function getTerrainBackground(terrain) {
+    if (!terrainBackgrounds[terrain]) {
+        const { clutter } = getTerrainProfile(terrain);
+        terrainBackgrounds[terrain] = buildVector(deriveSeed(SIGNATURE_SEED, terrain), clutter);
+    }
+    return terrainBackgrounds[terrain];
+}
+
+function buildVector(seed, scale) {
+    const random = createSeededRandom(seed);
+    return Array(FEATURE_COUNT - 1).fill(0).map(() => gaussian(random) * scale);
+}
+
+module.exports = {
+    FEATURE_COUNT,
+    TERRAIN_PROFILES,
+    generateLocalDataset,
+    generateSample,
+    getTerrainProfile
+};
@@ -0,0 +1,270 @@
+/**
+ * Local Detection Model
+ * Toy survivor classifier each UAV trains on its own data; its layers match the
+ * federated global model (layer1 64x32, layer2 32x16, outputLayer 16)
+ */
+
+const { createSeededRandom, gaussian, deriveSeed, shuffle } = require('./seededRandom');
+const { FEATURE_COUNT, generateLocalDataset } = require('./generateLocalDataset');
+
+const HIDDEN1 = 32;
+const HIDDEN2 = 16;
+
+/**
+ * Create a model with seeded Xavier initialisation
+ * UAVs created from the same seed start from identical weights
+ * @param {number} seed - Initialisation seed
+ * @returns {Object} Model weights { layer1, layer2, outputLayer }
+ */
+function createModel(seed) {
+    const random = createSeededRandom(seed);
+    const init = (fanIn, fanOut) => gaussian(random) * Math.sqrt(2 / (fanIn + fanOut));
+
+    return {
+        layer1: Array(FEATURE_COUNT).fill(0).map(() => Array(HIDDEN1).fill(0).map(() => init(FEATURE_COUNT, HIDDEN1))),
+        layer2: Array(HIDDEN1).fill(0).map(() => Array(HIDDEN2).fill(0).map(() => init(HIDDEN1, HIDDEN2))),
+        outputLayer: Array(HIDDEN2).fill(0).map(() => init(HIDDEN2, 1))
+    };
+}
+
+/**
+ * Set up a UAV's local learning state from the federated configuration
+ * Every UAV starts from the same initial weights; its local-only model never receives
+ * global updates and serves as the baseline the global model is compared against
+ * @param {string} uavId - UAV ID
+ * @param {Object} federatedConfig - SimulationConfig.federated
+ * @returns {Object|null} Local learner or null if the UAV has no data profile
+ */
+function createLocalLearner(uavId, federatedConfig) {
+    const { localData, localTraining } = federatedConfig;
+    const profile = localData.profiles[uavId];
+    if (!profile) return null;
+
+    return {
+        profile,
+        dataset: generateLocalDataset(profile, {
+            seed: deriveSeed(localData.seed, uavId),
+            size: localData.samplesPerUAV,
+            testFraction: localData.testFraction
+        }),
+        training: { ...localTraining },
+        initialWeights: createModel(localData.seed),
+        localOnlyWeights: createModel(localData.seed),
+        random: createSeededRandom(deriveSeed(localData.seed, `${uavId}:training`)),
+        localOnlyRandom: createSeededRandom(deriveSeed(localData.seed, `${uavId}:local-only`))
+    };
+}
+
+/**
+ * Deep copy model weights
+ * @param {Object} weights - Model weights
+ * @returns {Object} Copied weights
+ */
+function cloneWeights(weights) {
+    return {
+        layer1: weights.layer1.map(row => row.slice()),
+        layer2: weights.layer2.map(row => row.slice()),
+        outputLayer: weights.outputLayer.slice()
+    };
+}
+
+/**
+ * Check whether weights are all zero, like the placeholder global model the backend
+ * registers before its first round; gradients vanish there, so training cannot start from it
+ * @param {Object} weights - Model weights
+ * @returns {boolean} True if every weight is zero
+ */
+function isBlankModel(weights) {
+    return weights.outputLayer.every(value => value === 0) &&
+        weights.layer2.every(row => row.every(value => value === 0)) &&
+        weights.layer1.every(row => row.every(value => value === 0));
+}
+
+/**
+ * Survivor probability for one feature vector
+ * @param {Object} weights - Model weights
+ * @param {Array} features - Feature vector
+ * @returns {number} Probability (0-1)
+ */
+function predict(weights, features) {
+    return forward(weights, features).output;
+}
+
+/**
+ * Train a copy of the model with mini-batch SGD on binary cross-entropy
+ * @param {Object} weights - Starting weights (not modified)
+ * @param {Array} samples - Training samples { features, label }
+ * @param {Object} options - { epochs, batchSize, learningRate }
+ * @param {Function} random - Uniform generator used to shuffle batches
+ * @returns {Object} { weights, loss } with loss averaged over the last epoch
+ */
+function trainLocalModel(weights, samples, options, random) {
+    const { epochs = 1, batchSize = 16, learningRate = 0.1 } = options;
+    const trained = cloneWeights(weights);
+    const order = samples.slice();
+    let loss = 0;
+
+    for (let epoch = 0; epoch < epochs; epoch++) {
+        shuffle(order, random);
+        loss = 0;
+
+        for (let start = 0; start < order.length; start += batchSize) {
+            const batch = order.slice(start, start + batchSize);
+            const gradients = zeroGradients();
+
+            batch.forEach(sample => {
+                loss += accumulateGradients(trained, sample, gradients);
+            });
+
+            applyGradients(trained, gradients, learningRate / batch.length);
+        }
+
+        loss /= Math.max(1, order.length);
+    }
+
+    return { weights: trained, loss };
+}
+
+/**
+ * Evaluate a model on labelled samples at a 0.5 decision threshold
+ * @param {Object} weights - Model weights
+ * @param {Array} samples - Samples { features, label }
+ * @returns {Object} { accuracy, precision, recall, loss }
+ */
+function evaluateModel(weights, samples) {
+    let truePositives = 0;
+    let falsePositives = 0;
+    let falseNegatives = 0;
+    let correct = 0;
+    let loss = 0;
+
+    samples.forEach(sample => {
+        const output = predict(weights, sample.features);
+        const predicted = output >= 0.5 ? 1 : 0;
+
+        if (predicted === sample.label) correct++;
+        if (predicted === 1 && sample.label === 1) truePositives++;
+        if (predicted === 1 && sample.label === 0) falsePositives++;
+        if (predicted === 0 && sample.label === 1) falseNegatives++;
+
+        loss += crossEntropy(output, sample.label);
+    });
+
+    const count = Math.max(1, samples.length);
+
+    return {
+        accuracy: correct / count,
+        precision: truePositives + falsePositives > 0 ? truePositives / (truePositives + falsePositives) : null,
+        recall: truePositives + falseNegatives > 0 ? truePositives / (truePositives + falseNegatives) : null,
+        loss: loss / count
+    };
+}
+
+/**
+ * Weighted average of models (FedAvg), used for offline experiments without the backend
+ * @param {Array} contributions - [{ weights, samples }] where samples is the training set size
+ * @returns {Object} Averaged weights
+ */
+function averageModels(contributions) {
+    const total = contributions.reduce((sum, c) => sum + c.samples, 0);
+    const averaged = zeroGradients();
+
+    contributions.forEach(({ weights, samples }) => {
+        const share = samples / total;
+        weights.layer1.forEach((row, i) => row.forEach((value, j) => { averaged.layer1[i][j] += value * share; }));
+        weights.layer2.forEach((row, i) => row.forEach((value, j) => { averaged.layer2[i][j] += value * share; }));
+        weights.outputLayer.forEach((value, i) => { averaged.outputLayer[i] += value * share; });
+    });
+
+    return averaged;
+}
+
+// Helper functions
+
+function forward(weights, features) {
+    const hidden1 = new Array(HIDDEN1).fill(0);
+    for (let i = 0; i < FEATURE_COUNT; i++) {
+        const x = features[i];
+        const row = weights.layer1[i];
+        for (let j = 0; j < HIDDEN1; j++) {
+            hidden1[j] += x * row[j];
+        }
+    }
+    for (let j = 0; j < HIDDEN1; j++) hidden1[j] = Math.tanh(hidden1[j]);
+
+    const hidden2 = new Array(HIDDEN2).fill(0);
+    for (let j = 0; j < HIDDEN1; j++) {
+        const row = weights.layer2[j];
+        for (let k = 0; k < HIDDEN2; k++) {
+            hidden2[k] += hidden1[j] * row[k];
+        }
+    }
+    for (let k = 0; k < HIDDEN2; k++) hidden2[k] = Math.tanh(hidden2[k]);
+
+    let logit = 0;
+    for (let k = 0; k < HIDDEN2; k++) logit += hidden2[k] * weights.outputLayer[k];
+
+    return { hidden1, hidden2, output: 1 / (1 + Math.exp(-logit)) };
+}
+
+function accumulateGradients(weights, sample, gradients) {
+    const { hidden1, hidden2, output } = forward(weights, sample.features);
+    const dLogit = output - sample.label;
+
+    const dHidden2 = new Array(HIDDEN2);
+    for (let k = 0; k < HIDDEN2; k++) {
+        gradients.outputLayer[k] += dLogit * hidden2[k];
+        dHidden2[k] = dLogit * weights.outputLayer[k] * (1 - hidden2[k] * hidden2[k]);
+    }
+
+    const dHidden1 = new Array(HIDDEN1).fill(0);
+    for (let j = 0; j < HIDDEN1; j++) {
+        const row = weights.layer2[j];
+        const gradRow = gradients.layer2[j];
+        for (let k = 0; k < HIDDEN2; k++) {
+            gradRow[k] += hidden1[j] * dHidden2[k];
+            dHidden1[j] += row[k] * dHidden2[k];
+        }
+        dHidden1[j] *= 1 - hidden1[j] * hidden1[j];
+    }
+
+    for (let i = 0; i < FEATURE_COUNT; i++) {
+        const x = sample.features[i];
+        const gradRow = gradients.layer1[i];
+        for (let j = 0; j < HIDDEN1; j++) {
+            gradRow[j] += x * dHidden1[j];
+        }
+    }
+
+    return crossEntropy(output, sample.label);
+}
+
+function applyGradients(weights, gradients, step) {
+    weights.layer1.forEach((row, i) => row.forEach((value, j) => { row[j] = value - step * gradients.layer1[i][j]; }));
+    weights.layer2.forEach((row, i) => row.forEach((value, j) => { row[j] = value - step * gradients.layer2[i][j]; }));
+    weights.outputLayer.forEach((value, i) => { weights.outputLayer[i] = value - step * gradients.outputLayer[i]; });
+}
+
+function zeroGradients() {
+    return {
+        layer1: Array(FEATURE_COUNT).fill(0).map(() => new Array(HIDDEN1).fill(0)),
+        layer2: Array(HIDDEN1).fill(0).map(() => new Array(HIDDEN2).fill(0)),
+        outputLayer: new Array(HIDDEN2).fill(0)
+    };
+}
+
+function crossEntropy(output, label) {
+    const p = Math.min(Math.max(output, 1e-7), 1 - 1e-7);
+    return label === 1 ? -Math.log(p) : -Math.log(1 - p);
+}
+
+module.exports = {
+    createModel,
+    createLocalLearner,
+    cloneWeights,
+    isBlankModel,
+    predict,
+    trainLocalModel,
+    evaluateModel,
+    averageModels
+};
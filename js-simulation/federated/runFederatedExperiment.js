@@ -0,0 +1,100 @@
+/**
+ * Federated Convergence Experiment
+ * Trains the fleet's local models offline with FedAvg and compares the global model
+ * against local-only training on every UAV's held-out data
+ */
+
+const SimulationConfig = require('../config/simulationConfig');
+const { createLocalLearner, trainLocalModel, evaluateModel, averageModels } = require('./localModel');
+
+/**
+ * Run federated and local-only training side by side
+ * Results only depend on the configured seed
+ * @param {Object} federatedConfig - SimulationConfig.federated
+ * @param {number} rounds - Number of federated rounds
+ * @returns {Array} Per-round results
+ */
+function runFederatedExperiment(federatedConfig, rounds = 20) {
+    const learners = Object.keys(federatedConfig.localData.profiles).map(uavId => ({
+        uavId,
+        ...createLocalLearner(uavId, federatedConfig)
+    }));
+    const fleetTest = learners.flatMap(learner => learner.dataset.test);
+
+    let globalWeights = learners[0].initialWeights;
+    const history = [];
+
+    for (let round = 1; round <= rounds; round++) {
+        const contributions = learners.map(learner => ({
+            weights: trainLocalModel(globalWeights, learner.dataset.train, learner.training, learner.random).weights,
+            samples: learner.dataset.train.length
+        }));
+        globalWeights = averageModels(contributions);
+
+        learners.forEach(learner => {
+            learner.localOnlyWeights = trainLocalModel(
+                learner.localOnlyWeights,
+                learner.dataset.train,
+                learner.training,
+                learner.localOnlyRandom
+            ).weights;
+        });
+
+        history.push({
+            round,
+            global: evaluateModel(globalWeights, fleetTest),
+            uavs: learners.map(learner => ({
+                uavId: learner.uavId,
+                terrain: learner.profile.terrain,
+                globalOnOwnData: evaluateModel(globalWeights, learner.dataset.test).accuracy,
+                localOnlyOnOwnData: evaluateModel(learner.localOnlyWeights, learner.dataset.test).accuracy,
+                localOnlyOnFleetData: evaluateModel(learner.localOnlyWeights, fleetTest).accuracy
+            }))
+        });
+    }
+
+    return history;
+}
+
+/**
+ * Print a convergence table for an experiment
+ * @param {Array} history - Per-round results
+ */
+function printExperiment(history) {
+    const uavIds = history[0].uavs.map(uav => uav.uavId);
+
+    console.log('\nAccuracy on fleet-wide test data (global model vs local-only models)');
+    console.log(`Round | Global | ${uavIds.map(id => `${id} local`.padStart(13, ' ')).join(' | ')}`);
+
+    history.forEach(entry => {
+        console.log(
+            `${entry.round.toString().padStart(5, ' ')} | ` +
+            `${formatPercent(entry.global.accuracy)} | ` +
+            entry.uavs.map(uav => formatPercent(uav.localOnlyOnFleetData).padStart(13, ' ')).join(' | ')
+        );
+    });
+
+    const last = history[history.length - 1];
+    console.log('\nFinal accuracy on each UAV\'s own test data');
+    last.uavs.forEach(uav => {
+        console.log(
+            `  ${uav.uavId} (${uav.terrain.padEnd(8, ' ')}) ` +
+            `global: ${formatPercent(uav.globalOnOwnData)} | local-only: ${formatPercent(uav.localOnlyOnOwnData)}`
+        );
+    });
+}
+
+// Helper functions
+
+function formatPercent(value) {
+    return `${(value * 100).toFixed(1).padStart(5, ' ')}%`;
+}
+
+module.exports = { runFederatedExperiment, printExperiment };
+
+// Run experiment if this file is executed directly: node federated/runFederatedExperiment.js [rounds]
+if (require.main === module) {
+    const config = new SimulationConfig();
+    const rounds = parseInt(process.argv[2]) || 20;
+    printExperiment(runFederatedExperiment(config.federated, rounds));
+}
@@ -0,0 +1,69 @@
+/**
+ * Seeded Random Numbers
+ * Deterministic random sources so local datasets and model initialisation are reproducible
+ */
+
+/**
+ * Create a seeded uniform random generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Draw a standard normal value from a uniform generator (Box-Muller transform)
+ * @param {Function} random - Uniform generator
+ * @returns {number} Normally distributed value
+ */
+function gaussian(random) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Derive an independent seed from a base seed and a label, e.g. a UAV ID or terrain type
+ * @param {number} seed - Base seed
+ * @param {string} label - Label distinguishing the derived stream
+ * @returns {number} Derived 32-bit seed
+ */
+function deriveSeed(seed, label) {
+    // FNV-1a over the label, mixed with the base seed
+    let hash = (2166136261 ^ seed) >>> 0;
+    for (let i = 0; i < label.length; i++) {
+        hash ^= label.charCodeAt(i);
+        hash = Math.imul(hash, 16777619) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * Shuffle an array in place with a seeded generator (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Uniform generator
+ * @returns {Array} The shuffled array
+ */
+function shuffle(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+module.exports = {
+    createSeededRandom,
+    gaussian,
+    deriveSeed,
+    shuffle
+};
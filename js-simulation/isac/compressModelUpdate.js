@@ -0,0 +1,171 @@
+/**
+ * Model Update Compression
+ * Encodes federated learning weight updates for upload over constrained ISAC links
+ */
+
+/**
+ * Encode a model update with a negotiated compression profile
+ * With profile.privacy set, values are clipped and noised before any compression
+ * @param {Object} modelUpdates - Model updates with local weightUpdates and the baseWeights they were trained from
+ * @param {Object} profile - { delta, topK, quantizeBits, privacy: { clipNorm, noiseMultiplier } }
+ * @returns {Object} Model updates carrying an encodedUpdate instead of raw weights
+ */
+function encodeModelUpdate(modelUpdates, profile) {
+    const { weightUpdates, baseWeights, ...metadata } = modelUpdates;
+    const { layout, vector } = flattenWeights(weightUpdates);
+
+    // Deltas need the global weights the UAV started from; without them send full weights
+    const useDelta = !!(profile.delta && baseWeights);
+    let values = vector;
+
+    if (useDelta) {
+        const base = flattenWeights(baseWeights).vector;
+        values = vector.map((value, i) => value - base[i]);
+    }
+
+    // Sparsification and quantization are post-processing and keep the DP guarantee
+    if (profile.privacy) {
+        values = privatize(values, profile.privacy.clipNorm, profile.privacy.noiseMultiplier);
+    }
+
+    const encodedUpdate = {
+        layout,
+        size: vector.length,
+        deltaBase: useDelta ? modelUpdates.modelVersion : null,
+        sparse: false
+    };
+
+    // Dropping coordinates is only safe for deltas, where a missing value means "unchanged"
+    if (useDelta && profile.topK) {
+        const sparse = sparsifyTopK(values, profile.topK);
+        encodedUpdate.sparse = true;
+        encodedUpdate.indices = sparse.indices;
+        values = sparse.values;
+    }
+
+    if (profile.quantizeBits) {
+        const quantized = quantize(values, profile.quantizeBits);
+        encodedUpdate.quantization = quantized.quantization;
+        values = quantized.levels;
+    }
+
+    encodedUpdate.values = values;
+
+    const encoded = {
+        ...metadata,
+        encodedUpdate
+    };
+
+    if (profile.privacy) {
+        encoded.privacy = {
+            mechanism: 'gaussian',
+            clipNorm: profile.privacy.clipNorm,
+            noiseMultiplier: profile.privacy.noiseMultiplier
+        };
+    }
+
+    return encoded;
+}
+
+/**
+ * Clip values to an L2 norm and add Gaussian noise (Gaussian mechanism)
+ * @param {Array} values - Update values
+ * @param {number} clipNorm - Maximum L2 norm
+ * @param {number} noiseMultiplier - Noise stddev relative to clipNorm
+ * @returns {Array} Privatized values
+ */
+function privatize(values, clipNorm, noiseMultiplier) {
+    const norm = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+    const factor = norm > clipNorm ? clipNorm / norm : 1;
+    const stddev = noiseMultiplier * clipNorm;
+
+    return values.map(value => value * factor + gaussianNoise() * stddev);
+}
+
+/**
+ * Flatten named layers of nested weight arrays in sorted layer order
+ * @param {Object} weights - Layer name -> nested numeric array
+ * @returns {Object} { layout: [{ name, shape }], vector }
+ */
+function flattenWeights(weights) {
+    const layout = [];
+    const vector = [];
+
+    Object.keys(weights).sort().forEach(name => {
+        const shape = [];
+        let current = weights[name];
+        while (Array.isArray(current)) {
+            shape.push(current.length);
+            current = current[0];
+        }
+
+        layout.push({ name, shape });
+        collectValues(weights[name], vector);
+    });
+
+    return { layout, vector };
+}
+
+/**
+ * Keep the k largest-magnitude values
+ * @param {Array} values - Dense values
+ * @param {number} fraction - Fraction of values to keep (0-1)
+ * @returns {Object} { indices, values } in ascending index order
+ */
+function sparsifyTopK(values, fraction) {
+    const k = Math.max(1, Math.ceil(values.length * fraction));
+
+    const indices = values
+        .map((value, index) => index)
+        .sort((a, b) => Math.abs(values[b]) - Math.abs(values[a]))
+        .slice(0, k)
+        .sort((a, b) => a - b);
+
+    return {
+        indices,
+        values: indices.map(index => values[index])
+    };
+}
+
+/**
+ * Uniform min/max quantization
+ * @param {Array} values - Values to quantize
+ * @param {number} bits - Bit width
+ * @returns {Object} { levels, quantization: { bits, min, scale } }
+ */
+function quantize(values, bits) {
+    const maxLevel = Math.pow(2, bits) - 1;
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const scale = (max - min) / maxLevel;
+
+    return {
+        levels: values.map(value => (scale > 0 ? Math.round((value - min) / scale) : 0)),
+        quantization: { bits, min, scale }
+    };
+}
+
+// Helper functions
+
+function gaussianNoise() {
+    // Box-Muller transform
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function collectValues(value, out) {
+    if (Array.isArray(value)) {
+        value.forEach(item => collectValues(item, out));
+    } else {
+        out.push(value);
+    }
+}
+
+module.exports = {
+    encodeModelUpdate,
+    privatize,
+    flattenWeights,
+    sparsifyTopK,
+    quantize
+};
@@ -3,13 +3,19 @@
  * Simulates data filtering and transmission based on ISAC mode
  */
 
+const { encodeModelUpdate } = require('./compressModelUpdate');
+
+// Upload profile used when the backend has not negotiated one for good links
+const DEFAULT_GOOD_PROFILE = { delta: true, topK: null, quantizeBits: null };
+
 /**
  * Simulate data transmission based on ISAC mode
  * @param {Object} sensorData - Raw sensor data from UAV
  * @param {string} isacMode - Current ISAC mode ('good', 'medium', 'weak')
+ * @param {Object|null} modelUpdateProfile - Compression profile negotiated for this mode (optional)
  * @returns {Object} Filtered transmission data
  */
-function simulateDataTransmission(sensorData, isacMode) {
+function simulateDataTransmission(sensorData, isacMode, modelUpdateProfile = null) {
     // Initialize transmission data structure
     const transmissionData = {
         timestamp: new Date().toISOString(),
@@ -22,12 +28,12 @@ function simulateDataTransmission(sensorData, isacMode) {
     switch (isacMode.toLowerCase()) {
         case 'good':
             // Full data transmission - all available data
-            processGoodModeData(sensorData, transmissionData);
+            processGoodModeData(sensorData, transmissionData, modelUpdateProfile);
             break;
             
         case 'medium':
             // Compressed transmission - reduced quality video + detections
-            processMediumModeData(sensorData, transmissionData);
+            processMediumModeData(sensorData, transmissionData, modelUpdateProfile);
             break;
             
         case 'weak':
@@ -55,8 +61,9 @@ function simulateDataTransmission(sensorData, isacMode) {
  * Process data for good network mode
  * @param {Object} sensorData - Raw sensor data
  * @param {Object} transmissionData - Transmission data object to populate
+ * @param {Object|null} modelUpdateProfile - Negotiated model update compression profile
  */
-function processGoodModeData(sensorData, transmissionData) {
+function processGoodModeData(sensorData, transmissionData, modelUpdateProfile = null) {
     // High-quality video stream
     if (sensorData.videoFrame) {
         transmissionData.videoStream = sensorData.videoFrame;
@@ -72,10 +79,9 @@ function processGoodModeData(sensorData, transmissionData) {
         transmissionData.dataSizeBytes += sensorData.detections.length * 200; // ~200B per detection
     }
     
-    // AI model updates (federated learning weights)
+    // AI model updates (federated learning weights, delta encoded at full precision)
     if (sensorData.modelUpdates) {
-        transmissionData.modelUpdates = sensorData.modelUpdates;
-        transmissionData.dataSizeBytes += 50000; // ~50KB for model weights
+        attachModelUpdates(sensorData.modelUpdates, transmissionData, modelUpdateProfile || DEFAULT_GOOD_PROFILE);
     }
     
     // Environmental sensor data
@@ -95,8 +101,9 @@ function processGoodModeData(sensorData, transmissionData) {
  * Process data for medium network mode
  * @param {Object} sensorData - Raw sensor data
  * @param {Object} transmissionData - Transmission data object to populate
+ * @param {Object|null} modelUpdateProfile - Negotiated model update compression profile
  */
-function processMediumModeData(sensorData, transmissionData) {
+function processMediumModeData(sensorData, transmissionData, modelUpdateProfile = null) {
     // Compressed video stream
     if (sensorData.videoFrame) {
         transmissionData.videoStream = compressVideoFrame(sensorData.videoFrame, 0.3);
@@ -117,8 +124,11 @@ function processMediumModeData(sensorData, transmissionData) {
         transmissionData.dataSizeBytes += 200; // ~200B for critical telemetry
     }
     
-    // No model updates in medium mode to save bandwidth
+    // Model updates only at reduced fidelity (top-k + quantized deltas) when negotiated
     transmissionData.modelUpdates = null;
+    if (sensorData.modelUpdates && modelUpdateProfile) {
+        attachModelUpdates(sensorData.modelUpdates, transmissionData, modelUpdateProfile);
+    }
 }
 
 /**
@@ -152,6 +162,22 @@ function processWeakModeData(sensorData, transmissionData) {
     transmissionData.environmentalData = null;
 }
 
+/**
+ * Encode model updates with a compression profile and account for their size
+ * @param {Object} modelUpdates - Model updates from the sensor data
+ * @param {Object} transmissionData - Transmission data object to populate
+ * @param {Object} profile - Compression profile
+ */
+function attachModelUpdates(modelUpdates, transmissionData, profile) {
+    if (!modelUpdates.available) {
+        transmissionData.modelUpdates = { available: false };
+        return;
+    }
+
+    transmissionData.modelUpdates = encodeModelUpdate(modelUpdates, profile);
+    transmissionData.dataSizeBytes += Buffer.byteLength(JSON.stringify(transmissionData.modelUpdates.encodedUpdate));
+}
+
 /**
  * Simulate video compression
  * @param {Object} videoFrame - Original video frame
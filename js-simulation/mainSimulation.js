@@ -10,6 +10,8 @@ const { simulateDataTransmission } = require('./isac/simulateDataTransmission');
 const { updateUAVPosition } = require('./uav/simulateUAVMovement');
 const { simulateSensorData } = require('./uav/simulateSensorData');
 const { updateEnvironment, initializeEnvironment } = require('./environment/simulateEnvironment');
+const { createLocalLearner, evaluateModel } = require('./federated/localModel');
+const { createRequestSigner } = require('./uav/signRequest');
 
 class UAVSimulator {
     constructor() {
@@ -23,6 +25,13 @@ class UAVSimulator {
         this.uav = null;
         this.baseStation = null;
         
+        // Model update compression per ISAC mode, updated from backend responses
+        this.modelUpdateProfiles = { ...this.config.federated.compressionProfiles };
+        
+        // Global vs local-only accuracy each time a UAV adopts a new global model
+        this.convergenceHistory = [];
+        this.fleetTestSet = [];
+        
         console.log('=== UAV Disaster Response ISAC Simulation ===');
         console.log('JavaScript version - Starting simulation...\n');
     }
@@ -42,6 +51,11 @@ class UAVSimulator {
         // Initialize UAVs
         this.uavs = this.initializeUAVs();
         
+        // Held-out data of every UAV, used to judge how well a model generalises across the fleet
+        this.fleetTestSet = this.uavs
+            .filter(uav => uav.learner)
+            .flatMap(uav => uav.learner.dataset.test);
+        
         // Initialize base station
         this.baseStation = this.initializeBaseStation();
         
@@ -71,6 +85,7 @@ class UAVSimulator {
     runSimulationLoop() {
         if (!this.isRunning || this.currentTime >= this.config.simulationTime) {
             this.isRunning = false;
+            this.displayConvergenceSummary();
             console.log('\nSimulation completed successfully!');
             return;
         }
@@ -96,7 +111,11 @@ class UAVSimulator {
                 const sensorData = simulateSensorData(this.uavs[i], this.environment, this.currentTime);
                 
                 // Process and filter data based on ISAC mode
-                const transmissionData = simulateDataTransmission(sensorData, isacResult.isacMode);
+                const transmissionData = simulateDataTransmission(
+                    sensorData,
+                    isacResult.isacMode,
+                    this.getModelUpdateProfile(isacResult.isacMode)
+                );
                 
                 // Prepare complete data package
                 const uavData = this.prepareUAVData(this.uavs[i], isacResult, transmissionData, sensorData);
@@ -125,6 +144,19 @@ class UAVSimulator {
         }
     }
     
+    /**
+     * Get the model update profile for an ISAC mode, with DP settings when enabled
+     * @param {string} isacMode - ISAC mode
+     * @returns {Object|null} Model update profile or null if the mode carries no model uploads
+     */
+    getModelUpdateProfile(isacMode) {
+        const profile = this.modelUpdateProfiles[isacMode];
+        if (!profile) return null;
+        
+        const dp = this.config.federated.differentialPrivacy;
+        return dp.enabled ? { ...profile, privacy: dp } : profile;
+    }
+    
     /**
      * Initialize simulation environment
      * @returns {Object} Environment object
@@ -176,12 +208,59 @@ class UAVSimulator {
         ];
         
         uavs.forEach(uav => {
-            console.log(`${uav.id} initialized at position [${uav.position.join(', ')}] - ${uav.isacMode} signal`);
+            this.attachLocalLearner(uav);
+            this.attachRequestSigner(uav);
+            const terrain = uav.learner ? `, ${uav.learner.profile.terrain} data` : '';
+            console.log(`${uav.id} initialized at position [${uav.position.join(', ')}] - ${uav.isacMode} signal${terrain}`);
         });
         
         return uavs;
     }
     
+    /**
+     * Give a UAV its own local dataset, toy model and detection parameters
+     * Detection probability scales with the UAV's survivor density; false positives follow its profile
+     * @param {Object} uav - UAV object
+     */
+    attachLocalLearner(uav) {
+        uav.learner = createLocalLearner(uav.id, this.config.federated);
+        if (!uav.learner) return;
+        
+        const { profile } = uav.learner;
+        const detection = this.config.detection;
+        uav.detection = {
+            ...detection,
+            probability: Math.min(1, detection.probability * profile.survivorDensity / detection.survivorDensity),
+            falsePositiveRate: profile.falsePositiveRate
+        };
+    }
+    
+    /**
+     * Give a UAV the signer for its backend requests, if the fleet has a secret for it
+     * @param {Object} uav - UAV object
+     */
+    attachRequestSigner(uav) {
+        const secret = this.config.fleetCredentials[uav.id];
+        if (!secret) {
+            console.log(`${uav.id} has no fleet secret (UAV_CREDENTIALS); the backend will reject its requests`);
+            return;
+        }
+        uav.signRequest = createRequestSigner(uav.id, secret);
+    }
+    
+    /**
+     * Sign a request on behalf of a UAV
+     * @param {string} uavId - UAV ID
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path including the query string
+     * @param {string} body - Request body exactly as sent
+     * @returns {Object} Signature headers (empty if the UAV has no secret)
+     */
+    signRequest(uavId, method, path, body = '') {
+        const uav = this.uavs ? this.uavs.find(u => u.id === uavId) : null;
+        return uav && uav.signRequest ? uav.signRequest(method, path, body) : {};
+    }
+    
     /**
      * Initialize base station
      * @returns {Object} Base station object
@@ -284,12 +363,15 @@ class UAVSimulator {
         try {
             // Attempt to send to backend
             const fetch = require('node-fetch');
-            const response = await fetch(`${this.config.backendUrl}/api/uav/data`, {
+            const path = '/api/uav/data';
+            const body = JSON.stringify(uavData);
+            const response = await fetch(`${this.config.backendUrl}${path}`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...this.signRequest(uavData.uavId, 'POST', path, body)
                 },
-                body: JSON.stringify(uavData),
+                body,
                 timeout: this.config.apiTimeout
             });
             
@@ -299,6 +381,19 @@ class UAVSimulator {
                 if (result.processed && result.processed.detections > 0) {
                     console.log(`      -> Backend processed ${result.processed.detections} detection(s)`);
                 }
+                if (result.processed && result.processed.modelUpdate) {
+                    const update = result.processed.modelUpdate;
+                    console.log(`      -> Model update ${update.accepted ? 'accepted' : 'rejected'} (${update.encoding}, ${update.uploadBytes} bytes): ${update.reason}`);
+                }
+                if (result.trainingSignals && result.trainingSignals.length > 0) {
+                    this.queueTrainingSignals(uavData.uavId, result.trainingSignals);
+                }
+                if (result.modelUpdateProfile !== undefined) {
+                    this.modelUpdateProfiles[uavData.isacMode] = result.modelUpdateProfile;
+                }
+                if (result.assignedModelVersion) {
+                    await this.adoptModelVersion(uavData.uavId, result.assignedModelVersion);
+                }
                 return true;
             } else {
                 console.log(`      -> Backend error: ${response.status} ${response.statusText}`);
@@ -317,6 +412,108 @@ class UAVSimulator {
         return false;
     }
     
+    /**
+     * Keep operator-labelled detections for the UAV's next local training pass
+     * @param {string} uavId - UAV ID
+     * @param {Array} signals - Training signals from the backend
+     */
+    queueTrainingSignals(uavId, signals) {
+        const uav = this.uavs ? this.uavs.find(u => u.id === uavId) : null;
+        if (!uav) return;
+        
+        uav.trainingSignals = (uav.trainingSignals || []).concat(signals);
+        console.log(`      -> ${signals.length} labelled detection(s) queued for local training`);
+    }
+    
+    /**
+     * Switch a UAV to the model version the backend assigned to it
+     * Weights are downloaded first so model updates can be delta encoded against them
+     * @param {string} uavId - UAV ID
+     * @param {string} version - Assigned model version
+     */
+    async adoptModelVersion(uavId, version) {
+        const uav = this.uavs ? this.uavs.find(u => u.id === uavId) : null;
+        if (!uav || uav.aiModelVersion === version || uav.pendingModelVersion === version) return;
+        
+        uav.pendingModelVersion = version;
+        
+        try {
+            const fetch = require('node-fetch');
+            const path = `/api/models/${version}?includeWeights=true`;
+            const response = await fetch(`${this.config.backendUrl}${path}`, {
+                headers: this.signRequest(uavId, 'GET', path),
+                timeout: this.config.apiTimeout
+            });
+            
+            if (!response.ok) {
+                console.log(`      -> ${uavId} could not download model ${version}: ${response.status}`);
+                return;
+            }
+            
+            const model = await response.json();
+            console.log(`      -> ${uavId} switching model ${uav.aiModelVersion} -> ${version}`);
+            uav.aiModelVersion = version;
+            uav.globalWeights = model.weights;
+            this.recordConvergence(uav);
+        } catch (error) {
+            console.log(`      -> ${uavId} could not download model ${version}: ${error.message}`);
+        } finally {
+            uav.pendingModelVersion = null;
+        }
+    }
+    
+    /**
+     * Compare the global model a UAV just adopted with its local-only model
+     * @param {Object} uav - UAV object
+     */
+    recordConvergence(uav) {
+        if (!uav.learner || !uav.globalWeights || this.fleetTestSet.length === 0) return;
+        
+        const entry = {
+            time: this.currentTime,
+            uavId: uav.id,
+            modelVersion: uav.aiModelVersion,
+            globalAccuracy: evaluateModel(uav.globalWeights, this.fleetTestSet).accuracy,
+            localOnlyAccuracy: evaluateModel(uav.learner.localOnlyWeights, this.fleetTestSet).accuracy,
+            globalOwnAccuracy: evaluateModel(uav.globalWeights, uav.learner.dataset.test).accuracy,
+            localOnlyOwnAccuracy: evaluateModel(uav.learner.localOnlyWeights, uav.learner.dataset.test).accuracy
+        };
+        
+        this.convergenceHistory.push(entry);
+        console.log(
+            `      -> ${uav.id} fleet accuracy: global ${(entry.globalAccuracy * 100).toFixed(1)}% ` +
+            `vs local-only ${(entry.localOnlyAccuracy * 100).toFixed(1)}%`
+        );
+    }
+    
+    /**
+     * Print each UAV's latest global vs local-only accuracy
+     */
+    displayConvergenceSummary() {
+        if (this.convergenceHistory.length === 0) return;
+        
+        console.log('\nGlobal vs local-only accuracy (fleet test data | own test data):');
+        this.getLatestConvergence().forEach(entry => {
+            console.log(
+                `  ${entry.uavId} model ${entry.modelVersion}: ` +
+                `global ${(entry.globalAccuracy * 100).toFixed(1)}% | ${(entry.globalOwnAccuracy * 100).toFixed(1)}%, ` +
+                `local-only ${(entry.localOnlyAccuracy * 100).toFixed(1)}% | ${(entry.localOnlyOwnAccuracy * 100).toFixed(1)}%`
+            );
+        });
+    }
+    
+    /**
+     * Get the most recent convergence entry per UAV
+     * @returns {Array} Convergence entries
+     */
+    getLatestConvergence() {
+        const latest = {};
+        this.convergenceHistory.forEach(entry => {
+            latest[entry.uavId] = entry;
+        });
+        return Object.values(latest);
+    }
+    
     /**
      * Handle UAV data locally when backend is not available
      * @param {Object} uavData - UAV data package
@@ -392,8 +589,10 @@ class UAVSimulator {
                 id: uav.id,
                 position: [...uav.position],
                 batteryLevel: uav.batteryLevel,
-                isacMode: uav.isacMode
-            })) : []
+                isacMode: uav.isacMode,
+                terrain: uav.learner ? uav.learner.profile.terrain : null
+            })) : [],
+            convergence: this.getLatestConvergence()
         };
     }
 }
@@ -1,6 +1,7 @@
 // g:\project_4thYear\js-simulation\uav\client.js
 const io = require('socket.io-client');
 const readline = require('readline');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const os = require('os');
 const fs = require('fs');
@@ -10,7 +11,9 @@ class UAVClient {
   constructor(options = {}) {
     this.uavId = options.uavId || `uav-${uuidv4().substring(0, 6)}`;
     this.serverUrl = options.serverUrl || 'https://uav-backend.onrender.com';
+    this.secret = options.secret || process.env.UAV_SECRET || null; // Fleet secret issued by the backend
     this.position = options.position || [0, 0, 0]; // [x, y, z]
+    this.homePosition = [...this.position]; // Where return_home flies back to
     this.velocity = options.velocity || [0, 0, 0]; // [vx, vy, vz]
     this.targetPosition = null; // Target position for movement
     this.arrivalThreshold = 0.5; // Distance threshold to consider target reached
@@ -22,13 +25,20 @@ class UAVClient {
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 3000; // ms
     this.updateInterval = null;
+    this.modelVersion = options.modelVersion || '1.0.0';
+    this.globalWeights = null;
+    this.missionPlan = null; // Waypoint plan of the mission this UAV is assigned to
+    this.pausedTarget = null; // Target held while the mission is paused
 
     this.commandHandlers = {
       'takeoff': this.handleTakeoff.bind(this),
       'land': this.handleLand.bind(this),
       'move_to': this.handleMoveTo.bind(this),
       'set_velocity': this.handleSetVelocity.bind(this),
-      'emergency_stop': this.handleEmergencyStop.bind(this)
+      'emergency_stop': this.handleEmergencyStop.bind(this),
+      'hover': this.handleHover.bind(this),
+      'resume_mission': this.handleResumeMission.bind(this),
+      'return_home': this.handleReturnHome.bind(this)
     };
   }
 
@@ -41,6 +51,8 @@ class UAVClient {
           uavId: this.uavId,
           type: 'uav'
         },
+        // Signed again on every (re)connect so the timestamp is fresh
+        auth: (cb) => cb(this.getHandshakeCredentials()),
         reconnection: true,
         reconnectionAttempts: this.maxReconnectAttempts,
         reconnectionDelay: this.reconnectDelay
@@ -69,16 +81,41 @@ class UAVClient {
       this.socket.on('command', (data) => {
         this.handleCommand(data);
       });
+
+      this.socket.on('global_model_update', (model) => {
+        this.handleGlobalModelUpdate(model);
+      });
+
+      this.socket.on('mission_plan', (plan, ack) => {
+        this.handleMissionPlan(plan, ack);
+      });
     });
   }
 
+  // Prove we hold the fleet secret without sending it: HMAC-SHA256 of "uavId:timestamp"
+  getHandshakeCredentials() {
+    if (!this.secret) {
+      console.warn(`[${this.uavId}] No fleet secret configured (--secret or UAV_SECRET); the backend will refuse the connection`);
+      return { uavId: this.uavId };
+    }
+
+    const timestamp = new Date().toISOString();
+    const signature = crypto
+      .createHmac('sha256', this.secret)
+      .update(`${this.uavId}:${timestamp}`)
+      .digest('hex');
+
+    return { uavId: this.uavId, timestamp, signature };
+  }
+
   registerWithServer() {
     this.socket.emit('register_uav', {
       uavId: this.uavId,
       position: this.position,
       battery: this.battery,
       status: this.status,
-      capabilities: ['takeoff', 'land', 'move_to', 'set_velocity', 'emergency_stop']
+      modelVersion: this.modelVersion,
+      capabilities: Object.keys(this.commandHandlers)
     });
   }
 
@@ -116,6 +153,33 @@ class UAVClient {
     }
   }
 
+  // Adopt the aggregated global model pushed by the backend
+  handleGlobalModelUpdate(model) {
+    if (!model || !model.version) return;
+
+    console.log(`[${this.uavId}] Received global model ${model.version} (previous: ${this.modelVersion})`);
+    this.modelVersion = model.version;
+    this.globalWeights = model.weights || null;
+  }
+
+  // Load the waypoint plan sent by the backend; it is flown while the mission is active
+  handleMissionPlan(plan, ack) {
+    const accepted = Boolean(plan && plan.missionId && Array.isArray(plan.waypoints));
+    if (accepted) {
+      console.log(`[${this.uavId}] Mission ${plan.missionId} is ${plan.status}: ${plan.waypoints.length} waypoints at ${plan.altitude}m`);
+      this.missionPlan = ['planned', 'active', 'paused'].includes(plan.status) ? plan : null;
+
+      // Paused while we were away: hold position until the resume command
+      if (plan.status === 'paused' && this.status === 'moving_to_target') {
+        this.handleHover({ missionId: plan.missionId });
+      }
+    }
+
+    if (typeof ack === 'function') {
+      ack({ accepted, uavId: this.uavId, timestamp: new Date().toISOString() });
+    }
+  }
+
   startHeartbeat() {
     this.updateInterval = setInterval(() => {
       this.updateStatus();
@@ -298,6 +362,46 @@ class UAVClient {
     return { message: 'Emergency stop activated' };
   }
 
+  // Mission paused: hold position and remember where we were heading
+  handleHover(params) {
+    console.log(`[${this.uavId}] Hovering for paused mission ${params.missionId || ''}${params.reason ? ` (${params.reason})` : ''}`);
+    if (this.targetPosition) {
+      this.pausedTarget = this.targetPosition;
+    }
+    this.velocity = [0, 0, 0];
+    this.targetPosition = null;
+    this.status = 'hovering';
+    if (this.missionPlan) {
+      this.missionPlan.status = 'paused';
+    }
+    return { position: [...this.position], heldTarget: this.pausedTarget };
+  }
+
+  // Mission resumed: carry on towards the target held when it was paused
+  handleResumeMission(params) {
+    console.log(`[${this.uavId}] Resuming mission ${params.missionId || ''}`);
+    if (this.missionPlan) {
+      this.missionPlan.status = 'active';
+    }
+    if (!this.pausedTarget) {
+      return { resumed: true, target: null };
+    }
+
+    const [x, y, z] = this.pausedTarget;
+    this.pausedTarget = null;
+    return { resumed: true, ...this.handleMoveTo({ x, y, z }) };
+  }
+
+  // Mission aborted: drop the plan and fly back to where we started
+  handleReturnHome(params) {
+    console.log(`[${this.uavId}] Returning home${params.reason ? ` (${params.reason})` : ''}`);
+    this.missionPlan = null;
+    this.pausedTarget = null;
+
+    const [x, y, z] = this.homePosition;
+    return this.handleMoveTo({ x, y, z });
+  }
+
   disconnect() {
     console.log(`[${this.uavId}] Disconnecting...`);
     this.stopHeartbeat();
@@ -357,11 +461,16 @@ function setupCLI(uav) {
         uav.handleEmergencyStop();
         break;
         
+      case 'home':
+        uav.handleReturnHome({});
+        break;
+        
       case 'status':
         console.log(`Status: ${uav.status}`);
         console.log(`Position: [${uav.position.join(', ')}]`);
         console.log(`Velocity: [${uav.velocity.join(', ')}]`);
         console.log(`Battery: ${uav.battery.toFixed(2)}%`);
+        console.log(`Model: ${uav.modelVersion}`);
         break;
         
       case 'send_images':
@@ -376,6 +485,7 @@ function setupCLI(uav) {
         console.log('  move x y z         - Move to specified coordinates');
         console.log('  velocity vx vy vz  - Set velocity vector');
         console.log('  stop               - Emergency stop (hover in place)');
+        console.log('  home               - Return to the starting position');
         console.log('  status             - Show current status');
         console.log('  help               - Show this help message');
         console.log('  exit               - Disconnect and exit');
@@ -412,6 +522,8 @@ async function main() {
       options.uavId = args[++i];
     } else if (args[i] === '--server' && args[i + 1]) {
       options.serverUrl = args[++i];
+    } else if (args[i] === '--secret' && args[i + 1]) {
+      options.secret = args[++i];
     } else if (args[i] === '--x' && args[i + 1]) {
       options.position[0] = parseFloat(args[++i]);
     } else if (args[i] === '--y' && args[i + 1]) {
@@ -0,0 +1,53 @@
+/**
+ * Request Signing
+ * Signs UAV HTTP requests with the fleet secret the backend holds for each aircraft
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create a signer for one UAV's requests
+ * Sequence numbers start from the current time in microseconds so they keep
+ * increasing across restarts, as the backend rejects any sequence it has already passed
+ * @param {string} uavId - UAV ID
+ * @param {string} secret - Fleet secret
+ * @returns {Function} sign(method, path, body) returning the X-UAV-* headers
+ */
+function createRequestSigner(uavId, secret) {
+    let sequence = Date.now() * 1000;
+
+    return function sign(method, path, body = '') {
+        sequence += 1;
+        const timestamp = new Date().toISOString();
+        const bodyHash = crypto.createHash('sha256').update(body).digest('hex');
+        const canonical = [method.toUpperCase(), path, uavId, timestamp, sequence, bodyHash].join('\n');
+
+        return {
+            'X-UAV-Id': uavId,
+            'X-UAV-Timestamp': timestamp,
+            'X-UAV-Sequence': String(sequence),
+            'X-UAV-Signature': crypto.createHmac('sha256', secret).update(canonical).digest('hex')
+        };
+    };
+}
+
+/**
+ * Parse "uavId:secret" pairs separated by commas
+ * @param {string} value - Credential list
+ * @returns {Object} Secrets keyed by UAV ID
+ */
+function parseCredentials(value) {
+    const credentials = {};
+    for (const entry of (value || '').split(',')) {
+        const separator = entry.indexOf(':');
+        if (separator > 0) {
+            credentials[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+        }
+    }
+    return credentials;
+}
+
+module.exports = {
+    createRequestSigner,
+    parseCredentials
+};
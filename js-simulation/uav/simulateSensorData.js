@@ -3,6 +3,9 @@
  * Simulates camera, AI detection, and other sensor data from UAV
  */
 
+const { trainLocalModel, evaluateModel, isBlankModel } = require('../federated/localModel');
+const { generateSample } = require('../federated/generateLocalDataset');
+
 /**
  * Simulate sensor data collection from UAV
  * @param {Object} uav - UAV object with position, id, etc.
@@ -81,8 +84,9 @@ function simulateVideoFrame(uav, environment) {
 function simulateSurvivorDetection(uav, environment, currentTime) {
     const detections = [];
     
-    // Detection probability based on various factors
-    const baseDetectionProb = 0.15; // 15% chance per time step
+    // Detection probability based on various factors; UAVs with a data profile use their own rates
+    const detectionParams = uav.detection || {};
+    const baseDetectionProb = detectionParams.probability ?? 0.15; // 15% chance per time step
     const detectionProb = calculateDetectionProbability(uav, environment, baseDetectionProb);
     
     // Determine if any survivors are detected
@@ -96,7 +100,7 @@ function simulateSurvivorDetection(uav, environment, currentTime) {
     }
     
     // Add false positives occasionally
-    const falsePositiveProb = 0.05; // 5% chance of false positive
+    const falsePositiveProb = detectionParams.falsePositiveRate ?? 0.05; // 5% chance of false positive
     if (Math.random() < falsePositiveProb) {
         const falseDetection = generateFalsePositiveDetection(uav, currentTime);
         detections.push(falseDetection);
@@ -148,7 +152,7 @@ function generateSurvivorDetection(uav, environment, currentTime) {
     
     // Environmental context
     detection.environmentalContext = {
-        terrain: environment.terrainType || 'urban',
+        terrain: uav.learner ? uav.learner.profile.terrain : environment.terrainType || 'urban',
         visibility: calculateVisibility(environment),
         weatherConditions: environment.weather || {}
     };
@@ -281,17 +285,31 @@ function simulateModelUpdates(uav, currentTime) {
         modelUpdates.modelVersion = uav.aiModelVersion || '1.0';
         modelUpdates.updateType = 'incremental';
         
-        // Simulated performance metrics
-        modelUpdates.accuracyImprovement = Math.random() * 0.05; // 0-5% improvement
-        modelUpdates.trainingSamples = Math.floor(Math.random() * 151) + 50; // 50-200 samples
-        modelUpdates.convergenceScore = 0.8 + Math.random() * 0.2; // 0.8-1.0
+        // Operator verdicts on earlier detections are added to the local training set
+        const signals = uav.trainingSignals || [];
+        modelUpdates.labelledSamples = signals.length;
+        uav.trainingSignals = [];
+        
+        if (uav.learner) {
+            trainLocalUpdate(uav, signals, modelUpdates);
+        } else {
+            // Simulated performance metrics
+            modelUpdates.accuracyImprovement = Math.random() * 0.05; // 0-5% improvement
+            modelUpdates.trainingSamples = Math.floor(Math.random() * 151) + 50 + signals.length; // 50-200 samples
+            modelUpdates.convergenceScore = 0.8 + Math.random() * 0.2; // 0.8-1.0
+            
+            // Local training nudges the global weights the UAV holds; without them it starts from scratch
+            const base = uav.globalWeights;
+            const train = (value) => (base ? value + (Math.random() - 0.5) * 0.02 : Math.random());
+            modelUpdates.weightUpdates = {
+                layer1: Array(64).fill(0).map((_, i) => Array(32).fill(0).map((_, j) => train(base ? base.layer1[i][j] : 0))),
+                layer2: Array(32).fill(0).map((_, i) => Array(16).fill(0).map((_, j) => train(base ? base.layer2[i][j] : 0))),
+                outputLayer: Array(16).fill(0).map((_, i) => train(base ? base.outputLayer[i] : 0))
+            };
+        }
         
-        // Simulated model weights (in real implementation, these would be actual neural network weights)
-        modelUpdates.weightUpdates = {
-            layer1: Array(64).fill(0).map(() => Array(32).fill(0).map(() => Math.random())),
-            layer2: Array(32).fill(0).map(() => Array(16).fill(0).map(() => Math.random())),
-            outputLayer: Array(16).fill(0).map(() => Math.random())
-        };
+        // Global weights the update was trained from, used for delta encoding (not transmitted)
+        modelUpdates.baseWeights = uav.globalWeights || null;
         
         modelUpdates.timestamp = new Date().toISOString();
     } else {
@@ -301,6 +319,42 @@ function simulateModelUpdates(uav, currentTime) {
     return modelUpdates;
 }
 
+/**
+ * Train the UAV's local model on its own dataset, starting from the global model it holds
+ * The local-only baseline is trained on the same data without ever taking global updates
+ * @param {Object} uav - UAV object with a local learner
+ * @param {Array} signals - Operator-labelled detections received since the last update
+ * @param {Object} modelUpdates - Model update being prepared (filled in place)
+ */
+function trainLocalUpdate(uav, signals, modelUpdates) {
+    const learner = uav.learner;
+    
+    signals.forEach(signal => {
+        learner.dataset.train.push(generateSample(learner.profile, signal.target, learner.random));
+    });
+    
+    // Before the first aggregation every UAV starts from the same initial weights; the update is
+    // still delta encoded against the global weights it holds, so the backend sees the full step
+    const start = uav.globalWeights && !isBlankModel(uav.globalWeights) ? uav.globalWeights : learner.initialWeights;
+    const before = evaluateModel(start, learner.dataset.test);
+    const trained = trainLocalModel(start, learner.dataset.train, learner.training, learner.random);
+    const after = evaluateModel(trained.weights, learner.dataset.test);
+    
+    learner.localOnlyWeights = trainLocalModel(
+        learner.localOnlyWeights,
+        learner.dataset.train,
+        learner.training,
+        learner.localOnlyRandom
+    ).weights;
+    
+    // Accuracy of the global model on local held-out data lets the backend track it per round
+    modelUpdates.baseAccuracy = uav.globalWeights ? evaluateModel(uav.globalWeights, learner.dataset.test).accuracy : null;
+    modelUpdates.accuracyImprovement = after.accuracy - before.accuracy;
+    modelUpdates.trainingSamples = learner.dataset.train.length;
+    modelUpdates.convergenceScore = Math.max(0, 1 - Math.abs(before.loss - after.loss) / before.loss);
+    modelUpdates.weightUpdates = trained.weights;
+}
+
 // Helper functions
 
 /**